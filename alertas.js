@@ -0,0 +1,191 @@
+/**
+ * Maintenance alerts: classification of the appointments (overdue, today, this week)
+ * and browser reminders (Notification API) some time before each appointment.
+ */
+
+const CHAVE_LEMBRETES = 'dadosGaragemCompleta_lembretes';
+const HORA_LEMBRETE_DIA_INTEIRO = 8; // All-day appointments are reminded as if they started at 08:00
+const INTERVALO_VERIFICACAO_LEMBRETES_MS = 60000;
+
+/**
+ * Whether a scheduled record is late. All-day appointments are only late from the next day on.
+ * @param {Manutencao} manutencao - A record with status 'agendada'.
+ * @param {Date} [agora=new Date()]
+ * @returns {boolean}
+ */
+function agendamentoAtrasado(manutencao, agora = new Date()) {
+    const dataManutencao = manutencao.getDateTime();
+    if (!dataManutencao) return false;
+    if (manutencao.hora) return dataManutencao < agora;
+    return manutencao.data < dataLocalISO(agora);
+}
+
+/**
+ * Splits the valid appointments of the garage into overdue, due today and due in the next 7 days.
+ * @param {Veiculo[]} veiculos
+ * @param {Date} [agora=new Date()]
+ * @returns {{atrasados: object[], hoje: object[], semana: object[]}} Items {veiculo, manutencao, dataObj}, earliest first.
+ */
+function classificarAlertas(veiculos, agora = new Date()) {
+    const hoje = dataLocalISO(agora);
+    const limiteSemana = new Date(agora);
+    limiteSemana.setDate(limiteSemana.getDate() + 7);
+    const fimSemana = dataLocalISO(limiteSemana);
+
+    const alertas = { atrasados: [], hoje: [], semana: [] };
+    veiculos.forEach(veiculo => {
+        veiculo.historicoManutencao.forEach(manutencao => {
+            const dataObj = manutencao.getDateTime();
+            if (manutencao.status !== 'agendada' || !dataObj || !manutencao.isValid()) return;
+            const item = { veiculo, manutencao, dataObj };
+            if (agendamentoAtrasado(manutencao, agora)) alertas.atrasados.push(item);
+            else if (manutencao.data === hoje) alertas.hoje.push(item);
+            else if (manutencao.data <= fimSemana) alertas.semana.push(item);
+        });
+    });
+    Object.values(alertas).forEach(lista => lista.sort((a, b) => a.dataObj - b.dataObj));
+    return alertas;
+}
+
+/**
+ * Browser reminders of the appointments. Each appointment is notified once, when the
+ * lead time before it is reached (or at the next check, if the page was closed then).
+ * The lead time and the reminders already sent are kept in localStorage.
+ */
+class LembretesManutencao {
+    /**
+     * @param {function(): Veiculo[]} obterVeiculos - Returns the current vehicles of the garage.
+     */
+    constructor(obterVeiculos) {
+        this.obterVeiculos = obterVeiculos;
+        this.antecedenciaMinutos = 60;
+        this.enviados = {}; // Reminder key -> ISO date it was sent
+        this._cronometro = null;
+        this._carregar();
+    }
+
+    /** @returns {boolean} Whether this browser has the Notification API. */
+    static suportado() {
+        return typeof Notification !== 'undefined';
+    }
+
+    /** @returns {'granted' | 'denied' | 'default' | 'indisponivel'} */
+    permissao() {
+        return LembretesManutencao.suportado() ? Notification.permission : 'indisponivel';
+    }
+
+    /**
+     * Asks for the notification permission (must be called from a click).
+     * @returns {Promise<string>} The resulting permission.
+     */
+    async solicitarPermissao() {
+        if (!LembretesManutencao.suportado()) return 'indisponivel';
+        const resultado = await Notification.requestPermission();
+        if (resultado === 'granted') this.verificar();
+        return resultado;
+    }
+
+    /**
+     * Changes how long before each appointment the reminder is shown.
+     * @param {number} minutos - Lead time in minutes (> 0).
+     * @returns {boolean} True if the value was valid.
+     */
+    definirAntecedencia(minutos) {
+        if (typeof minutos !== 'number' || isNaN(minutos) || minutos <= 0) return false;
+        this.antecedenciaMinutos = minutos;
+        this._salvar();
+        return true;
+    }
+
+    /** Checks the appointments every minute. */
+    iniciar() {
+        if (this._cronometro) return;
+        this.verificar();
+        this._cronometro = setInterval(() => this.verificar(), INTERVALO_VERIFICACAO_LEMBRETES_MS);
+    }
+
+    /**
+     * Sends the reminders that are due and not sent yet.
+     * @param {Date} [agora=new Date()]
+     * @returns {number} How many reminders were sent.
+     */
+    verificar(agora = new Date()) {
+        if (this.permissao() !== 'granted') return 0;
+
+        let enviados = 0;
+        this.obterVeiculos().forEach(veiculo => {
+            veiculo.historicoManutencao.forEach(manutencao => {
+                if (manutencao.status !== 'agendada' || !manutencao.isValid()) return;
+                const inicio = this._inicioAgendamento(manutencao);
+                if (!inicio || inicio <= agora) return; // Past appointments are shown as overdue instead
+                const momentoLembrete = new Date(inicio.getTime() - this.antecedenciaMinutos * 60000);
+                const chave = this._chaveLembrete(manutencao);
+                if (agora < momentoLembrete || this.enviados[chave]) return;
+
+                this._notificar(veiculo, manutencao, chave);
+                this.enviados[chave] = agora.toISOString();
+                enviados++;
+            });
+        });
+        if (enviados > 0) this._salvar();
+        return enviados;
+    }
+
+    /** Start time used for the reminder (all-day appointments at HORA_LEMBRETE_DIA_INTEIRO). */
+    _inicioAgendamento(manutencao) {
+        const inicio = manutencao.getDateTime();
+        if (inicio && !manutencao.hora) inicio.setHours(HORA_LEMBRETE_DIA_INTEIRO, 0, 0, 0);
+        return inicio;
+    }
+
+    /** A rescheduled appointment gets a new key, so it is reminded again. */
+    _chaveLembrete(manutencao) {
+        return `${manutencao.id}|${manutencao.data}|${manutencao.hora || ''}`;
+    }
+
+    _notificar(veiculo, manutencao, chave) {
+        const [ano, mes, dia] = manutencao.data.split('-');
+        let corpo = `${veiculo.nome} (${veiculo.modelo}) - ${dia}/${mes}/${ano}`;
+        if (manutencao.hora) corpo += ` às ${manutencao.hora}`;
+        try {
+            new Notification(`Manutenção: ${manutencao.tipo}`, { body: corpo, tag: chave });
+        } catch (error) {
+            // Some browsers (e.g. Chrome on Android) only allow notifications from a service worker
+            console.error("Erro ao exibir lembrete de manutenção:", error);
+        }
+    }
+
+    _carregar() {
+        try {
+            const dados = JSON.parse(localStorage.getItem(CHAVE_LEMBRETES) || '{}');
+            if (typeof dados.antecedenciaMinutos === 'number' && dados.antecedenciaMinutos > 0) {
+                this.antecedenciaMinutos = dados.antecedenciaMinutos;
+            }
+            if (dados.enviados && typeof dados.enviados === 'object') this.enviados = dados.enviados;
+        } catch (error) {
+            console.error("Preferências de lembretes ilegíveis, usando os padrões:", error);
+        }
+    }
+
+    _salvar() {
+        // Reminders sent more than 30 days ago are forgotten to keep the key small
+        const limite = Date.now() - 30 * 24 * 60 * 60 * 1000;
+        for (const chave in this.enviados) {
+            if (new Date(this.enviados[chave]).getTime() < limite) delete this.enviados[chave];
+        }
+        try {
+            localStorage.setItem(CHAVE_LEMBRETES, JSON.stringify({
+                antecedenciaMinutos: this.antecedenciaMinutos,
+                enviados: this.enviados
+            }));
+        } catch (error) {
+            console.error("Erro ao salvar preferências de lembretes:", error);
+        }
+    }
+}
+
+
+// Allows `require('./alertas.js')` in Node to test the classification (needs modelo.js globals).
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { agendamentoAtrasado, classificarAlertas, LembretesManutencao };
+}
@@ -0,0 +1,138 @@
+/**
+ * Cost analytics of the completed services: totals and averages per vehicle, per service
+ * type and per month/year, and cost per kilometre from the odometer readings.
+ * Also the fuel consumption (km/l) and monthly fuel spend from the refuel log.
+ * Pure functions over the model (no DOM), rendered by Garagem.atualizarPainelCustos.
+ */
+
+/**
+ * Groups records and sums their cost.
+ * @param {object[]} registros
+ * @param {function(object): {chave: string, rotulo: string}} identificar - Group of a record.
+ * @param {function(object): number} [obterCusto] - Cost of a record (default: its maintenance custo).
+ * @returns {{chave: string, rotulo: string, total: number, quantidade: number, media: number}[]}
+ */
+function agruparCustos(registros, identificar, obterCusto = registro => registro.manutencao.custo) {
+    const grupos = new Map();
+    registros.forEach(registro => {
+        const { chave, rotulo } = identificar(registro);
+        if (!grupos.has(chave)) grupos.set(chave, { chave, rotulo, total: 0, quantidade: 0, media: 0 });
+        const grupo = grupos.get(chave);
+        grupo.total += obterCusto(registro);
+        grupo.quantidade++;
+    });
+    return [...grupos.values()].map(grupo => ({ ...grupo, media: grupo.total / grupo.quantidade }));
+}
+
+/**
+ * Cost per km of a vehicle: completed services with an odometer reading, divided by the
+ * distance driven since the first of those readings.
+ * @param {Veiculo} veiculo
+ * @returns {{custo: number, distancia: number, custoPorKm: number} | null} Null without readings or distance.
+ */
+function calcularCustoPorKm(veiculo) {
+    const comLeitura = veiculo.historicoManutencao.filter(m => m.status === 'concluida' && m.isValid() && m.quilometragem !== null);
+    if (comLeitura.length === 0) return null;
+    const primeiraLeitura = Math.min(...comLeitura.map(m => m.quilometragem));
+    const distancia = veiculo.quilometragem - primeiraLeitura;
+    if (distancia <= 0) return null;
+    const custo = comLeitura.reduce((soma, m) => soma + m.custo, 0);
+    return { custo, distancia, custoPorKm: custo / distancia };
+}
+
+/**
+ * Builds the cost dashboard data.
+ * @param {Veiculo[]} veiculos - Vehicles of the garage.
+ * @param {{idVeiculo?: string|null, agrupamento?: 'mes'|'ano'}} [opcoes] - Vehicle filter and period size.
+ * @returns {{total: number, quantidade: number, media: number, custoPorKm: number|null,
+ *           porVeiculo: object[], porTipo: object[], porPeriodo: object[]}}
+ *          Groups per vehicle (with custoPorKm) and per type are sorted by total, periods chronologically.
+ */
+function calcularAnaliseCustos(veiculos, opcoes = {}) {
+    const { idVeiculo = null, agrupamento = 'mes' } = opcoes;
+    const selecionados = veiculos.filter(veiculo => !idVeiculo || veiculo.id === idVeiculo);
+
+    const registros = [];
+    selecionados.forEach(veiculo => {
+        veiculo.historicoManutencao.forEach(manutencao => {
+            if (manutencao.status === 'concluida' && manutencao.isValid()) registros.push({ veiculo, manutencao });
+        });
+    });
+
+    const porVeiculo = agruparCustos(registros, ({ veiculo }) => ({ chave: veiculo.id, rotulo: veiculo.nome }))
+        .map(grupo => {
+            const porKm = calcularCustoPorKm(selecionados.find(v => v.id === grupo.chave));
+            return { ...grupo, custoPorKm: porKm ? porKm.custoPorKm : null };
+        })
+        .sort((a, b) => b.total - a.total);
+
+    // Records of a catalog item are grouped by it; free-text types by their normalized text,
+    // so "Troca de óleo" and "troca de Oleo " are the same service
+    const porTipo = agruparCustos(registros, ({ manutencao }) => ({
+        chave: manutencao.idServico || normalizarTexto(manutencao.tipo),
+        rotulo: manutencao.tipo.trim()
+    })).sort((a, b) => b.total - a.total);
+
+    const porPeriodo = agruparCustos(registros, ({ manutencao }) => {
+        const [ano, mes] = manutencao.data.split('-');
+        return agrupamento === 'ano' ? { chave: ano, rotulo: ano } : { chave: `${ano}-${mes}`, rotulo: `${mes}/${ano}` };
+    }).sort((a, b) => a.chave.localeCompare(b.chave));
+
+    const total = registros.reduce((soma, { manutencao }) => soma + manutencao.custo, 0);
+    const porKm = selecionados.map(calcularCustoPorKm).filter(Boolean);
+    const distancia = porKm.reduce((soma, item) => soma + item.distancia, 0);
+    return {
+        total,
+        quantidade: registros.length,
+        media: registros.length > 0 ? total / registros.length : 0,
+        custoPorKm: distancia > 0 ? porKm.reduce((soma, item) => soma + item.custo, 0) / distancia : null,
+        porVeiculo,
+        porTipo,
+        porPeriodo
+    };
+}
+
+/**
+ * Fuel consumption and spend of a vehicle from its refuels.
+ * The average km/l is the distance between the first and the last refuel with an odometer reading,
+ * divided by the litres put in after the first one (the first fill only sets the starting point).
+ * @param {Veiculo} veiculo
+ * @returns {{kmPorLitro: number|null, totalLitros: number, totalGasto: number,
+ *           gastoMensal: {chave: string, rotulo: string, total: number, quantidade: number, media: number}[]}}
+ *          Months are sorted from the most recent.
+ */
+function calcularConsumo(veiculo) {
+    const abastecimentos = veiculo.historicoAbastecimento.filter(a => a.isValid());
+
+    let kmPorLitro = null;
+    const comLeitura = abastecimentos
+        .filter(a => a.quilometragem !== null)
+        .sort((a, b) => a.quilometragem - b.quilometragem);
+    if (comLeitura.length >= 2) {
+        const distancia = comLeitura[comLeitura.length - 1].quilometragem - comLeitura[0].quilometragem;
+        const litros = comLeitura.slice(1).reduce((soma, a) => soma + a.litros, 0);
+        if (distancia > 0 && litros > 0) kmPorLitro = distancia / litros;
+    }
+
+    const gastoMensal = agruparCustos(
+        abastecimentos,
+        abastecimento => {
+            const [ano, mes] = abastecimento.data.split('-');
+            return { chave: `${ano}-${mes}`, rotulo: `${mes}/${ano}` };
+        },
+        abastecimento => abastecimento.custoTotal
+    ).sort((a, b) => b.chave.localeCompare(a.chave));
+
+    return {
+        kmPorLitro,
+        totalLitros: abastecimentos.reduce((soma, a) => soma + a.litros, 0),
+        totalGasto: abastecimentos.reduce((soma, a) => soma + a.custoTotal, 0),
+        gastoMensal
+    };
+}
+
+
+// Allows `require('./analise.js')` in Node to test the aggregation (needs modelo.js objects).
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { agruparCustos, calcularCustoPorKm, calcularAnaliseCustos, calcularConsumo };
+}
@@ -0,0 +1,244 @@
+/**
+ * Storage schema of the garage: versioning, migrations and quarantine of unreadable data.
+ *
+ * Saved payload (current version):
+ *   { versaoSchema: 11, salvoEm: "<ISO date>", veiculos: { <id>: <Veiculo.toJSON()> },
+ *     catalogo: <CatalogoServicos.toJSON()> | null, oficina: <Oficina.toJSON()> | null }
+ */
+
+const VERSAO_SCHEMA_ATUAL = 11;
+const CHAVE_LEGADA_V1 = 'dadosGaragemCompleta'; // Key used before the "_v2" rename
+const PREFIXO_QUARENTENA = 'dadosGaragemCompleta_quarentena_';
+
+/**
+ * Migrations keyed by the version they upgrade FROM. Each one receives the parsed
+ * data of that version and returns the data of the next version.
+ */
+const MIGRACOES = {
+    // v1 -> v2: maintenance records had no hora/status, every record was a completed service
+    1: (dados) => {
+        const migrado = {};
+        for (const nome in dados) {
+            const veiculo = dados[nome];
+            migrado[nome] = {
+                ...veiculo,
+                historicoManutencao: (veiculo.historicoManutencao || []).map(m => ({
+                    ...m,
+                    hora: m.hora || null,
+                    status: m.status || 'concluida'
+                }))
+            };
+        }
+        return migrado;
+    },
+    // v2 -> v3: vehicles keyed by ID inside an envelope that carries the schema version
+    2: (dados) => {
+        const veiculos = {};
+        for (const id in dados) {
+            veiculos[id] = { ...dados[id], nome: dados[id].nome || dados[id].modelo };
+        }
+        return { versaoSchema: 3, veiculos };
+    },
+    // v3 -> v4: maintenance records get an ID (used to merge imports and edit records).
+    // IDs are derived from the vehicle and position, so importing the same old backup twice gives the same IDs.
+    3: (dados) => {
+        const veiculos = {};
+        for (const id in dados.veiculos) {
+            const veiculo = dados.veiculos[id];
+            veiculos[id] = {
+                ...veiculo,
+                historicoManutencao: (veiculo.historicoManutencao || []).map((m, indice) => ({
+                    ...m,
+                    id: m.id || `manutencao_${id}_${indice}`
+                }))
+            };
+        }
+        return { ...dados, versaoSchema: 4, veiculos };
+    },
+    // v4 -> v5: vehicles get their recurring maintenance plans
+    4: (dados) => {
+        const veiculos = {};
+        for (const id in dados.veiculos) {
+            veiculos[id] = { ...dados.veiculos[id], planosManutencao: dados.veiculos[id].planosManutencao || [] };
+        }
+        return { ...dados, versaoSchema: 5, veiculos };
+    },
+    // v5 -> v6: odometer of the vehicles and reading recorded on each maintenance record (unknown for old ones)
+    5: (dados) => {
+        const veiculos = {};
+        for (const id in dados.veiculos) {
+            const veiculo = dados.veiculos[id];
+            veiculos[id] = {
+                ...veiculo,
+                quilometragem: typeof veiculo.quilometragem === 'number' ? veiculo.quilometragem : 0,
+                historicoManutencao: (veiculo.historicoManutencao || []).map(m => ({
+                    ...m,
+                    quilometragem: m.quilometragem !== undefined ? m.quilometragem : null
+                }))
+            };
+        }
+        return { ...dados, versaoSchema: 6, veiculos };
+    },
+    // v6 -> v7: refuel log. The tank capacity is left out so Veiculo.fromJSON uses the default of the type.
+    6: (dados) => {
+        const veiculos = {};
+        for (const id in dados.veiculos) {
+            veiculos[id] = { ...dados.veiculos[id], historicoAbastecimento: dados.veiculos[id].historicoAbastecimento || [] };
+        }
+        return { ...dados, versaoSchema: 7, veiculos };
+    },
+    // v7 -> v8: service catalog of the garage. Null means the default catalog (catalogo.js);
+    // records keep their free-text tipo (idServico null) until they are linked to it.
+    7: (dados) => ({ ...dados, versaoSchema: 8, catalogo: dados.catalogo || null }),
+    // v8 -> v9: parts/labour line items and taxes on the records. Old records have none and keep their single custo.
+    8: (dados) => {
+        const veiculos = {};
+        for (const id in dados.veiculos) {
+            const veiculo = dados.veiculos[id];
+            veiculos[id] = {
+                ...veiculo,
+                historicoManutencao: (veiculo.historicoManutencao || []).map(m => ({
+                    ...m,
+                    itens: m.itens || [],
+                    aliquotaPecas: m.aliquotaPecas || 0,
+                    aliquotaMaoDeObra: m.aliquotaMaoDeObra || 0
+                }))
+            };
+        }
+        return { ...dados, versaoSchema: 9, veiculos };
+    },
+    // v9 -> v10: identification of the vehicles (plate, VIN, year, brand, owner contact), empty until filled in
+    9: (dados) => {
+        const veiculos = {};
+        for (const id in dados.veiculos) {
+            const veiculo = dados.veiculos[id];
+            veiculos[id] = {
+                ...veiculo,
+                placa: veiculo.placa || '',
+                chassi: veiculo.chassi || '',
+                ano: veiculo.ano || null,
+                marca: veiculo.marca || '',
+                proprietario: veiculo.proprietario || { nome: '', telefone: '', email: '' }
+            };
+        }
+        return { ...dados, versaoSchema: 10, veiculos };
+    },
+    // v10 -> v11: workshop hours and bays. Null means the default workshop (oficina.js); services saved
+    // in the catalog before have no duration and use the default duration of the workshop.
+    10: (dados) => ({ ...dados, versaoSchema: 11, oficina: dados.oficina || null })
+};
+
+/**
+ * Detects the schema version of parsed data. Data without `versaoSchema` predates the envelope (v2).
+ * @param {object} dados - Parsed data.
+ * @returns {number}
+ */
+function detectarVersaoSchema(dados) {
+    if (dados && typeof dados.versaoSchema === 'number') return dados.versaoSchema;
+    return 2;
+}
+
+/**
+ * Runs the migration chain from `versao` up to VERSAO_SCHEMA_ATUAL.
+ * @param {object} dados - Parsed data in version `versao`.
+ * @param {number} versao - Version of `dados`.
+ * @returns {object} Data in the current version.
+ * @throws {Error} If the version is newer than this app or a migration is missing.
+ */
+function migrarDados(dados, versao) {
+    if (versao > VERSAO_SCHEMA_ATUAL) {
+        throw new Error(`Dados salvos por uma versão mais nova do aplicativo (schema v${versao}).`);
+    }
+    let atual = dados;
+    for (let v = versao; v < VERSAO_SCHEMA_ATUAL; v++) {
+        const migracao = MIGRACOES[v];
+        if (!migracao) throw new Error(`Migração do schema v${v} para v${v + 1} não encontrada.`);
+        atual = migracao(atual);
+        console.log(`Dados da garagem migrados do schema v${v} para v${v + 1}.`);
+    }
+    atual.versaoSchema = VERSAO_SCHEMA_ATUAL;
+    return atual;
+}
+
+/**
+ * Parses, migrates and checks the structure of stored data.
+ * @param {string | object} texto - Raw stored text (localStorage) or the object read from IndexedDB.
+ * @param {number | null} [versaoForcada=null] - Version to assume (e.g. 1 for the legacy key).
+ * @returns {{dados: object, versaoOriginal: number}} Data in the current schema version.
+ * @throws {Error} If the text cannot be parsed, migrated or has an invalid structure.
+ */
+function lerDadosArmazenados(texto, versaoForcada = null) {
+    const dadosParseados = typeof texto === 'string' ? JSON.parse(texto) : texto;
+    if (!dadosParseados || typeof dadosParseados !== 'object' || Array.isArray(dadosParseados)) {
+        throw new Error('Formato inválido: esperado um objeto JSON.');
+    }
+    const versaoOriginal = versaoForcada || detectarVersaoSchema(dadosParseados);
+    const dados = migrarDados(dadosParseados, versaoOriginal);
+
+    if (!dados.veiculos || typeof dados.veiculos !== 'object' || Array.isArray(dados.veiculos)) {
+        throw new Error('Formato inválido: lista de veículos ausente.');
+    }
+    if (dados.catalogo !== undefined && dados.catalogo !== null && !Array.isArray(dados.catalogo)) {
+        throw new Error('Formato inválido: catálogo de serviços.');
+    }
+    if (dados.oficina !== undefined && dados.oficina !== null && (typeof dados.oficina !== 'object' || Array.isArray(dados.oficina))) {
+        throw new Error('Formato inválido: configuração da oficina.');
+    }
+    for (const id in dados.veiculos) {
+        const veiculo = dados.veiculos[id];
+        if (!veiculo || typeof veiculo.tipo !== 'string') {
+            throw new Error(`Formato inválido: veículo "${id}" sem tipo.`);
+        }
+        if (veiculo.historicoManutencao !== undefined && !Array.isArray(veiculo.historicoManutencao)) {
+            throw new Error(`Formato inválido: histórico de manutenção do veículo "${id}".`);
+        }
+        if (veiculo.planosManutencao !== undefined && !Array.isArray(veiculo.planosManutencao)) {
+            throw new Error(`Formato inválido: planos de manutenção do veículo "${id}".`);
+        }
+        if (veiculo.historicoAbastecimento !== undefined && !Array.isArray(veiculo.historicoAbastecimento)) {
+            throw new Error(`Formato inválido: abastecimentos do veículo "${id}".`);
+        }
+    }
+    return { dados, versaoOriginal };
+}
+
+/**
+ * Moves unreadable data to a backup key instead of deleting it.
+ * @param {string} bruto - The raw text that failed to load.
+ * @param {string} motivo - Why it failed (error message).
+ * @returns {string} The backup key.
+ */
+function quarentenarDados(bruto, motivo) {
+    const chave = `${PREFIXO_QUARENTENA}${Date.now()}`;
+    localStorage.setItem(chave, JSON.stringify({
+        quarentenadoEm: new Date().toISOString(),
+        motivo: motivo,
+        dadosBrutos: bruto
+    }));
+    return chave;
+}
+
+/**
+ * Lists the backups created by `quarentenarDados`, newest first.
+ * @returns {{chave: string, quarentenadoEm: string, motivo: string, dadosBrutos: string}[]}
+ */
+function listarQuarentenas() {
+    const quarentenas = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const chave = localStorage.key(i);
+        if (!chave || !chave.startsWith(PREFIXO_QUARENTENA)) continue;
+        try {
+            quarentenas.push({ chave, ...JSON.parse(localStorage.getItem(chave)) });
+        } catch (error) {
+            // A backup is always written by quarentenarDados, but keep going if someone edited it
+            quarentenas.push({ chave, quarentenadoEm: '', motivo: 'Backup ilegível', dadosBrutos: localStorage.getItem(chave) });
+        }
+    }
+    return quarentenas.sort((a, b) => b.chave.localeCompare(a.chave));
+}
+
+
+// Allows `require('./armazenamento.js')` in Node to test the migrations.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VERSAO_SCHEMA_ATUAL, MIGRACOES, detectarVersaoSchema, migrarDados, lerDadosArmazenados, quarentenarDados, listarQuarentenas };
+}
@@ -0,0 +1,176 @@
+/**
+ * Append-only audit log of the vehicle changes made through the garage (see OPERACOES_AUDITADAS
+ * in script.js). Each entry keeps when, who (the operator typed in the log viewer) and the
+ * before/after value of every field the action changed. Entries are never edited or removed.
+ */
+
+// Labels of the vehicle fields shown in the log (Veiculo.toJSON and subclasses)
+const CAMPOS_AUDITORIA = {
+    nome: 'Nome',
+    modelo: 'Modelo',
+    cor: 'Cor',
+    placa: 'Placa',
+    chassi: 'Chassi',
+    ano: 'Ano',
+    marca: 'Marca',
+    proprietario: 'Proprietário',
+    combustivel: 'Combustível (%)',
+    capacidadeTanque: 'Capacidade do tanque (L)',
+    historicoAbastecimento: 'Abastecimento',
+    quilometragem: 'Hodômetro (km)',
+    historicoManutencao: 'Manutenção',
+    planosManutencao: 'Plano de manutenção',
+    ligado: 'Ligado',
+    velocidade: 'Velocidade (km/h)',
+    velocidadeMaxima: 'Velocidade máxima (km/h)',
+    turboAtivado: 'Turbo',
+    capacidadeCarga: 'Capacidade de carga (kg)',
+    cargaAtual: 'Carga (kg)'
+};
+
+/**
+ * Fields that differ between two saved states of a vehicle. Lists of records with an ID
+ * (maintenance, refuels, plans) are compared record by record.
+ * @param {object} antes - Veiculo.toJSON() before the action.
+ * @param {object} depois - Veiculo.toJSON() after the action.
+ * @returns {Array<{campo: string, id?: string, antes: *, depois: *}>} Empty if nothing changed.
+ */
+function compararVeiculosAuditoria(antes, depois) {
+    const alteracoes = [];
+    const iguais = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const campos = new Set([...Object.keys(antes), ...Object.keys(depois)]);
+    campos.forEach(campo => {
+        const anterior = antes[campo] === undefined ? null : antes[campo];
+        const posterior = depois[campo] === undefined ? null : depois[campo];
+        if (iguais(anterior, posterior)) return;
+        const registros = lista => Array.isArray(lista) && lista.every(r => r && typeof r.id === 'string');
+        if (!registros(anterior) || !registros(posterior)) {
+            alteracoes.push({ campo, antes: anterior, depois: posterior });
+            return;
+        }
+        const porId = lista => new Map(lista.map(r => [r.id, r]));
+        const mapaAntes = porId(anterior);
+        const mapaDepois = porId(posterior);
+        new Set([...mapaAntes.keys(), ...mapaDepois.keys()]).forEach(id => {
+            const registroAntes = mapaAntes.get(id) || null;
+            const registroDepois = mapaDepois.get(id) || null;
+            if (!iguais(registroAntes, registroDepois)) alteracoes.push({ campo, id, antes: registroAntes, depois: registroDepois });
+        });
+    });
+    return alteracoes;
+}
+
+/**
+ * @param {string} campo - Key of CAMPOS_AUDITORIA.
+ * @param {*} valor - Saved value of the field (records as in toJSON()).
+ * @returns {string} Readable value ("-" when empty).
+ */
+function formatarValorAuditoria(campo, valor) {
+    if (valor === null || valor === undefined || valor === '') return '-';
+    if (typeof valor === 'boolean') return valor ? 'Sim' : 'Não';
+    if (typeof valor === 'number') return valor.toLocaleString('pt-BR', { maximumFractionDigits: 3 });
+    if (typeof valor !== 'object') return String(valor);
+    switch (campo) {
+        case 'historicoManutencao': return Manutencao.fromJSON(valor).formatar().replace(/^- /, ''); // Completed records start with "- " (list format)
+        case 'historicoAbastecimento': return Abastecimento.fromJSON(valor).formatar();
+        case 'planosManutencao': return PlanoManutencao.fromJSON(valor).formatar();
+        case 'proprietario': return [valor.nome, valor.telefone, valor.email].filter(Boolean).join(' - ') || '-';
+        default: return JSON.stringify(valor);
+    }
+}
+
+/**
+ * @param {{campo: string, antes: *, depois: *}} alteracao - See compararVeiculosAuditoria().
+ * @returns {string} E.g. "Cor: Vermelho → Azul".
+ */
+function formatarAlteracaoAuditoria({ campo, antes, depois }) {
+    const rotulo = CAMPOS_AUDITORIA[campo] || campo;
+    if (antes === null && depois !== null && typeof depois === 'object') return `${rotulo} (novo registro): ${formatarValorAuditoria(campo, depois)}`;
+    if (depois === null && antes !== null && typeof antes === 'object') return `${rotulo} (registro removido): ${formatarValorAuditoria(campo, antes)}`;
+    return `${rotulo}: ${formatarValorAuditoria(campo, antes)} → ${formatarValorAuditoria(campo, depois)}`;
+}
+
+/**
+ * Entries {id, em, usuario, acao, idVeiculo, veiculo, alteracoes}, oldest first. New entries are only appended.
+ * Events: 'registrado' {entrada} after an entry is added.
+ */
+class RegistroAuditoria extends EmissorEventos {
+    /** @param {object[]} [entradas=[]] - Saved with `toJSON()`. */
+    constructor(entradas = []) {
+        super();
+        this.entradas = entradas;
+    }
+
+    /**
+     * Appends an entry stamped with the current time.
+     * @param {{acao: string, usuario: string | null, idVeiculo: string, veiculo: string, alteracoes: object[]}} dados
+     *        Action label, operator, vehicle ID and name, and the changes (see compararVeiculosAuditoria()).
+     * @returns {object} The entry (frozen).
+     */
+    registrar({ acao, usuario = null, idVeiculo, veiculo, alteracoes }) {
+        const entrada = Object.freeze({ id: gerarId('auditoria'), em: new Date().toISOString(), usuario, acao, idVeiculo, veiculo, alteracoes });
+        this.entradas.push(entrada);
+        this.emitir('registrado', { entrada });
+        return entrada;
+    }
+
+    /**
+     * Adds entries that this log does not have (appended by another tab, or recovered from a tab closed
+     * before saving them), keeping the time order.
+     * @param {object[]} entradas - Entries as in `entradas`.
+     * @returns {number} Entries added.
+     */
+    mesclar(entradas) {
+        const ids = new Set(this.entradas.map(e => e.id));
+        const novas = entradas.filter(e => !ids.has(e.id));
+        if (novas.length === 0) return 0;
+        this.entradas.push(...novas.map(e => Object.freeze(e)));
+        this.entradas.sort((a, b) => a.em.localeCompare(b.em));
+        return novas.length;
+    }
+
+    /** @returns {string[]} Actions present in the log, in alphabetical order (for the filters). */
+    acoes() {
+        return [...new Set(this.entradas.map(e => e.acao))].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Entries matching the filters, newest first.
+     * @param {{idVeiculo?: string, acao?: string, usuario?: string, dataInicio?: string, dataFim?: string}} [filtros]
+     *        Empty values do not filter; the operator matches case-insensitively and dates (YYYY-MM-DD, local) are inclusive.
+     * @returns {object[]}
+     */
+    consultar(filtros = {}) {
+        const { idVeiculo = '', acao = '', usuario = '', dataInicio = '', dataFim = '' } = filtros;
+        const busca = normalizarTexto(usuario);
+        return this.entradas
+            .filter(e => {
+                const dia = dataLocalISO(new Date(e.em));
+                return (!idVeiculo || e.idVeiculo === idVeiculo)
+                    && (!acao || e.acao === acao)
+                    && (!busca || normalizarTexto(e.usuario || '').includes(busca))
+                    && (!dataInicio || dia >= dataInicio)
+                    && (!dataFim || dia <= dataFim);
+            })
+            .reverse();
+    }
+
+    toJSON() {
+        return this.entradas;
+    }
+
+    /**
+     * @param {object[] | null} dados - Saved with `toJSON()`; malformed entries are left out.
+     * @returns {RegistroAuditoria}
+     */
+    static fromJSON(dados) {
+        const valida = e => e && typeof e.em === 'string' && typeof e.acao === 'string' && Array.isArray(e.alteracoes);
+        return new RegistroAuditoria(Array.isArray(dados) ? dados.filter(valida).map(e => Object.freeze(e)) : []);
+    }
+}
+
+
+// Allows `require('./auditoria.js')` in Node (needs the modelo.js globals).
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CAMPOS_AUDITORIA, compararVeiculosAuditoria, formatarValorAuditoria, formatarAlteracaoAuditoria, RegistroAuditoria };
+}
@@ -0,0 +1,208 @@
+/**
+ * Month and week calendar of the scheduled maintenance. Date helpers are pure; the grid is built
+ * into #calendarioManutencoes by Garagem.atualizarCalendario. Items can be dragged to another day
+ * (month) or hour (week) to reschedule them (Garagem.reagendarManutencao).
+ */
+
+const NOMES_MESES = ['Janeiro', 'Fevereiro', 'Março', 'Abril', 'Maio', 'Junho', 'Julho', 'Agosto', 'Setembro', 'Outubro', 'Novembro', 'Dezembro'];
+const CORES_CALENDARIO = ['#c2185b', '#1565c0', '#2e7d32', '#ef6c00', '#6a1b9a', '#00838f', '#5d4037', '#455a64'];
+
+/**
+ * @param {string} data - YYYY-MM-DD.
+ * @param {number} dias - Days to add (negative to go back).
+ * @returns {string} YYYY-MM-DD.
+ */
+function somarDias(data, dias) {
+    const [ano, mes, dia] = data.split('-').map(Number);
+    return dataLocalISO(new Date(ano, mes - 1, dia + dias));
+}
+
+/**
+ * @param {string} data - YYYY-MM-DD.
+ * @returns {number} Day of the week, 0 = Sunday.
+ */
+function diaDaSemana(data) {
+    const [ano, mes, dia] = data.split('-').map(Number);
+    return new Date(ano, mes - 1, dia).getDay();
+}
+
+/**
+ * The 7 days of the week (Sunday to Saturday) that contains `data`.
+ * @param {string} data - YYYY-MM-DD.
+ * @returns {string[]}
+ */
+function diasDaSemana(data) {
+    const domingo = somarDias(data, -diaDaSemana(data));
+    return Array.from({ length: 7 }, (_, i) => somarDias(domingo, i));
+}
+
+/**
+ * Weeks shown in the month of `data`: from the Sunday before the 1st to the Saturday after the last day.
+ * @param {string} data - Any YYYY-MM-DD of the month.
+ * @returns {string[][]} 4 to 6 weeks of 7 dates.
+ */
+function semanasDoMes(data) {
+    const [ano, mes] = data.split('-').map(Number);
+    const ultimoDia = dataLocalISO(new Date(ano, mes, 0));
+    const semanas = [];
+    for (let inicio = diasDaSemana(`${data.slice(0, 7)}-01`)[0]; inicio <= ultimoDia; inicio = somarDias(inicio, 7)) {
+        semanas.push(diasDaSemana(inicio));
+    }
+    return semanas;
+}
+
+/**
+ * Scheduled records of the vehicles between two dates, grouped by date and sorted by time
+ * (records without a time first). Invalid records are left out.
+ * @param {Veiculo[]} veiculos
+ * @param {string} dataInicio - YYYY-MM-DD, inclusive.
+ * @param {string} dataFim - YYYY-MM-DD, inclusive.
+ * @returns {Map<string, Array<{veiculo: Veiculo, manutencao: Manutencao}>>}
+ */
+function agendamentosPorDia(veiculos, dataInicio, dataFim) {
+    const porDia = new Map();
+    veiculos.forEach(veiculo => {
+        veiculo.historicoManutencao.forEach(manutencao => {
+            if (manutencao.status !== 'agendada' || !manutencao.isValid()) return;
+            if (manutencao.data < dataInicio || manutencao.data > dataFim) return;
+            if (!porDia.has(manutencao.data)) porDia.set(manutencao.data, []);
+            porDia.get(manutencao.data).push({ veiculo, manutencao });
+        });
+    });
+    porDia.forEach(itens => itens.sort((a, b) => (a.manutencao.hora || '').localeCompare(b.manutencao.hora || '')));
+    return porDia;
+}
+
+/**
+ * Colour of each vehicle in the calendar, following the order of the garage.
+ * @param {Veiculo[]} veiculos
+ * @returns {Object<string, string>} Keyed by vehicle ID.
+ */
+function coresPorVeiculo(veiculos) {
+    const cores = {};
+    veiculos.forEach((veiculo, indice) => { cores[veiculo.id] = CORES_CALENDARIO[indice % CORES_CALENDARIO.length]; });
+    return cores;
+}
+
+/**
+ * @param {string} data - Reference date of the view.
+ * @param {'mes' | 'semana'} modo
+ * @returns {string} E.g. "Março de 2030" or "10/03 a 16/03/2030".
+ */
+function tituloCalendario(data, modo) {
+    const formatar = d => d.split('-').reverse().join('/');
+    if (modo === 'semana') {
+        const dias = diasDaSemana(data);
+        return `${formatar(dias[0]).slice(0, 5)} a ${formatar(dias[6])}`;
+    }
+    const [ano, mes] = data.split('-').map(Number);
+    return `${NOMES_MESES[mes - 1]} de ${ano}`;
+}
+
+// --- DOM ---
+
+/**
+ * Item of an appointment, draggable to reschedule. Clicks and drops are handled by Garagem
+ * through data-veiculo-id / data-manutencao-id.
+ * @param {{veiculo: Veiculo, manutencao: Manutencao}} agendamento
+ * @param {string} cor - Colour of the vehicle.
+ * @returns {HTMLDivElement}
+ */
+function criarItemCalendario({ veiculo, manutencao }, cor) {
+    const item = document.createElement('div');
+    item.className = 'item-calendario';
+    if (agendamentoAtrasado(manutencao)) item.classList.add('atrasado');
+    item.draggable = true;
+    item.dataset.veiculoId = veiculo.id;
+    item.dataset.manutencaoId = manutencao.id;
+    item.style.borderLeftColor = cor;
+    item.textContent = `${manutencao.hora ? `${manutencao.hora} ` : ''}${manutencao.tipo}`;
+    item.title = `${veiculo.nome}${veiculo.placa ? ` (${veiculo.formatarPlaca()})` : ''}: ${manutencao.formatar()}`;
+    return item;
+}
+
+/**
+ * Month grid: one cell per day (data-data), with the appointments of the day.
+ * @param {string} data - Any date of the month.
+ * @param {Map} porDia - See agendamentosPorDia().
+ * @param {Object<string, string>} cores - See coresPorVeiculo().
+ * @returns {HTMLTableElement}
+ */
+function criarCalendarioMes(data, porDia, cores) {
+    const tabela = document.createElement('table');
+    tabela.className = 'calendario calendario-mes';
+    const cabecalho = tabela.createTHead().insertRow();
+    DIAS_SEMANA.forEach(nome => { cabecalho.appendChild(document.createElement('th')).textContent = nome.slice(0, 3); });
+
+    const corpo = tabela.createTBody();
+    const hoje = dataLocalISO();
+    semanasDoMes(data).forEach(semana => {
+        const linha = corpo.insertRow();
+        semana.forEach(dia => {
+            const celula = linha.insertCell();
+            celula.className = 'dia-calendario';
+            celula.dataset.data = dia;
+            if (dia.slice(0, 7) !== data.slice(0, 7)) celula.classList.add('fora-do-mes');
+            if (dia === hoje) celula.classList.add('hoje');
+            const numero = document.createElement('span');
+            numero.className = 'numero-dia';
+            numero.textContent = Number(dia.slice(8));
+            celula.appendChild(numero);
+            (porDia.get(dia) || []).forEach(agendamento => celula.appendChild(criarItemCalendario(agendamento, cores[agendamento.veiculo.id])));
+        });
+    });
+    return tabela;
+}
+
+/**
+ * Week grid: one row per hour (data-data + data-hora in each cell) and a first row for
+ * appointments without a time.
+ * @param {string} data - Any date of the week.
+ * @param {Map} porDia - See agendamentosPorDia().
+ * @param {Object<string, string>} cores - See coresPorVeiculo().
+ * @param {{inicio: number, fim: number}} horas - First and last hour shown (appointments outside are shown at the edges).
+ * @returns {HTMLTableElement}
+ */
+function criarCalendarioSemana(data, porDia, cores, { inicio, fim }) {
+    const dias = diasDaSemana(data);
+    const tabela = document.createElement('table');
+    tabela.className = 'calendario calendario-semana';
+    const cabecalho = tabela.createTHead().insertRow();
+    cabecalho.appendChild(document.createElement('th'));
+    const hoje = dataLocalISO();
+    dias.forEach(dia => {
+        const th = document.createElement('th');
+        th.textContent = `${DIAS_SEMANA[diaDaSemana(dia)].slice(0, 3)} ${dia.slice(8)}/${dia.slice(5, 7)}`;
+        if (dia === hoje) th.className = 'hoje';
+        cabecalho.appendChild(th);
+    });
+
+    const corpo = tabela.createTBody();
+    const linhas = [{ rotulo: 'Sem horário', hora: null }];
+    for (let h = inicio; h <= fim; h++) linhas.push({ rotulo: `${String(h).padStart(2, '0')}:00`, hora: h });
+    linhas.forEach(({ rotulo, hora }) => {
+        const linha = corpo.insertRow();
+        linha.appendChild(document.createElement('th')).textContent = rotulo;
+        dias.forEach(dia => {
+            const celula = linha.insertCell();
+            celula.className = 'dia-calendario';
+            celula.dataset.data = dia;
+            if (hora !== null) celula.dataset.hora = rotulo;
+            (porDia.get(dia) || [])
+                .filter(({ manutencao }) => {
+                    if (!manutencao.hora) return hora === null;
+                    if (hora === null) return false;
+                    const horaItem = Math.min(Math.max(Number(manutencao.hora.slice(0, 2)), inicio), fim);
+                    return horaItem === hora;
+                })
+                .forEach(agendamento => celula.appendChild(criarItemCalendario(agendamento, cores[agendamento.veiculo.id])));
+        });
+    });
+    return tabela;
+}
+
+
+// Allows `require('./calendario.js')` in Node to test the date helpers (needs modelo.js objects).
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { somarDias, diaDaSemana, diasDaSemana, semanasDoMes, agendamentosPorDia, coresPorVeiculo, tituloCalendario };
+}
@@ -0,0 +1,306 @@
+/**
+ * Service catalog of the garage: the known service types with a default price, a category
+ * and the vehicle classes they apply to. Maintenance records point to a catalog item
+ * through `Manutencao.idServico`; free-text types can be linked later (Veiculo.vincularServico).
+ */
+
+const CATEGORIAS_SERVICO = {
+    motor: 'Motor',
+    freios: 'Freios',
+    pneus: 'Pneus',
+    suspensao: 'Suspensão',
+    eletrica: 'Elétrica',
+    transmissao: 'Transmissão',
+    carga: 'Carga',
+    geral: 'Geral'
+};
+const TIPOS_VEICULO_CATALOGO = ['Carro', 'CarroEsportivo', 'Caminhao', 'Moto'];
+
+/**
+ * ID of the <datalist> with the services of a vehicle class (filled by Garagem.atualizarCatalogo).
+ * @param {string} tipoVeiculo - Class name, e.g. "Moto".
+ * @returns {string}
+ */
+function idListaCatalogo(tipoVeiculo) {
+    return `catalogoServicos-${tipoVeiculo}`;
+}
+
+/**
+ * A service type of the catalog.
+ */
+class ServicoCatalogo {
+    /**
+     * @param {string} nome - Name used as the tipo of the records (e.g. "Troca de óleo").
+     * @param {string} [categoria='geral'] - Key of CATEGORIAS_SERVICO.
+     * @param {number | null} [precoPadrao=null] - Suggested cost (R$).
+     * @param {string[]} [tiposVeiculo] - Vehicle classes it applies to (default: all).
+     * @param {string[]} [sinonimos=[]] - Other names that mean this service (e.g. "troca oleo").
+     * @param {number | null} [duracaoMinutos=null] - Time the service takes in a workshop bay (null: default of the workshop, see oficina.js).
+     */
+    constructor(nome, categoria = 'geral', precoPadrao = null, tiposVeiculo = TIPOS_VEICULO_CATALOGO.slice(), sinonimos = [], duracaoMinutos = null) {
+        this.id = gerarId('servico');
+        this.nome = typeof nome === 'string' ? nome.trim() : '';
+        this.categoria = categoria;
+        this.precoPadrao = precoPadrao;
+        this.tiposVeiculo = tiposVeiculo;
+        this.sinonimos = sinonimos;
+        this.duracaoMinutos = duracaoMinutos;
+    }
+
+    /** @returns {string[]} Validation errors (empty if valid). */
+    validar() {
+        const erros = [];
+        if (!this.nome) erros.push('O nome do serviço é obrigatório.');
+        if (!CATEGORIAS_SERVICO[this.categoria]) erros.push('Categoria de serviço inválida.');
+        if (this.precoPadrao !== null && (typeof this.precoPadrao !== 'number' || isNaN(this.precoPadrao) || this.precoPadrao < 0)) {
+            erros.push('O preço padrão deve ser um número igual ou maior que zero.');
+        }
+        if (!Array.isArray(this.tiposVeiculo) || this.tiposVeiculo.length === 0 || this.tiposVeiculo.some(t => !TIPOS_VEICULO_CATALOGO.includes(t))) {
+            erros.push('Selecione ao menos um tipo de veículo válido.');
+        }
+        if (!Array.isArray(this.sinonimos) || this.sinonimos.some(s => typeof s !== 'string')) {
+            erros.push('Sinônimos inválidos.');
+        }
+        if (this.duracaoMinutos !== null && (!Number.isInteger(this.duracaoMinutos) || this.duracaoMinutos <= 0)) {
+            erros.push('A duração deve ser um número inteiro de minutos maior que zero.');
+        }
+        return erros;
+    }
+
+    isValid() {
+        return this.validar().length === 0;
+    }
+
+    /**
+     * @param {string} tipoVeiculo - Class name, e.g. "Moto".
+     * @returns {boolean}
+     */
+    aplicaA(tipoVeiculo) {
+        return this.tiposVeiculo.includes(tipoVeiculo);
+    }
+
+    /**
+     * Whether a free-text type is the name or a synonym of this service.
+     * @param {string} texto
+     * @returns {boolean}
+     */
+    corresponde(texto) {
+        const chave = normalizarTexto(texto);
+        return chave !== '' && [this.nome, ...this.sinonimos].some(nome => normalizarTexto(nome) === chave);
+    }
+
+    /** @returns {string} e.g. "Troca de óleo (Motor) - R$ 250,00 - 60 min". */
+    formatar() {
+        let texto = `${this.nome} (${CATEGORIAS_SERVICO[this.categoria] || this.categoria})`;
+        if (this.precoPadrao !== null) texto += ` - ${this.precoPadrao.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' })}`;
+        if (this.duracaoMinutos !== null) texto += ` - ${this.duracaoMinutos} min`;
+        if (this.tiposVeiculo.length < TIPOS_VEICULO_CATALOGO.length) texto += ` - Apenas: ${this.tiposVeiculo.join(', ')}`;
+        if (this.sinonimos.length > 0) texto += ` - Também: ${this.sinonimos.join(', ')}`;
+        return texto;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            nome: this.nome,
+            categoria: this.categoria,
+            precoPadrao: this.precoPadrao,
+            tiposVeiculo: this.tiposVeiculo.slice(),
+            sinonimos: this.sinonimos.slice(),
+            duracaoMinutos: this.duracaoMinutos
+        };
+    }
+
+    static fromJSON(dados) {
+        if (dados instanceof ServicoCatalogo) return dados;
+        const servico = new ServicoCatalogo(
+            dados.nome,
+            dados.categoria,
+            dados.precoPadrao !== undefined ? dados.precoPadrao : null,
+            Array.isArray(dados.tiposVeiculo) ? dados.tiposVeiculo.slice() : undefined,
+            Array.isArray(dados.sinonimos) ? dados.sinonimos.slice() : [],
+            dados.duracaoMinutos !== undefined ? dados.duracaoMinutos : null
+        );
+        if (dados.id) servico.id = dados.id;
+        return servico;
+    }
+}
+
+/** Catalog of a new garage (and of saves made before the catalog existed). */
+const SERVICOS_PADRAO = [
+    { id: 'servico_troca_oleo', nome: 'Troca de óleo', categoria: 'motor', precoPadrao: 250, duracaoMinutos: 60, sinonimos: ['troca oleo', 'óleo', 'oleo'] },
+    { id: 'servico_filtro_ar', nome: 'Troca de filtro de ar', categoria: 'motor', precoPadrao: 80, duracaoMinutos: 30 },
+    { id: 'servico_velas', nome: 'Troca de velas', categoria: 'motor', precoPadrao: 150, duracaoMinutos: 60, tiposVeiculo: ['Carro', 'CarroEsportivo', 'Moto'] },
+    { id: 'servico_correia_dentada', nome: 'Troca da correia dentada', categoria: 'motor', precoPadrao: 600, duracaoMinutos: 240, tiposVeiculo: ['Carro', 'CarroEsportivo', 'Caminhao'] },
+    { id: 'servico_pastilhas_freio', nome: 'Troca de pastilhas de freio', categoria: 'freios', precoPadrao: 300, duracaoMinutos: 90, sinonimos: ['pastilhas', 'freio'] },
+    { id: 'servico_fluido_freio', nome: 'Troca do fluido de freio', categoria: 'freios', precoPadrao: 120, duracaoMinutos: 60 },
+    { id: 'servico_troca_pneus', nome: 'Troca de pneus', categoria: 'pneus', precoPadrao: 1200, duracaoMinutos: 60, sinonimos: ['pneu', 'pneus'] },
+    { id: 'servico_alinhamento', nome: 'Alinhamento e balanceamento', categoria: 'pneus', precoPadrao: 150, duracaoMinutos: 60, tiposVeiculo: ['Carro', 'CarroEsportivo', 'Caminhao'], sinonimos: ['alinhamento', 'balanceamento'] },
+    { id: 'servico_amortecedores', nome: 'Troca de amortecedores', categoria: 'suspensao', precoPadrao: 900, duracaoMinutos: 180 },
+    { id: 'servico_bateria', nome: 'Troca de bateria', categoria: 'eletrica', precoPadrao: 450, duracaoMinutos: 30, sinonimos: ['bateria'] },
+    { id: 'servico_relacao', nome: 'Troca da relação (kit transmissão)', categoria: 'transmissao', precoPadrao: 350, duracaoMinutos: 90, tiposVeiculo: ['Moto'], sinonimos: ['relação', 'kit relação'] },
+    { id: 'servico_corrente', nome: 'Lubrificação da corrente', categoria: 'transmissao', precoPadrao: 40, duracaoMinutos: 30, tiposVeiculo: ['Moto'] },
+    { id: 'servico_carroceria_carga', nome: 'Manutenção da carroceria/baú', categoria: 'carga', precoPadrao: 500, duracaoMinutos: 240, tiposVeiculo: ['Caminhao'] },
+    { id: 'servico_amarracao_carga', nome: 'Inspeção dos pontos de amarração da carga', categoria: 'carga', precoPadrao: 200, duracaoMinutos: 60, tiposVeiculo: ['Caminhao'] },
+    { id: 'servico_tacografo', nome: 'Aferição do tacógrafo', categoria: 'carga', precoPadrao: 250, duracaoMinutos: 60, tiposVeiculo: ['Caminhao'] },
+    { id: 'servico_revisao', nome: 'Revisão geral', categoria: 'geral', precoPadrao: 500, duracaoMinutos: 240, sinonimos: ['revisão'] }
+];
+
+/**
+ * The service catalog of the garage.
+ * Events: 'alterado' {catalogo} after any change, 'aviso' {mensagem} for invalid operations.
+ */
+class CatalogoServicos extends EmissorEventos {
+    /**
+     * @param {ServicoCatalogo[]} [servicos=[]]
+     */
+    constructor(servicos = []) {
+        super();
+        this.servicos = servicos;
+    }
+
+    /** @returns {CatalogoServicos} A catalog with SERVICOS_PADRAO. */
+    static padrao() {
+        return CatalogoServicos.fromJSON(SERVICOS_PADRAO);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {ServicoCatalogo | undefined}
+     */
+    buscar(id) {
+        return this.servicos.find(s => s.id === id);
+    }
+
+    /**
+     * Finds the service of a free-text type, by name or synonym.
+     * @param {string} texto
+     * @returns {ServicoCatalogo | undefined}
+     */
+    encontrar(texto) {
+        return this.servicos.find(s => s.corresponde(texto));
+    }
+
+    /**
+     * Services that apply to a vehicle class, sorted by name.
+     * @param {string} tipoVeiculo
+     * @returns {ServicoCatalogo[]}
+     */
+    servicosPara(tipoVeiculo) {
+        return this.servicos
+            .filter(s => s.aplicaA(tipoVeiculo))
+            .sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR'));
+    }
+
+    /**
+     * Adds a service. Names and synonyms must not belong to another service.
+     * @param {ServicoCatalogo} servico
+     * @returns {boolean} True if added; errors are emitted as 'aviso'.
+     */
+    adicionar(servico) {
+        if (!this._validar(servico)) return false;
+        this.servicos.push(servico);
+        this.emitir('alterado', { catalogo: this });
+        return true;
+    }
+
+    /**
+     * Changes fields of a service (nome, categoria, precoPadrao, tiposVeiculo, sinonimos).
+     * Records already linked keep their tipo text.
+     * @param {string} id
+     * @param {object} campos
+     * @returns {boolean} True if changed; errors are emitted as 'aviso'.
+     */
+    atualizar(id, campos) {
+        const servico = this.buscar(id);
+        if (!servico) {
+            this.emitir('aviso', { mensagem: "Serviço não encontrado no catálogo." });
+            return false;
+        }
+        const candidato = ServicoCatalogo.fromJSON({ ...servico.toJSON(), ...campos, id });
+        if (!this._validar(candidato)) return false;
+        Object.assign(servico, candidato);
+        this.emitir('alterado', { catalogo: this });
+        return true;
+    }
+
+    /**
+     * Removes a service. Records linked to it keep their tipo text and ID.
+     * @param {string} id
+     * @returns {boolean} True if removed.
+     */
+    remover(id) {
+        const indice = this.servicos.findIndex(s => s.id === id);
+        if (indice === -1) {
+            this.emitir('aviso', { mensagem: "Serviço não encontrado no catálogo." });
+            return false;
+        }
+        this.servicos.splice(indice, 1);
+        this.emitir('alterado', { catalogo: this });
+        return true;
+    }
+
+    /**
+     * Adds a free-text type as a synonym, so it is recognized from now on.
+     * @param {string} id
+     * @param {string} texto
+     * @returns {boolean} True if the synonym was added (false if it was already known).
+     */
+    adicionarSinonimo(id, texto) {
+        const servico = this.buscar(id);
+        if (!servico || !texto.trim() || servico.corresponde(texto)) return false;
+        return this.atualizar(id, { sinonimos: [...servico.sinonimos, texto.trim()] });
+    }
+
+    _validar(servico) {
+        const erros = servico.validar();
+        [servico.nome, ...servico.sinonimos].forEach(nome => {
+            const existente = this.encontrar(nome);
+            if (existente && existente.id !== servico.id) erros.push(`"${nome}" já pertence ao serviço "${existente.nome}".`);
+        });
+        if (erros.length > 0) {
+            this.emitir('aviso', { mensagem: "Erro no catálogo de serviços:\n" + erros.join("\n") });
+            return false;
+        }
+        return true;
+    }
+
+    toJSON() {
+        return this.servicos.map(s => s.toJSON());
+    }
+
+    /**
+     * @param {object[]} lista - Result of toJSON().
+     * @returns {CatalogoServicos}
+     */
+    static fromJSON(lista) {
+        return new CatalogoServicos(lista.map(s => ServicoCatalogo.fromJSON(s)));
+    }
+}
+
+/**
+ * Free-text types of the records that are not linked to the catalog, grouped by normalized text.
+ * @param {Veiculo[]} veiculos
+ * @param {CatalogoServicos} catalogo
+ * @returns {{tipo: string, quantidade: number, sugestao: ServicoCatalogo | undefined}[]}
+ *          Most used first; `sugestao` is the catalog item with that name or synonym, if any.
+ */
+function listarTiposLivres(veiculos, catalogo) {
+    const tipos = new Map();
+    veiculos.forEach(veiculo => {
+        veiculo.historicoManutencao.forEach(m => {
+            if (m.idServico && catalogo.buscar(m.idServico)) return;
+            const chave = normalizarTexto(m.tipo);
+            if (!chave) return;
+            if (!tipos.has(chave)) tipos.set(chave, { tipo: m.tipo.trim(), quantidade: 0, sugestao: catalogo.encontrar(m.tipo) });
+            tipos.get(chave).quantidade++;
+        });
+    });
+    return [...tipos.values()].sort((a, b) => b.quantidade - a.quantidade || a.tipo.localeCompare(b.tipo, 'pt-BR'));
+}
+
+
+// Allows `require('./catalogo.js')` in Node to test the catalog (needs modelo.js globals).
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CATEGORIAS_SERVICO, TIPOS_VEICULO_CATALOGO, SERVICOS_PADRAO, idListaCatalogo, ServicoCatalogo, CatalogoServicos, listarTiposLivres };
+}
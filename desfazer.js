@@ -0,0 +1,254 @@
+/**
+ * Undo/redo history of garage operations. Each command keeps what it changed, per vehicle plus
+ * the catalog and the workshop settings: the changed fields and records of each vehicle, before
+ * and after the operation (see Garagem.executarComando). The history is saved apart from the
+ * garage data so it survives a page reload.
+ */
+
+const LIMITE_HISTORICO_COMANDOS = 30;
+// Record lists of a vehicle; commands keep only their changed records, matched by ID
+const LISTAS_REGISTROS_COMANDOS = ['historicoManutencao', 'planosManutencao', 'historicoAbastecimento'];
+
+/**
+ * Compares two snapshots of the garage (Garagem.serializarGaragem()).
+ * @param {{veiculos: object, catalogo: object[] | null, oficina: object | null}} antes
+ * @param {{veiculos: object, catalogo: object[] | null, oficina: object | null}} depois
+ * @returns {{veiculos: Object<string, {antes: object | null, depois: object | null}>, catalogo?: {antes, depois}, oficina?: {antes, depois}} | null}
+ *          What changed (null for vehicles that did not exist), or null if nothing changed.
+ */
+function compararEstados(antes, depois) {
+    const alteracoes = { veiculos: {} };
+    let alterou = false;
+    const ids = new Set([...Object.keys(antes.veiculos), ...Object.keys(depois.veiculos)]);
+    ids.forEach(id => {
+        const anterior = antes.veiculos[id] || null;
+        const posterior = depois.veiculos[id] || null;
+        if (JSON.stringify(anterior) !== JSON.stringify(posterior)) {
+            alteracoes.veiculos[id] = { antes: anterior, depois: posterior };
+            alterou = true;
+        }
+    });
+    ['catalogo', 'oficina'].forEach(parte => {
+        const anterior = antes[parte] === undefined ? null : antes[parte];
+        const posterior = depois[parte] === undefined ? null : depois[parte];
+        if (JSON.stringify(anterior) !== JSON.stringify(posterior)) {
+            alteracoes[parte] = { antes: anterior, depois: posterior };
+            alterou = true;
+        }
+    });
+    return alterou ? alteracoes : null;
+}
+
+/**
+ * Reduces the changes of compararEstados() to what a command needs: for vehicles that exist on both
+ * sides, only the changed fields and, in the record lists, the changed records with their positions.
+ * Added and removed vehicles, the catalog and the workshop are kept whole.
+ * @param {object} alteracoes - See compararEstados().
+ * @returns {object} Same shape, with `{parcial: true, antes: {campo: valor}, depois: {campo: valor},
+ *          registros: {lista: {id: {antes, depois, posicao: {antes, depois}}}}}` for changed vehicles.
+ */
+function reduzirAlteracoes(alteracoes) {
+    const reduzidas = { ...alteracoes, veiculos: {} };
+    Object.keys(alteracoes.veiculos).forEach(id => {
+        const { antes, depois } = alteracoes.veiculos[id];
+        if (!antes || !depois) {
+            reduzidas.veiculos[id] = { antes, depois };
+            return;
+        }
+        const reduzida = { parcial: true, antes: {}, depois: {}, registros: {} };
+        new Set([...Object.keys(antes), ...Object.keys(depois)]).forEach(campo => {
+            const anterior = antes[campo] === undefined ? null : antes[campo];
+            const posterior = depois[campo] === undefined ? null : depois[campo];
+            if (JSON.stringify(anterior) === JSON.stringify(posterior)) return;
+            if (LISTAS_REGISTROS_COMANDOS.includes(campo) && Array.isArray(anterior) && Array.isArray(posterior)) {
+                reduzida.registros[campo] = compararRegistros(anterior, posterior);
+            } else {
+                reduzida.antes[campo] = anterior;
+                reduzida.depois[campo] = posterior;
+            }
+        });
+        reduzidas.veiculos[id] = reduzida;
+    });
+    return reduzidas;
+}
+
+/**
+ * @param {object[]} antes - Records with `id`.
+ * @param {object[]} depois
+ * @returns {Object<string, {antes: object | null, depois: object | null, posicao: {antes: number | null, depois: number | null}}>}
+ */
+function compararRegistros(antes, depois) {
+    const indices = lista => new Map(lista.map((registro, indice) => [registro.id, indice]));
+    const indicesAntes = indices(antes);
+    const indicesDepois = indices(depois);
+    const registros = {};
+    new Set([...indicesAntes.keys(), ...indicesDepois.keys()]).forEach(id => {
+        const anterior = indicesAntes.has(id) ? antes[indicesAntes.get(id)] : null;
+        const posterior = indicesDepois.has(id) ? depois[indicesDepois.get(id)] : null;
+        if (JSON.stringify(anterior) === JSON.stringify(posterior)) return;
+        registros[id] = {
+            antes: anterior,
+            depois: posterior,
+            posicao: { antes: indicesAntes.has(id) ? indicesAntes.get(id) : null, depois: indicesDepois.has(id) ? indicesDepois.get(id) : null }
+        };
+    });
+    return registros;
+}
+
+/**
+ * Applies one side of a command to the current garage. Fields the command did not touch keep
+ * their current values (e.g. the odometer of a vehicle that moved since the command).
+ * @param {{veiculos: object, catalogo: object[] | null, oficina: object | null}} estado - Garagem.serializarGaragem().
+ * @param {object} alteracoes - See reduzirAlteracoes(); commands saved before it (whole vehicles) also work.
+ * @param {'antes' | 'depois'} lado - Side to restore.
+ * @returns {{veiculos: object, catalogo: object[] | null, oficina: object | null}} The garage on that side.
+ */
+function aplicarAlteracoesComando(estado, alteracoes, lado) {
+    const veiculos = { ...estado.veiculos };
+    Object.keys(alteracoes.veiculos).forEach(id => {
+        const alteracao = alteracoes.veiculos[id];
+        const dados = alteracao.parcial ? aplicarAlteracaoVeiculo(estado.veiculos[id] || null, alteracao, lado) : alteracao[lado];
+        if (dados) veiculos[id] = dados;
+        else delete veiculos[id];
+    });
+    return {
+        veiculos,
+        catalogo: alteracoes.catalogo ? alteracoes.catalogo[lado] : estado.catalogo,
+        oficina: alteracoes.oficina ? alteracoes.oficina[lado] : estado.oficina
+    };
+}
+
+/**
+ * @param {object | null} atual - Saved data of the vehicle now; null if it no longer exists.
+ * @param {object} alteracao - Partial vehicle of reduzirAlteracoes().
+ * @param {'antes' | 'depois'} lado
+ * @returns {object | null} null when the vehicle no longer exists (nothing to change).
+ */
+function aplicarAlteracaoVeiculo(atual, alteracao, lado) {
+    if (!atual) return null;
+    const dados = { ...atual, ...alteracao[lado] };
+    Object.keys(alteracao.registros).forEach(lista => {
+        const registros = Array.isArray(dados[lista]) ? dados[lista].slice() : [];
+        const alterados = alteracao.registros[lista];
+        // Removals first, then insertions in ascending position, so each record lands where it was
+        Object.keys(alterados).forEach(id => {
+            if (alterados[id][lado]) return;
+            const indice = registros.findIndex(r => r.id === id);
+            if (indice >= 0) registros.splice(indice, 1);
+        });
+        Object.keys(alterados)
+            .filter(id => alterados[id][lado])
+            .sort((a, b) => (alterados[a].posicao[lado] || 0) - (alterados[b].posicao[lado] || 0))
+            .forEach(id => {
+                const indice = registros.findIndex(r => r.id === id);
+                if (indice >= 0) registros[indice] = alterados[id][lado];
+                else registros.splice(Math.min(alterados[id].posicao[lado] || 0, registros.length), 0, alterados[id][lado]);
+            });
+        dados[lista] = registros;
+    });
+    return dados;
+}
+
+/**
+ * Stacks of undoable and redoable commands ({descricao, em, alteracoes}), newest last.
+ * Events: 'alterado' {historico} whenever a stack changes.
+ */
+class HistoricoComandos extends EmissorEventos {
+    /**
+     * @param {object[]} [desfazer=[]]
+     * @param {object[]} [refazer=[]]
+     * @param {number} [limite=LIMITE_HISTORICO_COMANDOS] - Commands kept; the oldest are dropped.
+     */
+    constructor(desfazer = [], refazer = [], limite = LIMITE_HISTORICO_COMANDOS) {
+        super();
+        this.desfazer = desfazer;
+        this.refazer = refazer;
+        this.limite = limite;
+    }
+
+    /**
+     * Adds a command. A new command discards the redo stack.
+     * @param {string} descricao - Label shown to the user (e.g. "Pintar veículo").
+     * @param {object} alteracoes - See reduzirAlteracoes().
+     */
+    registrar(descricao, alteracoes) {
+        this.desfazer.push({ descricao, em: new Date().toISOString(), alteracoes });
+        if (this.desfazer.length > this.limite) this.desfazer.splice(0, this.desfazer.length - this.limite);
+        this.refazer = [];
+        this.emitir('alterado', { historico: this });
+    }
+
+    /** @returns {object | null} The command that would be undone, without removing it. */
+    proximoDesfazer() {
+        return this.desfazer[this.desfazer.length - 1] || null;
+    }
+
+    /** @returns {object | null} The command that would be redone, without removing it. */
+    proximoRefazer() {
+        return this.refazer[this.refazer.length - 1] || null;
+    }
+
+    /**
+     * Moves the last command to the redo stack. The caller restores its `antes` side (aplicarAlteracoesComando).
+     * @returns {object | null} The command, or null if there is nothing to undo.
+     */
+    voltar() {
+        const comando = this.desfazer.pop();
+        if (!comando) return null;
+        this.refazer.push(comando);
+        this.emitir('alterado', { historico: this });
+        return comando;
+    }
+
+    /**
+     * Moves the last undone command back to the undo stack. The caller restores its `depois` side.
+     * @returns {object | null} The command, or null if there is nothing to redo.
+     */
+    avancar() {
+        const comando = this.refazer.pop();
+        if (!comando) return null;
+        this.desfazer.push(comando);
+        this.emitir('alterado', { historico: this });
+        return comando;
+    }
+
+    /** Forgets every command (e.g. after the whole garage is replaced by recovered data). */
+    limpar() {
+        this.desfazer = [];
+        this.refazer = [];
+        this.emitir('alterado', { historico: this });
+    }
+
+    /**
+     * Drops the oldest undo command (or redo command, when there is none); used when storage is full.
+     * @returns {boolean} False if both stacks are empty.
+     */
+    descartarMaisAntigo() {
+        const pilha = this.desfazer.length > 0 ? this.desfazer : this.refazer;
+        if (pilha.length === 0) return false;
+        pilha.shift();
+        return true;
+    }
+
+    toJSON() {
+        return { desfazer: this.desfazer, refazer: this.refazer };
+    }
+
+    /**
+     * @param {object | null} dados - Saved with `toJSON()`; anything else gives an empty history.
+     * @returns {HistoricoComandos}
+     */
+    static fromJSON(dados) {
+        const valido = c => c && typeof c.descricao === 'string' && c.alteracoes && typeof c.alteracoes.veiculos === 'object';
+        return new HistoricoComandos(
+            dados && Array.isArray(dados.desfazer) ? dados.desfazer.filter(valido) : [],
+            dados && Array.isArray(dados.refazer) ? dados.refazer.filter(valido) : []
+        );
+    }
+}
+
+
+// Allows `require('./desfazer.js')` in Node (needs the modelo.js globals).
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LIMITE_HISTORICO_COMANDOS, compararEstados, reduzirAlteracoes, aplicarAlteracoesComando, HistoricoComandos };
+}
@@ -0,0 +1,384 @@
+/**
+ * Export and import of garage data: JSON backup files, CSV for accounting and the audit log,
+ * and iCalendar (.ics) for the shop calendar.
+ */
+
+const FORMATO_EXPORTACAO = 'garagem-interativa';
+
+/**
+ * Builds the text of a JSON backup file: the storage payload plus metadata.
+ * @param {{versaoSchema: number, veiculos: object}} dadosGaragem - Result of Garagem.serializarGaragem().
+ * @returns {string}
+ */
+function gerarExportacaoJSON(dadosGaragem) {
+    return JSON.stringify({
+        formato: FORMATO_EXPORTACAO,
+        exportadoEm: new Date().toISOString(),
+        ...dadosGaragem
+    }, null, 2);
+}
+
+/**
+ * Parses and validates an imported backup. Invalid vehicles, maintenance records, plans, refuels,
+ * catalog services and workshop settings are left out and reported instead of failing the whole import.
+ * An invalid identification (or a plate already used by another vehicle) is left out the same way,
+ * and its vehicle is imported without it.
+ * @param {string} texto - Content of the imported file.
+ * @param {Veiculo[]} [veiculosAtuais=[]] - Vehicles the import is merged with, for the duplicate plate check.
+ * @returns {{veiculos: object, catalogo: object[] | null, oficina: object | null, rejeitados: {veiculo: string, registro: string, erros: string[]}[]}}
+ *          Accepted vehicles in the current schema (keyed by ID), the accepted catalog services
+ *          (null if the backup has no catalog), the workshop settings (null if absent or invalid) and the rejected entries.
+ * @throws {Error} If the file is not a garage backup at all (invalid JSON, unknown version...).
+ */
+function validarImportacao(texto, veiculosAtuais = []) {
+    let dadosParseados;
+    try {
+        dadosParseados = JSON.parse(texto);
+    } catch (error) {
+        throw new Error(`O arquivo não é um JSON válido (${error.message}).`);
+    }
+    if (!dadosParseados || typeof dadosParseados !== 'object' || Array.isArray(dadosParseados)) {
+        throw new Error('O arquivo não contém dados de uma garagem.');
+    }
+
+    const { formato, exportadoEm, ...dadosArmazenados } = dadosParseados;
+    const dados = migrarDados(dadosArmazenados, detectarVersaoSchema(dadosArmazenados));
+    if (!dados.veiculos || typeof dados.veiculos !== 'object') {
+        throw new Error('O arquivo não contém a lista de veículos.');
+    }
+
+    const veiculos = {};
+    const rejeitados = [];
+    // Plate -> name of the vehicle using it; vehicles with the same ID are the same vehicle and keep their current data
+    const placasUsadas = new Map(veiculosAtuais
+        .filter(v => v.placa && !Object.prototype.hasOwnProperty.call(dados.veiculos, v.id))
+        .map(v => [v.placa, v.nome]));
+
+    let catalogo = null;
+    if (Array.isArray(dados.catalogo)) {
+        catalogo = [];
+        dados.catalogo.forEach(s => {
+            const servico = (s && typeof s === 'object') ? ServicoCatalogo.fromJSON(s) : null;
+            if (servico && servico.isValid()) {
+                catalogo.push(servico.toJSON());
+            } else {
+                rejeitados.push({
+                    veiculo: 'Catálogo de serviços',
+                    registro: servico ? `Serviço "${servico.nome || '(sem nome)'}"` : String(s),
+                    erros: servico ? servico.validar() : ['Serviço não é um objeto.']
+                });
+            }
+        });
+    }
+
+    let oficina = null;
+    if (dados.oficina && typeof dados.oficina === 'object') {
+        const candidata = Oficina.fromJSON(dados.oficina);
+        if (candidata.isValid()) {
+            oficina = candidata.toJSON();
+        } else {
+            rejeitados.push({ veiculo: 'Oficina', registro: 'Horários e capacidade', erros: candidata.validar() });
+        }
+    }
+
+    for (const id in dados.veiculos) {
+        const dadosVeiculo = dados.veiculos[id];
+        const nomeVeiculo = (dadosVeiculo && (dadosVeiculo.nome || dadosVeiculo.modelo)) || id;
+        if (!dadosVeiculo || typeof dadosVeiculo !== 'object' || !Veiculo.fromJSON({ ...dadosVeiculo, historicoManutencao: [], planosManutencao: [], historicoAbastecimento: [] }, id)) {
+            rejeitados.push({ veiculo: nomeVeiculo, registro: 'Veículo inteiro', erros: [`Tipo de veículo desconhecido: "${dadosVeiculo && dadosVeiculo.tipo}".`] });
+            continue;
+        }
+
+        const historicoValido = [];
+        (Array.isArray(dadosVeiculo.historicoManutencao) ? dadosVeiculo.historicoManutencao : []).forEach(m => {
+            const manutencao = (m && typeof m === 'object') ? Manutencao.fromJSON(m) : null;
+            if (manutencao && manutencao.isValid()) {
+                historicoValido.push(manutencao.toJSON());
+            } else {
+                rejeitados.push({
+                    veiculo: nomeVeiculo,
+                    registro: manutencao ? `${manutencao.tipo || '(sem tipo)'} em ${manutencao.data || '(sem data)'}` : String(m),
+                    // Scheduled/cancelled records have no cost, the same exception used by Manutencao.isValid()
+                    erros: manutencao ? manutencao.validar().filter(e => manutencao.status === 'concluida' || !e.includes('custo')) : ['Registro não é um objeto.']
+                });
+            }
+        });
+
+        const planosValidos = [];
+        (Array.isArray(dadosVeiculo.planosManutencao) ? dadosVeiculo.planosManutencao : []).forEach(p => {
+            const plano = (p && typeof p === 'object') ? PlanoManutencao.fromJSON(p) : null;
+            if (plano && plano.isValid()) {
+                planosValidos.push(plano.toJSON());
+            } else {
+                rejeitados.push({
+                    veiculo: nomeVeiculo,
+                    registro: plano ? `Plano "${plano.tipo || '(sem tipo)'}"` : String(p),
+                    erros: plano ? plano.validar() : ['Plano não é um objeto.']
+                });
+            }
+        });
+
+        const abastecimentosValidos = [];
+        (Array.isArray(dadosVeiculo.historicoAbastecimento) ? dadosVeiculo.historicoAbastecimento : []).forEach(a => {
+            const abastecimento = (a && typeof a === 'object') ? Abastecimento.fromJSON(a) : null;
+            if (abastecimento && abastecimento.isValid()) {
+                abastecimentosValidos.push(abastecimento.toJSON());
+            } else {
+                rejeitados.push({
+                    veiculo: nomeVeiculo,
+                    registro: abastecimento ? `Abastecimento em ${abastecimento.data || '(sem data)'}` : String(a),
+                    erros: abastecimento ? abastecimento.validar() : ['Abastecimento não é um objeto.']
+                });
+            }
+        });
+        // Same checks as the identification form (Garagem._lerIdentificacao)
+        let identificacao = normalizarIdentificacao({
+            marca: dadosVeiculo.marca,
+            ano: dadosVeiculo.ano === undefined || dadosVeiculo.ano === null || dadosVeiculo.ano === '' ? null : Number(dadosVeiculo.ano),
+            placa: dadosVeiculo.placa,
+            chassi: dadosVeiculo.chassi,
+            proprietario: dadosVeiculo.proprietario
+        });
+        const errosIdentificacao = validarIdentificacaoVeiculo(identificacao);
+        if (identificacao.placa && placasUsadas.has(identificacao.placa)) {
+            errosIdentificacao.push(`A placa ${formatarPlaca(identificacao.placa)} já está cadastrada em ${placasUsadas.get(identificacao.placa)}.`);
+        }
+        if (errosIdentificacao.length > 0) {
+            rejeitados.push({ veiculo: nomeVeiculo, registro: 'Identificação', erros: errosIdentificacao });
+            identificacao = normalizarIdentificacao();
+        } else if (identificacao.placa) {
+            placasUsadas.set(identificacao.placa, nomeVeiculo);
+        }
+
+        veiculos[id] = {
+            ...dadosVeiculo,
+            ...identificacao,
+            historicoManutencao: historicoValido,
+            planosManutencao: planosValidos,
+            historicoAbastecimento: abastecimentosValidos
+        };
+    }
+    return { veiculos, catalogo, oficina, rejeitados };
+}
+
+
+/**
+ * Escapes a CSV field (RFC 4180): quotes it when it has the delimiter, quotes or line breaks.
+ * Text starting with "=", "+", "-" or "@" gets a leading "'", so spreadsheets don't run it as a formula;
+ * formatted numbers ("-1.234,56") and the lone "-" placeholder are kept as they are.
+ * @param {string} valor
+ * @param {string} delimitador
+ * @returns {string}
+ */
+function escaparCampoCSV(valor, delimitador) {
+    let texto = String(valor === null || valor === undefined ? '' : valor);
+    if (texto.length > 1 && /^[=+\-@]/.test(texto) && !/^[-+]?\d[\d.,]*$/.test(texto)) {
+        texto = `'${texto}`;
+    }
+    if (texto.includes(delimitador) || /["\r\n]/.test(texto)) {
+        return `"${texto.replace(/"/g, '""')}"`;
+    }
+    return texto;
+}
+
+/**
+ * Builds a CSV of completed services (status 'concluida'), oldest first.
+ * Format 'pt-BR' uses ";" as delimiter, DD/MM/AAAA dates and "1.234,56" values (spreadsheets in Portuguese);
+ * format 'iso' uses ",", AAAA-MM-DD and "1234.56".
+ * @param {Veiculo[]} veiculos - Vehicles of the garage.
+ * @param {{idVeiculo?: string|null, dataInicio?: string|null, dataFim?: string|null, formato?: 'pt-BR'|'iso'}} [opcoes]
+ *        Filters (dates as AAAA-MM-DD, inclusive) and output format.
+ * @returns {{csv: string, quantidade: number}} The CSV text and how many services it has.
+ */
+function gerarCSVManutencoes(veiculos, opcoes = {}) {
+    const { idVeiculo = null, dataInicio = null, dataFim = null, formato = 'pt-BR' } = opcoes;
+    const inicio = dataInicio ? new Date(`${dataInicio}T00:00:00`) : null;
+    const fim = dataFim ? new Date(`${dataFim}T23:59:59`) : null;
+    const ptBR = formato === 'pt-BR';
+    const delimitador = ptBR ? ';' : ',';
+
+    const linhas = [];
+    veiculos
+        .filter(veiculo => !idVeiculo || veiculo.id === idVeiculo)
+        .forEach(veiculo => {
+            veiculo.historicoManutencao.forEach(m => {
+                const manutencao = Manutencao.fromJSON(m);
+                const dataManutencao = manutencao.getDateTime();
+                if (manutencao.status !== 'concluida' || !dataManutencao || !manutencao.isValid()) return;
+                if (inicio && dataManutencao < inicio) return;
+                if (fim && dataManutencao > fim) return;
+                linhas.push({ veiculo, manutencao, dataManutencao });
+            });
+        });
+    linhas.sort((a, b) => a.dataManutencao - b.dataManutencao); // Oldest first, like a ledger
+
+    const valor = numero => ptBR ? numero.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : numero.toFixed(2);
+    // The breakdown columns are at the end, so spreadsheets made for the old layout keep working; empty without line items
+    const cabecalho = ['Data', 'Veículo', 'Modelo', 'Tipo', 'Custo', 'Descrição', 'Peças', 'Mão de obra', 'Impostos'];
+    const registros = linhas.map(({ veiculo, manutencao, dataManutencao }) => {
+        const custos = manutencao.itens.length > 0 ? manutencao.calcularCustos() : null;
+        return [
+            ptBR ? dataManutencao.toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit', year: 'numeric' }) : manutencao.data,
+            veiculo.nome,
+            veiculo.modelo,
+            manutencao.tipo,
+            valor(manutencao.custo),
+            manutencao.descricao,
+            custos ? valor(custos.pecas) : '',
+            custos ? valor(custos.maoDeObra) : '',
+            custos ? valor(custos.impostos) : ''
+        ];
+    });
+
+    const csv = [cabecalho, ...registros]
+        .map(campos => campos.map(campo => escaparCampoCSV(campo, delimitador)).join(delimitador))
+        .join('\r\n');
+    // The BOM makes spreadsheet apps read the accents as UTF-8
+    return { csv: '\uFEFF' + csv + '\r\n', quantidade: registros.length };
+}
+
+/**
+ * Builds a CSV of audit log entries (auditoria.js), one row per changed field, in the order given.
+ * Uses the pt-BR spreadsheet format of gerarCSVManutencoes (";" and DD/MM/AAAA dates).
+ * @param {object[]} entradas - Entries of RegistroAuditoria.consultar().
+ * @returns {{csv: string, quantidade: number}} The CSV text and how many entries it has.
+ */
+function gerarCSVAuditoria(entradas) {
+    const delimitador = ';';
+    const cabecalho = ['Data/hora', 'Usuário', 'Veículo', 'Ação', 'Campo', 'Antes', 'Depois'];
+    const registros = [];
+    entradas.forEach(entrada => {
+        const quando = new Date(entrada.em).toLocaleString('pt-BR');
+        entrada.alteracoes.forEach(({ campo, antes, depois }) => {
+            registros.push([
+                quando,
+                entrada.usuario || '',
+                entrada.veiculo,
+                entrada.acao,
+                CAMPOS_AUDITORIA[campo] || campo,
+                formatarValorAuditoria(campo, antes),
+                formatarValorAuditoria(campo, depois)
+            ]);
+        });
+    });
+
+    const csv = [cabecalho, ...registros]
+        .map(campos => campos.map(campo => escaparCampoCSV(campo, delimitador)).join(delimitador))
+        .join('\r\n');
+    return { csv: '\uFEFF' + csv + '\r\n', quantidade: entradas.length };
+}
+
+/**
+ * Escapes a TEXT value of iCalendar (RFC 5545, 3.3.11).
+ * @param {string} valor
+ * @returns {string}
+ */
+function escaparTextoICS(valor) {
+    return String(valor === null || valor === undefined ? '' : valor)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line at 75 octets (RFC 5545, 3.1), never splitting a UTF-8 character.
+ * @param {string} linha
+ * @returns {string} The line, with CRLF + space before each continuation.
+ */
+function dobrarLinhaICS(linha) {
+    const partes = [];
+    let atual = '';
+    let octetos = 0;
+    for (const caractere of linha) {
+        const codigo = caractere.codePointAt(0);
+        const tamanho = codigo < 0x80 ? 1 : codigo < 0x800 ? 2 : codigo < 0x10000 ? 3 : 4;
+        // Continuation lines start with a space, which counts towards their 75 octets
+        if (octetos + tamanho > (partes.length === 0 ? 75 : 74)) {
+            partes.push(atual);
+            atual = '';
+            octetos = 0;
+        }
+        atual += caractere;
+        octetos += tamanho;
+    }
+    partes.push(atual);
+    return partes.join('\r\n ');
+}
+
+/**
+ * Formats a Date as an iCalendar DATE (AAAAMMDD) or local DATE-TIME (AAAAMMDDTHHMMSS).
+ * @param {Date} data
+ * @param {boolean} comHora
+ * @returns {string}
+ */
+function formatarDataICS(data, comHora) {
+    const doisDigitos = n => String(n).padStart(2, '0');
+    const dia = `${data.getFullYear()}${doisDigitos(data.getMonth() + 1)}${doisDigitos(data.getDate())}`;
+    return comHora ? `${dia}T${doisDigitos(data.getHours())}${doisDigitos(data.getMinutes())}00` : dia;
+}
+
+/**
+ * Builds an iCalendar file with the future scheduled services (status 'agendada').
+ * Services with a time are events in the local time of the shop, lasting as long as they occupy a bay
+ * (Oficina.duracaoDe); services without a time become all-day events.
+ * @param {Veiculo[]} veiculos - Vehicles of the garage.
+ * @param {{idVeiculo?: string|null, oficina?: Oficina|null, catalogo?: CatalogoServicos|null}} [opcoes]
+ *        Limit the export to one vehicle; workshop and catalog give the durations (the default workshop's without them).
+ * @returns {{ics: string, quantidade: number}} The .ics text and how many events it has.
+ */
+function gerarICSAgendamentos(veiculos, opcoes = {}) {
+    const { idVeiculo = null, oficina = null, catalogo = null } = opcoes;
+    const duracaoDe = manutencao => oficina ? oficina.duracaoDe(manutencao, catalogo) : OFICINA_PADRAO.duracaoPadraoMinutos;
+    const agora = new Date();
+    const inicioDoDia = new Date(agora.getFullYear(), agora.getMonth(), agora.getDate());
+    const carimbo = agora.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''); // UTC, as DTSTAMP requires
+
+    const eventos = [];
+    veiculos
+        .filter(veiculo => !idVeiculo || veiculo.id === idVeiculo)
+        .forEach(veiculo => {
+            veiculo.historicoManutencao.forEach(m => {
+                const manutencao = Manutencao.fromJSON(m);
+                const dataManutencao = manutencao.getDateTime();
+                if (manutencao.status !== 'agendada' || !dataManutencao || !manutencao.isValid()) return;
+                // Future appointments only; overdue ones stay in the "Agendamentos Futuros" list.
+                // All-day ones start at their local midnight, so today's are compared with the start of the day
+                if (dataManutencao < (manutencao.hora ? agora : inicioDoDia)) return;
+                eventos.push({ veiculo, manutencao, dataManutencao });
+            });
+        });
+    eventos.sort((a, b) => a.dataManutencao - b.dataManutencao);
+
+    const linhas = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Garagem Interativa//Agendamentos//PT',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+    eventos.forEach(({ veiculo, manutencao, dataManutencao }) => {
+        const comHora = Boolean(manutencao.hora);
+        const fim = new Date(dataManutencao);
+        if (comHora) fim.setMinutes(fim.getMinutes() + duracaoDe(manutencao));
+        else fim.setDate(fim.getDate() + 1); // DTEND of an all-day event is exclusive
+
+        const descricao = [`Veículo: ${veiculo.nome}`, `Modelo: ${veiculo.modelo}`, `Serviço: ${manutencao.tipo}`];
+        if (manutencao.descricao) descricao.push(`Observações: ${manutencao.descricao}`);
+
+        linhas.push(
+            'BEGIN:VEVENT',
+            `UID:${manutencao.id}@${FORMATO_EXPORTACAO}`,
+            `DTSTAMP:${carimbo}`,
+            comHora ? `DTSTART:${formatarDataICS(dataManutencao, true)}` : `DTSTART;VALUE=DATE:${formatarDataICS(dataManutencao, false)}`,
+            comHora ? `DTEND:${formatarDataICS(fim, true)}` : `DTEND;VALUE=DATE:${formatarDataICS(fim, false)}`,
+            `SUMMARY:${escaparTextoICS(`${manutencao.tipo} - ${veiculo.nome} (${veiculo.modelo})`)}`,
+            `DESCRIPTION:${escaparTextoICS(descricao.join('\n'))}`,
+            'STATUS:CONFIRMED',
+            'END:VEVENT'
+        );
+    });
+    linhas.push('END:VCALENDAR');
+
+    return { ics: linhas.map(dobrarLinhaICS).join('\r\n') + '\r\n', quantidade: eventos.length };
+}
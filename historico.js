@@ -0,0 +1,86 @@
+/**
+ * Maintenance history table: text search, filters, sorting and pagination of the records
+ * of a vehicle. Pure functions over the model (no DOM), rendered by Garagem.atualizarTabelaHistorico.
+ */
+
+const ITENS_POR_PAGINA_HISTORICO = 20;
+const STATUS_MANUTENCAO = { agendada: 'Agendada', concluida: 'Concluída', cancelada: 'Cancelada' };
+
+/** Comparators of the sortable columns (ascending). Records without a cost/reading come last. */
+const COMPARADORES_HISTORICO = {
+    data: (a, b) => `${a.data} ${a.hora || ''}`.localeCompare(`${b.data} ${b.hora || ''}`),
+    tipo: (a, b) => a.tipo.localeCompare(b.tipo, 'pt-BR', { sensitivity: 'base' }),
+    status: (a, b) => STATUS_MANUTENCAO[a.status].localeCompare(STATUS_MANUTENCAO[b.status], 'pt-BR'),
+    custo: (a, b) => a.custo - b.custo,
+    quilometragem: (a, b) => a.quilometragem - b.quilometragem
+};
+const COLUNAS_OPCIONAIS_HISTORICO = ['custo', 'quilometragem'];
+
+/**
+ * Filters, sorts and paginates maintenance records.
+ * @param {Manutencao[]} manutencoes - Records of a vehicle.
+ * @param {object} [opcoes]
+ * @param {string} [opcoes.busca] - Text searched in the type and the description.
+ * @param {string} [opcoes.status] - 'agendada', 'concluida', 'cancelada' or '' for all.
+ * @param {string} [opcoes.dataInicio] - YYYY-MM-DD, inclusive.
+ * @param {string} [opcoes.dataFim] - YYYY-MM-DD, inclusive.
+ * @param {number|null} [opcoes.custoMinimo] - Records without a cost never match a cost range.
+ * @param {number|null} [opcoes.custoMaximo]
+ * @param {'data'|'tipo'|'status'|'custo'|'quilometragem'} [opcoes.ordenarPor='data']
+ * @param {'asc'|'desc'} [opcoes.direcao='desc']
+ * @param {number} [opcoes.pagina=1] - Clamped to the existing pages.
+ * @param {number} [opcoes.porPagina=ITENS_POR_PAGINA_HISTORICO]
+ * @returns {{itens: Manutencao[], total: number, invalidos: number, pagina: number, totalPaginas: number}}
+ *          `total` counts the records that match the filters; `invalidos` the records left out for invalid data.
+ */
+function consultarHistorico(manutencoes, opcoes = {}) {
+    const {
+        busca = '', status = '', dataInicio = '', dataFim = '', custoMinimo = null, custoMaximo = null,
+        ordenarPor = 'data', direcao = 'desc', pagina = 1, porPagina = ITENS_POR_PAGINA_HISTORICO
+    } = opcoes;
+
+    const validos = manutencoes.filter(m => m.isValid());
+    const termo = normalizarTexto(busca); // "oleo" finds "Troca de Óleo"
+    const temFaixaCusto = typeof custoMinimo === 'number' || typeof custoMaximo === 'number';
+
+    const filtrados = validos.filter(m => {
+        if (termo && !normalizarTexto(`${m.tipo} ${m.descricao}`).includes(termo)) return false;
+        if (status && m.status !== status) return false;
+        if (dataInicio && m.data < dataInicio) return false;
+        if (dataFim && m.data > dataFim) return false;
+        if (temFaixaCusto) {
+            if (m.custo === null) return false;
+            if (typeof custoMinimo === 'number' && m.custo < custoMinimo) return false;
+            if (typeof custoMaximo === 'number' && m.custo > custoMaximo) return false;
+        }
+        return true;
+    });
+
+    const comparar = COMPARADORES_HISTORICO[ordenarPor] || COMPARADORES_HISTORICO.data;
+    const campoOpcional = COLUNAS_OPCIONAIS_HISTORICO.includes(ordenarPor) ? ordenarPor : null;
+    const sinal = direcao === 'asc' ? 1 : -1;
+    filtrados.sort((a, b) => {
+        if (campoOpcional) {
+            const semA = a[campoOpcional] === null;
+            const semB = b[campoOpcional] === null;
+            if (semA || semB) return semA - semB; // Empty values last in both directions
+        }
+        return sinal * comparar(a, b);
+    });
+
+    const totalPaginas = Math.max(1, Math.ceil(filtrados.length / porPagina));
+    const paginaAtual = Math.min(Math.max(1, Math.floor(pagina) || 1), totalPaginas);
+    return {
+        itens: filtrados.slice((paginaAtual - 1) * porPagina, paginaAtual * porPagina),
+        total: filtrados.length,
+        invalidos: manutencoes.length - validos.length,
+        pagina: paginaAtual,
+        totalPaginas
+    };
+}
+
+
+// Allows `require('./historico.js')` in Node to test the queries (needs modelo.js objects).
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ITENS_POR_PAGINA_HISTORICO, STATUS_MANUTENCAO, consultarHistorico };
+}
@@ -0,0 +1,1721 @@
+/**
+ * Domain model of the garage: maintenance records, recurring plans, refuels and vehicles.
+ * This file has no DOM or storage access; state changes are published as events
+ * (see EmissorEventos) so the view and persistence layers can subscribe to them.
+ * It can be loaded with a <script> tag or with require() in Node.
+ */
+
+/**
+ * Minimal event emitter used by the model classes.
+ */
+class EmissorEventos {
+    constructor() {
+        this._ouvintes = {};
+    }
+
+    /**
+     * Subscribes to an event.
+     * @param {string} evento - Event name (e.g. "velocidade").
+     * @param {Function} callback - Called with (dados, emissor).
+     * @returns {Function} A function that cancels the subscription.
+     */
+    on(evento, callback) {
+        if (!this._ouvintes[evento]) this._ouvintes[evento] = [];
+        this._ouvintes[evento].push(callback);
+        return () => this.off(evento, callback);
+    }
+
+    off(evento, callback) {
+        if (!this._ouvintes[evento]) return;
+        this._ouvintes[evento] = this._ouvintes[evento].filter(cb => cb !== callback);
+    }
+
+    /**
+     * Calls every listener of the event. A failing listener does not stop the others.
+     * @param {string} evento - Event name.
+     * @param {object} [dados={}] - Event payload.
+     */
+    emitir(evento, dados = {}) {
+        (this._ouvintes[evento] || []).slice().forEach(callback => {
+            try {
+                callback(dados, this);
+            } catch (error) {
+                console.error(`Erro em ouvinte do evento "${evento}":`, error);
+            }
+        });
+    }
+}
+
+/**
+ * Generates a unique ID for garage entities (vehicles, etc.).
+ * @param {string} prefixo - Prefix to make IDs readable (e.g. "veiculo").
+ * @returns {string} An ID like "veiculo_lx3k9a_4f7h2q".
+ */
+function gerarId(prefixo) {
+    return `${prefixo}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+
+const TIPOS_ITEM_MANUTENCAO = { peca: 'Peça', maoDeObra: 'Mão de obra' };
+
+/**
+ * A line of a maintenance invoice: a part (quantity x unit price) or labour (hours x hourly rate).
+ */
+class ItemManutencao {
+    /**
+     * @param {'peca' | 'maoDeObra'} tipo - Key of TIPOS_ITEM_MANUTENCAO.
+     * @param {string} descricao - Part name or labour description.
+     * @param {number} quantidade - Quantity of parts, or labour hours.
+     * @param {number} valorUnitario - Unit price, or hourly rate (R$).
+     */
+    constructor(tipo, descricao, quantidade, valorUnitario) {
+        this.tipo = tipo;
+        this.descricao = typeof descricao === 'string' ? descricao.trim() : '';
+        this.quantidade = quantidade;
+        this.valorUnitario = valorUnitario;
+    }
+
+    /** @returns {number} quantidade x valorUnitario in cents (rounded), so the totals add up exactly. */
+    subtotalCentavos() {
+        return Math.round(this.quantidade * this.valorUnitario * 100);
+    }
+
+    /** @returns {string[]} Validation errors (empty if valid). */
+    validar() {
+        const erros = [];
+        if (!TIPOS_ITEM_MANUTENCAO[this.tipo]) erros.push('Tipo de item inválido (peça ou mão de obra).');
+        if (!this.descricao) erros.push('A descrição do item é obrigatória.');
+        const rotuloQuantidade = this.tipo === 'maoDeObra' ? 'As horas' : 'A quantidade';
+        if (typeof this.quantidade !== 'number' || isNaN(this.quantidade) || this.quantidade <= 0) {
+            erros.push(`${rotuloQuantidade} do item "${this.descricao}" deve ser um número maior que zero.`);
+        }
+        if (typeof this.valorUnitario !== 'number' || isNaN(this.valorUnitario) || this.valorUnitario < 0) {
+            erros.push(`O valor do item "${this.descricao}" deve ser um número igual ou maior que zero.`);
+        }
+        return erros;
+    }
+
+    isValid() {
+        return this.validar().length === 0;
+    }
+
+    /** @returns {string} e.g. "Peça: Filtro de óleo - 2 x R$ 30,00 = R$ 60,00". */
+    formatar() {
+        const moeda = valor => valor.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+        const quantidade = this.quantidade.toLocaleString('pt-BR', { maximumFractionDigits: 2 });
+        const calculo = this.tipo === 'maoDeObra'
+            ? `${quantidade} h x ${moeda(this.valorUnitario)}/h`
+            : `${quantidade} x ${moeda(this.valorUnitario)}`;
+        return `${TIPOS_ITEM_MANUTENCAO[this.tipo]}: ${this.descricao} - ${calculo} = ${moeda(this.subtotalCentavos() / 100)}`;
+    }
+
+    toJSON() {
+        return { tipo: this.tipo, descricao: this.descricao, quantidade: this.quantidade, valorUnitario: this.valorUnitario };
+    }
+
+    static fromJSON(dados) {
+        if (dados instanceof ItemManutencao) return dados;
+        return new ItemManutencao(dados.tipo, dados.descricao, dados.quantidade, dados.valorUnitario);
+    }
+}
+
+/**
+ * Represents a maintenance record (past or scheduled) for a vehicle.
+ * With line items (parts and labour) the cost is derived from them plus the taxes;
+ * records without items keep the single `custo` typed by the user.
+ * Emits 'alterada' when its data is changed through `atualizar()`.
+ */
+class Manutencao extends EmissorEventos {
+    /**
+     * Creates an instance of Manutencao.
+     * @param {string} data - The date of the maintenance (e.g., "YYYY-MM-DD" from date input).
+     * @param {string} tipo - The type of service performed (e.g., "Troca de óleo").
+     * @param {number | null} custo - The cost (null if scheduled, number if completed).
+     * @param {string} [descricao=''] - An optional detailed description or observation.
+     * @param {string | null} [hora=null] - The time of the maintenance (e.g., "HH:MM" from time input).
+     * @param {string} [status='concluida'] - The status ('concluida', 'agendada' or 'cancelada').
+     */
+    constructor(data, tipo, custo, descricao = '', hora = null, status = 'concluida') {
+        super();
+        this.id = gerarId('manutencao'); // Replaced by the saved ID when rehydrated (fromJSON)
+        this.data = data || ''; // Expecting YYYY-MM-DD format from input type="date"
+        this.tipo = tipo || '';
+        // If scheduled or cancelled, cost should be null/0. If completed, it requires a number.
+        this.custo = (status === 'agendada' || status === 'cancelada' || custo === null) ? null : (typeof custo === 'number' ? custo : 0);
+        this.descricao = descricao || '';
+        this.hora = hora || null; // Expecting HH:MM format from input type="time"
+        this.status = (status === 'agendada' || status === 'cancelada') ? status : 'concluida'; // Default to concluida
+        this.quilometragem = null; // Odometer reading when registered (set by the caller, see Veiculo.lerOdometro)
+        this.idServico = null; // Catalog item of the service (see catalogo.js), null for free-text types
+        this.itens = []; // ItemManutencao lines; when present, custo is derived from them (see definirItens)
+        this.aliquotaPecas = 0; // Tax on parts (%), added to the parts subtotal
+        this.aliquotaMaoDeObra = 0; // Tax on labour (%), added to the labour subtotal
+    }
+
+    /**
+     * Replaces the line items and tax rates. Completed records get the derived cost.
+     * @param {ItemManutencao[]} itens
+     * @param {number} [aliquotaPecas=0] - Tax on parts (%).
+     * @param {number} [aliquotaMaoDeObra=0] - Tax on labour (%).
+     */
+    definirItens(itens, aliquotaPecas = 0, aliquotaMaoDeObra = 0) {
+        this.itens = itens;
+        this.aliquotaPecas = aliquotaPecas;
+        this.aliquotaMaoDeObra = aliquotaMaoDeObra;
+        if (this.itens.length > 0 && this.status === 'concluida') this.custo = this.calcularCustos().total;
+    }
+
+    /**
+     * Cost breakdown of the line items. Sums are made in cents and each tax is rounded once,
+     * so the parts are always equal to the total.
+     * @returns {{pecas: number, maoDeObra: number, impostoPecas: number, impostoMaoDeObra: number, impostos: number, total: number}} Values in R$.
+     */
+    calcularCustos() {
+        const somar = tipo => this.itens.filter(item => item.tipo === tipo).reduce((soma, item) => soma + item.subtotalCentavos(), 0);
+        const pecas = somar('peca');
+        const maoDeObra = somar('maoDeObra');
+        const impostoPecas = Math.round(pecas * (this.aliquotaPecas || 0) / 100);
+        const impostoMaoDeObra = Math.round(maoDeObra * (this.aliquotaMaoDeObra || 0) / 100);
+        return {
+            pecas: pecas / 100,
+            maoDeObra: maoDeObra / 100,
+            impostoPecas: impostoPecas / 100,
+            impostoMaoDeObra: impostoMaoDeObra / 100,
+            impostos: (impostoPecas + impostoMaoDeObra) / 100,
+            total: (pecas + maoDeObra + impostoPecas + impostoMaoDeObra) / 100
+        };
+    }
+
+    /**
+     * Lines of the cost breakdown (items, subtotals and taxes), for invoices and detail views.
+     * @returns {string[]} Empty for records without line items.
+     */
+    formatarItens() {
+        if (this.itens.length === 0) return [];
+        const moeda = valor => valor.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+        const custos = this.calcularCustos();
+        const linhas = this.itens.map(item => item.formatar());
+        linhas.push(`Subtotal peças: ${moeda(custos.pecas)} - Subtotal mão de obra: ${moeda(custos.maoDeObra)}`);
+        if (custos.impostoPecas > 0) linhas.push(`Impostos sobre peças (${this.aliquotaPecas}%): ${moeda(custos.impostoPecas)}`);
+        if (custos.impostoMaoDeObra > 0) linhas.push(`Impostos sobre mão de obra (${this.aliquotaMaoDeObra}%): ${moeda(custos.impostoMaoDeObra)}`);
+        linhas.push(`${this.status === 'concluida' ? 'Total' : 'Total orçado'}: ${moeda(custos.total)}`);
+        return linhas;
+    }
+
+    /**
+     * Returns a Date object representing the scheduled/occurred date and time.
+     * Returns null if data is invalid.
+     * @returns {Date | null}
+     */
+    getDateTime() {
+        if (!this.data || !/^\d{4}-\d{2}-\d{2}$/.test(this.data)) {
+             // Basic check for YYYY-MM-DD format from input type="date"
+            return null;
+        }
+        let dateString = this.data;
+        if (this.hora && /^\d{2}:\d{2}$/.test(this.hora)) {
+            dateString += `T${this.hora}:00`; // Append time if valid
+        } else {
+            // If scheduling without time, assume start of day? Or treat as just date?
+            // For comparison, using midnight makes sense. For display, we might hide time.
+             dateString += `T00:00:00`; // Use midnight if no time specified
+        }
+        try {
+             // Try creating a Date object. May throw error for invalid dates like 2023-02-30
+            const dt = new Date(dateString);
+             // Check if the date is valid (Date constructor can be forgiving)
+             // Re-extract parts and compare to ensure validity (e.g., avoids Feb 30 becoming Mar 2)
+             const [year, month, day] = this.data.split('-').map(Number);
+             // Check if parts match the created date object's parts
+             if (dt.getFullYear() !== year || dt.getMonth() + 1 !== month || dt.getDate() !== day) {
+                // If there's a mismatch, the date string was likely invalid (e.g., 2023-02-31)
+                 return null; // Invalid date components
+             }
+              // Check if time parts match if time was provided
+              if(this.hora) {
+                const [hour, minute] = this.hora.split(':').map(Number);
+                if (dt.getHours() !== hour || dt.getMinutes() !== minute) {
+                    return null; // Invalid time components (less likely with T construct but safe)
+                }
+              }
+            return dt;
+        } catch (e) {
+            console.error("Error parsing date/time:", dateString, e);
+            return null; // Handle potential errors during Date parsing
+        }
+    }
+
+
+    /**
+     * Returns a formatted string representation of the maintenance record.
+     * Differentiates between scheduled and completed maintenance.
+     * @returns {string} Formatted maintenance information.
+     */
+    formatar() {
+        const errosValidacao = this.validar();
+         // Check if invalid, BUT allow scheduled/cancelled items to be missing only cost validation
+         if (errosValidacao.length > 0 && !(this.status !== 'concluida' && errosValidacao.length === 1 && errosValidacao[0].includes('custo'))) {
+             return `Dados de manutenção inválidos: ${errosValidacao.join(', ')}`;
+         }
+
+
+        // Format date nicely (DD/MM/YYYY)
+        let dataFormatada = "Data inválida";
+         const dateObj = this.getDateTime();
+         if(dateObj) {
+             dataFormatada = dateObj.toLocaleDateString('pt-BR', {
+                 day: '2-digit', month: '2-digit', year: 'numeric'
+             });
+         }
+
+
+        let info = '';
+        if (this.status === 'agendada') {
+            info = `Agendado: ${this.tipo} em ${dataFormatada}`;
+            if (this.hora) {
+                info += ` às ${this.hora}`;
+            }
+            if (this.descricao && this.descricao.trim() !== '') {
+                info += ` (Obs: ${this.descricao})`;
+            }
+            if (this.itens.length > 0) {
+                info += ` - Orçamento: ${this.calcularCustos().total.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' })}`;
+            }
+        } else if (this.status === 'cancelada') {
+            info = `Cancelado: ${this.tipo} em ${dataFormatada}`;
+            if (this.hora) {
+                info += ` às ${this.hora}`;
+            }
+        } else { // status === 'concluida'
+            const custoFormatado = (this.custo !== null && typeof this.custo === 'number') ? this.custo.toLocaleString('pt-BR', {
+                style: 'currency',
+                currency: 'BRL'
+            }) : 'Custo não informado';
+
+            info = `- ${this.tipo} em ${dataFormatada} - ${custoFormatado}`;
+            if (this.itens.length > 0) {
+                const custos = this.calcularCustos();
+                const moeda = valor => valor.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+                info += ` (Peças ${moeda(custos.pecas)} + Mão de obra ${moeda(custos.maoDeObra)} + Impostos ${moeda(custos.impostos)})`;
+            }
+            if (this.quilometragem !== null) {
+                info += ` - ${this.quilometragem.toLocaleString('pt-BR', { maximumFractionDigits: 0 })} km`;
+            }
+            if (this.descricao && this.descricao.trim() !== '') {
+                info += ` (${this.descricao})`;
+            }
+        }
+        return info;
+    }
+
+    /**
+     * Validates the maintenance data.
+     * Checks date format, type presence, and cost (if completed).
+     * @returns {string[]} An array of error messages. An empty array indicates the data is valid.
+     */
+    validar() {
+        const erros = [];
+
+        // 1. Validate Date (YYYY-MM-DD format and logical date using getDateTime)
+        const dateObj = this.getDateTime();
+        if (!dateObj) {
+             // If getDateTime failed, it means data or hora was invalid or the combination resulted in an invalid Date
+             if (!this.data || !/^\d{4}-\d{2}-\d{2}$/.test(this.data)) {
+                 erros.push('Formato da data inválido (esperado AAAA-MM-DD).');
+             } else if (this.hora && !/^\d{2}:\d{2}$/.test(this.hora)){
+                 erros.push('Formato da hora inválido (esperado HH:MM).');
+             } else {
+                 erros.push('Data inválida (ex: Dia 31 em mês com 30 dias).');
+             }
+        }
+
+        // 2. Validate Hora (Optional, format HH:MM is checked within getDateTime now)
+        // No need for separate check here unless more specific validation is desired
+
+        // 3. Validate Tipo (Non-empty string)
+        if (typeof this.tipo !== 'string' || this.tipo.trim() === '') {
+            erros.push('O tipo de serviço não pode ser vazio.');
+        }
+
+        // 4. Validate Custo (Non-negative number, *only* if status is 'concluida'; derived from the items when there are any)
+        if (this.status === 'concluida' && this.itens.length === 0) {
+            // Allow 0 cost, but not negative or non-numeric or null
+            if (this.custo === null || typeof this.custo !== 'number' || isNaN(this.custo) || this.custo < 0) {
+                erros.push('Para manutenção concluída, o custo deve ser um número igual ou maior que zero.');
+            }
+        }
+
+        // 5. Validate Descricao (Optional, just check if it's a string if provided)
+        if (this.descricao && typeof this.descricao !== 'string') {
+             erros.push('A descrição/observação deve ser um texto.');
+        }
+
+        // 6. Validate Quilometragem (Optional, non-negative number)
+        if (this.quilometragem !== null && (typeof this.quilometragem !== 'number' || isNaN(this.quilometragem) || this.quilometragem < 0)) {
+            erros.push('A quilometragem deve ser um número igual ou maior que zero.');
+        }
+
+        // 7. Validate the catalog item (Optional, see catalogo.js)
+        if (this.idServico !== null && typeof this.idServico !== 'string') {
+            erros.push('O serviço do catálogo é inválido.');
+        }
+
+        // 8. Validate Status
+        if (this.status !== 'agendada' && this.status !== 'concluida' && this.status !== 'cancelada') {
+             erros.push('Status de manutenção inválido.');
+        }
+
+        // 9. Validate line items and tax rates (Optional)
+        if (!Array.isArray(this.itens)) {
+            erros.push('Os itens da manutenção são inválidos.');
+        } else {
+            this.itens.forEach(item => erros.push(...item.validar()));
+        }
+        [[this.aliquotaPecas, 'peças'], [this.aliquotaMaoDeObra, 'mão de obra']].forEach(([aliquota, rotulo]) => {
+            if (typeof aliquota !== 'number' || isNaN(aliquota) || aliquota < 0 || aliquota > 100) {
+                erros.push(`O imposto sobre ${rotulo} deve ser um percentual entre 0 e 100.`);
+            }
+        });
+
+
+        return erros; // Return the array of errors
+    }
+
+    /**
+     * Checks if the maintenance data is valid based on the `validar` method.
+     * @returns {boolean} True if the data is valid, false otherwise.
+     */
+    isValid() {
+        // Allow scheduled/cancelled items to be valid even if cost validation fails (because cost *should* be null)
+        const erros = this.validar();
+         if (this.status !== 'concluida') {
+             // For scheduled/cancelled, all errors *except* the one about cost must be absent
+             return erros.filter(e => !e.includes('custo')).length === 0;
+         } else {
+             // For completed, there should be no errors at all
+             return erros.length === 0;
+         }
+    }
+
+    /**
+     * Changes fields of the record, keeping the change only if the result is still valid.
+     * @param {object} campos - Fields to change (data, tipo, custo, descricao, hora, status, quilometragem, idServico,
+     *                          itens, aliquotaPecas, aliquotaMaoDeObra). With items, custo is derived from them.
+     * @returns {string[]} Validation errors. An empty array means the change was applied.
+     */
+    atualizar(campos) {
+        const anterior = this.toJSON();
+        const candidato = Manutencao.fromJSON({ ...anterior, ...campos });
+        if (!candidato.isValid()) {
+            return candidato.validar();
+        }
+        Object.assign(this, candidato.toJSON(), { itens: candidato.itens }); // Items stay ItemManutencao instances
+        this.emitir('alterada', { manutencao: this, anterior });
+        return [];
+    }
+
+    /** Plain object used for persistence (listeners are not saved). */
+    toJSON() {
+        return {
+            id: this.id,
+            data: this.data,
+            tipo: this.tipo,
+            custo: this.custo,
+            descricao: this.descricao,
+            hora: this.hora,
+            status: this.status,
+            quilometragem: this.quilometragem,
+            idServico: this.idServico,
+            itens: this.itens.map(item => item.toJSON()),
+            aliquotaPecas: this.aliquotaPecas,
+            aliquotaMaoDeObra: this.aliquotaMaoDeObra
+        };
+    }
+
+    /**
+     * Rehydrates a record saved with `toJSON()`. Returns the same object if it already is a Manutencao.
+     * @param {object} dados - Plain maintenance data.
+     * @returns {Manutencao}
+     */
+    static fromJSON(dados) {
+        if (dados instanceof Manutencao) return dados;
+        const manutencao = new Manutencao(dados.data, dados.tipo, dados.custo, dados.descricao, dados.hora, dados.status);
+        if (dados.id) manutencao.id = dados.id;
+        if (dados.quilometragem !== undefined) manutencao.quilometragem = dados.quilometragem;
+        if (dados.idServico) manutencao.idServico = dados.idServico;
+        // Single-value records (no items) keep their custo
+        if (Array.isArray(dados.itens) && dados.itens.length > 0) {
+            manutencao.definirItens(
+                dados.itens.map(item => ItemManutencao.fromJSON(item || {})),
+                dados.aliquotaPecas !== undefined ? dados.aliquotaPecas : 0,
+                dados.aliquotaMaoDeObra !== undefined ? dados.aliquotaMaoDeObra : 0
+            );
+        } else {
+            if (dados.aliquotaPecas !== undefined) manutencao.aliquotaPecas = dados.aliquotaPecas;
+            if (dados.aliquotaMaoDeObra !== undefined) manutencao.aliquotaMaoDeObra = dados.aliquotaMaoDeObra;
+        }
+        return manutencao;
+    }
+}
+
+
+
+/**
+ * Formats a Date as "YYYY-MM-DD" in local time (toISOString would use UTC).
+ * @param {Date} [data=new Date()]
+ * @returns {string}
+ */
+function dataLocalISO(data = new Date()) {
+    const doisDigitos = n => String(n).padStart(2, '0');
+    return `${data.getFullYear()}-${doisDigitos(data.getMonth() + 1)}-${doisDigitos(data.getDate())}`;
+}
+
+/**
+ * Adds months to a "YYYY-MM-DD" date, keeping the day inside the target month (31/01 + 1 month = 28/02 or 29/02).
+ * @param {string} data - Date in YYYY-MM-DD.
+ * @param {number} meses - Months to add.
+ * @returns {string | null} The new date in YYYY-MM-DD, or null if `data` is invalid.
+ */
+function somarMeses(data, meses) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(data || '')) return null;
+    const [ano, mes, dia] = data.split('-').map(Number);
+    const ultimoDiaMes = new Date(ano, mes - 1 + meses + 1, 0).getDate();
+    return dataLocalISO(new Date(ano, mes - 1 + meses, Math.min(dia, ultimoDiaMes)));
+}
+
+/**
+ * Normalizes free text for comparisons: lowercase, no accents and single spaces,
+ * so "Troca de Óleo " and "troca de oleo" are the same service.
+ * @param {string} texto
+ * @returns {string}
+ */
+function normalizarTexto(texto) {
+    return String(texto || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Recurring maintenance rule of a vehicle, e.g. "Troca de óleo a cada 6 meses ou 10.000 km".
+ * A completed record with the same tipo schedules the next one (see Veiculo._aplicarPlanos).
+ */
+class PlanoManutencao {
+    /**
+     * @param {string} tipo - Service type, matched against Manutencao.tipo (case-insensitive).
+     * @param {number | null} [intervaloMeses=null] - Months between services.
+     * @param {number | null} [intervaloKm=null] - Kilometers between services.
+     */
+    constructor(tipo, intervaloMeses = null, intervaloKm = null) {
+        this.id = gerarId('plano'); // Replaced by the saved ID when rehydrated (fromJSON)
+        this.tipo = tipo || '';
+        this.intervaloMeses = intervaloMeses || null;
+        this.intervaloKm = intervaloKm || null;
+    }
+
+    /**
+     * Validates the plan: a service type and at least one positive interval.
+     * @returns {string[]} Error messages; empty if valid.
+     */
+    validar() {
+        const erros = [];
+        if (typeof this.tipo !== 'string' || this.tipo.trim() === '') {
+            erros.push('O tipo de serviço do plano não pode ser vazio.');
+        }
+        if (this.intervaloMeses === null && this.intervaloKm === null) {
+            erros.push('Informe o intervalo em meses, em km ou ambos.');
+        }
+        if (this.intervaloMeses !== null && (!Number.isInteger(this.intervaloMeses) || this.intervaloMeses <= 0)) {
+            erros.push('O intervalo em meses deve ser um número inteiro maior que zero.');
+        }
+        if (this.intervaloKm !== null && (typeof this.intervaloKm !== 'number' || isNaN(this.intervaloKm) || this.intervaloKm <= 0)) {
+            erros.push('O intervalo em km deve ser um número maior que zero.');
+        }
+        return erros;
+    }
+
+    isValid() {
+        return this.validar().length === 0;
+    }
+
+    /**
+     * Whether a record is of the service type of this plan.
+     * @param {Manutencao} manutencao
+     * @returns {boolean}
+     */
+    corresponde(manutencao) {
+        return normalizarTexto(manutencao.tipo) === normalizarTexto(this.tipo);
+    }
+
+    /**
+     * Date of the next service after one done on `dataBase`, by the months interval.
+     * @param {string} dataBase - Date of the last service (YYYY-MM-DD).
+     * @returns {string | null} Null if the plan has no months interval.
+     */
+    calcularProximaData(dataBase) {
+        return this.intervaloMeses ? somarMeses(dataBase, this.intervaloMeses) : null;
+    }
+
+    /**
+     * Odometer reading of the next service after one done at `kmBase`, by the km interval.
+     * @param {number} kmBase - Odometer reading of the last service.
+     * @returns {number | null} Null if the plan has no km interval.
+     */
+    calcularProximaQuilometragem(kmBase) {
+        return this.intervaloKm ? kmBase + this.intervaloKm : null;
+    }
+
+    /** @returns {string} E.g. "Troca de óleo a cada 6 meses ou 10.000 km". */
+    formatar() {
+        const intervalos = [];
+        if (this.intervaloMeses) intervalos.push(`${this.intervaloMeses} ${this.intervaloMeses === 1 ? 'mês' : 'meses'}`);
+        if (this.intervaloKm) intervalos.push(`${this.intervaloKm.toLocaleString('pt-BR')} km`);
+        return `${this.tipo} a cada ${intervalos.join(' ou ')}`;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            tipo: this.tipo,
+            intervaloMeses: this.intervaloMeses,
+            intervaloKm: this.intervaloKm
+        };
+    }
+
+    /**
+     * Rehydrates a plan saved with `toJSON()`. Returns the same object if it already is a PlanoManutencao.
+     * @param {object} dados
+     * @returns {PlanoManutencao}
+     */
+    static fromJSON(dados) {
+        if (dados instanceof PlanoManutencao) return dados;
+        const plano = new PlanoManutencao(dados.tipo, dados.intervaloMeses, dados.intervaloKm);
+        if (dados.id) plano.id = dados.id;
+        return plano;
+    }
+}
+
+
+const TIPOS_COMBUSTIVEL = ['Gasolina', 'Etanol', 'Diesel'];
+
+/**
+ * A refuel of a vehicle: litres, price per litre, total cost and fuel type.
+ */
+class Abastecimento {
+    /**
+     * @param {string} data - Date of the refuel (YYYY-MM-DD).
+     * @param {number} litros - Litres added.
+     * @param {number} precoLitro - Price per litre (R$).
+     * @param {string} tipoCombustivel - One of TIPOS_COMBUSTIVEL.
+     */
+    constructor(data, litros, precoLitro, tipoCombustivel) {
+        this.id = gerarId('abastecimento'); // Replaced by the saved ID when rehydrated (fromJSON)
+        this.data = data || '';
+        this.litros = litros;
+        this.precoLitro = precoLitro;
+        this.custoTotal = Math.round(litros * precoLitro * 100) / 100;
+        this.tipoCombustivel = tipoCombustivel || '';
+        this.quilometragem = null; // Odometer reading when refueled (set by the caller, see Veiculo.lerOdometro)
+    }
+
+    /**
+     * Validates the refuel data.
+     * @returns {string[]} Error messages; empty if valid.
+     */
+    validar() {
+        const erros = [];
+        // Round trip through Date rejects impossible dates such as 2024-02-30
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(this.data) || dataLocalISO(new Date(`${this.data}T00:00:00`)) !== this.data) {
+            erros.push('Data do abastecimento inválida (esperado AAAA-MM-DD).');
+        }
+        if (typeof this.litros !== 'number' || isNaN(this.litros) || this.litros <= 0) {
+            erros.push('A quantidade de litros deve ser um número maior que zero.');
+        }
+        if (typeof this.precoLitro !== 'number' || isNaN(this.precoLitro) || this.precoLitro <= 0) {
+            erros.push('O preço por litro deve ser um número maior que zero.');
+        }
+        if (!TIPOS_COMBUSTIVEL.includes(this.tipoCombustivel)) {
+            erros.push(`Tipo de combustível inválido (use ${TIPOS_COMBUSTIVEL.join(', ')}).`);
+        }
+        if (this.quilometragem !== null && (typeof this.quilometragem !== 'number' || isNaN(this.quilometragem) || this.quilometragem < 0)) {
+            erros.push('A quilometragem deve ser um número igual ou maior que zero.');
+        }
+        return erros;
+    }
+
+    isValid() {
+        return this.validar().length === 0;
+    }
+
+    /** @returns {string} E.g. "19/10/2026 - 40,00 L de Gasolina a R$ 5,89/L = R$ 235,60 - 12.345 km". */
+    formatar() {
+        const [ano, mes, dia] = this.data.split('-');
+        const moeda = valor => valor.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+        let info = `${dia}/${mes}/${ano} - ${this.litros.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} L de ${this.tipoCombustivel}`;
+        info += ` a ${moeda(this.precoLitro)}/L = ${moeda(this.custoTotal)}`;
+        if (this.quilometragem !== null) {
+            info += ` - ${this.quilometragem.toLocaleString('pt-BR', { maximumFractionDigits: 0 })} km`;
+        }
+        return info;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            data: this.data,
+            litros: this.litros,
+            precoLitro: this.precoLitro,
+            custoTotal: this.custoTotal,
+            tipoCombustivel: this.tipoCombustivel,
+            quilometragem: this.quilometragem
+        };
+    }
+
+    /**
+     * Rehydrates a refuel saved with `toJSON()`. Returns the same object if it already is an Abastecimento.
+     * The total cost is recalculated from litres and price.
+     * @param {object} dados
+     * @returns {Abastecimento}
+     */
+    static fromJSON(dados) {
+        if (dados instanceof Abastecimento) return dados;
+        const abastecimento = new Abastecimento(dados.data, dados.litros, dados.precoLitro, dados.tipoCombustivel);
+        if (dados.id) abastecimento.id = dados.id;
+        if (dados.quilometragem !== undefined) abastecimento.quilometragem = dados.quilometragem;
+        return abastecimento;
+    }
+}
+
+
+const INTERVALO_ODOMETRO_MS = 1000; // How often the odometer is updated while moving
+
+// --- Vehicle Identification ---
+
+const FORMATOS_PLACA = {
+    antiga: /^[A-Z]{3}[0-9]{4}$/, // ABC-1234
+    mercosul: /^[A-Z]{3}[0-9][A-Z][0-9]{2}$/ // ABC1D23
+};
+const ANO_MINIMO_VEICULO = 1886;
+
+/**
+ * @param {string} placa - Typed plate, with or without hyphen/spaces.
+ * @returns {string} Upper case, letters and digits only (e.g. "abc-1234" -> "ABC1234").
+ */
+function normalizarPlaca(placa) {
+    return String(placa || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * @param {string} placa - Normalized plate (see normalizarPlaca).
+ * @returns {'antiga' | 'mercosul' | null} The format of the plate, or null if it is invalid.
+ */
+function formatoPlaca(placa) {
+    return Object.keys(FORMATOS_PLACA).find(formato => FORMATOS_PLACA[formato].test(placa)) || null;
+}
+
+/** @returns {string} The plate as shown on the vehicle: "ABC-1234" (legacy) or "ABC1D23" (Mercosul). */
+function formatarPlaca(placa) {
+    return formatoPlaca(placa) === 'antiga' ? `${placa.slice(0, 3)}-${placa.slice(3)}` : placa;
+}
+
+/**
+ * Checks a 17-character VIN (ISO 3779) and its check digit (9th character, mod 11, "X" for 10).
+ * I, O and Q are not allowed, so they are not confused with 1 and 0.
+ * @param {string} chassi - Upper case VIN.
+ * @returns {boolean}
+ */
+function validarChassi(chassi) {
+    if (!/^[A-HJ-NPR-Z0-9]{17}$/.test(chassi)) return false;
+    const valores = { A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8, J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9, S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9 };
+    const pesos = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+    const soma = [...chassi].reduce((total, caractere, indice) => {
+        const valor = /[0-9]/.test(caractere) ? Number(caractere) : valores[caractere];
+        return total + valor * pesos[indice];
+    }, 0);
+    const resto = soma % 11;
+    return chassi[8] === (resto === 10 ? 'X' : String(resto));
+}
+
+/**
+ * Cleans typed identification data: normalized plate, upper case VIN without spaces, trimmed texts.
+ * @param {{placa?: string, chassi?: string, ano?: number | null, marca?: string, proprietario?: {nome?: string, telefone?: string, email?: string}}} [dados]
+ * @returns {{placa: string, chassi: string, ano: number | null, marca: string, proprietario: {nome: string, telefone: string, email: string}}}
+ */
+function normalizarIdentificacao({ placa = '', chassi = '', ano = null, marca = '', proprietario = {} } = {}) {
+    const { nome = '', telefone = '', email = '' } = proprietario || {};
+    return {
+        placa: normalizarPlaca(placa),
+        chassi: String(chassi || '').toUpperCase().replace(/\s/g, ''),
+        ano: typeof ano === 'number' && !isNaN(ano) ? ano : null,
+        marca: String(marca || '').trim(),
+        proprietario: { nome: String(nome || '').trim(), telefone: String(telefone || '').trim(), email: String(email || '').trim() }
+    };
+}
+
+/**
+ * Validates the identification of a vehicle. Every field is optional: empty values are not checked.
+ * @param {{placa?: string, chassi?: string, ano?: number | null, marca?: string, proprietario?: {nome?: string, telefone?: string, email?: string}}} dados
+ *        Plate and VIN already normalized.
+ * @returns {string[]} Error messages (empty if valid).
+ */
+function validarIdentificacaoVeiculo({ placa = '', chassi = '', ano = null, proprietario = {} } = {}) {
+    const erros = [];
+    if (placa && !formatoPlaca(placa)) {
+        erros.push(`Placa "${placa}" inválida: use o formato antigo (ABC-1234) ou Mercosul (ABC1D23).`);
+    }
+    if (chassi && !validarChassi(chassi)) {
+        erros.push(`Chassi "${chassi}" inválido: são 17 caracteres (sem I, O e Q) com dígito verificador na 9ª posição.`);
+    }
+    const anoMaximo = new Date().getFullYear() + 1; // Next year's models are sold this year
+    if (ano !== null && ano !== undefined && (!Number.isInteger(ano) || ano < ANO_MINIMO_VEICULO || ano > anoMaximo)) {
+        erros.push(`Ano inválido: informe um ano entre ${ANO_MINIMO_VEICULO} e ${anoMaximo}.`);
+    }
+    const { telefone = '', email = '' } = proprietario || {};
+    if (telefone && !/^\+?[0-9\s().-]+$/.test(telefone)) {
+        erros.push("Telefone do proprietário inválido: use apenas números, espaços, parênteses, + e -.");
+    } else if (telefone && !/^[0-9]{10,13}$/.test(telefone.replace(/[^0-9]/g, ''))) {
+        erros.push("Telefone do proprietário inválido: informe o DDD e o número (10 a 13 dígitos).");
+    }
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        erros.push(`E-mail do proprietário "${email}" inválido.`);
+    }
+    return erros;
+}
+
+// --- Veiculo Base Class ---
+/**
+ * Base vehicle. Events emitted (payload in braces):
+ * - 'ligado' {ligado}, 'velocidade' {velocidade, anterior, interno}, 'combustivel' {combustivel}
+ * - 'detalhes' {} when nome/modelo/cor/capacidadeTanque or the identification change, 'turbo' {turboAtivado}, 'carga' {cargaAtual}
+ * - 'manutencaoAdicionada' {manutencao}, 'manutencaoAlterada' {manutencao, anterior}, 'manutencaoRemovida' {manutencao}
+ * - 'planos' {planos} when a recurring plan is added or removed
+ * - 'abastecimentoAdicionado' {abastecimento} (also emits 'combustivel')
+ * - 'quilometragem' {quilometragem, manual} while moving (every INTERVALO_ODOMETRO_MS) and on manual adjustments
+ * - 'aviso' {mensagem} for messages that should be shown to the user
+ */
+class Veiculo extends EmissorEventos {
+    constructor(modelo, cor) {
+        super();
+        this.modelo = modelo || "Não definido"; // Default values
+        this.cor = cor || "Não definida";
+        // Identification (optional, see definirIdentificacao)
+        this.placa = ''; // Normalized (e.g. "ABC1234" or "ABC1D23")
+        this.chassi = ''; // VIN
+        this.ano = null;
+        this.marca = '';
+        this.proprietario = { nome: '', telefone: '', email: '' };
+        this.combustivel = 100;
+        this.capacidadeTanque = 50; // Litres; subclasses set their own default
+        this.historicoAbastecimento = []; // Refuels (Abastecimento)
+        this.historicoManutencao = []; // Added maintenance history array
+        this.planosManutencao = []; // Recurring plans (PlanoManutencao)
+        this.quilometragem = 0; // Odometer (km), integrated from the speed over time
+        this._ultimaLeituraOdometro = null; // Timestamp (ms) of the last integration
+        this._cronometroOdometro = null; // Interval that updates the odometer while moving
+        this.id = null; // Generated ID, will be set by Garagem
+        this.nome = null; // Display name (editable), will be set by Garagem
+    }
+
+    pintar(novaCor) {
+        if (novaCor && typeof novaCor === 'string' && novaCor.trim() !== '') {
+             this.cor = novaCor.trim();
+             console.log(`Veículo pintado de ${this.cor}`);
+             this.emitir('detalhes');
+             return true;
+        }
+        this.emitir('aviso', { mensagem: "Por favor, insira uma cor válida." });
+        return false;
+    }
+
+    renomear(novoNome) {
+        if (typeof novoNome !== 'string' || novoNome.trim() === '') {
+            this.emitir('aviso', { mensagem: "O nome do veículo não pode ser vazio." });
+            return false;
+        }
+        this.nome = novoNome.trim();
+        this.emitir('detalhes');
+        return true;
+    }
+
+    /**
+     * Changes model, color and tank capacity. Empty or invalid values keep the current ones.
+     * @param {{modelo?: string, cor?: string, capacidadeTanque?: number}} dados
+     */
+    atualizarDados({ modelo, cor, capacidadeTanque } = {}) {
+        if (modelo && modelo.trim() !== '') this.modelo = modelo.trim();
+        if (cor && cor.trim() !== '') this.cor = cor.trim();
+        if (typeof capacidadeTanque === 'number' && capacidadeTanque > 0) this.capacidadeTanque = capacidadeTanque;
+        this.emitir('detalhes');
+    }
+
+    /**
+     * Sets plate, VIN, year, brand and owner contact. Nothing changes if any of them is invalid.
+     * Empty values clear the field.
+     * @param {{placa?: string, chassi?: string, ano?: number | null, marca?: string, proprietario?: {nome?: string, telefone?: string, email?: string}}} dados
+     * @returns {boolean} True if the data was valid and applied.
+     */
+    definirIdentificacao(dados) {
+        const identificacao = normalizarIdentificacao(dados);
+        const erros = validarIdentificacaoVeiculo(identificacao);
+        if (erros.length > 0) {
+            this.emitir('aviso', { mensagem: `Identificação de ${this.nome || this.modelo} não salva:\n- ${erros.join('\n- ')}` });
+            return false;
+        }
+        Object.assign(this, identificacao);
+        this.emitir('detalhes');
+        return true;
+    }
+
+    /** @returns {string} "ABC-1234", "ABC1D23" or '' when there is no plate. */
+    formatarPlaca() {
+        return this.placa ? formatarPlaca(this.placa) : '';
+    }
+
+    /**
+     * Adds fuel (in percentage points), limited to 100%.
+     * @param {number} quantidade - Percentage to add (>= 0).
+     * @returns {boolean} True if the value was valid.
+     */
+    abastecer(quantidade) {
+        if (typeof quantidade !== 'number' || isNaN(quantidade) || quantidade < 0) {
+            this.emitir('aviso', { mensagem: "Insira uma quantidade de combustível válida (número >= 0)." });
+            return false;
+        }
+        this._definirCombustivel(Math.min(this.combustivel + quantidade, 100));
+        return true;
+    }
+
+    _definirCombustivel(valor) {
+        this.combustivel = Math.round(valor * 10) / 10; // Refuels in litres give fractional percentages
+        this.emitir('combustivel', { combustivel: this.combustivel });
+    }
+
+    /**
+     * Stores a refuel and adds its litres to the tank (as a percentage of capacidadeTanque).
+     * @param {Abastecimento} abastecimento
+     * @returns {boolean} True if stored; errors (invalid data, more litres than fit) are emitted as 'aviso'.
+     */
+    registrarAbastecimento(abastecimento) {
+        const erros = abastecimento.validar();
+        if (erros.length > 0) {
+            this.emitir('aviso', { mensagem: "Erro ao registrar abastecimento:\n" + erros.join("\n") });
+            return false;
+        }
+        const espacoLivre = this.litrosNoTanque(100 - this.combustivel);
+        if (abastecimento.litros > espacoLivre + 0.05) { // Tolerance for the rounded percentage
+            this.emitir('aviso', { mensagem: `Cabem apenas ${espacoLivre.toFixed(1)} L no tanque (capacidade ${this.capacidadeTanque} L, nível ${this.combustivel}%).` });
+            return false;
+        }
+        this.historicoAbastecimento.push(abastecimento);
+        this._definirCombustivel(Math.min(this.combustivel + (abastecimento.litros / this.capacidadeTanque) * 100, 100));
+        this.emitir('abastecimentoAdicionado', { abastecimento });
+        return true;
+    }
+
+    /**
+     * Converts a tank percentage to litres.
+     * @param {number} [porcentagem=this.combustivel]
+     * @returns {number}
+     */
+    litrosNoTanque(porcentagem = this.combustivel) {
+        return (porcentagem / 100) * this.capacidadeTanque;
+    }
+
+    // --- Odometer ---
+
+    /**
+     * Adds the distance covered since the last reading. The speed is constant between
+     * two calls, since every speed change goes through here first (Carro._definirVelocidade).
+     */
+    _acumularDistancia() {
+        const agora = Date.now();
+        if (this._ultimaLeituraOdometro !== null && this.velocidade > 0) {
+            const horas = (agora - this._ultimaLeituraOdometro) / 3600000;
+            this.quilometragem += this.velocidade * horas;
+        }
+        this._ultimaLeituraOdometro = agora;
+    }
+
+    /**
+     * Starts the odometer timer when the vehicle is moving and stops it when it is not.
+     * Called after each speed change, and by the garage for vehicles saved while moving.
+     */
+    sincronizarOdometro() {
+        const movendo = this.velocidade > 0;
+        if (movendo && !this._cronometroOdometro) {
+            this._ultimaLeituraOdometro = Date.now();
+            this._cronometroOdometro = setInterval(() => {
+                this._acumularDistancia();
+                this.emitir('quilometragem', { quilometragem: this.quilometragem, manual: false });
+            }, INTERVALO_ODOMETRO_MS);
+        } else if (!movendo && this._cronometroOdometro) {
+            clearInterval(this._cronometroOdometro);
+            this._cronometroOdometro = null;
+            this._ultimaLeituraOdometro = null;
+        }
+    }
+
+    /**
+     * Current odometer reading, rounded to 100 m, as recorded on maintenance records.
+     * @returns {number}
+     */
+    lerOdometro() {
+        if (this._cronometroOdometro) this._acumularDistancia();
+        return Math.round(this.quilometragem * 10) / 10;
+    }
+
+    /**
+     * Sets the odometer to a reading taken from the real vehicle.
+     * @param {number} valor - New reading in km (>= 0).
+     * @returns {boolean} True if the value was valid.
+     */
+    ajustarQuilometragem(valor) {
+        if (typeof valor !== 'number' || isNaN(valor) || valor < 0) {
+            this.emitir('aviso', { mensagem: "Insira uma quilometragem válida (número >= 0)." });
+            return false;
+        }
+        this.quilometragem = valor;
+        if (this._cronometroOdometro) this._ultimaLeituraOdometro = Date.now();
+        this.emitir('quilometragem', { quilometragem: this.quilometragem, manual: true });
+        return true;
+    }
+
+    /** @returns {string} E.g. "12.345,6 km". */
+    formatarQuilometragem() {
+        return `${this.quilometragem.toLocaleString('pt-BR', { minimumFractionDigits: 1, maximumFractionDigits: 1 })} km`;
+    }
+
+    /** Stops the timers of a vehicle that left the garage. */
+    descartar() {
+        if (this._cronometroOdometro) clearInterval(this._cronometroOdometro);
+        this._cronometroOdometro = null;
+    }
+
+    /**
+     * Adds a maintenance record (past or scheduled) to the vehicle's history if valid.
+     * @param {Manutencao} manutencao - The maintenance object to add.
+     * @returns {boolean} True if added; validation errors are emitted as 'aviso'.
+     */
+    adicionarManutencao(manutencao) {
+        if (!(manutencao instanceof Manutencao)) {
+            // Try to rehydrate if it's a plain object from storage
+            if (typeof manutencao === 'object' && manutencao !== null && manutencao.data && manutencao.tipo) {
+                manutencao = Manutencao.fromJSON(manutencao);
+            } else {
+                 this.emitir('aviso', { mensagem: "Erro interno: Objeto de manutenção inválido." });
+                 return false; // Indicate failure
+            }
+        }
+
+        // Use the object's own validation method
+        const erros = manutencao.validar();
+        const isValidForAdding = manutencao.isValid(); // Use the refined isValid
+
+        if (isValidForAdding) {
+            this._observarManutencao(manutencao);
+            this.historicoManutencao.push(manutencao);
+            console.log(`Manutenção registrada/agendada: ${manutencao.formatar()}`);
+            this.emitir('manutencaoAdicionada', { manutencao });
+            this._aplicarPlanos(manutencao);
+            return true; // Indicate success
+        } else {
+            this.emitir('aviso', { mensagem: `Erro ao ${manutencao.status === 'agendada' ? 'agendar' : 'adicionar'} manutenção:\n` + erros.join("\n") });
+            return false; // Indicate failure
+        }
+    }
+
+    /**
+     * Finds a maintenance record of this vehicle by its ID.
+     * @param {string} idManutencao
+     * @returns {Manutencao | null}
+     */
+    buscarManutencao(idManutencao) {
+        return this.historicoManutencao.find(m => m.id === idManutencao) || null;
+    }
+
+    /**
+     * Changes a maintenance record (see Manutencao.atualizar), keeping it only if still valid.
+     * @param {string} idManutencao
+     * @param {object} campos - Fields to change (data, tipo, custo, descricao, hora, status).
+     * @returns {boolean} True if changed; errors are emitted as 'aviso'.
+     */
+    atualizarManutencao(idManutencao, campos) {
+        const manutencao = this.buscarManutencao(idManutencao);
+        if (!manutencao) {
+            this.emitir('aviso', { mensagem: "Manutenção não encontrada." });
+            return false;
+        }
+        const erros = manutencao.atualizar(campos); // Emits 'alterada', re-emitted as 'manutencaoAlterada'
+        if (erros.length > 0) {
+            this.emitir('aviso', { mensagem: "Erro ao atualizar manutenção:\n" + erros.join("\n") });
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Marks a scheduled maintenance as done, with its final cost and the current odometer reading.
+     * @param {string} idManutencao
+     * @param {number} custo - Final cost (validated like a completed record).
+     * @returns {boolean} True if completed; errors are emitted as 'aviso'.
+     */
+    concluirManutencao(idManutencao, custo) {
+        const manutencao = this.buscarManutencao(idManutencao);
+        if (manutencao && manutencao.status !== 'agendada') {
+            this.emitir('aviso', { mensagem: "Apenas manutenções agendadas podem ser concluídas." });
+            return false;
+        }
+        // The odometer reading is the one of when the service is done, not when it was scheduled
+        return this.atualizarManutencao(idManutencao, { status: 'concluida', custo, quilometragem: this.lerOdometro() });
+    }
+
+    /**
+     * Cancels a scheduled maintenance. The record is kept in the history as 'cancelada'.
+     * @param {string} idManutencao
+     * @returns {boolean} True if cancelled; errors are emitted as 'aviso'.
+     */
+    cancelarManutencao(idManutencao) {
+        const manutencao = this.buscarManutencao(idManutencao);
+        if (manutencao && manutencao.status !== 'agendada') {
+            this.emitir('aviso', { mensagem: "Apenas manutenções agendadas podem ser canceladas." });
+            return false;
+        }
+        return this.atualizarManutencao(idManutencao, { status: 'cancelada' });
+    }
+
+    /**
+     * Deletes a maintenance record from the history.
+     * @param {string} idManutencao
+     * @returns {boolean} True if removed.
+     */
+    removerManutencao(idManutencao) {
+        const manutencao = this.buscarManutencao(idManutencao);
+        if (!manutencao) {
+            this.emitir('aviso', { mensagem: "Manutenção não encontrada." });
+            return false;
+        }
+        this.historicoManutencao.splice(this.historicoManutencao.indexOf(manutencao), 1);
+        this.emitir('manutencaoRemovida', { manutencao });
+        return true;
+    }
+
+    /**
+     * Links the records and plans of a free-text service type to a catalog item:
+     * they take the name and the ID of the item. Records already linked are kept.
+     * @param {string} tipoLivre - The free-text type, compared with normalizarTexto.
+     * @param {{id: string, nome: string}} servico - The catalog item.
+     * @param {function(string): boolean} [vinculado] - Whether an idServico is a valid link (e.g. the item still exists).
+     * @returns {number} How many records were linked.
+     */
+    vincularServico(tipoLivre, servico, vinculado = idServico => Boolean(idServico)) {
+        const chave = normalizarTexto(tipoLivre);
+        let vinculados = 0;
+        this.historicoManutencao
+            .filter(m => !vinculado(m.idServico) && normalizarTexto(m.tipo) === chave)
+            .forEach(m => {
+                if (m.atualizar({ tipo: servico.nome, idServico: servico.id }).length === 0) vinculados++;
+            });
+        const planos = this.planosManutencao.filter(p => normalizarTexto(p.tipo) === chave);
+        if (planos.length > 0) {
+            planos.forEach(p => { p.tipo = servico.nome; });
+            this.emitir('planos', { planos: this.planosManutencao });
+        }
+        return vinculados;
+    }
+
+    /**
+     * Re-emits changes of a record of this vehicle as 'manutencaoAlterada'.
+     * Completing an appointment counts as a new completed service for the plans.
+     */
+    _observarManutencao(manutencao) {
+        manutencao.on('alterada', ({ anterior }) => {
+            this.emitir('manutencaoAlterada', { manutencao, anterior });
+            if (anterior.status !== 'concluida' && manutencao.status === 'concluida') this._aplicarPlanos(manutencao);
+        });
+    }
+
+    // --- Recurring plans ---
+
+    /**
+     * Adds a recurring plan. If the service was already done, the next one is scheduled right away.
+     * @param {PlanoManutencao} plano
+     * @returns {boolean} True if added; validation errors are emitted as 'aviso'.
+     */
+    adicionarPlano(plano) {
+        const erros = plano.validar();
+        if (erros.length > 0) {
+            this.emitir('aviso', { mensagem: "Erro ao adicionar plano de manutenção:\n" + erros.join("\n") });
+            return false;
+        }
+        this.planosManutencao.push(plano);
+        this.emitir('planos', { planos: this.planosManutencao });
+        const ultima = this._ultimaConcluida(plano);
+        if (ultima) this._agendarProxima(plano, ultima);
+        return true;
+    }
+
+    /**
+     * Removes a recurring plan. Appointments it already created are kept.
+     * @param {string} idPlano
+     * @returns {boolean} True if removed.
+     */
+    removerPlano(idPlano) {
+        const indice = this.planosManutencao.findIndex(p => p.id === idPlano);
+        if (indice === -1) {
+            this.emitir('aviso', { mensagem: "Plano de manutenção não encontrado." });
+            return false;
+        }
+        this.planosManutencao.splice(indice, 1);
+        this.emitir('planos', { planos: this.planosManutencao });
+        return true;
+    }
+
+    /**
+     * Next due date of a plan: its pending appointment, else the last completed service plus the interval.
+     * @param {PlanoManutencao} plano
+     * @returns {string | null} Date in YYYY-MM-DD, or null if it cannot be known yet.
+     */
+    proximaDataPlano(plano) {
+        const pendente = this.historicoManutencao
+            .filter(m => m.status === 'agendada' && plano.corresponde(m) && m.getDateTime())
+            .sort((a, b) => a.getDateTime() - b.getDateTime())[0];
+        if (pendente) return pendente.data;
+        const ultima = this._ultimaConcluida(plano);
+        return ultima ? plano.calcularProximaData(ultima.data) : null;
+    }
+
+    /**
+     * Odometer reading at which a plan is due next: last completed service (with a reading) plus the interval.
+     * @param {PlanoManutencao} plano
+     * @returns {number | null} Null if the plan has no km interval or no reading to start from.
+     */
+    proximaQuilometragemPlano(plano) {
+        const ultima = this.historicoManutencao
+            .filter(m => m.status === 'concluida' && plano.corresponde(m) && m.isValid() && m.quilometragem !== null)
+            .sort((a, b) => b.getDateTime() - a.getDateTime())[0];
+        return ultima ? plano.calcularProximaQuilometragem(ultima.quilometragem) : null;
+    }
+
+    /**
+     * Whether a plan is overdue: its next date has passed or the odometer reached its next reading.
+     * @param {PlanoManutencao} plano
+     * @returns {boolean}
+     */
+    planoAtrasado(plano) {
+        const proximaData = this.proximaDataPlano(plano);
+        const proximaKm = this.proximaQuilometragemPlano(plano);
+        return (proximaData !== null && proximaData < dataLocalISO()) || (proximaKm !== null && this.quilometragem >= proximaKm);
+    }
+
+    /** Most recent valid completed record of the plan's service type, or null. */
+    _ultimaConcluida(plano) {
+        return this.historicoManutencao
+            .filter(m => m.status === 'concluida' && plano.corresponde(m) && m.isValid())
+            .sort((a, b) => b.getDateTime() - a.getDateTime())[0] || null;
+    }
+
+    /** Schedules the next service of every plan matching a newly completed record. */
+    _aplicarPlanos(manutencao) {
+        if (manutencao.status !== 'concluida') return;
+        this.planosManutencao
+            .filter(plano => plano.corresponde(manutencao))
+            .forEach(plano => {
+                // A back-dated record does not move the schedule of a newer service
+                if (this._ultimaConcluida(plano) === manutencao) this._agendarProxima(plano, manutencao);
+            });
+    }
+
+    /** Creates the appointment following `base`, unless that service is already scheduled. */
+    _agendarProxima(plano, base) {
+        const data = plano.calcularProximaData(base.data);
+        if (!data) return; // Plans by km only have no date to schedule
+        if (this.historicoManutencao.some(m => m.status === 'agendada' && plano.corresponde(m))) return;
+        const proxima = new Manutencao(data, base.tipo, null, `Agendado pelo plano: ${plano.formatar()}`, null, 'agendada');
+        proxima.idServico = base.idServico;
+        this.adicionarManutencao(proxima);
+    }
+
+    exibirInformacoes() {
+        let info = `Nome: ${this.nome || this.modelo}\nModelo: ${this.modelo}\nCor: ${this.cor}`;
+        if (this.marca) info += `\nMarca: ${this.marca}`;
+        if (this.ano !== null) info += `\nAno: ${this.ano}`;
+        if (this.placa) info += `\nPlaca: ${this.formatarPlaca()}`;
+        if (this.chassi) info += `\nChassi: ${this.chassi}`;
+        const contato = [this.proprietario.nome, this.proprietario.telefone, this.proprietario.email].filter(Boolean);
+        if (contato.length > 0) info += `\nProprietário: ${contato.join(' - ')}`;
+        info += `\nCombustível: ${this.combustivel}%`; // Changed to %
+        info += ` (${this.litrosNoTanque().toLocaleString('pt-BR', { maximumFractionDigits: 1 })} de ${this.capacidadeTanque} L)`;
+        info += `\nQuilometragem: ${this.formatarQuilometragem()}`;
+
+        // Spend breakdown of the completed services; the records themselves are in the history table (see historico.js)
+        const concluidas = this.historicoManutencao.filter(m => m.status === 'concluida' && m.isValid());
+        if (concluidas.length > 0) {
+            const moeda = valor => valor.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+            const detalhadas = concluidas.filter(m => m.itens.length > 0);
+            const somar = campo => detalhadas.reduce((soma, m) => soma + Math.round(m.calcularCustos()[campo] * 100), 0) / 100;
+            const centavos = lista => lista.reduce((soma, m) => soma + Math.round(m.custo * 100), 0);
+            info += `\nGasto com manutenção: ${moeda(centavos(concluidas) / 100)} em ${concluidas.length} serviço(s)`;
+            if (detalhadas.length > 0) {
+                const semItens = (centavos(concluidas) - centavos(detalhadas)) / 100;
+                info += `\n  Peças: ${moeda(somar('pecas'))}\n  Mão de obra: ${moeda(somar('maoDeObra'))}\n  Impostos: ${moeda(somar('impostos'))}`;
+                if (concluidas.length > detalhadas.length) info += `\n  Sem detalhamento: ${moeda(semItens)}`;
+            }
+        }
+        return info;
+    }
+
+    // --- Display text helpers (no DOM access, used by the view layer) ---
+    textoStatus() { return ''; }
+    formatarVelocidade() { return ''; }
+    textoInfo() { return ''; }
+
+    // --- Persistence ---
+
+    /** Plain object used for persistence. Subclasses add their own fields. */
+    toJSON() {
+        return {
+            tipo: this.constructor.name,
+            nome: this.nome,
+            modelo: this.modelo,
+            cor: this.cor,
+            placa: this.placa,
+            chassi: this.chassi,
+            ano: this.ano,
+            marca: this.marca,
+            proprietario: { ...this.proprietario },
+            combustivel: this.combustivel,
+            capacidadeTanque: this.capacidadeTanque,
+            historicoAbastecimento: this.historicoAbastecimento.map(a => a.toJSON()),
+            quilometragem: Math.round(this.quilometragem * 1000) / 1000, // Meters are enough
+            historicoManutencao: this.historicoManutencao.map(m => Manutencao.fromJSON(m).toJSON()),
+            planosManutencao: this.planosManutencao.map(p => p.toJSON())
+        };
+    }
+
+    /**
+     * Rehydrates a vehicle saved with `toJSON()`.
+     * @param {object} dados - Plain vehicle data (dados.tipo selects the class).
+     * @param {string} id - The vehicle's ID in the garage.
+     * @returns {Veiculo | null} Null if the type is unknown.
+     */
+    static fromJSON(dados, id) {
+        let novoVeiculo = null;
+
+        switch (dados.tipo) {
+            case 'Carro':
+                novoVeiculo = new Carro(dados.modelo, dados.cor);
+                break;
+            case 'CarroEsportivo':
+                novoVeiculo = new CarroEsportivo(dados.modelo, dados.cor);
+                 if (dados.hasOwnProperty('turboAtivado')) {
+                    novoVeiculo.turboAtivado = dados.turboAtivado;
+                }
+                break;
+            case 'Caminhao':
+                novoVeiculo = new Caminhao(dados.modelo, dados.cor, dados.capacidadeCarga);
+                 if (dados.hasOwnProperty('cargaAtual')) {
+                    novoVeiculo.cargaAtual = dados.cargaAtual;
+                }
+                break;
+            case 'Moto':
+                novoVeiculo = new Moto(dados.modelo, dados.cor);
+                break;
+            default:
+                console.warn(`Tipo desconhecido "${dados.tipo}" para ${id}.`);
+                return null;
+        }
+
+        // Restore common and inherited properties
+        novoVeiculo.placa = typeof dados.placa === 'string' ? dados.placa : '';
+        novoVeiculo.chassi = typeof dados.chassi === 'string' ? dados.chassi : '';
+        novoVeiculo.ano = typeof dados.ano === 'number' ? dados.ano : null;
+        novoVeiculo.marca = typeof dados.marca === 'string' ? dados.marca : '';
+        const proprietario = dados.proprietario && typeof dados.proprietario === 'object' ? dados.proprietario : {};
+        novoVeiculo.proprietario = {
+            nome: typeof proprietario.nome === 'string' ? proprietario.nome : '',
+            telefone: typeof proprietario.telefone === 'string' ? proprietario.telefone : '',
+            email: typeof proprietario.email === 'string' ? proprietario.email : ''
+        };
+        novoVeiculo.combustivel = typeof dados.combustivel === 'number' ? dados.combustivel : 100;
+        novoVeiculo.quilometragem = typeof dados.quilometragem === 'number' ? dados.quilometragem : 0;
+        novoVeiculo.capacidadeTanque = dados.capacidadeTanque > 0 ? dados.capacidadeTanque : novoVeiculo.capacidadeTanque; // Default comes from the constructor
+        if (Array.isArray(dados.historicoAbastecimento)) {
+            novoVeiculo.historicoAbastecimento = dados.historicoAbastecimento.map(a => Abastecimento.fromJSON(a));
+        }
+        novoVeiculo.ligado = dados.ligado || false;
+        novoVeiculo.velocidade = dados.velocidade || 0;
+        novoVeiculo.velocidadeMaxima = dados.velocidadeMaxima || novoVeiculo.velocidadeMaxima; // Default Vmax comes from the constructor
+
+        // Rehydrate historicoManutencao
+        if (Array.isArray(dados.historicoManutencao)) {
+            dados.historicoManutencao.forEach(m => {
+                const manutencao = Manutencao.fromJSON(m);
+                novoVeiculo._observarManutencao(manutencao);
+                novoVeiculo.historicoManutencao.push(manutencao);
+            });
+        }
+        if (Array.isArray(dados.planosManutencao)) {
+            novoVeiculo.planosManutencao = dados.planosManutencao.map(p => PlanoManutencao.fromJSON(p));
+        }
+
+        novoVeiculo.id = id;
+        novoVeiculo.nome = dados.nome || novoVeiculo.modelo; // Older saves have no name
+        return novoVeiculo;
+    }
+}
+
+// --- Car Class ---
+class Carro extends Veiculo {
+    constructor(modelo, cor) {
+        super(modelo, cor);
+        this.ligado = false;
+        this.velocidade = 0;
+        this.velocidadeMaxima = 200;
+    }
+
+    ligar() {
+        if (this.ligado) return;
+        if (this.combustivel > 0) {
+            this.ligado = true;
+            console.log("Carro ligado!");
+            this.emitir('ligado', { ligado: true });
+        } else {
+            this.emitir('aviso', { mensagem: "Sem combustível! Abasteça o carro." });
+        }
+    }
+
+    desligar() {
+        if (!this.ligado) return;
+
+        this.ligado = false;
+
+        if (this.velocidade > 0) {
+             const interval = setInterval(() => {
+                 this.frear(true); // Pass flag to indicate internal call from desligar
+                 if (this.velocidade === 0) {
+                    clearInterval(interval);
+                     console.log("Carro desligado após parar.");
+                     this.emitir('ligado', { ligado: false }); // Announced only after stopping
+                 }
+             }, 100); // Adjust interval time as needed
+        } else {
+             console.log("Carro desligado.");
+             this.emitir('ligado', { ligado: false });
+        }
+    }
+
+    /**
+     * Sets the speed and emits 'velocidade'.
+     * @param {number} valor - New speed in km/h.
+     * @param {boolean} [interno=false] - True when braking automatically (desligar), no animation or save needed.
+     */
+    _definirVelocidade(valor, interno = false) {
+        const anterior = this.velocidade;
+        this._acumularDistancia(); // Distance covered at the previous speed
+        this.velocidade = valor;
+        this.sincronizarOdometro();
+        this.emitir('velocidade', { velocidade: this.velocidade, anterior, interno });
+    }
+
+    acelerar() {
+        if (!this.ligado) {
+            this.emitir('aviso', { mensagem: "Ligue o carro primeiro!" });
+            return;
+        }
+        if (this.combustivel <= 0) {
+             this.emitir('aviso', { mensagem: "Sem combustível! Abasteça o carro." });
+             this.desligar();
+             return;
+        }
+        if (this.velocidade >= this.velocidadeMaxima) {
+             this.velocidade = this.velocidadeMaxima;
+            return; // Already at max speed
+        }
+
+        this._definirVelocidade(Math.min(this.velocidade + 10, this.velocidadeMaxima));
+        this._definirCombustivel(Math.max(this.combustivel - 5, 0)); // Consume fuel
+        console.log(`Acelerando! Velocidade: ${this.velocidade}, Combustível: ${this.combustivel}%`);
+
+        if (this.combustivel <= 0) {
+            console.log("Sem combustível! O carro vai desligar.");
+            this.desligar();
+        }
+    }
+
+    frear(interno = false) { // Add flag to know if called internally (e.g., by desligar)
+        if (this.velocidade === 0) {
+            return; // Cannot brake if already stopped
+        }
+
+        this._definirVelocidade(Math.max(this.velocidade - 10, 0), interno); // Decrease speed
+        console.log(`Freando! Velocidade: ${this.velocidade}`);
+    }
+
+    /** Text shown in the status paragraph (Moto overrides for "Ligada"/"Desligada"). */
+    textoStatus() {
+        return this.ligado ? 'Ligado' : 'Desligado';
+    }
+
+    /** Text shown in the speed display (Caminhao overrides to show decimals). */
+    formatarVelocidade() {
+        return this.velocidade + " km/h";
+    }
+
+     exibirInformacoes() {
+        let baseInfo = super.exibirInformacoes();
+        return `${baseInfo}\nLigado: ${this.ligado ? 'Sim' : 'Não'}\nVelocidade: ${this.velocidade} km/h`;
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            ligado: this.ligado,
+            velocidade: this.velocidade,
+            velocidadeMaxima: this.velocidadeMaxima
+        };
+    }
+}
+
+
+// --- Sports Car Class ---
+class CarroEsportivo extends Carro {
+    constructor(modelo, cor) {
+        super(modelo, cor);
+        this.turboAtivado = false;
+        this.velocidadeMaxima = 300; // Higher max speed
+        this.capacidadeTanque = 70;
+    }
+
+    ativarTurbo() {
+        if (!this.ligado) return this.emitir('aviso', { mensagem: "Ligue o carro esportivo primeiro!" });
+        if (this.turboAtivado) return;
+        if (this.combustivel < 20) return this.emitir('aviso', { mensagem: "Combustível baixo demais para ativar o turbo!" });
+
+        this.turboAtivado = true;
+        console.log('Turbo Ativado!');
+        this.emitir('turbo', { turboAtivado: true });
+        this.emitir('aviso', { mensagem: 'Turbo Ativado!' });
+    }
+
+    desativarTurbo() {
+         if (!this.turboAtivado) return;
+        this.turboAtivado = false;
+        console.log('Turbo Desativado!');
+         this.emitir('turbo', { turboAtivado: false });
+         this.emitir('aviso', { mensagem: 'Turbo Desativado!' });
+    }
+
+    acelerar() {
+        if (!this.ligado) return this.emitir('aviso', { mensagem: "Ligue o carro esportivo primeiro!" });
+        if (this.combustivel <= 0) { this.desligar(); return this.emitir('aviso', { mensagem: "Sem combustível! Abasteça o carro." }); }
+        if (this.velocidade >= this.velocidadeMaxima) { this.velocidade = this.velocidadeMaxima; return; }
+
+        const aumento = this.turboAtivado ? 50 : 20;
+        const consumo = this.turboAtivado ? 15 : 10;
+
+        this._definirVelocidade(Math.min(this.velocidade + aumento, this.velocidadeMaxima));
+        this._definirCombustivel(Math.max(this.combustivel - consumo, 0));
+        console.log(`Acelerando Carro Esportivo (Turbo: ${this.turboAtivado})! Vel: ${this.velocidade}, Comb: ${this.combustivel}%`);
+
+        if (this.combustivel <= 0) {
+            console.log("Sem combustível! O carro vai desligar.");
+             if (this.turboAtivado) this.desativarTurbo();
+            this.desligar();
+        }
+    }
+
+    frear(interno = false) {
+         if (this.velocidade === 0) {
+             return;
+         }
+        this._definirVelocidade(Math.max(this.velocidade - 20, 0), interno); // Brakes harder
+        console.log(`Freando Carro Esportivo! Velocidade: ${this.velocidade}`);
+    }
+
+     textoInfo() {
+         return `Turbo: ${this.turboAtivado ? 'Ativado' : 'Desativado'}`;
+     }
+
+     exibirInformacoes() {
+        let baseInfo = super.exibirInformacoes();
+        return `${baseInfo}\nTurbo: ${this.turboAtivado ? 'Ativado' : 'Desativado'}`;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), turboAtivado: this.turboAtivado };
+    }
+}
+
+
+// --- Truck Class ---
+class Caminhao extends Carro {
+    constructor(modelo, cor, capacidadeCarga) {
+        super(modelo, cor);
+        this.capacidadeCarga = (!isNaN(capacidadeCarga) && capacidadeCarga > 0) ? capacidadeCarga : 1000;
+        this.cargaAtual = 0;
+        this.velocidadeMaxima = 120; // Lower max speed
+        this.capacidadeTanque = 300;
+    }
+
+    carregar(peso) {
+         const pesoNumerico = parseInt(peso, 10);
+         if (isNaN(pesoNumerico) || pesoNumerico <= 0) return this.emitir('aviso', { mensagem: "Por favor, insira um peso válido (número positivo) para carregar." });
+         if (this.cargaAtual + pesoNumerico > this.capacidadeCarga) return this.emitir('aviso', { mensagem: `Carga excede a capacidade máxima de ${this.capacidadeCarga} kg! Carga atual: ${this.cargaAtual} kg.` });
+
+        this.cargaAtual += pesoNumerico;
+        console.log(`Caminhão carregado com ${pesoNumerico}kg. Carga atual: ${this.cargaAtual}kg`);
+        this.emitir('carga', { cargaAtual: this.cargaAtual });
+        this.emitir('aviso', { mensagem: `Caminhão carregado. Carga atual: ${this.cargaAtual}kg` });
+    }
+
+    descarregar(peso) {
+        const pesoNumerico = parseInt(peso, 10);
+         if (isNaN(pesoNumerico) || pesoNumerico <= 0) return this.emitir('aviso', { mensagem: "Por favor, insira um peso válido (número positivo) para descarregar." });
+         if (pesoNumerico > this.cargaAtual) return this.emitir('aviso', { mensagem: `Não é possível descarregar ${pesoNumerico}kg. Carga atual: ${this.cargaAtual}kg.` });
+
+        this.cargaAtual -= pesoNumerico;
+        console.log(`Caminhão descarregado em ${pesoNumerico}kg. Carga atual: ${this.cargaAtual}kg`);
+         this.emitir('carga', { cargaAtual: this.cargaAtual });
+         this.emitir('aviso', { mensagem: `Caminhão descarregado. Carga atual: ${this.cargaAtual}kg` });
+    }
+
+    /**
+     * Changes model, color, tank and load capacity. Changing the load capacity empties the current load.
+     * @param {{modelo?: string, cor?: string, capacidadeTanque?: number, capacidadeCarga?: number}} dados
+     */
+    atualizarDados({ modelo, cor, capacidadeTanque, capacidadeCarga } = {}) {
+        if (typeof capacidadeCarga === 'number' && !isNaN(capacidadeCarga) && this.capacidadeCarga !== capacidadeCarga) {
+            console.log("Capacidade do caminhão alterada. Zerando carga atual.");
+            this.capacidadeCarga = capacidadeCarga > 0 ? capacidadeCarga : 1000;
+            this.cargaAtual = 0;
+            this.emitir('carga', { cargaAtual: this.cargaAtual });
+        }
+        super.atualizarDados({ modelo, cor, capacidadeTanque });
+    }
+
+     acelerar() {
+         if (!this.ligado) return this.emitir('aviso', { mensagem: "Ligue o caminhão primeiro!" });
+         if (this.combustivel <= 0) { this.desligar(); return this.emitir('aviso', { mensagem: "Sem combustível! Abasteça o caminhão." }); }
+         if (this.velocidade >= this.velocidadeMaxima) { this.velocidade = this.velocidadeMaxima; return; }
+
+         const fatorCarga = 1 - (this.cargaAtual / (this.capacidadeCarga * 2));
+         const aumento = Math.max(5, 10 * fatorCarga);
+         const consumo = 8 + (this.cargaAtual / this.capacidadeCarga) * 4;
+
+         this._definirVelocidade(Math.min(this.velocidade + aumento, this.velocidadeMaxima));
+         this._definirCombustivel(Math.max(this.combustivel - consumo, 0));
+         console.log(`Acelerando Caminhão! Vel: ${this.velocidade.toFixed(1)}, Comb: ${this.combustivel.toFixed(1)}%, Carga: ${this.cargaAtual}kg`);
+
+         if (this.combustivel <= 0) {
+             console.log("Sem combustível! O caminhão vai desligar.");
+             this.desligar();
+         }
+     }
+
+     frear(interno = false) {
+          if (this.velocidade === 0) {
+              return;
+          }
+         const fatorCarga = 1 + (this.cargaAtual / this.capacidadeCarga);
+         const reducao = Math.max(10 / fatorCarga, 2);
+
+         this._definirVelocidade(Math.max(this.velocidade - reducao, 0), interno);
+         console.log(`Freando Caminhão! Velocidade: ${this.velocidade.toFixed(1)}`);
+     }
+
+     formatarVelocidade() {
+        return this.velocidade.toFixed(1) + " km/h";
+    }
+
+      textoInfo() {
+         return `Carga Atual: ${this.cargaAtual}kg (Capacidade: ${this.capacidadeCarga}kg)`;
+     }
+
+     exibirInformacoes() {
+        let baseInfo = super.exibirInformacoes();
+        return `${baseInfo}\nCarga: ${this.cargaAtual}kg / ${this.capacidadeCarga}kg`;
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            capacidadeCarga: this.capacidadeCarga,
+            cargaAtual: this.cargaAtual
+        };
+    }
+}
+
+
+// --- Motorcycle Class ---
+class Moto extends Carro {
+    constructor(modelo, cor) {
+        super(modelo, cor);
+        this.velocidadeMaxima = 180; // Different max speed
+        this.capacidadeTanque = 15;
+    }
+
+    ligar() {
+         if (this.ligado) return;
+        if (this.combustivel > 0) {
+            this.ligado = true;
+            console.log("Moto ligada! Vrumm!");
+            this.emitir('ligado', { ligado: true });
+        } else {
+            this.emitir('aviso', { mensagem: "Sem combustível! Abasteça a moto." });
+        }
+    }
+
+    desligar() {
+        if (!this.ligado) return;
+        this.ligado = false;
+        if (this.velocidade > 0) {
+             const interval = setInterval(() => {
+                 this.frear(true); // Pass internal flag
+                 if (this.velocidade === 0) {
+                    clearInterval(interval);
+                    console.log("Moto desligada após parar.");
+                    this.emitir('ligado', { ligado: false });
+                 }
+             }, 80);
+        } else {
+            console.log("Moto desligada.");
+            this.emitir('ligado', { ligado: false });
+        }
+    }
+
+    acelerar() {
+        if (!this.ligado) return this.emitir('aviso', { mensagem: "Ligue a moto primeiro!" });
+        if (this.combustivel <= 0) { this.desligar(); return this.emitir('aviso', { mensagem: "Sem combustível! Abasteça a moto." }); }
+        if (this.velocidade >= this.velocidadeMaxima) { this.velocidade = this.velocidadeMaxima; return; }
+
+        this._definirVelocidade(Math.min(this.velocidade + 15, this.velocidadeMaxima));
+        this._definirCombustivel(Math.max(this.combustivel - 3, 0)); // More fuel efficient?
+        console.log(`Acelerando a moto! Vel: ${this.velocidade}, Comb: ${this.combustivel}%`);
+
+        if (this.combustivel <= 0) {
+            console.log("Sem combustível! A moto vai desligar.");
+            this.desligar();
+        }
+    }
+
+    frear(interno = false) {
+        if (this.velocidade === 0) {
+            return;
+        }
+        this._definirVelocidade(Math.max(this.velocidade - 15, 0), interno);
+         console.log(`Freando Moto! Velocidade: ${this.velocidade}`);
+    }
+
+    textoStatus() {
+        return this.ligado ? 'Ligada' : 'Desligada'; // Specific text
+    }
+
+     exibirInformacoes() {
+        // Call the *base* Veiculo method to get model/color/fuel + COMPLETED maintenance
+        let baseInfo = Veiculo.prototype.exibirInformacoes.call(this);
+        return `${baseInfo}\nStatus: ${this.ligado ? 'Ligada' : 'Desligada'}\nVelocidade: ${this.velocidade} km/h`;
+    }
+}
+
+
+// Allows `require('./modelo.js')` in Node (tests, scripts); browsers use the globals above.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EmissorEventos, gerarId, normalizarPlaca, formatoPlaca, formatarPlaca, validarChassi, normalizarIdentificacao, validarIdentificacaoVeiculo, TIPOS_ITEM_MANUTENCAO, ItemManutencao, Manutencao, dataLocalISO, somarMeses, normalizarTexto, PlanoManutencao, TIPOS_COMBUSTIVEL, Abastecimento, Veiculo, Carro, CarroEsportivo, Caminhao, Moto };
+}
@@ -0,0 +1,249 @@
+/**
+ * Workshop capacity: opening hours, number of bays and service durations. Appointments with a
+ * time occupy a bay for the duration of their service; Garagem checks new and moved appointments
+ * with verificarAgendamento and offers the slots of sugerirHorarios.
+ */
+
+const DIAS_SEMANA = ['Domingo', 'Segunda', 'Terça', 'Quarta', 'Quinta', 'Sexta', 'Sábado'];
+const INTERVALO_SUGESTOES_MINUTOS = 30; // Step of the suggested slots
+const DIAS_BUSCA_SUGESTOES = 14; // How far ahead free slots are searched
+
+/** Workshop of a new garage (and of saves made before the workshop settings existed). */
+const OFICINA_PADRAO = {
+    // Indexed by Date.getDay() (0 = Sunday); null means closed
+    horarios: [
+        null,
+        { abertura: '08:00', fechamento: '18:00' },
+        { abertura: '08:00', fechamento: '18:00' },
+        { abertura: '08:00', fechamento: '18:00' },
+        { abertura: '08:00', fechamento: '18:00' },
+        { abertura: '08:00', fechamento: '18:00' },
+        { abertura: '08:00', fechamento: '12:00' }
+    ],
+    boxes: 2,
+    duracaoPadraoMinutos: 60
+};
+
+/**
+ * @param {string} hora - "HH:MM".
+ * @returns {number} Minutes since midnight.
+ */
+function minutosDoDia(hora) {
+    const [h, m] = hora.split(':').map(Number);
+    return h * 60 + m;
+}
+
+/**
+ * @param {number} minutos - Minutes since midnight.
+ * @returns {string} "HH:MM".
+ */
+function horaDosMinutos(minutos) {
+    return `${String(Math.floor(minutos / 60)).padStart(2, '0')}:${String(minutos % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Opening hours, bays and default service duration of the workshop.
+ * Events: 'alterado' {oficina} after a change, 'aviso' {mensagem} for invalid settings.
+ */
+class Oficina extends EmissorEventos {
+    /**
+     * @param {Array<{abertura: string, fechamento: string} | null>} horarios - 7 entries indexed by Date.getDay(); null when closed.
+     * @param {number} boxes - Appointments that can happen at the same time.
+     * @param {number} duracaoPadraoMinutos - Duration of services without one in the catalog.
+     */
+    constructor(horarios, boxes, duracaoPadraoMinutos) {
+        super();
+        this.horarios = horarios;
+        this.boxes = boxes;
+        this.duracaoPadraoMinutos = duracaoPadraoMinutos;
+    }
+
+    /** @returns {Oficina} A workshop with OFICINA_PADRAO. */
+    static padrao() {
+        return Oficina.fromJSON(OFICINA_PADRAO);
+    }
+
+    /** @returns {string[]} Validation errors (empty if valid). */
+    validar() {
+        const erros = [];
+        const formatoHora = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+        if (!Array.isArray(this.horarios) || this.horarios.length !== 7) {
+            erros.push('Informe o horário dos 7 dias da semana.');
+        } else {
+            this.horarios.forEach((horario, dia) => {
+                if (horario === null) return;
+                if (!horario || !formatoHora.test(horario.abertura) || !formatoHora.test(horario.fechamento)) {
+                    erros.push(`${DIAS_SEMANA[dia]}: horário de abertura/fechamento inválido.`);
+                } else if (minutosDoDia(horario.abertura) >= minutosDoDia(horario.fechamento)) {
+                    erros.push(`${DIAS_SEMANA[dia]}: a abertura deve ser antes do fechamento.`);
+                }
+            });
+        }
+        if (!Number.isInteger(this.boxes) || this.boxes < 1) erros.push('O número de boxes deve ser um inteiro maior que zero.');
+        if (!Number.isInteger(this.duracaoPadraoMinutos) || this.duracaoPadraoMinutos <= 0) {
+            erros.push('A duração padrão deve ser um número inteiro de minutos maior que zero.');
+        }
+        return erros;
+    }
+
+    isValid() {
+        return this.validar().length === 0;
+    }
+
+    /**
+     * Changes the settings if the result is valid.
+     * @param {{horarios?: Array, boxes?: number, duracaoPadraoMinutos?: number}} campos
+     * @returns {boolean} True if changed.
+     */
+    atualizar(campos) {
+        const candidato = Oficina.fromJSON({ ...this.toJSON(), ...campos });
+        const erros = candidato.validar();
+        if (erros.length > 0) {
+            this.emitir('aviso', { mensagem: `Configuração da oficina inválida:\n- ${erros.join('\n- ')}` });
+            return false;
+        }
+        Object.assign(this, candidato.toJSON());
+        this.emitir('alterado', { oficina: this });
+        return true;
+    }
+
+    /**
+     * Minutes a record occupies a bay: the duration of its catalog service, or the default.
+     * @param {Manutencao | {tipo: string, idServico?: string | null}} manutencao
+     * @param {CatalogoServicos | null} catalogo
+     * @returns {number}
+     */
+    duracaoDe(manutencao, catalogo) {
+        const servico = catalogo ? (catalogo.buscar(manutencao.idServico) || catalogo.encontrar(manutencao.tipo)) : null;
+        return servico && servico.duracaoMinutos !== null ? servico.duracaoMinutos : this.duracaoPadraoMinutos;
+    }
+
+    /**
+     * @param {string} data - YYYY-MM-DD.
+     * @returns {{abertura: string, fechamento: string} | null} Opening hours of that day, null if closed.
+     */
+    horarioDe(data) {
+        const [ano, mes, dia] = data.split('-').map(Number);
+        return this.horarios[new Date(ano, mes - 1, dia).getDay()];
+    }
+
+    /**
+     * @param {string} data - YYYY-MM-DD.
+     * @param {string | null} hora - "HH:MM"; without it only the day is checked.
+     * @param {number} duracao - Minutes.
+     * @returns {string | null} Why the slot is outside the opening hours, or null if it is inside.
+     */
+    verificarHorario(data, hora, duracao) {
+        const horario = this.horarioDe(data);
+        const [ano, mes, dia] = data.split('-').map(Number);
+        const nomeDia = DIAS_SEMANA[new Date(ano, mes - 1, dia).getDay()];
+        if (!horario) return `A oficina não abre ${nomeDia === 'Sábado' || nomeDia === 'Domingo' ? 'aos' : 'às'} ${nomeDia.toLowerCase()}s.`;
+        if (!hora) return null;
+        const inicio = minutosDoDia(hora);
+        if (inicio < minutosDoDia(horario.abertura) || inicio + duracao > minutosDoDia(horario.fechamento)) {
+            return `Fora do horário da oficina (${nomeDia}: ${horario.abertura} às ${horario.fechamento}; o serviço leva ${duracao} min).`;
+        }
+        return null;
+    }
+
+    /**
+     * Bays taken by the scheduled appointments that have a time. Appointments without a time
+     * have no slot and are not counted.
+     * @param {Veiculo[]} veiculos
+     * @param {CatalogoServicos | null} catalogo
+     * @param {string | null} [idIgnorado=null] - Record being moved (it does not conflict with itself).
+     * @returns {Array<{veiculo: Veiculo, manutencao: Manutencao, inicio: number, fim: number}>} Times in ms.
+     */
+    ocupacao(veiculos, catalogo, idIgnorado = null) {
+        const ocupados = [];
+        veiculos.forEach(veiculo => {
+            veiculo.historicoManutencao.forEach(manutencao => {
+                if (manutencao.status !== 'agendada' || !manutencao.hora || manutencao.id === idIgnorado || !manutencao.isValid()) return;
+                const inicio = manutencao.getDateTime();
+                if (!inicio) return;
+                ocupados.push({ veiculo, manutencao, inicio: inicio.getTime(), fim: inicio.getTime() + this.duracaoDe(manutencao, catalogo) * 60000 });
+            });
+        });
+        return ocupados;
+    }
+
+    /**
+     * Checks a slot against the opening hours, the bays and the other appointments of the vehicle.
+     * @param {Array<{veiculo: Veiculo, inicio: number, fim: number}>} ocupados - See ocupacao().
+     * @param {{veiculo: Veiculo, data: string, hora: string | null, duracao: number}} slot
+     * @returns {{foraDoHorario: string | null, lotado: boolean, conflitosVeiculo: Manutencao[]}}
+     */
+    verificarAgendamento(ocupados, { veiculo, data, hora, duracao }) {
+        const resultado = { foraDoHorario: this.verificarHorario(data, hora, duracao), lotado: false, conflitosVeiculo: [] };
+        if (!hora) return resultado;
+
+        const [ano, mes, dia] = data.split('-').map(Number);
+        const [h, m] = hora.split(':').map(Number);
+        const inicio = new Date(ano, mes - 1, dia, h, m).getTime();
+        const fim = inicio + duracao * 60000;
+        const sobrepostos = ocupados.filter(o => o.inicio < fim && o.fim > inicio);
+        resultado.conflitosVeiculo = sobrepostos.filter(o => o.veiculo === veiculo).map(o => o.manutencao);
+
+        // Most bays in use at once during the slot: the count only changes when an appointment starts
+        const momentos = [inicio, ...sobrepostos.map(o => o.inicio).filter(t => t > inicio)];
+        const maximo = Math.max(0, ...momentos.map(t => sobrepostos.filter(o => o.inicio <= t && o.fim > t).length));
+        resultado.lotado = maximo >= this.boxes;
+        return resultado;
+    }
+
+    /**
+     * Next slots with a free bay, inside the opening hours and without another appointment of the vehicle.
+     * @param {Array<{veiculo: Veiculo, inicio: number, fim: number}>} ocupados - See ocupacao().
+     * @param {{veiculo: Veiculo, duracao: number, aPartirDe: Date}} pedido - Searched from aPartirDe, for DIAS_BUSCA_SUGESTOES days.
+     * @param {number} [quantidade=3]
+     * @returns {Array<{data: string, hora: string}>}
+     */
+    sugerirHorarios(ocupados, { veiculo, duracao, aPartirDe }, quantidade = 3) {
+        const sugestoes = [];
+        const dia = new Date(aPartirDe.getFullYear(), aPartirDe.getMonth(), aPartirDe.getDate());
+        for (let d = 0; d < DIAS_BUSCA_SUGESTOES && sugestoes.length < quantidade; d++, dia.setDate(dia.getDate() + 1)) {
+            const horario = this.horarios[dia.getDay()];
+            if (!horario) continue;
+            const data = dataLocalISO(dia);
+            let minuto = minutosDoDia(horario.abertura);
+            if (d === 0) {
+                // Same day: only slots after aPartirDe, aligned to the suggestion step
+                const agora = aPartirDe.getHours() * 60 + aPartirDe.getMinutes();
+                minuto = Math.max(minuto, Math.ceil(agora / INTERVALO_SUGESTOES_MINUTOS) * INTERVALO_SUGESTOES_MINUTOS);
+            }
+            for (; minuto + duracao <= minutosDoDia(horario.fechamento) && sugestoes.length < quantidade; minuto += INTERVALO_SUGESTOES_MINUTOS) {
+                const hora = horaDosMinutos(minuto);
+                const verificacao = this.verificarAgendamento(ocupados, { veiculo, data, hora, duracao });
+                if (!verificacao.foraDoHorario && !verificacao.lotado && verificacao.conflitosVeiculo.length === 0) sugestoes.push({ data, hora });
+            }
+        }
+        return sugestoes;
+    }
+
+    toJSON() {
+        return {
+            horarios: this.horarios.map(h => (h ? { abertura: h.abertura, fechamento: h.fechamento } : null)),
+            boxes: this.boxes,
+            duracaoPadraoMinutos: this.duracaoPadraoMinutos
+        };
+    }
+
+    /**
+     * Rehydrates settings saved with `toJSON()`; missing fields come from OFICINA_PADRAO.
+     * @param {object} dados
+     * @returns {Oficina}
+     */
+    static fromJSON(dados) {
+        return new Oficina(
+            Array.isArray(dados.horarios) ? dados.horarios.map(h => (h ? { ...h } : null)) : OFICINA_PADRAO.horarios.map(h => (h ? { ...h } : null)),
+            dados.boxes !== undefined ? dados.boxes : OFICINA_PADRAO.boxes,
+            dados.duracaoPadraoMinutos !== undefined ? dados.duracaoPadraoMinutos : OFICINA_PADRAO.duracaoPadraoMinutos
+        );
+    }
+}
+
+
+// Allows `require('./oficina.js')` in Node (needs the modelo.js globals).
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DIAS_SEMANA, OFICINA_PADRAO, minutosDoDia, horaDosMinutos, Oficina };
+}
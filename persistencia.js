@@ -0,0 +1,483 @@
+/**
+ * Storage adapters of the garage. Garagem only talks to an adapter (see abrirArmazenamento):
+ *
+ *   carregar() -> Promise<{dados, versaoForcada, origem, migrado?, descartar} | null>
+ *       The saved payload (a JSON string or an object in the schema of armazenamento.js), the version
+ *       to assume (legacy key), a description of where it came from and a function removing it
+ *       from there (quarantine, migration). Null when nothing is saved.
+ *   salvar(dados, idsVeiculos) -> Promise<void>
+ *       Saves the payload of Garagem.serializarGaragem(). idsVeiculos lists the vehicles changed since
+ *       the last save (null: anything may have changed); adapters may skip comparing the others.
+ *       Rejects with the storage error.
+ *   carregarAuditoria() -> Promise<object[] | null>
+ *       The entries of the audit log (auditoria.js), oldest first. Rejects if the saved log is unreadable.
+ *   acrescentarAuditoria(entradas) -> Promise<void>
+ *       Appends entries to the audit log; entries already saved (same id) are not repeated.
+ *   descricao - Shown in the logs.
+ *
+ * IndexedDB keeps vehicles, maintenance records and settings in separate object stores and only
+ * writes what changed since the last save; the audit log is a store of its own, appended to entry by entry.
+ * localStorage (one JSON string) is the fallback when IndexedDB cannot be opened; data saved there
+ * is moved to IndexedDB on the first load.
+ * Tabs of the same garage announce their saves to each other (CanalAbas) and reload from here.
+ */
+
+const NOME_BANCO_GARAGEM = 'garagemInterativa';
+const VERSAO_BANCO_GARAGEM = 2; // 2: 'auditoria' store
+const LOJAS_GARAGEM = ['veiculos', 'manutencoes', 'configuracao'];
+const ATRASO_SALVAMENTO_MS = 800; // Quiet time after the last change before saving
+const ESPERA_MAXIMA_SALVAMENTO_MS = 5000; // Changes are saved at least this often, even if they never stop
+// Driving state of each tab: a vehicle driven in one tab is not moving in the others (see manterConducaoDaAba)
+const CONDUCAO_PARADO = { ligado: false, velocidade: 0 };
+// Readings that change while a vehicle moves, counted by the tab driving it
+const LEITURAS_CONDUCAO = ['quilometragem', 'combustivel'];
+
+/**
+ * @param {IDBRequest} requisicao
+ * @returns {Promise<*>} The result of the request.
+ */
+function aguardarRequisicao(requisicao) {
+    return new Promise((resolve, reject) => {
+        requisicao.onsuccess = () => resolve(requisicao.result);
+        requisicao.onerror = () => reject(requisicao.error);
+    });
+}
+
+/**
+ * @param {IDBTransaction} transacao
+ * @returns {Promise<void>} Resolved when the transaction is committed.
+ */
+function aguardarTransacao(transacao) {
+    return new Promise((resolve, reject) => {
+        transacao.oncomplete = () => resolve();
+        transacao.onerror = () => reject(transacao.error);
+        transacao.onabort = () => reject(transacao.error || new Error('Transação do IndexedDB cancelada.'));
+    });
+}
+
+/**
+ * @param {string} loja - Object store.
+ * @param {*} chave - Key of the row in the store.
+ * @returns {string} Key of the row in AdaptadorIndexedDB.gravado.
+ */
+function chaveLinha(loja, chave) {
+    return `${loja}|${JSON.stringify(chave)}`;
+}
+
+/** The whole garage as one JSON string in localStorage (the format used before IndexedDB). */
+class AdaptadorLocalStorage {
+    /** @param {string} chave - localStorage key of the garage. */
+    constructor(chave) {
+        this.chave = chave;
+        this.chaveAuditoria = `${chave}_auditoria`;
+        this.descricao = `localStorage "${chave}"`;
+    }
+
+    async carregar() {
+        let chave = this.chave;
+        let versaoForcada = null;
+        let texto = localStorage.getItem(chave);
+        if (!texto && localStorage.getItem(CHAVE_LEGADA_V1)) {
+            // Data saved before the "_v2" key: schema v1
+            chave = CHAVE_LEGADA_V1;
+            versaoForcada = 1;
+            texto = localStorage.getItem(chave);
+        }
+        if (!texto) return null;
+        return {
+            dados: texto,
+            versaoForcada,
+            origem: `localStorage "${chave}"`,
+            descartar: async () => localStorage.removeItem(chave)
+        };
+    }
+
+    async salvar(dados) { // One string: the whole garage is written every time
+        localStorage.setItem(this.chave, JSON.stringify(dados));
+    }
+
+    async carregarAuditoria() {
+        return JSON.parse(localStorage.getItem(this.chaveAuditoria));
+    }
+
+    async acrescentarAuditoria(entradas) {
+        const salvas = JSON.parse(localStorage.getItem(this.chaveAuditoria)) || [];
+        const ids = new Set(salvas.map(e => e.id));
+        localStorage.setItem(this.chaveAuditoria, JSON.stringify([...salvas, ...entradas.filter(e => !ids.has(e.id))]));
+    }
+}
+
+/**
+ * Vehicles ('veiculos', without their maintenance records), maintenance records ('manutencoes',
+ * keyed by [idVeiculo, id]), the catalog, workshop and schema version ('configuracao') and the
+ * audit log entries ('auditoria', keyed by id). The rows written by the last save are remembered so the next one only puts and deletes the differences.
+ */
+class AdaptadorIndexedDB {
+    /**
+     * @param {IDBDatabase} banco
+     * @param {AdaptadorLocalStorage} anterior - Storage whose data is moved here when the database is empty.
+     */
+    constructor(banco, anterior) {
+        this.banco = banco;
+        this.anterior = anterior;
+        this.descricao = `IndexedDB "${banco.name}"`;
+        this.gravado = null; // Map chaveLinha() -> {loja, chave, idVeiculo, json} of the stored rows; null when unknown (full rewrite)
+    }
+
+    /**
+     * Opens (and creates or upgrades) the garage database.
+     * @param {AdaptadorLocalStorage} anterior
+     * @param {IDBFactory} [fabrica=indexedDB]
+     * @returns {Promise<AdaptadorIndexedDB>}
+     */
+    static abrir(anterior, fabrica = indexedDB) {
+        return new Promise((resolve, reject) => {
+            const requisicao = fabrica.open(NOME_BANCO_GARAGEM, VERSAO_BANCO_GARAGEM);
+            requisicao.onupgradeneeded = () => {
+                const banco = requisicao.result;
+                if (!banco.objectStoreNames.contains('veiculos')) banco.createObjectStore('veiculos', { keyPath: 'id' });
+                if (!banco.objectStoreNames.contains('manutencoes')) {
+                    banco.createObjectStore('manutencoes', { keyPath: ['idVeiculo', 'id'] }).createIndex('idVeiculo', 'idVeiculo');
+                }
+                if (!banco.objectStoreNames.contains('configuracao')) banco.createObjectStore('configuracao');
+                if (!banco.objectStoreNames.contains('auditoria')) banco.createObjectStore('auditoria', { keyPath: 'id' });
+            };
+            requisicao.onsuccess = () => resolve(new AdaptadorIndexedDB(requisicao.result, anterior));
+            requisicao.onerror = () => reject(requisicao.error);
+            requisicao.onblocked = () => reject(new Error('Banco de dados da garagem em uso por outra aba com uma versão antiga.'));
+        });
+    }
+
+    /**
+     * Rows of the stores for a payload, keyed as in `this.gravado`.
+     * @param {{versaoSchema: number, salvoEm: string, veiculos: object, catalogo: object[] | null, oficina: object | null}} dados
+     * @param {string[] | null} [idsVeiculos=null] - Only the rows of these vehicles (and the settings); null for all.
+     * @returns {Map<string, {loja: string, chave: *, idVeiculo: string | null, valor: object, json: string}>}
+     */
+    static linhas(dados, idsVeiculos = null) {
+        const linhas = new Map();
+        const adicionar = (loja, chave, idVeiculo, valor) => linhas.set(chaveLinha(loja, chave), { loja, chave, idVeiculo, valor, json: JSON.stringify(valor) });
+        Object.keys(dados.veiculos).forEach((id, ordem) => {
+            if (idsVeiculos && !idsVeiculos.includes(id)) return;
+            const { historicoManutencao = [], ...veiculo } = dados.veiculos[id];
+            adicionar('veiculos', id, id, { ...veiculo, id, ordem });
+            historicoManutencao.forEach((manutencao, posicao) => {
+                adicionar('manutencoes', [id, manutencao.id], id, { ...manutencao, idVeiculo: id, ordem: posicao });
+            });
+        });
+        adicionar('configuracao', 'catalogo', null, dados.catalogo === undefined ? null : dados.catalogo);
+        adicionar('configuracao', 'oficina', null, dados.oficina === undefined ? null : dados.oficina);
+        // A database without it has never been saved to (see carregar)
+        adicionar('configuracao', 'meta', null, { versaoSchema: dados.versaoSchema });
+        return linhas;
+    }
+
+    async carregar() {
+        const transacao = this.banco.transaction(LOJAS_GARAGEM, 'readonly');
+        const configuracao = transacao.objectStore('configuracao');
+        const [veiculos, manutencoes, meta, catalogo, oficina] = await Promise.all([
+            aguardarRequisicao(transacao.objectStore('veiculos').getAll()),
+            aguardarRequisicao(transacao.objectStore('manutencoes').getAll()),
+            aguardarRequisicao(configuracao.get('meta')),
+            aguardarRequisicao(configuracao.get('catalogo')),
+            aguardarRequisicao(configuracao.get('oficina'))
+        ]);
+
+        if (!meta) {
+            this.gravado = null;
+            const salvo = await this.anterior.carregar();
+            // Garagem saves it here and then calls descartar() to free the localStorage
+            return salvo ? { ...salvo, origem: `${salvo.origem}, movido para ${this.descricao}`, migrado: true } : null;
+        }
+
+        // Remember what is stored (migrated data differs and is rewritten row by row on the next save)
+        this.gravado = new Map();
+        const lembrar = (loja, chave, idVeiculo, valor) => this.gravado.set(chaveLinha(loja, chave), { loja, chave, idVeiculo, json: JSON.stringify(valor) });
+        veiculos.forEach(veiculo => lembrar('veiculos', veiculo.id, veiculo.id, veiculo));
+        manutencoes.forEach(manutencao => lembrar('manutencoes', [manutencao.idVeiculo, manutencao.id], manutencao.idVeiculo, manutencao));
+        lembrar('configuracao', 'catalogo', null, catalogo === undefined ? null : catalogo);
+        lembrar('configuracao', 'oficina', null, oficina === undefined ? null : oficina);
+        lembrar('configuracao', 'meta', null, meta);
+
+        const dados = { versaoSchema: meta.versaoSchema, veiculos: {}, catalogo: catalogo === undefined ? null : catalogo, oficina: oficina === undefined ? null : oficina };
+        veiculos.sort((a, b) => a.ordem - b.ordem).forEach(({ id, ordem, ...veiculo }) => {
+            dados.veiculos[id] = { ...veiculo, historicoManutencao: [] };
+        });
+        manutencoes.sort((a, b) => a.ordem - b.ordem).forEach(({ idVeiculo, ordem, ...manutencao }) => {
+            // Records left without their vehicle are ignored, and deleted by the next save
+            if (dados.veiculos[idVeiculo]) dados.veiculos[idVeiculo].historicoManutencao.push(manutencao);
+        });
+        return { dados, versaoForcada: null, origem: this.descricao, descartar: () => this.limpar() };
+    }
+
+    /**
+     * Writes the rows that changed since the last save and deletes the ones that are gone, in one transaction.
+     * @param {object} dados - Garagem.serializarGaragem().
+     * @param {string[] | null} [idsVeiculos=null] - Vehicles that may have changed; the others are not compared. Null for all.
+     * @returns {Promise<void>}
+     */
+    salvar(dados, idsVeiculos = null) {
+        const gravado = this.gravado;
+        const ids = gravado ? idsVeiculos : null; // Without knowing what is stored, everything is written
+        const linhas = AdaptadorIndexedDB.linhas(dados, ids);
+        const transacao = this.banco.transaction(LOJAS_GARAGEM, 'readwrite');
+        if (!gravado) LOJAS_GARAGEM.forEach(loja => transacao.objectStore(loja).clear());
+        linhas.forEach((linha, chave) => {
+            if (gravado && gravado.has(chave) && gravado.get(chave).json === linha.json) return;
+            if (linha.loja === 'configuracao') transacao.objectStore(linha.loja).put(linha.valor, linha.chave);
+            else transacao.objectStore(linha.loja).put(linha.valor);
+        });
+        const comparadas = linha => !ids || ids.includes(linha.idVeiculo);
+        if (gravado) {
+            gravado.forEach((linha, chave) => {
+                if (!linhas.has(chave) && comparadas(linha)) transacao.objectStore(linha.loja).delete(linha.chave);
+            });
+        }
+        // Saves run one after the other: the next one compares with this one even before it is committed
+        if (ids) {
+            gravado.forEach((linha, chave) => { if (comparadas(linha)) gravado.delete(chave); });
+            linhas.forEach((linha, chave) => gravado.set(chave, linha));
+        } else {
+            this.gravado = linhas;
+        }
+        return aguardarTransacao(transacao).catch(error => {
+            this.gravado = null; // Unknown state: the next save rewrites everything
+            throw error;
+        });
+    }
+
+    /**
+     * Reads the audit log, moving the one saved in localStorage (before IndexedDB) here first.
+     * @returns {Promise<object[]>}
+     */
+    async carregarAuditoria() {
+        const anteriores = await this.anterior.carregarAuditoria(); // Unreadable: rejects and stays in localStorage
+        if (anteriores) {
+            await this.acrescentarAuditoria(anteriores);
+            localStorage.removeItem(this.anterior.chaveAuditoria);
+        }
+        const transacao = this.banco.transaction('auditoria', 'readonly');
+        const entradas = await aguardarRequisicao(transacao.objectStore('auditoria').getAll());
+        return entradas.sort((a, b) => a.em.localeCompare(b.em)); // The store is ordered by id
+    }
+
+    /**
+     * @param {object[]} entradas
+     * @returns {Promise<void>}
+     */
+    acrescentarAuditoria(entradas) {
+        const transacao = this.banco.transaction('auditoria', 'readwrite');
+        entradas.forEach(entrada => transacao.objectStore('auditoria').put(entrada));
+        return aguardarTransacao(transacao);
+    }
+
+    /** Empties the stores of the garage (quarantined data); the audit log is kept. */
+    async limpar() {
+        const transacao = this.banco.transaction(LOJAS_GARAGEM, 'readwrite');
+        LOJAS_GARAGEM.forEach(loja => transacao.objectStore(loja).clear());
+        await aguardarTransacao(transacao);
+        this.gravado = new Map();
+    }
+}
+
+/**
+ * Chooses the storage of the garage: IndexedDB when available, else localStorage.
+ * @param {string} chave - localStorage key of the garage (fallback and data to migrate).
+ * @returns {Promise<AdaptadorIndexedDB | AdaptadorLocalStorage>}
+ */
+async function abrirArmazenamento(chave) {
+    const local = new AdaptadorLocalStorage(chave);
+    if (typeof indexedDB === 'undefined' || !indexedDB) return local;
+    try {
+        return await AdaptadorIndexedDB.abrir(local);
+    } catch (error) {
+        // Private windows of some browsers and blocked storage
+        console.warn("IndexedDB indisponível, usando localStorage:", error);
+        return local;
+    }
+}
+
+/**
+ * Saves in batches: changes mark vehicles as dirty and are saved together once they stop for
+ * ATRASO_SALVAMENTO_MS (or after ESPERA_MAXIMA_SALVAMENTO_MS of continuous changes). One save runs
+ * at a time; what changes meanwhile goes in the next batch, and a failed batch is retried with it.
+ * Events: 'status' {status} - 'salvo', 'pendente' (unsaved changes), 'salvando' or 'erro'.
+ */
+class AgendadorSalvamento extends EmissorEventos {
+    /**
+     * @param {function(string[] | null): Promise<boolean>} salvar - Saves the dirty vehicles (null: everything); resolves false on failure.
+     * @param {number} [atraso=ATRASO_SALVAMENTO_MS]
+     * @param {number} [esperaMaxima=ESPERA_MAXIMA_SALVAMENTO_MS]
+     */
+    constructor(salvar, atraso = ATRASO_SALVAMENTO_MS, esperaMaxima = ESPERA_MAXIMA_SALVAMENTO_MS) {
+        super();
+        this.salvar = salvar;
+        this.atraso = atraso;
+        this.esperaMaxima = esperaMaxima;
+        this.sujos = new Set(); // IDs of the vehicles changed since the last batch
+        this.tudo = false; // True when something other than a vehicle's own state changed
+        this.temporizador = null;
+        this.primeiraAlteracao = null; // Time of the oldest unsaved change
+        this.emAndamento = null; // Promise of the running save
+        this.status = 'salvo';
+    }
+
+    /**
+     * Schedules a save.
+     * @param {string | null} [idVeiculo=null] - The vehicle that changed; null when the whole garage must be saved.
+     */
+    marcar(idVeiculo = null) {
+        if (idVeiculo === null) this.tudo = true;
+        else this.sujos.add(idVeiculo);
+        if (this.primeiraAlteracao === null) this.primeiraAlteracao = Date.now();
+        clearTimeout(this.temporizador);
+        const restante = this.primeiraAlteracao + this.esperaMaxima - Date.now();
+        this.temporizador = setTimeout(() => this.descarregar(), Math.max(0, Math.min(this.atraso, restante)));
+        this._definirStatus(this.emAndamento ? 'salvando' : 'pendente');
+    }
+
+    /** @returns {boolean} True if there are changes not saved yet. */
+    pendente() {
+        return this.tudo || this.sujos.size > 0;
+    }
+
+    /**
+     * Saves the pending changes now (page hidden or closing, or an explicit save).
+     * @returns {Promise<boolean>} False if the save failed.
+     */
+    async descarregar() {
+        clearTimeout(this.temporizador);
+        this.temporizador = null;
+        while (this.emAndamento) await this.emAndamento;
+        if (!this.pendente()) return this.status !== 'erro';
+
+        const ids = this.tudo ? null : [...this.sujos];
+        this.tudo = false;
+        this.sujos.clear();
+        this.primeiraAlteracao = null;
+        this._definirStatus('salvando');
+        this.emAndamento = this.salvar(ids);
+        const salvo = await this.emAndamento;
+        this.emAndamento = null;
+        if (!salvo) {
+            if (ids === null) this.tudo = true;
+            else ids.forEach(id => this.sujos.add(id));
+        }
+        this._definirStatus(!salvo ? 'erro' : this.pendente() ? 'pendente' : 'salvo');
+        return salvo;
+    }
+
+    _definirStatus(status) {
+        if (this.status === status) return;
+        this.status = status;
+        this.emitir('status', { status });
+    }
+}
+
+/**
+ * Tells the other tabs of the garage that something was saved, so they reload it instead of
+ * overwriting it with their old copy on their next save. Uses BroadcastChannel, or the 'storage'
+ * event of a localStorage key in browsers without it. Messages do not reach the tab that sent them.
+ * Events: 'mensagem' {mensagem} for each message of another tab.
+ */
+class CanalAbas extends EmissorEventos {
+    /** @param {string} chave - Name of the channel (and localStorage key of the fallback). */
+    constructor(chave) {
+        super();
+        this.chave = chave;
+        this.id = gerarId('aba');
+        this.canal = null;
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.canal = new BroadcastChannel(chave);
+            this.canal.onmessage = evento => this._receber(evento.data);
+        } else if (typeof window !== 'undefined') {
+            window.addEventListener('storage', evento => {
+                if (evento.key !== chave || !evento.newValue) return;
+                try {
+                    this._receber(JSON.parse(evento.newValue));
+                } catch (error) {
+                    console.warn("Mensagem de outra aba ilegível:", error);
+                }
+            });
+        }
+    }
+
+    /**
+     * @param {{tipo: string}} mensagem - E.g. {tipo: 'garagem'} after a save.
+     */
+    publicar(mensagem) {
+        const envelope = { ...mensagem, origem: this.id, em: new Date().toISOString() };
+        if (this.canal) {
+            this.canal.postMessage(envelope);
+            return;
+        }
+        try {
+            // A new value every time: the 'storage' event only fires when the value changes
+            localStorage.setItem(this.chave, JSON.stringify({ ...envelope, nonce: Math.random() }));
+        } catch (error) {
+            console.warn("Não foi possível avisar as outras abas:", error);
+        }
+    }
+
+    _receber(mensagem) {
+        if (mensagem && mensagem.origem !== this.id) this.emitir('mensagem', { mensagem });
+    }
+}
+
+/**
+ * A vehicle with unsaved changes in this tab that another tab also saved: the local state is kept
+ * and the records only the other tab has (maintenance, plans, refuels) are added to it.
+ * @param {object} local - Veiculo.toJSON() of this tab.
+ * @param {object} armazenado - The same vehicle as saved by the other tab.
+ * @returns {object}
+ */
+function mesclarVeiculoAbas(local, armazenado) {
+    const resultado = { ...local };
+    ['historicoManutencao', 'planosManutencao', 'historicoAbastecimento'].forEach(campo => {
+        const locais = Array.isArray(local[campo]) ? local[campo] : [];
+        const ids = new Set(locais.map(registro => registro.id));
+        const novos = (Array.isArray(armazenado[campo]) ? armazenado[campo] : []).filter(registro => !ids.has(registro.id));
+        resultado[campo] = [...locais, ...novos];
+    });
+    return resultado;
+}
+
+/**
+ * A vehicle saved by another tab, with the driving state of this tab: on/off and speed (stopped if
+ * the vehicle is new here), so a vehicle never starts moving (and ticking its odometer) because
+ * another tab drives it. While it moves here, this tab's odometer and fuel are kept if the other tab
+ * saved the same readings this tab last knew; a reading it changed (adjusted odometer, refuel) is
+ * taken, and this tab goes on counting from it.
+ * @param {object | null} local - Veiculo.toJSON() of this tab; null if this tab does not have the vehicle.
+ * @param {object} armazenado - The vehicle as saved by the other tab.
+ * @param {object | null} conhecido - The vehicle as this tab last saved or reloaded it; null if unknown.
+ * @returns {object}
+ */
+function manterConducaoDaAba(local, armazenado, conhecido) {
+    const resultado = { ...armazenado };
+    Object.keys(CONDUCAO_PARADO)
+        .filter(campo => campo in armazenado) // Only the vehicle types that have it
+        .forEach(campo => { resultado[campo] = local && campo in local ? local[campo] : CONDUCAO_PARADO[campo]; });
+    if (local && local.velocidade > 0 && conhecido) {
+        LEITURAS_CONDUCAO
+            .filter(campo => armazenado[campo] === conhecido[campo])
+            .forEach(campo => { resultado[campo] = local[campo]; });
+    }
+    return resultado;
+}
+
+/**
+ * Hash of a saved vehicle that does not depend on the order of its fields (vehicles read back from
+ * IndexedDB have their maintenance records last). See resumoRegistro() in sincronizacao.js.
+ * @param {object} veiculo - Veiculo.toJSON() or the vehicle as stored.
+ * @returns {string}
+ */
+function resumoVeiculoAbas(veiculo) {
+    return resumoRegistro(Object.keys(veiculo).sort().map(campo => [campo, veiculo[campo]]));
+}
+
+
+// Allows `require('./persistencia.js')` in Node with an IndexedDB implementation (e.g. fake-indexeddb).
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NOME_BANCO_GARAGEM, AdaptadorLocalStorage, AdaptadorIndexedDB, abrirArmazenamento, AgendadorSalvamento, CanalAbas, mesclarVeiculoAbas, manterConducaoDaAba, resumoVeiculoAbas };
+}
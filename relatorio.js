@@ -0,0 +1,197 @@
+/**
+ * Printable documents: the service report (invoice) of a completed maintenance and the full
+ * history report of a vehicle. They are built into #areaImpressao, the only element shown by
+ * the @media print rules of style.css (see Garagem.imprimirManutencao / imprimirHistorico).
+ */
+
+/**
+ * @param {number} valor
+ * @returns {string} e.g. "R$ 1.234,50".
+ */
+function formatarMoedaRelatorio(valor) {
+    return valor.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+}
+
+/**
+ * @param {string} data - YYYY-MM-DD.
+ * @returns {string} DD/MM/YYYY.
+ */
+function formatarDataRelatorio(data) {
+    const [ano, mes, dia] = data.split('-');
+    return `${dia}/${mes}/${ano}`;
+}
+
+/** Creates an element with text content. */
+function criarElementoRelatorio(tag, texto = '', classe = '') {
+    const elemento = document.createElement(tag);
+    if (texto) elemento.textContent = texto;
+    if (classe) elemento.className = classe;
+    return elemento;
+}
+
+/**
+ * Table with a header row and an optional footer (totals).
+ * @param {string[]} cabecalho
+ * @param {string[][]} linhas
+ * @param {string[][]} [rodape=[]] - Rows whose first cell spans the columns before the last one.
+ * @returns {HTMLTableElement}
+ */
+function criarTabelaRelatorio(cabecalho, linhas, rodape = []) {
+    const tabela = criarElementoRelatorio('table', '', 'tabela-relatorio');
+    const linhaCabecalho = tabela.createTHead().insertRow();
+    cabecalho.forEach(texto => linhaCabecalho.appendChild(criarElementoRelatorio('th', texto)));
+    const corpo = tabela.createTBody();
+    linhas.forEach(celulas => {
+        const linha = corpo.insertRow();
+        celulas.forEach(texto => { linha.insertCell().textContent = texto; });
+    });
+    if (rodape.length > 0) {
+        const pe = tabela.createTFoot();
+        rodape.forEach(([rotulo, valor]) => {
+            const linha = pe.insertRow();
+            const celulaRotulo = linha.insertCell();
+            celulaRotulo.colSpan = cabecalho.length - 1;
+            celulaRotulo.textContent = rotulo;
+            linha.insertCell().textContent = valor;
+        });
+    }
+    return tabela;
+}
+
+/**
+ * Header shared by the documents: title, issue date and the vehicle data.
+ * @param {string} titulo
+ * @param {Veiculo} veiculo
+ * @param {string} rotuloTipo - Label of the vehicle type (e.g. "Caminhão").
+ * @returns {DocumentFragment}
+ */
+function criarCabecalhoRelatorio(titulo, veiculo, rotuloTipo) {
+    const fragmento = document.createDocumentFragment();
+    const topo = criarElementoRelatorio('header', '', 'relatorio-topo');
+    topo.append(
+        criarElementoRelatorio('h1', 'Garagem Interativa'),
+        criarElementoRelatorio('h2', titulo),
+        criarElementoRelatorio('p', `Emitido em ${new Date().toLocaleString('pt-BR')}`)
+    );
+
+    const dadosVeiculo = [
+        ['Veículo', `${veiculo.nome} (${rotuloTipo})`],
+        ['Modelo', [veiculo.marca, veiculo.modelo, veiculo.ano].filter(Boolean).join(' ')],
+        ['Cor', veiculo.cor],
+        ['Placa', veiculo.formatarPlaca() || 'Não informada'],
+        ['Chassi', veiculo.chassi || 'Não informado'],
+        ['Hodômetro atual', veiculo.formatarQuilometragem()]
+    ];
+    const contato = [veiculo.proprietario.nome, veiculo.proprietario.telefone, veiculo.proprietario.email].filter(Boolean);
+    if (contato.length > 0) dadosVeiculo.push(['Proprietário', contato.join(' - ')]);
+    const lista = criarElementoRelatorio('dl', '', 'relatorio-dados');
+    dadosVeiculo.forEach(([rotulo, valor]) => lista.append(criarElementoRelatorio('dt', rotulo), criarElementoRelatorio('dd', valor)));
+
+    fragmento.append(topo, criarElementoRelatorio('h3', 'Dados do Veículo'), lista);
+    return fragmento;
+}
+
+/**
+ * Service report of a completed maintenance: vehicle, service, cost breakdown and signatures.
+ * @param {Veiculo} veiculo
+ * @param {Manutencao} manutencao - A record with status 'concluida'.
+ * @param {object} [opcoes]
+ * @param {string} [opcoes.rotuloTipo] - Label of the vehicle type.
+ * @param {ServicoCatalogo} [opcoes.servico] - Catalog item of the record, for its category.
+ * @returns {HTMLElement}
+ */
+function criarRelatorioServico(veiculo, manutencao, opcoes = {}) {
+    const { rotuloTipo = veiculo.constructor.name, servico = null } = opcoes;
+    const documento = criarElementoRelatorio('article', '', 'documento-impressao');
+    documento.appendChild(criarCabecalhoRelatorio('Relatório de Serviço', veiculo, rotuloTipo));
+
+    const dadosServico = [
+        ['Serviço', manutencao.tipo],
+        ['Data', formatarDataRelatorio(manutencao.data) + (manutencao.hora ? ` às ${manutencao.hora}` : '')],
+        ['Hodômetro no serviço', manutencao.quilometragem !== null ? `${manutencao.quilometragem.toLocaleString('pt-BR', { maximumFractionDigits: 0 })} km` : 'Não registrado'],
+        ['Nº do registro', manutencao.id]
+    ];
+    if (servico) dadosServico.splice(1, 0, ['Categoria', CATEGORIAS_SERVICO[servico.categoria] || servico.categoria]);
+    if (manutencao.descricao) dadosServico.push(['Descrição', manutencao.descricao]);
+    const lista = criarElementoRelatorio('dl', '', 'relatorio-dados');
+    dadosServico.forEach(([rotulo, valor]) => lista.append(criarElementoRelatorio('dt', rotulo), criarElementoRelatorio('dd', valor)));
+    documento.append(criarElementoRelatorio('h3', 'Serviço Realizado'), lista, criarElementoRelatorio('h3', 'Custos'));
+
+    if (manutencao.itens.length > 0) {
+        const custos = manutencao.calcularCustos();
+        const rodape = [
+            ['Subtotal peças', formatarMoedaRelatorio(custos.pecas)],
+            ['Subtotal mão de obra', formatarMoedaRelatorio(custos.maoDeObra)]
+        ];
+        if (custos.impostoPecas > 0) rodape.push([`Impostos sobre peças (${manutencao.aliquotaPecas}%)`, formatarMoedaRelatorio(custos.impostoPecas)]);
+        if (custos.impostoMaoDeObra > 0) rodape.push([`Impostos sobre mão de obra (${manutencao.aliquotaMaoDeObra}%)`, formatarMoedaRelatorio(custos.impostoMaoDeObra)]);
+        rodape.push(['Total', formatarMoedaRelatorio(custos.total)]);
+        documento.appendChild(criarTabelaRelatorio(
+            ['Item', 'Tipo', 'Qtd./Horas', 'Valor unitário', 'Subtotal'],
+            manutencao.itens.map(item => [
+                item.descricao,
+                TIPOS_ITEM_MANUTENCAO[item.tipo],
+                item.quantidade.toLocaleString('pt-BR', { maximumFractionDigits: 2 }) + (item.tipo === 'maoDeObra' ? ' h' : ''),
+                formatarMoedaRelatorio(item.valorUnitario) + (item.tipo === 'maoDeObra' ? '/h' : ''),
+                formatarMoedaRelatorio(item.subtotalCentavos() / 100)
+            ]),
+            rodape
+        ));
+    } else {
+        // Records typed as a single value have no breakdown
+        documento.appendChild(criarTabelaRelatorio(['Descrição', 'Valor'], [[manutencao.tipo, formatarMoedaRelatorio(manutencao.custo)]], [['Total', formatarMoedaRelatorio(manutencao.custo)]]));
+    }
+
+    const assinaturas = criarElementoRelatorio('div', '', 'relatorio-assinaturas');
+    ['Responsável técnico', 'Cliente'].forEach(rotulo => {
+        const campo = criarElementoRelatorio('div', '', 'relatorio-assinatura');
+        campo.append(criarElementoRelatorio('span', '', 'linha-assinatura'), criarElementoRelatorio('p', rotulo));
+        assinaturas.appendChild(campo);
+    });
+    documento.append(assinaturas, criarElementoRelatorio('p', 'Data: ____/____/________', 'relatorio-data-assinatura'));
+    return documento;
+}
+
+/**
+ * Full history report of a vehicle: every valid record, oldest first, and the spend totals.
+ * @param {Veiculo} veiculo
+ * @param {object} [opcoes]
+ * @param {string} [opcoes.rotuloTipo] - Label of the vehicle type.
+ * @returns {HTMLElement}
+ */
+function criarRelatorioHistorico(veiculo, opcoes = {}) {
+    const { rotuloTipo = veiculo.constructor.name } = opcoes;
+    const documento = criarElementoRelatorio('article', '', 'documento-impressao');
+    documento.appendChild(criarCabecalhoRelatorio('Histórico de Manutenção', veiculo, rotuloTipo));
+    documento.appendChild(criarElementoRelatorio('h3', 'Registros'));
+
+    const registros = veiculo.historicoManutencao
+        .filter(m => m.isValid())
+        .sort((a, b) => `${a.data} ${a.hora || ''}`.localeCompare(`${b.data} ${b.hora || ''}`));
+    if (registros.length === 0) {
+        documento.appendChild(criarElementoRelatorio('p', 'Nenhuma manutenção registrada.'));
+        return documento;
+    }
+
+    const concluidas = registros.filter(m => m.status === 'concluida');
+    const totalCentavos = concluidas.reduce((soma, m) => soma + Math.round(m.custo * 100), 0);
+    documento.appendChild(criarTabelaRelatorio(
+        ['Data', 'Serviço', 'Status', 'Km', 'Detalhes', 'Custo'],
+        registros.map(m => [
+            formatarDataRelatorio(m.data),
+            m.tipo,
+            STATUS_MANUTENCAO[m.status],
+            m.quilometragem !== null ? m.quilometragem.toLocaleString('pt-BR', { maximumFractionDigits: 0 }) : '-',
+            [m.descricao, ...m.formatarItens()].filter(Boolean).join('\n'),
+            m.custo !== null ? formatarMoedaRelatorio(m.custo) : '-'
+        ]),
+        [[`Total de ${concluidas.length} serviço(s) concluído(s)`, formatarMoedaRelatorio(totalCentavos / 100)]]
+    ));
+    return documento;
+}
+
+
+// Allows `require('./relatorio.js')` in Node with a DOM implementation (e.g. jsdom).
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { formatarMoedaRelatorio, formatarDataRelatorio, criarTabelaRelatorio, criarRelatorioServico, criarRelatorioHistorico };
+}
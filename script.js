@@ -1,1447 +1,2796 @@
-/**
- * Represents a maintenance record (past or scheduled) for a vehicle.
- */
-class Manutencao {
-    /**
-     * Creates an instance of Manutencao.
-     * @param {string} data - The date of the maintenance (e.g., "YYYY-MM-DD" from date input).
-     * @param {string} tipo - The type of service performed (e.g., "Troca de óleo").
-     * @param {number | null} custo - The cost (null if scheduled, number if completed).
-     * @param {string} [descricao=''] - An optional detailed description or observation.
-     * @param {string | null} [hora=null] - The time of the maintenance (e.g., "HH:MM" from time input).
-     * @param {string} [status='concluida'] - The status ('concluida' or 'agendada').
-     */
-    constructor(data, tipo, custo, descricao = '', hora = null, status = 'concluida') {
-        this.data = data || ''; // Expecting YYYY-MM-DD format from input type="date"
-        this.tipo = tipo || '';
-        // If scheduled, cost should be null/0. If completed, it requires a number.
-        this.custo = (status === 'agendada' || custo === null) ? null : (typeof custo === 'number' ? custo : 0);
-        this.descricao = descricao || '';
-        this.hora = hora || null; // Expecting HH:MM format from input type="time"
-        this.status = (status === 'agendada') ? 'agendada' : 'concluida'; // Default to concluida
+// Application layer: the Garagem controller, persistence and initialization.
+// The domain classes live in modelo.js and the vehicle cards in view.js.
+
+// --- Vehicle Types available in the garage ---
+// Defaults and image used when creating a vehicle of each type.
+const TIPOS_VEICULO = {
+    Carro: { classe: Carro, rotulo: 'Carro', imagem: 'imagens/civic-removebg-preview.png', modeloPadrao: 'Civic Padrão', corPadrao: 'Branco' },
+    CarroEsportivo: { classe: CarroEsportivo, rotulo: 'Carro Esportivo', imagem: 'imagens/paganiRosa-removebg-preview.png', modeloPadrao: 'Pagani Padrão', corPadrao: 'Rosa' },
+    Caminhao: { classe: Caminhao, rotulo: 'Caminhão', imagem: 'imagens/caminhão-removebg-preview.png', modeloPadrao: 'Actros Padrão', corPadrao: 'Cinza' },
+    Moto: { classe: Moto, rotulo: 'Moto', imagem: 'imagens/kawasaki-Photoroom.png', modeloPadrao: 'Ninja Padrão', corPadrao: 'Preta/Rosa' }
+};
+
+
+// Vehicle events that change persisted state (see Veiculo in modelo.js)
+const EVENTOS_PERSISTIDOS = ['ligado', 'velocidade', 'combustivel', 'detalhes', 'turbo', 'carga', 'manutencaoAdicionada', 'manutencaoAlterada', 'manutencaoRemovida', 'planos', 'quilometragem', 'abastecimentoAdicionado'];
+
+// Garage operations recorded in the undo history (Garagem method -> label shown to the user).
+// A function receives the method arguments and returns the label, or null to not record the call
+// (driving actions are not undoable, truck loading is).
+const OPERACOES_DESFAZIVEIS = {
+    adicionarVeiculo: 'Adicionar veículo',
+    atualizarVeiculo: 'Atualizar veículo',
+    renomearVeiculo: 'Renomear veículo',
+    removerVeiculo: 'Remover veículo',
+    pintarVeiculo: 'Pintar veículo',
+    abastecerVeiculo: 'Abastecer',
+    ajustarQuilometragem: 'Ajustar hodômetro',
+    interagirComVeiculo: (idVeiculo, acao) => ({ carregar: 'Carregar caminhão', descarregar: 'Descarregar caminhão' }[acao] || null),
+    registrarManutencao: 'Registrar manutenção',
+    agendarManutencao: 'Agendar manutenção',
+    salvarManutencao: 'Editar manutenção',
+    concluirManutencao: 'Concluir manutenção',
+    cancelarManutencao: 'Cancelar manutenção',
+    excluirManutencao: 'Excluir manutenção',
+    reagendarManutencao: 'Remarcar manutenção',
+    adicionarPlano: 'Adicionar plano',
+    removerPlano: 'Remover plano',
+    aplicarImportacao: 'Importar garagem',
+    salvarServicoCatalogo: 'Salvar serviço do catálogo',
+    removerServicoCatalogo: 'Remover serviço do catálogo',
+    mapearTipoLivre: 'Mapear tipo livre',
+    mapearSugestoesTiposLivres: 'Mapear tipos livres',
+    salvarConfiguracaoOficina: 'Configurar oficina'
+};
+
+// Vehicle operations recorded in the audit log (auditoria.js), same format as OPERACOES_DESFAZIVEIS.
+// The first argument of each method is the vehicle ID. Driving is recorded per trip (ACOES_VIAGEM).
+const OPERACOES_AUDITADAS = {
+    interagirComVeiculo: (idVeiculo, acao) => ({
+        ativarTurbo: 'Ativar turbo', desativarTurbo: 'Desativar turbo', carregar: 'Carregar caminhão', descarregar: 'Descarregar caminhão'
+    }[acao] || null),
+    pintarVeiculo: 'Pintar veículo',
+    abastecerVeiculo: 'Abastecer',
+    registrarManutencao: 'Registrar manutenção',
+    agendarManutencao: 'Agendar manutenção'
+};
+
+// Driving actions of interagirComVeiculo, several per second while driving: they make one "Viagem"
+// entry per trip, from the first of them until the vehicle is turned off and stops
+const ACOES_VIAGEM = ['ligar', 'acelerar', 'frear', 'desligar'];
+
+// Text of the save indicator (#statusSalvamento) for each status of AgendadorSalvamento (persistencia.js)
+const TEXTOS_STATUS_SALVAMENTO = { salvo: 'Tudo salvo', pendente: 'Alterações não salvas', salvando: 'Salvando...', erro: 'Erro ao salvar' };
+
+// Text of #statusSincronizacao for each status of SincronizadorGaragem (sincronizacao.js)
+const TEXTOS_STATUS_SINCRONIZACAO = {
+    desativado: 'Sincronização desativada.',
+    ocioso: 'Sincronização ativa.',
+    sincronizando: 'Sincronizando...',
+    offline: 'Sem conexão com o servidor; as alterações ficam na fila.',
+    erro: 'Erro ao sincronizar.'
+};
+
+// Entries shown at once in the audit log viewer (the export has all the filtered entries)
+const LIMITE_EXIBICAO_AUDITORIA = 200;
+// The viewer is refreshed once after a burst of entries (e.g. an undone import, one per vehicle)
+const ATRASO_EXIBICAO_AUDITORIA_MS = 300;
+
+
+// --- Garage Class ---
+class Garagem {
+    constructor() {
+        this.veiculos = {}; // Keyed by the vehicle's generated ID
+        this.views = {}; // VeiculoView of each vehicle card, keyed by vehicle ID
+        this.veiculoExibidoId = null; // Vehicle currently shown in 'informacoesVeiculo'
+        this.ordemHistorico = { ordenarPor: 'data', direcao: 'desc' }; // Sorted column of #tabelaHistorico
+        this.paginaHistorico = 1;
+        this.calendario = { modo: 'mes', referencia: dataLocalISO() }; // View of #calendarioManutencoes
+        this.localStorageKey = 'dadosGaragemCompleta_v2'; // Kept for compatibility, the schema version is inside the payload
+        this.armazenamento = null; // Storage adapter (persistencia.js), opened by iniciar()
+        this.salvamentoBloqueado = false; // True when saving would overwrite unreadable data that has no backup
+        this._gravado = { veiculos: {}, catalogo: null, oficina: null }; // Payload of the last completed save (see guardarAlteracoesPendentes)
+        this.chaveAlteracoesPendentes = `${this.localStorageKey}_pendentes_${gerarId('aba')}`; // This tab's copy of unsaved changes
+        this._pendentesGuardados = false; // True while that copy may be in localStorage
+        this.salvamento = new AgendadorSalvamento(ids => this._gravarGaragem(ids)); // Batches the saves (see salvarGaragem)
+        this.salvamento.on('status', ({ status }) => this.atualizarStatusSalvamento(status));
+        this._veiculosSalvos = {}; // Vehicles of the last save (toJSON), reused for the ones that did not change
+        this.quarentenaExibida = null; // Backup key shown in #painelRecuperacao
+        this.lembretes = new LembretesManutencao(() => Object.values(this.veiculos)); // Browser reminders (alertas.js)
+        this.catalogo = null; // CatalogoServicos (catalogo.js), shared by all vehicles
+        this.oficina = null; // Oficina (oficina.js): opening hours and bays
+        this.chaveHistoricoComandos = `${this.localStorageKey}_comandos`; // Undo/redo stacks, saved apart from the garage
+        this._comandoEmAndamento = false; // True while executarComando runs (nested operations are part of it)
+        this.auditoria = null; // RegistroAuditoria (auditoria.js), loaded by iniciar(); append-only and never cleared
+        this._auditoriaNaoGravada = []; // Entries not written to the storage yet
+        this.chaveOperador = `${this.localStorageKey}_operador`; // Name recorded as the author of the audit entries
+        this._viagens = {}; // Vehicle ID -> toJSON() before the trip being driven (see _registrarViagensAuditadas)
+        this._cronometroExibicaoAuditoria = null;
+        this.chaveSincronizacao = `${this.localStorageKey}_sincronizacao`; // Backend, offline queue and known records of the REST sync
+        this._cronometroSincronizacao = null;
+        this.liderSincronizacao = false; // True in the one tab of the garage that talks to the backend (see iniciarSincronizacao)
+        this._liderancaSolicitada = false;
+        this.abas = null; // CanalAbas (persistencia.js) to the other tabs of this garage, opened by iniciar()
+        this._recargaAbas = null; // Promise of the running reload of what another tab saved
+        this._recarregarNovamente = false;
+        this._registrarOperacoesDesfaziveis();
+        this._carregarSincronizacao();
+        this._registrarOperacoesAuditadas();
+        this._registrarViagensAuditadas();
     }
 
     /**
-     * Returns a Date object representing the scheduled/occurred date and time.
-     * Returns null if data is invalid.
-     * @returns {Date | null}
+     * Opens the storage and loads the saved garage. Called once, before the UI is built.
+     * @returns {Promise<boolean>} True if a saved garage was loaded.
      */
-    getDateTime() {
-        if (!this.data || !/^\d{4}-\d{2}-\d{2}$/.test(this.data)) {
-             // Basic check for YYYY-MM-DD format from input type="date"
-            return null;
-        }
-        let dateString = this.data;
-        if (this.hora && /^\d{2}:\d{2}$/.test(this.hora)) {
-            dateString += `T${this.hora}:00`; // Append time if valid
-        } else {
-            // If scheduling without time, assume start of day? Or treat as just date?
-            // For comparison, using midnight makes sense. For display, we might hide time.
-             dateString += `T00:00:00`; // Use midnight if no time specified
-        }
-        try {
-             // Try creating a Date object. May throw error for invalid dates like 2023-02-30
-            const dt = new Date(dateString);
-             // Check if the date is valid (Date constructor can be forgiving)
-             // Re-extract parts and compare to ensure validity (e.g., avoids Feb 30 becoming Mar 2)
-             const [year, month, day] = this.data.split('-').map(Number);
-             // Check if parts match the created date object's parts
-             if (dt.getFullYear() !== year || dt.getMonth() + 1 !== month || dt.getDate() !== day) {
-                // If there's a mismatch, the date string was likely invalid (e.g., 2023-02-31)
-                 return null; // Invalid date components
-             }
-              // Check if time parts match if time was provided
-              if(this.hora) {
-                const [hour, minute] = this.hora.split(':').map(Number);
-                if (dt.getHours() !== hour || dt.getMinutes() !== minute) {
-                    return null; // Invalid time components (less likely with T construct but safe)
-                }
-              }
-            return dt;
-        } catch (e) {
-            console.error("Error parsing date/time:", dateString, e);
-            return null; // Handle potential errors during Date parsing
-        }
+    async iniciar() {
+        this.armazenamento = await abrirArmazenamento(this.localStorageKey);
+        await this._carregarAuditoria();
+        const carregada = await this.carregarGaragem();
+        if (!this.catalogo) this._carregarCatalogo(null); // No saved garage: default catalog
+        if (!this.oficina) this._carregarOficina(null);
+        this._carregarHistoricoComandos(carregada);
+        this.abas = new CanalAbas(`${this.localStorageKey}_abas`);
+        this.abas.on('mensagem', ({ mensagem }) => this._tratarMensagemAba(mensagem));
+        return carregada;
     }
 
+    // --- Persistence Methods ---
 
     /**
-     * Returns a formatted string representation of the maintenance record.
-     * Differentiates between scheduled and completed maintenance.
-     * @returns {string} Formatted maintenance information.
+     * Builds the payload saved to storage (see armazenamento.js for the schema).
+     * @param {object} [reaproveitados={}] - Vehicles already serialized (keyed by ID), used instead of calling toJSON() again.
+     * @returns {{versaoSchema: number, salvoEm: string, veiculos: object, catalogo: object[] | null, oficina: object | null}}
      */
-    formatar() {
-        const errosValidacao = this.validar();
-         // Check if invalid, BUT allow scheduled items to be missing only cost validation
-         if (errosValidacao.length > 0 && !(this.status === 'agendada' && errosValidacao.length === 1 && errosValidacao[0].includes('custo'))) {
-             return `Dados de manutenção inválidos: ${errosValidacao.join(', ')}`;
-         }
-
-
-        // Format date nicely (DD/MM/YYYY)
-        let dataFormatada = "Data inválida";
-         const dateObj = this.getDateTime();
-         if(dateObj) {
-             dataFormatada = dateObj.toLocaleDateString('pt-BR', {
-                 day: '2-digit', month: '2-digit', year: 'numeric'
-             });
-         }
-
-
-        let info = '';
-        if (this.status === 'agendada') {
-            info = `Agendado: ${this.tipo} em ${dataFormatada}`;
-            if (this.hora) {
-                info += ` às ${this.hora}`;
-            }
-            if (this.descricao && this.descricao.trim() !== '') {
-                info += ` (Obs: ${this.descricao})`;
-            }
-        } else { // status === 'concluida'
-            const custoFormatado = (this.custo !== null && typeof this.custo === 'number') ? this.custo.toLocaleString('pt-BR', {
-                style: 'currency',
-                currency: 'BRL'
-            }) : 'Custo não informado';
-
-            info = `- ${this.tipo} em ${dataFormatada} - ${custoFormatado}`;
-            if (this.descricao && this.descricao.trim() !== '') {
-                info += ` (${this.descricao})`;
+    serializarGaragem(reaproveitados = {}) {
+        const veiculos = {};
+        for (const idVeiculo in this.veiculos) {
+            if (this.veiculos.hasOwnProperty(idVeiculo)) {
+                veiculos[idVeiculo] = reaproveitados[idVeiculo] || this.veiculos[idVeiculo].toJSON();
             }
         }
-        return info;
+        return {
+            versaoSchema: VERSAO_SCHEMA_ATUAL,
+            salvoEm: new Date().toISOString(),
+            veiculos,
+            catalogo: this.catalogo ? this.catalogo.toJSON() : null,
+            oficina: this.oficina ? this.oficina.toJSON() : null
+        };
     }
 
     /**
-     * Validates the maintenance data.
-     * Checks date format, type presence, and cost (if completed).
-     * @returns {string[]} An array of error messages. An empty array indicates the data is valid.
+     * Saves the whole garage now. Changes of a single vehicle are batched instead (see _observarPersistencia).
+     * @returns {Promise<boolean>} False if it could not be saved (the error is logged and shown).
      */
-    validar() {
-        const erros = [];
-
-        // 1. Validate Date (YYYY-MM-DD format and logical date using getDateTime)
-        const dateObj = this.getDateTime();
-        if (!dateObj) {
-             // If getDateTime failed, it means data or hora was invalid or the combination resulted in an invalid Date
-             if (!this.data || !/^\d{4}-\d{2}-\d{2}$/.test(this.data)) {
-                 erros.push('Formato da data inválido (esperado AAAA-MM-DD).');
-             } else if (this.hora && !/^\d{2}:\d{2}$/.test(this.hora)){
-                 erros.push('Formato da hora inválido (esperado HH:MM).');
-             } else {
-                 erros.push('Data inválida (ex: Dia 31 em mês com 30 dias).');
-             }
+    salvarGaragem() {
+        this.salvamento.marcar();
+        return this.salvamento.descarregar();
+    }
+
+    /**
+     * Writes a batch of AgendadorSalvamento through the storage adapter. Vehicles that did not change
+     * since the last save are not serialized again.
+     * @param {string[] | null} idsVeiculos - Vehicles changed since the last save; null for everything.
+     * @returns {Promise<boolean>} False if it could not be saved (the error is logged and shown).
+     */
+    _gravarGaragem(idsVeiculos) {
+        if (this.salvamentoBloqueado) return Promise.resolve(false); // Unreadable data without a backup (see carregarGaragem)
+        const mesmosVeiculos = Object.keys(this.veiculos).join('|') === Object.keys(this._veiculosSalvos).join('|');
+        const alterados = idsVeiculos && mesmosVeiculos ? idsVeiculos : null;
+        const reaproveitados = {};
+        if (alterados) {
+            Object.keys(this._veiculosSalvos)
+                .filter(id => !alterados.includes(id))
+                .forEach(id => { reaproveitados[id] = this._veiculosSalvos[id]; });
         }
+        const dados = this.serializarGaragem(reaproveitados);
+        this._veiculosSalvos = dados.veiculos;
+        return this.armazenamento.salvar(dados, alterados)
+            .then(() => {
+                console.log(`Garagem salva (${this.armazenamento.descricao}).`);
+                this._gravado = dados; // Batches are saved one at a time: this is what the storage has now
+                if (this._pendentesGuardados && !this.salvamento.pendente()) this._descartarAlteracoesPendentes();
+                if (this.abas) this.abas.publicar({ tipo: 'garagem' }); // The other tabs reload it
+                // Queued for the backend once saved here (the queue survives going offline)
+                if (this.sincronizacao.registrarAlteracoes(dados.veiculos) > 0 && this._cronometroSincronizacao) this.sincronizacao.sincronizar();
+                return true;
+            })
+            .catch(error => {
+                console.error("Erro ao salvar garagem:", error);
+                if (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED') {
+                    alert("Erro: Limite de armazenamento local excedido.");
+                }
+                return false;
+            });
+    }
 
-        // 2. Validate Hora (Optional, format HH:MM is checked within getDateTime now)
-        // No need for separate check here unless more specific validation is desired
+    /**
+     * Shows the save status in #statusSalvamento.
+     * @param {'salvo' | 'pendente' | 'salvando' | 'erro'} status
+     */
+    atualizarStatusSalvamento(status) {
+        const indicador = document.getElementById('statusSalvamento');
+        if (!indicador) return;
+        indicador.dataset.status = status;
+        indicador.textContent = TEXTOS_STATUS_SALVAMENTO[status];
+    }
 
-        // 3. Validate Tipo (Non-empty string)
-        if (typeof this.tipo !== 'string' || this.tipo.trim() === '') {
-            erros.push('O tipo de serviço não pode ser vazio.');
+    /**
+     * Loads the garage saved in the storage adapter, migrating it to the current schema
+     * (and from localStorage to IndexedDB).
+     * @returns {Promise<boolean>} True if loaded; false if there is nothing saved or it was quarantined.
+     */
+    async carregarGaragem() {
+        let salvo;
+        try {
+            salvo = await this.armazenamento.carregar();
+        } catch (error) {
+            console.error(`Erro ao ler a garagem (${this.armazenamento.descricao}):`, error);
+            alert(`Erro ao ler os dados da garagem (${error.message}). Recarregue a página para tentar novamente.`);
+            return false;
+        }
+        const copias = this._lerAlteracoesPendentes();
+        if (!salvo && copias.length === 0) {
+            console.log(`Nenhum dado salvo (${this.armazenamento.descricao}).`);
+            return false;
+        }
+        if (!salvo) {
+            // The first save did not finish: the copies are applied to an empty garage
+            salvo = { dados: { versaoSchema: VERSAO_SCHEMA_ATUAL, veiculos: {}, catalogo: null, oficina: null }, versaoForcada: null, origem: 'alterações não salvas', descartar: async () => {} };
         }
 
-        // 4. Validate Custo (Non-negative number, *only* if status is 'concluida')
-        if (this.status === 'concluida') {
-            // Allow 0 cost, but not negative or non-numeric or null
-            if (this.custo === null || typeof this.custo !== 'number' || isNaN(this.custo) || this.custo < 0) {
-                erros.push('Para manutenção concluída, o custo deve ser um número igual ou maior que zero.');
+        try {
+            const { dados, versaoOriginal } = lerDadosArmazenados(salvo.dados, salvo.versaoForcada);
+            copias.forEach(({ copia }) => this._aplicarAlteracoesPendentes(dados, copia));
+            this._carregarCatalogo(dados.catalogo);
+            this._carregarOficina(dados.oficina);
+            this._carregarVeiculos(dados.veiculos);
+            this._gravado = this.serializarGaragem(); // What is stored, unless copies were applied (saved below)
+            if (versaoOriginal !== VERSAO_SCHEMA_ATUAL || salvo.migrado || copias.length > 0) {
+                const salva = await this.salvarGaragem(); // Persist the migrated schema / storage / recovered changes
+                if (salva && salvo.migrado) await salvo.descartar(); // Moved: free the localStorage
+                if (salva && await this._salvarAuditoria()) copias.forEach(({ chave }) => localStorage.removeItem(chave));
             }
-        }
+            console.log(`Garagem (${salvo.origem}, schema v${versaoOriginal}) carregada.`);
+            return true;
 
-        // 5. Validate Descricao (Optional, just check if it's a string if provided)
-        if (this.descricao && typeof this.descricao !== 'string') {
-             erros.push('A descrição/observação deve ser um texto.');
+        } catch (error) {
+            console.error(`Erro ao carregar/parsear garagem (${salvo.origem}):`, error);
+            // Never delete user data: move it to a backup key and offer recovery (#painelRecuperacao)
+            let chaveBackup;
+            try {
+                chaveBackup = quarentenarDados(typeof salvo.dados === 'string' ? salvo.dados : JSON.stringify(salvo.dados), error.message);
+            } catch (erroBackup) {
+                // No room for the backup: the data stays where it is and nothing is saved over it
+                console.error("Erro ao criar backup dos dados da garagem:", erroBackup);
+                this.salvamentoBloqueado = true;
+                alert(`Erro ao carregar dados da garagem (${error.message}).\nNão foi possível criar um backup; nada será salvo até que os dados sejam corrigidos.`);
+                this.veiculos = {};
+                return false;
+            }
+            await salvo.descartar();
+            alert(`Erro ao carregar dados da garagem (${error.message}).\nOs dados foram guardados em backup ("${chaveBackup}") e podem ser recuperados ou exportados.`);
+            this.veiculos = {};
+            return false;
         }
+    }
 
-        // 6. Validate Status
-        if (this.status !== 'agendada' && this.status !== 'concluida') {
-             erros.push('Status de manutenção inválido.');
+    /**
+     * Copies the changes not written to the storage yet to localStorage, synchronously, when the page
+     * is closing: an IndexedDB save started now may not finish before the page goes. Only the vehicles
+     * that differ from the last completed save are copied (with the removed ones, the catalog and
+     * workshop if changed and the unsaved audit entries), under a key of this tab, with the hash of
+     * each of those vehicles as stored (see _aplicarAlteracoesPendentes).
+     * carregarGaragem applies the copy on the next load.
+     */
+    guardarAlteracoesPendentes() {
+        if (this.salvamentoBloqueado) return;
+        const atual = this.serializarGaragem();
+        const gravado = this._gravado;
+        const diferente = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+        const resumoGravado = id => gravado.veiculos[id] ? resumoVeiculoAbas(gravado.veiculos[id]) : null;
+        const veiculos = {};
+        const bases = {};
+        Object.keys(atual.veiculos).forEach(id => {
+            const base = resumoGravado(id);
+            if (base === resumoVeiculoAbas(atual.veiculos[id])) return;
+            veiculos[id] = atual.veiculos[id];
+            bases[id] = base;
+        });
+        const removidos = Object.keys(gravado.veiculos).filter(id => !atual.veiculos[id]);
+        removidos.forEach(id => { bases[id] = resumoGravado(id); });
+        const copia = {
+            versaoSchema: VERSAO_SCHEMA_ATUAL,
+            guardadoEm: atual.salvoEm,
+            veiculos,
+            removidos,
+            bases,
+            // Left out (undefined) when unchanged
+            catalogo: diferente(atual.catalogo, gravado.catalogo) ? atual.catalogo : undefined,
+            oficina: diferente(atual.oficina, gravado.oficina) ? atual.oficina : undefined,
+            auditoria: this._auditoriaNaoGravada
+        };
+        const vazia = Object.keys(veiculos).length === 0 && copia.removidos.length === 0
+            && copia.catalogo === undefined && copia.oficina === undefined && copia.auditoria.length === 0;
+        if (vazia) {
+            if (this._pendentesGuardados) this._descartarAlteracoesPendentes();
+            return;
+        }
+        try {
+            localStorage.setItem(this.chaveAlteracoesPendentes, JSON.stringify(copia));
+            this._pendentesGuardados = true;
+        } catch (error) {
+            console.error("Erro ao guardar as alterações não salvas:", error);
         }
-
-
-        return erros; // Return the array of errors
     }
 
     /**
-     * Checks if the maintenance data is valid based on the `validar` method.
-     * @returns {boolean} True if the data is valid, false otherwise.
+     * Reads the copies of guardarAlteracoesPendentes left by tabs that closed, oldest first.
+     * Unreadable copies are removed.
+     * @returns {{chave: string, copia: object}[]}
      */
-    isValid() {
-        // Allow scheduled items to be valid even if cost validation fails (because cost *should* be null)
-        const erros = this.validar();
-         if (this.status === 'agendada') {
-             // For scheduled, all errors *except* the one about cost must be absent
-             return erros.filter(e => !e.includes('custo')).length === 0;
-         } else {
-             // For completed, there should be no errors at all
-             return erros.length === 0;
-         }
+    _lerAlteracoesPendentes() {
+        const prefixo = `${this.localStorageKey}_pendentes_`;
+        const copias = [];
+        Object.keys(localStorage).filter(chave => chave.startsWith(prefixo)).forEach(chave => {
+            try {
+                const bruta = JSON.parse(localStorage.getItem(chave));
+                const { dados } = lerDadosArmazenados(bruta);
+                // Migrations may fill in a catalog or workshop that the copy left out as unchanged
+                if (!('catalogo' in bruta)) delete dados.catalogo;
+                if (!('oficina' in bruta)) delete dados.oficina;
+                copias.push({ chave, copia: { ...dados, removidos: bruta.removidos || [], bases: bruta.bases || {}, auditoria: bruta.auditoria || [] } });
+            } catch (error) {
+                console.warn(`Cópia de alterações não salvas ilegível ("${chave}"), descartada:`, error);
+                localStorage.removeItem(chave);
+            }
+        });
+        return copias.sort((a, b) => String(a.copia.guardadoEm).localeCompare(String(b.copia.guardadoEm)));
     }
-}
 
+    /**
+     * Applies a copy of guardarAlteracoesPendentes vehicle by vehicle: its vehicles replace the stored
+     * ones and the others are kept. A vehicle another tab saved after the copy was taken keeps the
+     * records only that tab has (mesclarVeiculoAbas), and is not removed. The audit entries are added to the log.
+     * @param {object} dados - Stored data in the current schema; changed in place.
+     * @param {object} copia - See _lerAlteracoesPendentes().
+     */
+    _aplicarAlteracoesPendentes(dados, copia) {
+        const alteradoDepois = id => Boolean(dados.veiculos[id] && copia.bases[id] && resumoVeiculoAbas(dados.veiculos[id]) !== copia.bases[id]);
+        copia.removidos.filter(id => !alteradoDepois(id)).forEach(id => delete dados.veiculos[id]);
+        Object.keys(copia.veiculos).forEach(id => {
+            dados.veiculos[id] = alteradoDepois(id) ? mesclarVeiculoAbas(copia.veiculos[id], dados.veiculos[id]) : copia.veiculos[id];
+        });
+        if (copia.catalogo !== undefined) dados.catalogo = copia.catalogo;
+        if (copia.oficina !== undefined) dados.oficina = copia.oficina;
+        const ids = new Set(this.auditoria.entradas.map(e => e.id));
+        const entradas = RegistroAuditoria.fromJSON(copia.auditoria).entradas.filter(e => !ids.has(e.id));
+        this.auditoria.mesclar(entradas);
+        this._auditoriaNaoGravada.push(...entradas);
+        console.log(`Alterações não salvas recuperadas (${Object.keys(copia.veiculos).length} veículo(s)).`);
+    }
+
+    /** Removes this tab's copy of guardarAlteracoesPendentes. */
+    _descartarAlteracoesPendentes() {
+        localStorage.removeItem(this.chaveAlteracoesPendentes);
+        this._pendentesGuardados = false;
+    }
 
-// --- Veiculo Base Class ---
-class Veiculo {
-    constructor(modelo, cor) {
-        this.modelo = modelo || "Não definido"; // Default values
-        this.cor = cor || "Não definida";
-        this.combustivel = 100;
-        this.historicoManutencao = []; // Added maintenance history array
-        this.nomeNaGaragem = null; // Will be set by Garagem
+    /**
+     * Replaces the service catalog and subscribes to its changes.
+     * @param {object[] | null} servicosDados - Saved services, or null for the default catalog.
+     */
+    _carregarCatalogo(servicosDados) {
+        this.catalogo = Array.isArray(servicosDados) ? CatalogoServicos.fromJSON(servicosDados) : CatalogoServicos.padrao();
+        this.catalogo.on('alterado', () => {
+            this.salvarGaragem(); // <-- SAVE
+            this.atualizarCatalogo();
+        });
+        this.catalogo.on('aviso', ({ mensagem }) => alert(mensagem));
     }
 
-    pintar(novaCor) {
-        if (novaCor && typeof novaCor === 'string' && novaCor.trim() !== '') {
-             this.cor = novaCor.trim();
-             if (this.atualizarDetalhes) this.atualizarDetalhes(); // Check if method exists
-             console.log(`Veículo pintado de ${this.cor}`);
-             garagem.salvarGaragem(); // <-- SAVE GARAGE STATE
-        } else {
-            alert("Por favor, insira uma cor válida.");
-        }
+    /**
+     * Replaces the workshop settings and subscribes to their changes.
+     * @param {object | null} oficinaDados - Saved settings, or null (or invalid) for the default workshop.
+     */
+    _carregarOficina(oficinaDados) {
+        const oficina = oficinaDados ? Oficina.fromJSON(oficinaDados) : null;
+        this.oficina = oficina && oficina.isValid() ? oficina : Oficina.padrao();
+        this.oficina.on('alterado', () => {
+            this.salvarGaragem(); // <-- SAVE
+            this.montarFormOficina();
+        });
+        this.oficina.on('aviso', ({ mensagem }) => alert(mensagem));
     }
 
     /**
-     * Adds a maintenance record (past or scheduled) to the vehicle's history if valid.
-     * @param {Manutencao} manutencao - The maintenance object to add.
+     * Replaces the vehicles of the garage with data in the current schema.
+     * @param {object} veiculosDados - Vehicles keyed by ID (Veiculo.toJSON() format).
      */
-    adicionarManutencao(manutencao) {
-        if (!(manutencao instanceof Manutencao)) {
-            // Try to rehydrate if it's a plain object from storage
-            if (typeof manutencao === 'object' && manutencao !== null && manutencao.data && manutencao.tipo) {
-                 // Pass all potential properties including new ones
-                manutencao = new Manutencao(
-                    manutencao.data,
-                    manutencao.tipo,
-                    manutencao.custo,
-                    manutencao.descricao,
-                    manutencao.hora, // Add hora
-                    manutencao.status // Add status
-                );
-            } else {
-                 alert("Erro interno: Objeto de manutenção inválido.");
-                 return false; // Indicate failure
+    _carregarVeiculos(veiculosDados) {
+        Object.values(this.veiculos).forEach(veiculo => veiculo.descartar());
+        this.veiculos = {}; // Clear current before loading
+        // Older saves are keyed by fixed names ('meuCarro', 'moto'...), which are kept as IDs
+        for (const idVeiculo in veiculosDados) {
+            if (veiculosDados.hasOwnProperty(idVeiculo)) {
+                const novoVeiculo = Veiculo.fromJSON(veiculosDados[idVeiculo], idVeiculo);
+                if (novoVeiculo) this._registrarVeiculo(novoVeiculo);
             }
         }
+    }
 
-        // Use the object's own validation method
-        const erros = manutencao.validar();
-        const isValidForAdding = manutencao.isValid(); // Use the refined isValid
-
-        if (isValidForAdding) {
-            this.historicoManutencao.push(manutencao);
-            console.log(`Manutenção registrada/agendada: ${manutencao.formatar()}`);
-
-            // Update UI displays
-             if (this.nomeNaGaragem && typeof garagem !== 'undefined') {
-                  // Update the main info display ONLY IF the currently displayed vehicle is this one
-                  const infoArea = document.getElementById('informacoesVeiculo');
-                  // Check if infoArea exists and if it currently displays this vehicle's model
-                  if (infoArea && infoArea.textContent.includes(`Modelo: ${this.modelo}`)) {
-                     garagem.exibirInformacoes(this.nomeNaGaragem);
-                  }
-                  // Always update the future appointments list
-                  garagem.atualizarListaAgendamentos();
-             }
+    // --- Other tabs of the same garage (CanalAbas) ---
 
-             alert(`Manutenção ${manutencao.status === 'agendada' ? 'agendada' : 'adicionada'} com sucesso!`);
-             garagem.salvarGaragem(); // <-- SAVE GARAGE STATE
-             return true; // Indicate success
-        } else {
-            alert(`Erro ao ${manutencao.status === 'agendada' ? 'agendar' : 'adicionar'} manutenção:\n` + erros.join("\n"));
-            return false; // Indicate failure
+    /**
+     * @param {{tipo: string, entradas?: object[], sincronizar?: boolean}} mensagem - Sent by another tab after it
+     *        saved the garage, audit entries (sent along) or the sync state.
+     */
+    _tratarMensagemAba(mensagem) {
+        if (mensagem.tipo === 'garagem') {
+            this.recarregarDeOutraAba();
+        } else if (mensagem.tipo === 'auditoria' && this.auditoria.mesclar(RegistroAuditoria.fromJSON(mensagem.entradas).entradas) > 0) {
+            clearTimeout(this._cronometroExibicaoAuditoria);
+            this._cronometroExibicaoAuditoria = setTimeout(() => this.atualizarAuditoria(), ATRASO_EXIBICAO_AUDITORIA_MS);
+        } else if (mensagem.tipo === 'sincronizacao') {
+            this._mesclarSincronizacaoDeOutraAba(Boolean(mensagem.sincronizar));
         }
     }
 
-    exibirInformacoes() {
-        let info = `Modelo: ${this.modelo}\nCor: ${this.cor}\nCombustível: ${this.combustivel}%`; // Changed to %
-
-        // Add **Completed** Maintenance History
-        info += "\n\n--- Histórico de Manutenção Realizada ---";
-        const historicoCompleto = (this.historicoManutencao || [])
-             .map(m => (m instanceof Manutencao) ? m : new Manutencao(m.data, m.tipo, m.custo, m.descricao, m.hora, m.status)) // Rehydrate just in case
-             .filter(m => m.status === 'concluida'); // Filter for COMPLETED
-
-        const historicoCompletoValido = historicoCompleto.filter(m => m.isValid());
-
-        if (historicoCompletoValido.length === 0) {
-            info += "\nNenhuma manutenção realizada registrada.";
-             if (historicoCompleto.length > historicoCompletoValido.length) {
-                 info += "\n(Existem registros concluídos com dados inválidos)";
-             }
-        } else {
-             // Sort history by date (most recent first)
-             historicoCompletoValido.sort((a, b) => {
-                 const dateA = a.getDateTime();
-                 const dateB = b.getDateTime();
-                 if (!dateA && !dateB) return 0;
-                 if (!dateA) return 1; // Put invalid dates last
-                 if (!dateB) return -1;
-                 return dateB - dateA; // Descending order (most recent first)
-             });
-
-            historicoCompletoValido.forEach(m => {
-                info += `\n${m.formatar()}`;
-            });
-
-            if (historicoCompleto.length > historicoCompletoValido.length) {
-                 info += "\n\n(Alguns registros concluídos não puderam ser exibidos devido a dados inválidos)";
-             }
+    /**
+     * Reloads what another tab saved. Messages arriving during a reload make it run once more at the end.
+     * @returns {Promise<void>}
+     */
+    async recarregarDeOutraAba() {
+        if (this._recargaAbas) {
+            this._recarregarNovamente = true;
+            return this._recargaAbas;
         }
-        // Note: Scheduled items are NOT displayed here anymore, they are in their own list.
-        return info;
-    }
-
-    // --- Placeholder UI Update Methods (to be implemented by subclasses) ---
-    atualizarDetalhes() { /* Implement in subclass */ }
-    atualizarStatus() { /* Implement in subclass */ }
-    atualizarVelocidadeDisplay() { /* Implement in subclass */ }
-    atualizarPonteiroVelocidade() { /* Implement in subclass */ }
-    atualizarInfoDisplay() { /* Implement in subclass */ }
-    ativarAnimacaoAceleracao(tipo) { /* Implement in subclass or make generic */ }
-    ativarAnimacaoFreagem(tipo) { /* Implement in subclass or make generic */ }
-}
-
-// --- Car Class ---
-class Carro extends Veiculo {
-    constructor(modelo, cor) {
-        super(modelo, cor);
-        this.ligado = false;
-        this.velocidade = 0;
-        this.velocidadeMaxima = 200;
-        // nomeNaGaragem will be set by Garagem
-    }
-
-    ligar() {
-        if (this.ligado) return;
-        if (this.combustivel > 0) {
-            this.ligado = true;
-            this.atualizarStatus();
-            console.log("Carro ligado!");
-            garagem.salvarGaragem(); // <-- SAVE
-        } else {
-            alert("Sem combustível! Abasteça o carro.");
+        this._recargaAbas = this._recarregarDeOutraAba();
+        try {
+            await this._recargaAbas;
+        } finally {
+            this._recargaAbas = null;
         }
-    }
-
-    desligar() {
-        if (!this.ligado) return;
-
-        const previouslyLigado = this.ligado;
-        this.ligado = false;
-
-        if (this.velocidade > 0) {
-             const interval = setInterval(() => {
-                 this.frear(true); // Pass flag to indicate internal call from desligar
-                 if (this.velocidade === 0) {
-                    clearInterval(interval);
-                    this.atualizarStatus();
-                    this.atualizarVelocidadeDisplay();
-                    this.atualizarPonteiroVelocidade();
-                     console.log("Carro desligado após parar.");
-                     garagem.salvarGaragem(); // <-- SAVE after stopping
-                 }
-             }, 100); // Adjust interval time as needed
-        } else {
-            this.atualizarStatus();
-             this.atualizarVelocidadeDisplay();
-             this.atualizarPonteiroVelocidade();
-             console.log("Carro desligado.");
-             if(previouslyLigado) garagem.salvarGaragem(); // <-- SAVE only if it was actually turned off now
+        if (this._recarregarNovamente) {
+            this._recarregarNovamente = false;
+            await this.recarregarDeOutraAba();
         }
     }
 
-    acelerar() {
-        if (!this.ligado) {
-            alert("Ligue o carro primeiro!");
+    /**
+     * Rehydrates the vehicles, catalog and workshop that changed in the storage, like carregarGaragem.
+     * Vehicles with unsaved changes in this tab keep them (see mesclarVeiculoAbas) and are saved
+     * with the next batch; the others keep the driving state of this tab (manterConducaoDaAba).
+     * The UI is rebuilt keeping the forms being filled in (see capturarEdicoes).
+     */
+    async _recarregarDeOutraAba() {
+        while (this.salvamento.emAndamento) await this.salvamento.emAndamento; // Our own batch is written first
+        let dados;
+        try {
+            const salvo = await this.armazenamento.carregar();
+            if (!salvo || salvo.migrado) return;
+            dados = lerDadosArmazenados(salvo.dados, salvo.versaoForcada).dados;
+        } catch (error) {
+            console.error("Erro ao recarregar a garagem salva por outra aba:", error);
             return;
         }
-        if (this.combustivel <= 0) {
-             alert("Sem combustível! Abasteça o carro.");
-             this.desligar();
-             return;
-        }
-        if (this.velocidade >= this.velocidadeMaxima) {
-             this.velocidade = this.velocidadeMaxima;
-             this.atualizarVelocidadeDisplay();
-             this.atualizarPonteiroVelocidade();
-            return; // Already at max speed
-        }
-
-        this.velocidade = Math.min(this.velocidade + 10, this.velocidadeMaxima);
-        this.combustivel = Math.max(this.combustivel - 5, 0); // Consume fuel
-        this.atualizarVelocidadeDisplay();
-        this.atualizarPonteiroVelocidade();
-        this.ativarAnimacaoAceleracao('carro'); // 'carro' is the type prefix for IDs
-        console.log(`Acelerando! Velocidade: ${this.velocidade}, Combustível: ${this.combustivel}%`);
-        garagem.salvarGaragem(); // <-- SAVE state change
-
-        if (this.combustivel <= 0) {
-            console.log("Sem combustível! O carro vai desligar.");
-            this.desligar(); // Desligar will handle saving after stopping
-        }
-    }
 
-    frear(interno = false) { // Add flag to know if called internally (e.g., by desligar)
-        if (this.velocidade === 0) {
-             const frearBtn = document.getElementById(`frear-btn`); // Use correct ID
-             if (frearBtn) frearBtn.disabled = true;
-            return; // Cannot brake if already stopped
+        const antes = this.serializarGaragem();
+        const { tudo, sujos } = this.salvamento;
+        const pendente = idVeiculo => tudo || sujos.has(idVeiculo);
+        const veiculos = {};
+        Object.keys(dados.veiculos).forEach(id => {
+            const local = antes.veiculos[id] || null;
+            veiculos[id] = local && pendente(id)
+                ? mesclarVeiculoAbas(local, dados.veiculos[id])
+                : manterConducaoDaAba(local, dados.veiculos[id], this._veiculosSalvos[id] || null);
+        });
+        Object.keys(antes.veiculos)
+            .filter(id => !dados.veiculos[id] && pendente(id)) // Added here and not saved yet
+            .forEach(id => { veiculos[id] = antes.veiculos[id]; });
+        const depois = { veiculos, catalogo: tudo ? antes.catalogo : dados.catalogo, oficina: tudo ? antes.oficina : dados.oficina };
+        this._veiculosSalvos = dados.veiculos; // Partial saves reuse the stored vehicles, not the old copies of this tab
+        this._gravado = dados; // What is stored now, for guardarAlteracoesPendentes
+
+        const alteracoes = compararEstados(antes, depois);
+        if (!alteracoes) return;
+        const edicoes = capturarEdicoes();
+        this._restaurarEstado(alteracoes, 'depois');
+        this.atualizarUICompleta();
+        restaurarEdicoes(edicoes);
+        console.log(`Garagem recarregada: ${Object.keys(alteracoes.veiculos).length} veículo(s) alterado(s) em outra aba.`);
+    }
+
+    // --- Recovery of quarantined data ---
+
+    /** Shows the newest backup of unreadable data, if any, in #painelRecuperacao. */
+    atualizarPainelRecuperacao() {
+        const painel = document.getElementById('painelRecuperacao');
+        if (!painel) return;
+        const quarentena = listarQuarentenas()[0];
+        this.quarentenaExibida = quarentena ? quarentena.chave : null;
+        painel.hidden = !quarentena;
+        if (!quarentena) return;
+
+        const dataBackup = quarentena.quarentenadoEm ? new Date(quarentena.quarentenadoEm).toLocaleString('pt-BR') : 'data desconhecida';
+        document.getElementById('motivoRecuperacao').textContent =
+            `Backup de ${dataBackup}. Motivo: ${quarentena.motivo}. Corrija o conteúdo abaixo e tente recuperar, ou exporte os dados brutos.`;
+        document.getElementById('dadosRecuperacao').value = quarentena.dadosBrutos || '';
+    }
+
+    /** Loads the (possibly edited) backup text, replacing the current garage. */
+    recuperarDadosQuarentena() {
+        const texto = document.getElementById('dadosRecuperacao').value;
+        let dados;
+        try {
+            dados = lerDadosArmazenados(texto).dados;
+        } catch (error) {
+            return alert(`Não foi possível recuperar os dados: ${error.message}`);
         }
+        const quantidade = Object.keys(dados.veiculos).length;
+        if (!confirm(`Recuperar ${quantidade} veículo(s)? A garagem atual será substituída.`)) return;
 
-        this.velocidade = Math.max(this.velocidade - 10, 0); // Decrease speed
-        this.atualizarVelocidadeDisplay();
-        this.atualizarPonteiroVelocidade();
-        if (!interno) this.ativarAnimacaoFreagem('carro'); // Don't show animation if called by desligar
-        console.log(`Freando! Velocidade: ${this.velocidade}`);
-        if (!interno) garagem.salvarGaragem(); // <-- SAVE state change only if user action
+        this._carregarCatalogo(dados.catalogo);
+        this._carregarOficina(dados.oficina);
+        this._carregarVeiculos(dados.veiculos);
+        this.salvarGaragem(); // <-- SAVE recovered data
+        this.historicoComandos.limpar(); // The commands were about the replaced garage
+        if (this.quarentenaExibida) localStorage.removeItem(this.quarentenaExibida);
+        this.atualizarUICompleta();
+        this.atualizarPainelRecuperacao();
+        alert("Dados recuperados com sucesso!");
+    }
 
-        // If stopped and the car is supposed to be off (due to desligar call), update status
-        if(this.velocidade === 0 && !this.ligado) {
-             this.atualizarStatus();
-        }
+    exportarDadosQuarentena() {
+        const texto = document.getElementById('dadosRecuperacao').value;
+        baixarArquivo(`${this.quarentenaExibida || 'garagem-backup'}.json`, texto);
     }
 
-     atualizarStatus() {
-        // Use the specific ID for this vehicle type's buttons container if needed, or general IDs
-        const statusElement = document.getElementById(`carro-status`);
-        const ligarBtn = document.getElementById(`ligar-btn`);
-        const desligarBtn = document.getElementById(`desligar-btn`);
-        const acelerarBtn = document.getElementById('acelerar-btn');
-        const frearBtn = document.getElementById('frear-btn');
-        const pintarBtn = document.getElementById('pintar-btn');
-        const abastecerBtn = document.getElementById('abastecer-btn');
+    descartarQuarentena() {
+        if (!this.quarentenaExibida) return;
+        if (!confirm("Descartar este backup? Os dados serão perdidos definitivamente.")) return;
+        localStorage.removeItem(this.quarentenaExibida);
+        this.atualizarPainelRecuperacao();
+    }
 
-        if (statusElement) {
-            statusElement.textContent = this.ligado ? 'Ligado' : 'Desligado';
-            statusElement.style.color = this.ligado ? 'green' : 'red';
-        }
+    /** Adds a vehicle to the garage and subscribes the persistence and garage-wide displays to it. */
+    _registrarVeiculo(veiculo) {
+        this.veiculos[veiculo.id] = veiculo;
+        this._observarPersistencia(veiculo);
+        this._observarExibicao(veiculo);
+        veiculo.on('ligado', ({ ligado }) => { if (!ligado) this._encerrarViagem(veiculo.id); }); // Turned off and stopped
+        veiculo.sincronizarOdometro(); // Vehicles saved while moving keep counting
+    }
 
-        if (ligarBtn) ligarBtn.disabled = this.ligado;
-        if (desligarBtn) desligarBtn.disabled = !this.ligado;
-        if (acelerarBtn) acelerarBtn.disabled = !this.ligado;
-        if (frearBtn) frearBtn.disabled = this.velocidade === 0;
-        if (pintarBtn) pintarBtn.disabled = false; // Can always paint
-        if (abastecerBtn) abastecerBtn.disabled = false; // Can always refuel
+    /**
+     * Persistence layer: marks the vehicle for the next batch save whenever its state changes.
+     * The odometer ticks of a moving vehicle are not saved one by one: the reading goes with the next
+     * speed change, or when the page is hidden or closed (marcarVeiculosEmMovimento).
+     */
+    _observarPersistencia(veiculo) {
+        EVENTOS_PERSISTIDOS.forEach(evento => veiculo.on(evento, (dados) => {
+            if (dados.interno) return; // Automatic braking while turning off, saved once it stops ('ligado')
+            if (evento === 'quilometragem' && !dados.manual) return;
+            this.salvamento.marcar(veiculo.id); // <-- SAVE (batched)
+        }));
+    }
+
+    /** Marks the moving vehicles for the next save, so the distance covered since their last speed change is kept. */
+    marcarVeiculosEmMovimento() {
+        Object.values(this.veiculos)
+            .filter(veiculo => veiculo.velocidade > 0)
+            .forEach(veiculo => {
+                veiculo.lerOdometro(); // Adds the distance since the last tick
+                this.salvamento.marcar(veiculo.id);
+            });
     }
 
-     atualizarVelocidadeDisplay() {
-        const velocidadeElement = document.getElementById(`velocidade-valor`);
-        if (velocidadeElement) {
-            velocidadeElement.textContent = this.velocidade + " km/h";
-        }
-         const frearBtn = document.getElementById('frear-btn');
-         if (frearBtn) frearBtn.disabled = this.velocidade === 0;
+    /** Keeps the info area and the appointments list in sync with the vehicle. */
+    _observarExibicao(veiculo) {
+        const eventosManutencao = ['manutencaoAdicionada', 'manutencaoAlterada', 'manutencaoRemovida'];
+        EVENTOS_PERSISTIDOS.forEach(evento => veiculo.on(evento, (dados) => {
+            // Update the main info display ONLY IF the currently displayed vehicle is this one
+            if (this.veiculoExibidoId !== veiculo.id) return;
+            // Odometer ticks (every second) and automatic braking (every 100 ms) only change these lines
+            if (dados.interno || (evento === 'quilometragem' && !dados.manual)) return this._atualizarLinhasConducao(veiculo);
+            this.exibirInformacoes(veiculo.id, eventosManutencao.includes(evento));
+        }));
+        veiculo.on('detalhes', () => {
+            this.atualizarListaVeiculos();
+            this.atualizarListaAgendamentos(); // The list shows the vehicle name/model
+            this.atualizarPainelCustos();
+        });
+        eventosManutencao.forEach(evento => veiculo.on(evento, () => {
+            this.atualizarListaAgendamentos();
+            this.atualizarPainelCustos();
+            this.atualizarTiposLivres();
+        }));
+        veiculo.on('planos', () => this.atualizarListaAgendamentos());
+        // Plans due by km: refresh after a trip or an adjustment, not on every odometer tick
+        veiculo.on('ligado', ({ ligado }) => { if (!ligado) this.atualizarListaAgendamentos(); });
+        veiculo.on('quilometragem', ({ manual }) => { if (manual) { this.atualizarListaAgendamentos(); this.atualizarPainelCustos(); } });
     }
 
-     atualizarPonteiroVelocidade() {
-        const ponteiro = document.getElementById(`ponteiro-velocidade`);
-        if (ponteiro) {
-            const porcentagem = Math.min((this.velocidade / this.velocidadeMaxima) * 100, 100);
-            ponteiro.style.width = `${porcentagem}%`;
-        }
+    /** Updates the entire UI based on the current state of all vehicles. */
+    atualizarUICompleta() {
+         console.log("Atualizando UI completa...");
+         Object.values(this.views).forEach(view => view.destruir()); // Cards are rebuilt from the template
+         this.views = {};
+         for (const idVeiculo in this.veiculos) {
+              if (this.veiculos.hasOwnProperty(idVeiculo)) {
+                   console.log(`Atualizando UI para: ${idVeiculo}`);
+                   this.renderizarCardVeiculo(this.veiculos[idVeiculo]);
+              }
+         }
+          this.atualizarListaVeiculos();
+          // Update the main info display (keep current vehicle, else show first vehicle or default message)
+          const idExibir = this.veiculos[this.veiculoExibidoId] ? this.veiculoExibidoId : Object.keys(this.veiculos)[0];
+          const infoArea = document.getElementById('informacoesVeiculo');
+          if(idExibir && infoArea) {
+              this.exibirInformacoes(idExibir);
+          } else if (infoArea) {
+               this.veiculoExibidoId = null;
+               infoArea.textContent = "Nenhum veículo na garagem. Adicione um veículo acima.";
+               this.atualizarTabelaHistorico();
+          }
+          // Update scheduled list
+          this.atualizarListaAgendamentos();
+          this.atualizarPainelCustos();
+          this.atualizarCatalogo();
+          this.montarFormOficina();
+          this.atualizarAuditoria();
     }
 
-     atualizarDetalhes() {
-        const modeloElement = document.getElementById(`modelo`); // Use the correct ID from HTML
-        const corElement = document.getElementById(`cor`);     // Use the correct ID from HTML
-        if (modeloElement) modeloElement.textContent = this.modelo;
-        if (corElement) corElement.textContent = this.cor;
+    /**
+     * Renders the card of a vehicle (see VeiculoView) into #listaVeiculos.
+     * @param {Veiculo} veiculo - The vehicle to render.
+     */
+    renderizarCardVeiculo(veiculo) {
+        const template = document.getElementById('templateVeiculo');
+        const listaElement = document.getElementById('listaVeiculos');
+        if (!template || !listaElement) return console.error("Elemento 'templateVeiculo' ou 'listaVeiculos' não encontrado.");
+
+        const view = new VeiculoView(veiculo, TIPOS_VEICULO[veiculo.constructor.name]);
+        view.renderizar(template, listaElement);
+        this.views[veiculo.id] = view;
     }
 
-    atualizarInfoDisplay() {
-        // Base car doesn't have a specific info paragraph like turbo/cargo
+    /**
+     * Finds an element of a vehicle card by its data-campo attribute.
+     * @returns {HTMLElement | null}
+     */
+    _campoVeiculo(idVeiculo, campo) {
+        const view = this.views[idVeiculo];
+        return view ? view.campo(campo) : null;
     }
 
+    /**
+     * Updates the vehicle count and every vehicle selector (select.seletor-veiculo).
+     * A selector with data-opcao-todos gets a first option with that label and an empty value.
+     */
+    atualizarListaVeiculos() {
+        const veiculos = Object.values(this.veiculos);
+        const titulo = document.getElementById('tituloListaVeiculos');
+        if (titulo) titulo.textContent = `Veículos na Garagem (${veiculos.length})`;
+
+        document.querySelectorAll('select.seletor-veiculo').forEach(seletor => {
+            const valorAnterior = seletor.value;
+            seletor.innerHTML = '';
+            const opcaoTodos = seletor.dataset.opcaoTodos;
+            if (opcaoTodos || veiculos.length === 0) {
+                const option = document.createElement('option');
+                option.textContent = opcaoTodos || 'Nenhum veículo';
+                option.value = '';
+                seletor.appendChild(option);
+            }
+            veiculos.forEach(veiculo => {
+                const option = document.createElement('option');
+                option.value = veiculo.id;
+                option.textContent = `${veiculo.nome} (${veiculo.modelo})`;
+                seletor.appendChild(option);
+            });
+            if (this.veiculos[valorAnterior]) seletor.value = valorAnterior;
+        });
 
-     exibirInformacoes() {
-        let baseInfo = super.exibirInformacoes();
-        return `${baseInfo}\nLigado: ${this.ligado ? 'Sim' : 'Não'}\nVelocidade: ${this.velocidade} km/h`;
+        const seletorInfo = document.getElementById('seletorVeiculoInfo');
+        if (seletorInfo && this.veiculoExibidoId) seletorInfo.value = this.veiculoExibidoId;
     }
 
-    // --- Animation Helper Methods (Generic) ---
-    ativarAnimacaoAceleracao(tipo) { // tipo should be 'carro', 'carroEsportivo', etc.
-        const animacaoAceleracao = document.getElementById(`animacao-aceleracao-${tipo}`);
-        if (animacaoAceleracao) {
-            animacaoAceleracao.classList.add('ativa');
-            setTimeout(() => {
-                animacaoAceleracao.classList.remove('ativa');
-            }, 300); // Match CSS transition
+    /**
+     * Dispatches clicks on [data-acao] buttons inside a vehicle card, an appointment item or a plan item
+     * (all carry data-veiculo-id). Maintenance and plan actions also use the item's data-manutencao-id/data-plano-id.
+     */
+    tratarAcaoCard(evento) {
+        const botao = evento.target.closest('[data-acao]');
+        const card = evento.target.closest('[data-veiculo-id]');
+        if (!botao || !card) return;
+
+        const idVeiculo = card.dataset.veiculoId;
+        const item = botao.closest('[data-manutencao-id]');
+        const idManutencao = item ? item.dataset.manutencaoId : null;
+        const itemPlano = botao.closest('[data-plano-id]');
+        switch (botao.dataset.acao) {
+            case 'exibir': this.exibirInformacoes(idVeiculo); break;
+            case 'renomear': this.renomearVeiculo(idVeiculo); break;
+            case 'remover': this.removerVeiculo(idVeiculo); break;
+            case 'atualizar': this.atualizarVeiculo(idVeiculo); break;
+            case 'pintar': this.pintarVeiculo(idVeiculo); break;
+            case 'abastecer': this.abastecerVeiculo(idVeiculo); break;
+            case 'ajustarQuilometragem': this.ajustarQuilometragem(idVeiculo); break;
+            case 'registrarManutencao': this.registrarManutencao(idVeiculo); break;
+            case 'agendarManutencao': this.agendarManutencao(idVeiculo); break;
+            case 'editarManutencao': this.editarManutencao(idVeiculo, idManutencao, item); break;
+            case 'salvarManutencao': this.salvarManutencao(idVeiculo, idManutencao, item); break;
+            case 'descartarEdicaoManutencao': this.atualizarListasManutencao(idVeiculo); break;
+            case 'concluirManutencao': this.concluirManutencao(idVeiculo, idManutencao); break;
+            case 'cancelarManutencao': this.cancelarManutencao(idVeiculo, idManutencao); break;
+            case 'excluirManutencao': this.excluirManutencao(idVeiculo, idManutencao); break;
+            case 'imprimirManutencao': this.imprimirManutencao(idVeiculo, idManutencao); break;
+            case 'imprimirHistorico': this.imprimirHistorico(idVeiculo); break;
+            case 'adicionarPlano': this.adicionarPlano(idVeiculo); break;
+            case 'removerPlano': this.removerPlano(idVeiculo, itemPlano ? itemPlano.dataset.planoId : null); break;
+            case 'adicionarPeca': adicionarLinhaItem(botao.closest('.manutencao-form, .manutencao-edicao'), 'peca'); break;
+            case 'adicionarMaoDeObra': adicionarLinhaItem(botao.closest('.manutencao-form, .manutencao-edicao'), 'maoDeObra'); break;
+            case 'removerItem': {
+                const formulario = botao.closest('.manutencao-form, .manutencao-edicao');
+                botao.closest('.item-manutencao').remove();
+                atualizarTotalItens(formulario);
+                break;
+            }
+            default: this.interagirComVeiculo(idVeiculo, botao.dataset.acao); break;
         }
     }
 
-    ativarAnimacaoFreagem(tipo) {
-        const animacaoFreagem = document.getElementById(`animacao-freagem-${tipo}`);
-        if (animacaoFreagem) {
-            animacaoFreagem.classList.add('ativa');
-            setTimeout(() => {
-                animacaoFreagem.classList.remove('ativa');
-            }, 300);
-        }
-    }
-}
 
+    // --- Vehicle Management Methods ---
 
-// --- Sports Car Class ---
-class CarroEsportivo extends Carro {
-    constructor(modelo, cor) {
-        super(modelo, cor);
-        this.turboAtivado = false;
-        this.velocidadeMaxima = 300; // Higher max speed
+    /**
+     * Creates a vehicle with a generated ID, renders its card and saves the garage.
+     * @param {object | null} [identificacao] - Plate, VIN, year, brand and owner, validated beforehand.
+     * @returns {Veiculo} The new vehicle.
+     */
+    _criarVeiculo(Classe, modelo, cor, extraArgs = [], nome = null, identificacao = null) {
+        const veiculo = new Classe(modelo, cor, ...extraArgs);
+        veiculo.id = gerarId('veiculo');
+        veiculo.nome = nome || modelo;
+        if (identificacao) veiculo.definirIdentificacao(identificacao); // Already validated by the caller
+        this._registrarVeiculo(veiculo);
+        console.log(`${Classe.name} criado! (id: ${veiculo.id})`);
+
+        this.renderizarCardVeiculo(veiculo);
+        this.exibirInformacoes(veiculo.id);
+        this.atualizarListaVeiculos();
+        this.salvarGaragem(); // <-- SAVE changes
+        return veiculo;
     }
 
-    ativarTurbo() {
-        if (!this.ligado) return alert("Ligue o carro esportivo primeiro!");
-        if (this.turboAtivado) return;
-        if (this.combustivel < 20) return alert("Combustível baixo demais para ativar o turbo!");
-
-        this.turboAtivado = true;
-        console.log('Turbo Ativado!');
-        alert('Turbo Ativado!');
-        this.atualizarInfoDisplay();
-        this.atualizarStatus();
-        garagem.salvarGaragem(); // <-- SAVE
+    /** Shows the capacity input only when a truck is selected in the "Adicionar Veículo" form. */
+    atualizarFormNovoVeiculo() {
+        const tipoSelect = document.getElementById('tipoNovoVeiculo');
+        const capacidadeInput = document.getElementById('capacidadeNovoVeiculo');
+        if (tipoSelect && capacidadeInput) capacidadeInput.hidden = tipoSelect.value !== 'Caminhao';
     }
 
-    desativarTurbo() {
-         if (!this.turboAtivado) return;
-        this.turboAtivado = false;
-        console.log('Turbo Desativado!');
-        alert('Turbo Desativado!');
-         this.atualizarInfoDisplay();
-         this.atualizarStatus();
-         garagem.salvarGaragem(); // <-- SAVE
-    }
+    adicionarVeiculo() {
+        const tipoSelect = document.getElementById('tipoNovoVeiculo');
+        const nomeInput = document.getElementById('nomeNovoVeiculo');
+        const modeloInput = document.getElementById('modeloNovoVeiculo');
+        const corInput = document.getElementById('corNovoVeiculo');
+        const capacidadeInput = document.getElementById('capacidadeNovoVeiculo');
+        if (!tipoSelect || !nomeInput || !modeloInput || !corInput || !capacidadeInput) {
+            return alert("Erro interno: Campos do formulário de novo veículo não encontrados.");
+        }
 
-    acelerar() {
-        if (!this.ligado) return alert("Ligue o carro esportivo primeiro!");
-        if (this.combustivel <= 0) { this.desligar(); return alert("Sem combustível! Abasteça o carro."); }
-        if (this.velocidade >= this.velocidadeMaxima) { this.velocidade = this.velocidadeMaxima; this.atualizarVelocidadeDisplay(); this.atualizarPonteiroVelocidade(); return; }
+        const infoTipo = TIPOS_VEICULO[tipoSelect.value];
+        if (!infoTipo) return alert("Selecione um tipo de veículo válido.");
 
-        const aumento = this.turboAtivado ? 50 : 20;
-        const consumo = this.turboAtivado ? 15 : 10;
+        const modelo = modeloInput.value.trim() || infoTipo.modeloPadrao;
+        const cor = corInput.value.trim() || infoTipo.corPadrao;
+        const extraArgs = infoTipo.classe === Caminhao ? [parseInt(capacidadeInput.value, 10) || 5000] : [];
 
-        this.velocidade = Math.min(this.velocidade + aumento, this.velocidadeMaxima);
-        this.combustivel = Math.max(this.combustivel - consumo, 0);
+        const camposIdentificacao = {
+            marca: 'marcaNovoVeiculo', ano: 'anoNovoVeiculo', placa: 'placaNovoVeiculo', chassi: 'chassiNovoVeiculo',
+            proprietario: 'proprietarioNovoVeiculo', telefone: 'telefoneProprietarioNovoVeiculo', email: 'emailProprietarioNovoVeiculo'
+        };
+        const identificacao = this._lerIdentificacao(campo => document.getElementById(camposIdentificacao[campo]));
+        if (!identificacao) return;
 
-        this.atualizarVelocidadeDisplay();
-        this.atualizarPonteiroVelocidade();
-        this.ativarAnimacaoAceleracao('carroEsportivo'); // Use correct type prefix
-        console.log(`Acelerando Carro Esportivo (Turbo: ${this.turboAtivado})! Vel: ${this.velocidade}, Comb: ${this.combustivel}%`);
-        garagem.salvarGaragem(); // <-- SAVE
+        this._criarVeiculo(infoTipo.classe, modelo, cor, extraArgs, nomeInput.value.trim(), identificacao);
+        nomeInput.value = ''; modeloInput.value = ''; corInput.value = ''; capacidadeInput.value = '';
+        Object.values(camposIdentificacao).forEach(id => { document.getElementById(id).value = ''; });
+    }
 
-        if (this.combustivel <= 0) {
-            console.log("Sem combustível! O carro vai desligar.");
-             if (this.turboAtivado) this.desativarTurbo(); // Save is handled in desativarTurbo
-            this.desligar(); // Save is handled in desligar
+    /**
+     * Reads and validates the identification inputs of the "Adicionar Veículo" form or of a card.
+     * @param {function(string): (HTMLInputElement | null)} obterInput - Input of 'marca', 'ano', 'placa',
+     *        'chassi', 'proprietario', 'telefone' or 'email'.
+     * @param {string | null} [idVeiculo=null] - Vehicle being edited, ignored in the duplicate plate check.
+     * @returns {object | null} Normalized data for Veiculo.definirIdentificacao, or null (after an alert) if invalid.
+     */
+    _lerIdentificacao(obterInput, idVeiculo = null) {
+        const ler = campo => { const input = obterInput(campo); return input ? input.value.trim() : ''; };
+        const anoTexto = ler('ano');
+        const identificacao = normalizarIdentificacao({
+            marca: ler('marca'),
+            ano: anoTexto ? Number(anoTexto) : null,
+            placa: ler('placa'),
+            chassi: ler('chassi'),
+            proprietario: { nome: ler('proprietario'), telefone: ler('telefone'), email: ler('email') }
+        });
+
+        const erros = validarIdentificacaoVeiculo(identificacao);
+        const duplicado = identificacao.placa && Object.values(this.veiculos).find(v => v.id !== idVeiculo && v.placa === identificacao.placa);
+        if (duplicado) erros.push(`A placa ${formatarPlaca(identificacao.placa)} já está cadastrada em ${duplicado.nome}.`);
+        if (erros.length > 0) {
+            alert(`Identificação do veículo inválida:\n- ${erros.join('\n- ')}`);
+            return null;
         }
+        return identificacao;
     }
 
-    frear(interno = false) {
-         if (this.velocidade === 0) {
-             const frearBtn = document.getElementById('frear-carroEsportivo-btn'); // Use correct ID
-             if (frearBtn) frearBtn.disabled = true;
-             return;
-         }
-        this.velocidade = Math.max(this.velocidade - 20, 0); // Brakes harder
-        this.atualizarVelocidadeDisplay();
-        this.atualizarPonteiroVelocidade();
-        if(!interno) this.ativarAnimacaoFreagem('carroEsportivo');
-        console.log(`Freando Carro Esportivo! Velocidade: ${this.velocidade}`);
-        if (!interno) garagem.salvarGaragem(); // <-- SAVE
-
-         if(this.velocidade === 0 && !this.ligado) {
-             this.atualizarStatus();
+    /**
+     * Creates one vehicle of each type, used when the garage is empty on first load.
+     * They are not synced while unchanged (SincronizadorGaragem.marcarExemplos).
+     */
+    criarVeiculosPadrao() {
+        const ids = Object.keys(this.veiculos);
+        for (const tipo in TIPOS_VEICULO) {
+            const infoTipo = TIPOS_VEICULO[tipo];
+            const extraArgs = infoTipo.classe === Caminhao ? [5000] : [];
+            this._criarVeiculo(infoTipo.classe, infoTipo.modeloPadrao, infoTipo.corPadrao, extraArgs, infoTipo.rotulo);
         }
+        const exemplos = {};
+        Object.keys(this.veiculos).filter(id => !ids.includes(id)).forEach(id => { exemplos[id] = this.veiculos[id].toJSON(); });
+        this.sincronizacao.marcarExemplos(exemplos);
+    }
+
+    /** Updates model, color, identification (and truck capacity) from the inputs of the vehicle's card. */
+    atualizarVeiculo(idVeiculo) {
+        const veiculo = this.veiculos[idVeiculo];
+        if (!veiculo) return alert(`Veículo "${idVeiculo}" não encontrado.`);
+
+        const modeloInput = this._campoVeiculo(idVeiculo, 'inputModelo');
+        const corInput = this._campoVeiculo(idVeiculo, 'inputCor');
+        const tanqueInput = this._campoVeiculo(idVeiculo, 'inputCapacidadeTanque');
+        const capacidadeInput = this._campoVeiculo(idVeiculo, 'inputCapacidade'); // Only in truck cards
+        if (!modeloInput || !corInput) return alert("Erro interno: Campos de modelo/cor não encontrados.");
+
+        const camposIdentificacao = {
+            marca: 'inputMarca', ano: 'inputAno', placa: 'inputPlaca', chassi: 'inputChassi',
+            proprietario: 'inputProprietario', telefone: 'inputTelefoneProprietario', email: 'inputEmailProprietario'
+        };
+        const identificacao = this._lerIdentificacao(campo => this._campoVeiculo(idVeiculo, camposIdentificacao[campo]), idVeiculo);
+        if (!identificacao) return; // Nothing is changed, the typed values stay in the inputs
+
+        // The 'detalhes'/'carga' events refresh the card, the lists and save the garage
+        veiculo.definirIdentificacao(identificacao);
+        veiculo.atualizarDados({
+            modelo: modeloInput.value,
+            cor: corInput.value,
+            capacidadeTanque: tanqueInput ? parseFloat(tanqueInput.value) : undefined,
+            capacidadeCarga: capacidadeInput ? parseInt(capacidadeInput.value, 10) : undefined
+        });
+        console.log(`${veiculo.constructor.name} atualizado!`);
+    }
+
+    renomearVeiculo(idVeiculo) {
+        const veiculo = this.veiculos[idVeiculo];
+        if (!veiculo) return alert(`Veículo "${idVeiculo}" não encontrado.`);
+
+        const novoNome = prompt("Novo nome para o veículo:", veiculo.nome);
+        if (novoNome === null) return; // Cancelled
+        veiculo.renomear(novoNome); // 'detalhes' event refreshes the UI and saves
+    }
+
+    removerVeiculo(idVeiculo) {
+        const veiculo = this.veiculos[idVeiculo];
+        if (!veiculo) return alert(`Veículo "${idVeiculo}" não encontrado.`);
+        if (!confirm(`Remover "${veiculo.nome}" e todo o seu histórico de manutenção?`)) return;
+
+        veiculo.descartar();
+        delete this.veiculos[idVeiculo];
+        if (this.views[idVeiculo]) this.views[idVeiculo].destruir();
+        delete this.views[idVeiculo];
+        console.log(`Veículo removido (id: ${idVeiculo}).`);
+
+        if (this.veiculoExibidoId === idVeiculo) this.veiculoExibidoId = null;
+        this.atualizarUICompleta();
+        this.salvarGaragem(); // <-- SAVE changes
     }
 
-     atualizarStatus() {
-        const statusElement = document.getElementById(`carroEsportivo-status`);
-        const ligarBtn = document.getElementById(`ligar-carroEsportivo-btn`);
-        const desligarBtn = document.getElementById(`desligar-carroEsportivo-btn`);
-        const acelerarBtn = document.getElementById('acelerar-carroEsportivo-btn');
-        const frearBtn = document.getElementById('frear-carroEsportivo-btn');
-        const pintarBtn = document.getElementById('pintar-carroEsportivo-btn');
-        const abastecerBtn = document.getElementById('abastecer-carroEsportivo-btn');
-        // Find turbo buttons using unique part of their onclick handler
-        const turboOnBtn = document.querySelector('#botoes-carroEsportivo button[onclick*="ativarTurbo"]');
-        const turboOffBtn = document.querySelector('#botoes-carroEsportivo button[onclick*="desativarTurbo"]');
-
-        if (statusElement) {
-            statusElement.textContent = this.ligado ? 'Ligado' : 'Desligado';
-            statusElement.style.color = this.ligado ? 'green' : 'red';
+    // --- Interaction Methods ---
+    interagirComVeiculo(idVeiculo, acao) {
+        const veiculo = this.veiculos[idVeiculo];
+        if (!veiculo) {
+             alert(`Veículo "${idVeiculo}" não encontrado. Adicione um veículo primeiro.`);
+             return;
         }
 
-        if (ligarBtn) ligarBtn.disabled = this.ligado;
-        if (desligarBtn) desligarBtn.disabled = !this.ligado;
-        if (acelerarBtn) acelerarBtn.disabled = !this.ligado;
-        if (frearBtn) frearBtn.disabled = this.velocidade === 0;
-        if (pintarBtn) pintarBtn.disabled = false;
-        if (abastecerBtn) abastecerBtn.disabled = false;
-        if (turboOnBtn) turboOnBtn.disabled = !this.ligado || this.turboAtivado || this.combustivel < 20;
-        if (turboOffBtn) turboOffBtn.disabled = !this.ligado || !this.turboAtivado;
+        try {
+            switch (acao) {
+                case 'ligar': veiculo.ligar(); break;
+                case 'desligar': veiculo.desligar(); break;
+                case 'acelerar': veiculo.acelerar(); break;
+                case 'frear': veiculo.frear(); break;
+                case 'ativarTurbo':
+                    if (veiculo instanceof CarroEsportivo) veiculo.ativarTurbo();
+                    else alert(`Ação indisponível para ${veiculo.nome}.`);
+                    break;
+                case 'desativarTurbo':
+                    if (veiculo instanceof CarroEsportivo) veiculo.desativarTurbo();
+                    else alert(`Ação indisponível para ${veiculo.nome}.`);
+                    break;
+                case 'carregar':
+                    const pesoCarregarInput = this._campoVeiculo(idVeiculo, 'inputPesoCarga');
+                    if (veiculo instanceof Caminhao && pesoCarregarInput) {
+                        veiculo.carregar(pesoCarregarInput.value);
+                        pesoCarregarInput.value = '';
+                    } else if (!(veiculo instanceof Caminhao)) alert(`Ação indisponível para ${veiculo.nome}.`);
+                    else console.error("Input 'inputPesoCarga' não encontrado.");
+                    break;
+                case 'descarregar':
+                     const pesoDescargaInput = this._campoVeiculo(idVeiculo, 'inputPesoDescarga');
+                    if (veiculo instanceof Caminhao && pesoDescargaInput) {
+                        veiculo.descarregar(pesoDescargaInput.value);
+                        pesoDescargaInput.value = '';
+                    } else if (!(veiculo instanceof Caminhao)) alert(`Ação indisponível para ${veiculo.nome}.`);
+                     else console.error("Input 'inputPesoDescarga' não encontrado.");
+                    break;
+                default:
+                    alert("Ação desconhecida.");
+                    break;
+            }
+              // Note: Card, info display and saving are updated by the vehicle events
+        } catch (error) {
+            console.error(`Erro ao interagir com ${idVeiculo} (${acao}):`, error);
+            alert(`Ocorreu um erro durante a ação "${acao}".`);
+        }
     }
 
-     atualizarVelocidadeDisplay() {
-        const velocidadeElement = document.getElementById(`carroEsportivo-velocidade-valor`);
-        if (velocidadeElement) {
-            velocidadeElement.textContent = this.velocidade + " km/h";
+    pintarVeiculo(idVeiculo) {
+        const veiculo = this.veiculos[idVeiculo];
+        if (!veiculo) return alert(`Veículo "${idVeiculo}" não foi criado.`);
+
+        const corPinturaInput = this._campoVeiculo(idVeiculo, 'inputCorPintura');
+        if (corPinturaInput) {
+            if (veiculo.pintar(corPinturaInput.value)) corPinturaInput.value = ''; // 'detalhes' event saves
+        } else {
+             alert(`Erro interno: Campo de cor de "${veiculo.nome}" não encontrado.`);
         }
-         const frearBtn = document.getElementById('frear-carroEsportivo-btn');
-         if (frearBtn) frearBtn.disabled = this.velocidade === 0;
     }
 
-     atualizarPonteiroVelocidade() {
-        const ponteiro = document.getElementById(`ponteiro-carroEsportivo-velocidade`);
-         if (ponteiro) {
-             const porcentagem = Math.min((this.velocidade / this.velocidadeMaxima) * 100, 100);
-             ponteiro.style.width = `${porcentagem}%`;
-         }
-    }
+    abastecerVeiculo(idVeiculo) {
+        const veiculo = this.veiculos[idVeiculo];
+        if (!veiculo) return alert(`Veículo "${idVeiculo}" não foi criado.`);
+
+        const litrosInput = this._campoVeiculo(idVeiculo, 'inputLitros');
+        const precoInput = this._campoVeiculo(idVeiculo, 'inputPrecoLitro');
+        const tipoInput = this._campoVeiculo(idVeiculo, 'inputTipoCombustivel');
+        if (!litrosInput || !precoInput || !tipoInput) {
+            return alert(`Erro interno: Campos de abastecimento de "${veiculo.nome}" não encontrados.`);
+        }
 
-     atualizarDetalhes() {
-        const modeloElement = document.getElementById(`carroEsportivo-modelo`);
-        const corElement = document.getElementById(`carroEsportivo-cor`);
-        if (modeloElement) modeloElement.textContent = this.modelo;
-        if (corElement) corElement.textContent = this.cor;
+        const abastecimento = new Abastecimento(dataLocalISO(), parseFloat(litrosInput.value), parseFloat(precoInput.value), tipoInput.value);
+        abastecimento.quilometragem = veiculo.lerOdometro();
+        // registrarAbastecimento warns through 'aviso'; its events refresh the card and save
+        if (veiculo.registrarAbastecimento(abastecimento)) {
+            alert(`${veiculo.nome} abastecido: ${abastecimento.formatar()}. Combustível: ${veiculo.combustivel}%`);
+            litrosInput.value = '';
+            precoInput.value = '';
+        }
     }
 
-      atualizarInfoDisplay() {
-         const infoElement = document.getElementById('infoEsportivo'); // Specific ID for sports car info
-         if (infoElement) {
-             infoElement.textContent = `Turbo: ${this.turboAtivado ? 'Ativado' : 'Desativado'}`;
-         }
-     }
+    ajustarQuilometragem(idVeiculo) {
+        const veiculo = this.veiculos[idVeiculo];
+        if (!veiculo) return alert(`Veículo "${idVeiculo}" não criado.`);
+        const quilometragemInput = this._campoVeiculo(idVeiculo, 'inputQuilometragem');
+        if (!quilometragemInput) return alert(`Erro interno: Campo de hodômetro de "${veiculo.nome}" não encontrado.`);
 
-     exibirInformacoes() {
-        let baseInfo = super.exibirInformacoes();
-        return `${baseInfo}\nTurbo: ${this.turboAtivado ? 'Ativado' : 'Desativado'}`;
+        if (veiculo.ajustarQuilometragem(parseFloat(quilometragemInput.value))) { // 'quilometragem' event refreshes the UI and saves
+            alert(`Hodômetro de ${veiculo.nome} ajustado para ${veiculo.formatarQuilometragem()}.`);
+            quilometragemInput.value = '';
+        }
     }
-}
 
+     registrarManutencao(idVeiculo) {
+         const veiculo = this.veiculos[idVeiculo];
+         if (!veiculo) return alert(`Veículo "${idVeiculo}" não criado.`);
 
-// --- Truck Class ---
-class Caminhao extends Carro {
-    constructor(modelo, cor, capacidadeCarga) {
-        super(modelo, cor);
-        this.capacidadeCarga = (!isNaN(capacidadeCarga) && capacidadeCarga > 0) ? capacidadeCarga : 1000;
-        this.cargaAtual = 0;
-        this.velocidadeMaxima = 120; // Lower max speed
-    }
-
-    carregar(peso) {
-         const pesoNumerico = parseInt(peso, 10);
-         if (isNaN(pesoNumerico) || pesoNumerico <= 0) return alert("Por favor, insira um peso válido (número positivo) para carregar.");
-         if (this.cargaAtual + pesoNumerico > this.capacidadeCarga) return alert(`Carga excede a capacidade máxima de ${this.capacidadeCarga} kg! Carga atual: ${this.cargaAtual} kg.`);
-
-        this.cargaAtual += pesoNumerico;
-        this.atualizarDetalhes(); // Update display of current load
-        this.atualizarInfoDisplay(); // Update the specific info paragraph
-        console.log(`Caminhão carregado com ${pesoNumerico}kg. Carga atual: ${this.cargaAtual}kg`);
-        alert(`Caminhão carregado. Carga atual: ${this.cargaAtual}kg`);
-        garagem.salvarGaragem(); // <-- SAVE
-    }
-
-    descarregar(peso) {
-        const pesoNumerico = parseInt(peso, 10);
-         if (isNaN(pesoNumerico) || pesoNumerico <= 0) return alert("Por favor, insira um peso válido (número positivo) para descarregar.");
-         if (pesoNumerico > this.cargaAtual) return alert(`Não é possível descarregar ${pesoNumerico}kg. Carga atual: ${this.cargaAtual}kg.`);
-
-        this.cargaAtual -= pesoNumerico;
-        this.atualizarDetalhes();
-        this.atualizarInfoDisplay();
-        console.log(`Caminhão descarregado em ${pesoNumerico}kg. Carga atual: ${this.cargaAtual}kg`);
-         alert(`Caminhão descarregado. Carga atual: ${this.cargaAtual}kg`);
-         garagem.salvarGaragem(); // <-- SAVE
-    }
-
-     acelerar() {
-         if (!this.ligado) return alert("Ligue o caminhão primeiro!");
-         if (this.combustivel <= 0) { this.desligar(); return alert("Sem combustível! Abasteça o caminhão."); }
-         if (this.velocidade >= this.velocidadeMaxima) { this.velocidade = this.velocidadeMaxima; this.atualizarVelocidadeDisplay(); this.atualizarPonteiroVelocidade(); return; }
-
-         const fatorCarga = 1 - (this.cargaAtual / (this.capacidadeCarga * 2));
-         const aumento = Math.max(5, 10 * fatorCarga);
-         const consumo = 8 + (this.cargaAtual / this.capacidadeCarga) * 4;
-
-         this.velocidade = Math.min(this.velocidade + aumento, this.velocidadeMaxima);
-         this.combustivel = Math.max(this.combustivel - consumo, 0);
-         this.atualizarVelocidadeDisplay();
-         this.atualizarPonteiroVelocidade();
-         this.ativarAnimacaoAceleracao('caminhao');
-         console.log(`Acelerando Caminhão! Vel: ${this.velocidade.toFixed(1)}, Comb: ${this.combustivel.toFixed(1)}%, Carga: ${this.cargaAtual}kg`);
-         garagem.salvarGaragem(); // <-- SAVE
-
-         if (this.combustivel <= 0) {
-             console.log("Sem combustível! O caminhão vai desligar.");
-             this.desligar(); // Save handled by desligar
+         const dataInput = this._campoVeiculo(idVeiculo, 'dataManutencao');
+         const tipoInput = this._campoVeiculo(idVeiculo, 'tipoManutencao');
+         const custoInput = this._campoVeiculo(idVeiculo, 'custoManutencao');
+         const descInput = this._campoVeiculo(idVeiculo, 'descManutencao');
+
+         if (!dataInput || !tipoInput || !custoInput || !descInput) {
+             return alert(`Erro interno: Campos de manutenção realizada para ${veiculo.nome} não encontrados.`);
          }
-     }
 
-     frear(interno = false) {
-          if (this.velocidade === 0) {
-              const frearBtn = document.getElementById('frear-caminhao-btn'); // Use correct ID
-              if (frearBtn) frearBtn.disabled = true;
-              return;
-          }
-         const fatorCarga = 1 + (this.cargaAtual / this.capacidadeCarga);
-         const reducao = Math.max(10 / fatorCarga, 2);
-
-         this.velocidade = Math.max(this.velocidade - reducao, 0);
-         this.atualizarVelocidadeDisplay();
-         this.atualizarPonteiroVelocidade();
-         if(!interno) this.ativarAnimacaoFreagem('caminhao');
-         console.log(`Freando Caminhão! Velocidade: ${this.velocidade.toFixed(1)}`);
-        if (!interno) garagem.salvarGaragem(); // <-- SAVE
-
-          if(this.velocidade === 0 && !this.ligado) {
-             this.atualizarStatus();
+         const servico = this._resolverServico(veiculo, tipoInput.value);
+         if (!servico) return;
+         const formulario = custoInput.closest('.manutencao-form');
+         const { itens, aliquotaPecas, aliquotaMaoDeObra } = lerItensFormulario(formulario);
+         const novaManutencao = new Manutencao(
+             dataInput.value,
+             servico.tipo,
+             parseFloat(custoInput.value),
+             descInput.value.trim(),
+             null, // hora is null for completed form
+             'concluida' // status is completed
+         );
+         novaManutencao.idServico = servico.idServico;
+         if (itens.length > 0) novaManutencao.definirItens(itens, aliquotaPecas, aliquotaMaoDeObra); // The cost comes from the items
+         novaManutencao.quilometragem = veiculo.lerOdometro();
+
+         // adicionarManutencao validates and adds; its events update the UI and save
+         const success = veiculo.adicionarManutencao(novaManutencao);
+         if (success) {
+              alert("Manutenção adicionada com sucesso!");
+              dataInput.value = ''; tipoInput.value = ''; custoInput.value = ''; descInput.value = '';
+              formulario.querySelectorAll('.item-manutencao').forEach(elemento => elemento.remove());
+              formulario.querySelectorAll('[data-campo^="aliquota"]').forEach(input => { input.value = ''; });
+              atualizarTotalItens(formulario);
          }
      }
 
-      atualizarStatus() {
-        const statusElement = document.getElementById(`caminhao-status`);
-        const ligarBtn = document.getElementById(`ligar-caminhao-btn`);
-        const desligarBtn = document.getElementById(`desligar-caminhao-btn`);
-        const acelerarBtn = document.getElementById('acelerar-caminhao-btn');
-        const frearBtn = document.getElementById('frear-caminhao-btn');
-        const pintarBtn = document.getElementById('pintar-caminhao-btn');
-        const abastecerBtn = document.getElementById('abastecer-caminhao-btn');
-        const carregarBtn = document.querySelector('#botoes-caminhao button[onclick*="carregar"]');
-        const descarregarBtn = document.querySelector('#botoes-caminhao button[onclick*="descarregar"]');
-
-         if (statusElement) {
-            statusElement.textContent = this.ligado ? 'Ligado' : 'Desligado';
-            statusElement.style.color = this.ligado ? 'green' : 'red';
-        }
+     agendarManutencao(idVeiculo) {
+         const veiculo = this.veiculos[idVeiculo];
+         if (!veiculo) return alert(`Veículo "${idVeiculo}" não criado.`);
 
-        if (ligarBtn) ligarBtn.disabled = this.ligado;
-        if (desligarBtn) desligarBtn.disabled = !this.ligado;
-        if (acelerarBtn) acelerarBtn.disabled = !this.ligado;
-        if (frearBtn) frearBtn.disabled = this.velocidade === 0;
-        if (pintarBtn) pintarBtn.disabled = false;
-        if (abastecerBtn) abastecerBtn.disabled = false;
-        // Keep load/unload always enabled for simplicity, could disable if moving
-        if(carregarBtn) carregarBtn.disabled = false;
-        if(descarregarBtn) descarregarBtn.disabled = false;
-    }
-
-     atualizarVelocidadeDisplay() {
-        const velocidadeElement = document.getElementById(`caminhao-velocidade-valor`);
-        if (velocidadeElement) {
-            velocidadeElement.textContent = this.velocidade.toFixed(1) + " km/h";
-        }
-        const frearBtn = document.getElementById('frear-caminhao-btn');
-        if (frearBtn) frearBtn.disabled = this.velocidade === 0;
-    }
+         const dataInput = this._campoVeiculo(idVeiculo, 'dataAgendamento');
+         const horaInput = this._campoVeiculo(idVeiculo, 'horaAgendamento');
+         const tipoInput = this._campoVeiculo(idVeiculo, 'tipoAgendamento');
+         const obsInput = this._campoVeiculo(idVeiculo, 'obsAgendamento');
 
-     atualizarPonteiroVelocidade() {
-        const ponteiro = document.getElementById(`ponteiro-caminhao-velocidade`);
-         if (ponteiro) {
-            const porcentagem = Math.min((this.velocidade / this.velocidadeMaxima) * 100, 100);
-            ponteiro.style.width = `${porcentagem}%`;
+          if (!dataInput || !horaInput || !tipoInput || !obsInput) {
+             return alert(`Erro interno: Campos de agendamento para ${veiculo.nome} não encontrados.`);
          }
-    }
 
-     atualizarDetalhes() {
-         const modeloElement = document.getElementById(`caminhao-modelo`);
-         const corElement = document.getElementById(`caminhao-cor`);
-         const cargaElement = document.getElementById(`caminhao-carga`); // Specific element for cargo
+         const servico = this._resolverServico(veiculo, tipoInput.value);
+         if (!servico) return;
+         const novoAgendamento = new Manutencao(
+             dataInput.value,
+             servico.tipo,
+             null, // cost is null for scheduled
+             obsInput.value.trim(),
+             horaInput.value || null, // hora
+             'agendada' // status is scheduled
+         );
+         novoAgendamento.idServico = servico.idServico;
+         novoAgendamento.quilometragem = veiculo.lerOdometro(); // Replaced by the reading of when it is done (concluirManutencao)
 
-         if (modeloElement) modeloElement.textContent = this.modelo;
-         if (corElement) corElement.textContent = this.cor;
-         if (cargaElement) cargaElement.textContent = `${this.cargaAtual}kg / ${this.capacidadeCarga}kg`;
-    }
+         // Basic future date validation
+         const dataAgendada = novoAgendamento.getDateTime();
+         const agora = new Date();
+         agora.setSeconds(0, 0);
+         if (!dataAgendada) return alert("Erro: Data ou hora inválida para agendamento.");
+         if (dataAgendada < agora) return alert("Erro: Data/hora do agendamento deve ser no futuro.");
+         if (!this._verificarCapacidade(veiculo, novoAgendamento)) return;
 
-      atualizarInfoDisplay() {
-         const infoElement = document.getElementById('infoCaminhao'); // Specific ID for truck info
-         if (infoElement) {
-             infoElement.textContent = `Carga Atual: ${this.cargaAtual}kg (Capacidade: ${this.capacidadeCarga}kg)`;
+         // adicionarManutencao handles full validation and adding; its events update the UI and save
+         const success = veiculo.adicionarManutencao(novoAgendamento);
+         if (success) {
+              alert("Manutenção agendada com sucesso!");
+              dataInput.value = ''; horaInput.value = ''; tipoInput.value = ''; obsInput.value = '';
          }
      }
 
-     exibirInformacoes() {
-        let baseInfo = super.exibirInformacoes();
-        return `${baseInfo}\nCarga: ${this.cargaAtual}kg / ${this.capacidadeCarga}kg`;
-    }
-}
+     /**
+      * Checks an appointment against the workshop (see Oficina.verificarAgendamento). Overlaps with
+      * another appointment of the vehicle and slots without a free bay are rejected; out-of-hours
+      * bookings need a confirmation. The messages list the next free slots.
+      * @param {Veiculo} veiculo
+      * @param {{data: string, hora: string | null, tipo: string, idServico: string | null, id?: string}} agendamento
+      *        The appointment; `id` is the record being moved, if any.
+      * @returns {boolean} True if it can be saved.
+      */
+     _verificarCapacidade(veiculo, agendamento) {
+         const { data, hora } = agendamento;
+         const duracao = this.oficina.duracaoDe(agendamento, this.catalogo);
+         const ocupados = this.oficina.ocupacao(Object.values(this.veiculos), this.catalogo, agendamento.id || null);
+         const verificacao = this.oficina.verificarAgendamento(ocupados, { veiculo, data, hora, duracao });
+         const textoSugestoes = () => {
+             const [ano, mes, dia] = data.split('-').map(Number);
+             const [h, m] = (hora || '00:00').split(':').map(Number);
+             const aPartirDe = new Date(Math.max(Date.now(), new Date(ano, mes - 1, dia, h, m).getTime()));
+             const sugestoes = this.oficina.sugerirHorarios(ocupados, { veiculo, duracao, aPartirDe });
+             if (sugestoes.length === 0) return '\nNenhum horário livre nos próximos dias.';
+             return `\nPróximos horários livres: ${sugestoes.map(s => `${s.data.split('-').reverse().join('/')} ${s.hora}`).join(', ')}.`;
+         };
+
+         if (verificacao.conflitosVeiculo.length > 0) {
+             alert(`${veiculo.nome} já tem "${verificacao.conflitosVeiculo[0].tipo}" agendado nesse horário.${textoSugestoes()}`);
+             return false;
+         }
+         if (verificacao.lotado) {
+             alert(`Todos os ${this.oficina.boxes} box(es) da oficina estão ocupados nesse horário (o serviço leva ${duracao} min).${textoSugestoes()}`);
+             return false;
+         }
+         if (verificacao.foraDoHorario) {
+             return confirm(`${verificacao.foraDoHorario}${textoSugestoes()}\n\nAgendar mesmo assim?`);
+         }
+         return true;
+     }
 
+     /**
+      * Matches a typed service type with the catalog. Catalog services use their catalog name;
+      * other texts are kept as free text (they can be mapped later in the catalog section).
+      * @param {Veiculo} veiculo
+      * @param {string} texto - Typed service type.
+      * @returns {{tipo: string, idServico: string | null} | null} Null (after an alert) if the
+      *          service does not apply to this vehicle class.
+      */
+     _resolverServico(veiculo, texto) {
+         const servico = this.catalogo.encontrar(texto);
+         if (!servico) return { tipo: texto.trim(), idServico: null };
+         const classe = veiculo.constructor.name;
+         if (!servico.aplicaA(classe)) {
+             const rotulo = TIPOS_VEICULO[classe] ? TIPOS_VEICULO[classe].rotulo : classe;
+             alert(`O serviço "${servico.nome}" não se aplica a ${rotulo}.`);
+             return null;
+         }
+         return { tipo: servico.nome, idServico: servico.id };
+     }
 
-// --- Motorcycle Class ---
-class Moto extends Carro {
-    constructor(modelo, cor) {
-        super(modelo, cor);
-        this.velocidadeMaxima = 180; // Different max speed
-    }
+     /**
+      * Fills the cost with the default price of the catalog service typed in a card or edit form,
+      * if the cost is still empty ('change' listener of the vehicle and appointment lists).
+      */
+     preencherPrecoServico(evento) {
+         const campos = { tipoManutencao: 'custoManutencao', edicaoTipo: 'edicaoCusto' };
+         const nomeCusto = campos[evento.target.dataset.campo];
+         const formulario = evento.target.closest('.manutencao-form, .manutencao-edicao');
+         const custoInput = nomeCusto && formulario ? formulario.querySelector(`[data-campo="${nomeCusto}"]`) : null;
+         if (!custoInput || custoInput.value !== '' || custoInput.readOnly) return; // Scheduled records have no cost field; items set it
+         const servico = this.catalogo.encontrar(evento.target.value);
+         if (servico && servico.precoPadrao !== null) custoInput.value = servico.precoPadrao;
+     }
 
-    ligar() {
-         if (this.ligado) return;
-        if (this.combustivel > 0) {
-            this.ligado = true;
-            this.atualizarStatus();
-            console.log("Moto ligada! Vrumm!");
-            garagem.salvarGaragem(); // <-- SAVE
-        } else {
-            alert("Sem combustível! Abasteça a moto.");
-        }
-    }
+     /** Opens the inline edit form of a record, in the list where the button was clicked. */
+     editarManutencao(idVeiculo, idManutencao, item) {
+         const veiculo = this.veiculos[idVeiculo];
+         const manutencao = veiculo ? veiculo.buscarManutencao(idManutencao) : null;
+         if (!manutencao || !item) return alert("Manutenção não encontrada.");
+         abrirEdicaoManutencao(item, manutencao, idListaCatalogo(veiculo.constructor.name));
+     }
 
-    desligar() {
-        if (!this.ligado) return;
-         const previouslyLigado = this.ligado;
-        this.ligado = false;
-        if (this.velocidade > 0) {
-             const interval = setInterval(() => {
-                 this.frear(true); // Pass internal flag
-                 if (this.velocidade === 0) {
-                    clearInterval(interval);
-                    this.atualizarStatus();
-                    this.atualizarVelocidadeDisplay();
-                    this.atualizarPonteiroVelocidade();
-                    console.log("Moto desligada após parar.");
-                    garagem.salvarGaragem(); // <-- SAVE
-                 }
-             }, 80);
-        } else {
-            this.atualizarStatus();
-            this.atualizarVelocidadeDisplay();
-            this.atualizarPonteiroVelocidade();
-            console.log("Moto desligada.");
-             if(previouslyLigado) garagem.salvarGaragem(); // <-- SAVE
-        }
-    }
+     /** Applies the inline edit form. Invalid changes are reported and the form stays open. */
+     salvarManutencao(idVeiculo, idManutencao, item) {
+         const veiculo = this.veiculos[idVeiculo];
+         const manutencao = veiculo ? veiculo.buscarManutencao(idManutencao) : null;
+         if (!manutencao || !item) return alert("Manutenção não encontrada.");
+
+         const campo = nome => item.querySelector(`[data-campo="${nome}"]`);
+         const servico = this._resolverServico(veiculo, campo('edicaoTipo').value);
+         if (!servico) return;
+         const campos = {
+             data: campo('edicaoData').value,
+             hora: campo('edicaoHora').value || null,
+             tipo: servico.tipo,
+             idServico: servico.idServico,
+             descricao: campo('edicaoDescricao').value.trim()
+         };
+         const custoInput = campo('edicaoCusto'); // Only for completed records
+         if (custoInput) campos.custo = parseFloat(custoInput.value);
+         const { itens, aliquotaPecas, aliquotaMaoDeObra } = lerItensFormulario(item);
+         Object.assign(campos, { itens, aliquotaPecas, aliquotaMaoDeObra }); // With items, the cost is derived from them
+         const quilometragemValor = campo('edicaoQuilometragem').value;
+         campos.quilometragem = quilometragemValor === '' ? null : parseFloat(quilometragemValor);
+
+         // Moving an appointment follows the same rule as agendarManutencao
+         if (manutencao.status === 'agendada' && (campos.data !== manutencao.data || campos.hora !== manutencao.hora)) {
+             const novaData = Manutencao.fromJSON({ ...manutencao.toJSON(), ...campos }).getDateTime();
+             const agora = new Date();
+             agora.setSeconds(0, 0);
+             if (novaData && novaData < agora) return alert("Erro: Data/hora do agendamento deve ser no futuro.");
+         }
+         // A new slot or a service with another duration may not fit the workshop
+         if (manutencao.status === 'agendada' && (campos.data !== manutencao.data || campos.hora !== manutencao.hora || campos.tipo !== manutencao.tipo)) {
+             if (!this._verificarCapacidade(veiculo, { ...campos, id: idManutencao })) return;
+         }
 
-    acelerar() {
-        if (!this.ligado) return alert("Ligue a moto primeiro!");
-        if (this.combustivel <= 0) { this.desligar(); return alert("Sem combustível! Abasteça a moto."); }
-        if (this.velocidade >= this.velocidadeMaxima) { this.velocidade = this.velocidadeMaxima; this.atualizarVelocidadeDisplay(); this.atualizarPonteiroVelocidade(); return; }
+         // Its 'manutencaoAlterada' event re-renders the lists and saves
+         veiculo.atualizarManutencao(idManutencao, campos);
+     }
 
-        this.velocidade = Math.min(this.velocidade + 15, this.velocidadeMaxima);
-        this.combustivel = Math.max(this.combustivel - 3, 0); // More fuel efficient?
-        this.atualizarVelocidadeDisplay();
-        this.atualizarPonteiroVelocidade();
-        this.ativarAnimacaoAceleracao('moto');
-        console.log(`Acelerando a moto! Vel: ${this.velocidade}, Comb: ${this.combustivel}%`);
-        garagem.salvarGaragem(); // <-- SAVE
+     /** Asks the final cost of an appointment and marks it as done. */
+     concluirManutencao(idVeiculo, idManutencao) {
+         const veiculo = this.veiculos[idVeiculo];
+         const manutencao = veiculo ? veiculo.buscarManutencao(idManutencao) : null;
+         if (!manutencao) return alert("Manutenção não encontrada.");
 
-        if (this.combustivel <= 0) {
-            console.log("Sem combustível! A moto vai desligar.");
-            this.desligar(); // Save handled by desligar
-        }
-    }
+         let custo = null; // Records with line items get the cost derived from them
+         if (manutencao.itens.length > 0) {
+             const total = manutencao.calcularCustos().total.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+             if (!confirm(`Concluir "${manutencao.tipo}" com o total dos itens (${total})?`)) return;
+         } else {
+             const resposta = prompt(`Custo final de "${manutencao.tipo}" (R$):`, '');
+             if (resposta === null) return; // User cancelled
+             // pt-BR input: dots group thousands and the comma separates decimals ("1.234,56").
+             // Anything else left in the text (e.g. "R$") makes it NaN, which validar() rejects
+             const texto = resposta.trim().replace(/\.(?=\d{3}(?:\D|$))/g, '').replace(',', '.');
+             custo = texto === '' ? NaN : Number(texto);
+         }
+         if (veiculo.concluirManutencao(idManutencao, custo)) {
+             alert("Manutenção concluída com sucesso!");
+         }
+     }
 
-    frear(interno = false) {
-        if (this.velocidade === 0) {
-            const frearBtn = document.getElementById('frear-moto-btn'); // Use correct ID
-            if (frearBtn) frearBtn.disabled = true;
-            return;
-        }
-        this.velocidade = Math.max(this.velocidade - 15, 0);
-        this.atualizarVelocidadeDisplay();
-        this.atualizarPonteiroVelocidade();
-         if(!interno) this.ativarAnimacaoFreagem('moto');
-         console.log(`Freando Moto! Velocidade: ${this.velocidade}`);
-        if (!interno) garagem.salvarGaragem(); // <-- SAVE
-
-         if(this.velocidade === 0 && !this.ligado) {
-             this.atualizarStatus();
+     cancelarManutencao(idVeiculo, idManutencao) {
+         const veiculo = this.veiculos[idVeiculo];
+         const manutencao = veiculo ? veiculo.buscarManutencao(idManutencao) : null;
+         if (!manutencao) return alert("Manutenção não encontrada.");
+         if (!confirm(`Cancelar o agendamento "${manutencao.tipo}" de ${veiculo.nome}?`)) return;
+         veiculo.cancelarManutencao(idManutencao);
+     }
+
+     excluirManutencao(idVeiculo, idManutencao) {
+         const veiculo = this.veiculos[idVeiculo];
+         const manutencao = veiculo ? veiculo.buscarManutencao(idManutencao) : null;
+         if (!manutencao) return alert("Manutenção não encontrada.");
+         if (!confirm(`Excluir o registro "${manutencao.tipo}" de ${veiculo.nome}? Para desfazer, use Ctrl+Z ou o botão "Desfazer".`)) return;
+         veiculo.removerManutencao(idManutencao);
+     }
+
+     adicionarPlano(idVeiculo) {
+         const veiculo = this.veiculos[idVeiculo];
+         if (!veiculo) return alert(`Veículo "${idVeiculo}" não criado.`);
+
+         const tipoInput = this._campoVeiculo(idVeiculo, 'tipoPlano');
+         const mesesInput = this._campoVeiculo(idVeiculo, 'mesesPlano');
+         const kmInput = this._campoVeiculo(idVeiculo, 'kmPlano');
+         if (!tipoInput || !mesesInput || !kmInput) {
+             return alert(`Erro interno: Campos do plano de manutenção para ${veiculo.nome} não encontrados.`);
          }
-    }
 
-    atualizarStatus() {
-        const statusElement = document.getElementById(`moto-status`);
-        const ligarBtn = document.getElementById(`ligar-moto-btn`);
-        const desligarBtn = document.getElementById(`desligar-moto-btn`);
-        const acelerarBtn = document.getElementById('acelerar-moto-btn');
-        const frearBtn = document.getElementById('frear-moto-btn');
-        const pintarBtn = document.getElementById('pintar-moto-btn');
-        const abastecerBtn = document.getElementById('abastecer-moto-btn');
+         const servico = this._resolverServico(veiculo, tipoInput.value);
+         if (!servico) return;
+         const plano = new PlanoManutencao(
+             servico.tipo,
+             mesesInput.value ? Number(mesesInput.value) : null,
+             kmInput.value ? Number(kmInput.value) : null
+         );
+         // adicionarPlano validates, schedules the next service if it was already done, and its events save
+         if (veiculo.adicionarPlano(plano)) {
+             alert("Plano de manutenção adicionado com sucesso!");
+             tipoInput.value = ''; mesesInput.value = ''; kmInput.value = '';
+         }
+     }
 
-        if (statusElement) {
-            statusElement.textContent = this.ligado ? 'Ligada' : 'Desligada'; // Specific text
-            statusElement.style.color = this.ligado ? 'green' : 'red';
-        }
+     removerPlano(idVeiculo, idPlano) {
+         const veiculo = this.veiculos[idVeiculo];
+         const plano = veiculo ? veiculo.planosManutencao.find(p => p.id === idPlano) : null;
+         if (!plano) return alert("Plano de manutenção não encontrado.");
+         if (!confirm(`Remover o plano "${plano.formatar()}" de ${veiculo.nome}? Os agendamentos já criados serão mantidos.`)) return;
+         veiculo.removerPlano(idPlano);
+     }
 
-        if (ligarBtn) ligarBtn.disabled = this.ligado;
-        if (desligarBtn) desligarBtn.disabled = !this.ligado;
-        if (acelerarBtn) acelerarBtn.disabled = !this.ligado;
-        if (frearBtn) frearBtn.disabled = this.velocidade === 0;
-        if (pintarBtn) pintarBtn.disabled = false;
-        if (abastecerBtn) abastecerBtn.disabled = false;
-    }
+     /** Re-renders the card history and the appointments list (closes any open edit form). */
+     atualizarListasManutencao(idVeiculo) {
+         const view = this.views[idVeiculo];
+         if (view) view.atualizarHistorico();
+         this.atualizarListaAgendamentos();
+     }
 
-     atualizarVelocidadeDisplay() {
-        const velocidadeElement = document.getElementById(`moto-velocidade-valor`);
-        if (velocidadeElement) {
-            velocidadeElement.textContent = this.velocidade + " km/h";
-        }
-         const frearBtn = document.getElementById('frear-moto-btn');
-         if (frearBtn) frearBtn.disabled = this.velocidade === 0;
-    }
+     atualizarListaAgendamentos() {
+         const listaElement = document.getElementById('listaAgendamentos');
+         if (!listaElement) return console.error("Elemento 'listaAgendamentos' não encontrado.");
 
-     atualizarPonteiroVelocidade() {
-        const ponteiro = document.getElementById(`ponteiro-moto-velocidade`);
-         if (ponteiro) {
-            const porcentagem = Math.min((this.velocidade / this.velocidadeMaxima) * 100, 100);
-            ponteiro.style.width = `${porcentagem}%`;
+         listaElement.innerHTML = ''; // Clear list
+         let todosAgendamentos = [];
+
+         for (const idVeiculo in this.veiculos) {
+             if (this.veiculos.hasOwnProperty(idVeiculo)) {
+                 const veiculo = this.veiculos[idVeiculo];
+                 if(Array.isArray(veiculo.historicoManutencao)) {
+                     veiculo.historicoManutencao.forEach(m => {
+                         const manutencao = Manutencao.fromJSON(m);
+                         const dataManutencao = manutencao.getDateTime();
+                         if (manutencao.status === 'agendada' && dataManutencao && manutencao.isValid()) {
+                             todosAgendamentos.push({
+                                 veiculoId: idVeiculo,
+                                 veiculoNome: veiculo.nome,
+                                 veiculoModelo: veiculo.modelo,
+                                 veiculoPlaca: veiculo.formatarPlaca(),
+                                 manutencao: manutencao,
+                                 dataObj: dataManutencao,
+                                 atrasado: agendamentoAtrasado(manutencao)
+                             });
+                         }
+                     });
+                 }
+             }
          }
-    }
 
-     atualizarDetalhes() {
-        const modeloElement = document.getElementById(`moto-modelo`);
-        const corElement = document.getElementById(`moto-cor`);
-        if (modeloElement) modeloElement.textContent = this.modelo;
-        if (corElement) corElement.textContent = this.cor;
-    }
+         todosAgendamentos.sort((a, b) => a.dataObj - b.dataObj); // Sort earliest first (overdue ones on top)
 
-      atualizarInfoDisplay() {
-         const infoElement = document.getElementById('infoMoto');
-         if (infoElement) {
-             infoElement.textContent = ''; // No extra info for moto
+         if (todosAgendamentos.length === 0) {
+             const li = document.createElement('li');
+             li.textContent = 'Nenhum agendamento futuro encontrado.';
+             li.className = 'nenhum';
+             listaElement.appendChild(li);
+         } else {
+             todosAgendamentos.forEach(item => {
+                 const prefixo = item.atrasado ? 'ATRASADO ' : '';
+                 const identificacao = [item.veiculoNome, item.veiculoModelo, item.veiculoPlaca].filter(Boolean).join(' - ');
+                 const li = criarItemManutencao(item.manutencao, `${prefixo}[${identificacao}] ${item.manutencao.formatar()}`);
+                 li.dataset.veiculoId = item.veiculoId; // Lets tratarAcaoCard find the vehicle
+                 if (item.atrasado) li.classList.add('atrasado');
+                 listaElement.appendChild(li);
+             });
          }
+         this.atualizarListaPlanos(); // Next due dates depend on the same records
+         this.atualizarAlertas();
+         this.atualizarCalendario();
      }
 
+     // --- Alerts and reminders (alertas.js) ---
+
+     /** Shows the overdue, today and this week appointments in #bannerAlertas and the count in #badgeAlertas. */
+     atualizarAlertas() {
+         const banner = document.getElementById('bannerAlertas');
+         const grupos = document.getElementById('gruposAlertas');
+         const badge = document.getElementById('badgeAlertas');
+         if (!banner || !grupos || !badge) return console.error("Elementos de alertas não encontrados.");
+
+         const alertas = classificarAlertas(Object.values(this.veiculos));
+         const urgentes = alertas.atrasados.length + alertas.hoje.length;
+         badge.hidden = urgentes === 0;
+         badge.textContent = urgentes;
+         badge.title = `${alertas.atrasados.length} atrasada(s), ${alertas.hoje.length} para hoje`;
+
+         grupos.innerHTML = '';
+         [
+             ['Atrasadas', alertas.atrasados],
+             ['Para hoje', alertas.hoje],
+             ['Nesta semana', alertas.semana]
+         ].forEach(([titulo, itens]) => {
+             if (itens.length === 0) return;
+             const tituloElement = document.createElement('h4');
+             tituloElement.textContent = `${titulo} (${itens.length})`;
+             const lista = document.createElement('ul');
+             lista.className = 'lista-manutencoes';
+             itens.forEach(({ veiculo, manutencao }) => {
+                 const li = criarItemManutencao(manutencao, `[${veiculo.nome} - ${veiculo.modelo}] ${manutencao.formatar()}`);
+                 li.dataset.veiculoId = veiculo.id; // Lets tratarAcaoCard find the vehicle
+                 if (itens === alertas.atrasados) li.classList.add('atrasado');
+                 lista.appendChild(li);
+             });
+             grupos.append(tituloElement, lista);
+         });
+         banner.hidden = grupos.children.length === 0;
+     }
+
+     /** Shows the reminder lead time and whether the browser allows notifications. */
+     atualizarPainelLembretes() {
+         const antecedenciaSelect = document.getElementById('antecedenciaLembretes');
+         const botao = document.getElementById('botaoLembretes');
+         const status = document.getElementById('statusLembretes');
+         if (!antecedenciaSelect || !botao || !status) return console.error("Elementos de lembretes não encontrados.");
+
+         antecedenciaSelect.value = String(this.lembretes.antecedenciaMinutos);
+         const textos = {
+             granted: 'Lembretes ativados.',
+             denied: 'Notificações bloqueadas nas configurações do navegador.',
+             default: '',
+             indisponivel: 'Este navegador não suporta notificações.'
+         };
+         const permissao = this.lembretes.permissao();
+         status.textContent = textos[permissao];
+         botao.hidden = permissao !== 'default';
+     }
+
+     async ativarLembretes() {
+         await this.lembretes.solicitarPermissao();
+         this.atualizarPainelLembretes();
+     }
+
+     alterarAntecedenciaLembretes(valor) {
+         if (!this.lembretes.definirAntecedencia(parseInt(valor, 10))) {
+             alert("Antecedência de lembrete inválida.");
+         }
+         this.atualizarPainelLembretes();
+     }
+
+     /** Lists the recurring plans of every vehicle in "Agendamentos Futuros", soonest first. */
+     atualizarListaPlanos() {
+         const listaElement = document.getElementById('listaPlanos');
+         if (!listaElement) return console.error("Elemento 'listaPlanos' não encontrado.");
+
+         listaElement.innerHTML = '';
+         const planos = [];
+         Object.values(this.veiculos).forEach(veiculo => {
+             veiculo.planosManutencao.forEach(plano => {
+                 planos.push({ veiculo, plano, proxima: veiculo.proximaDataPlano(plano) });
+             });
+         });
+         // Plans without a date (never done, or by km only) go last
+         planos.sort((a, b) => (a.proxima || '9999-99-99').localeCompare(b.proxima || '9999-99-99'));
 
-     exibirInformacoes() {
-        // Call the *base* Veiculo method to get model/color/fuel + COMPLETED maintenance
-        let baseInfo = Veiculo.prototype.exibirInformacoes.call(this);
-        return `${baseInfo}\nStatus: ${this.ligado ? 'Ligada' : 'Desligada'}\nVelocidade: ${this.velocidade} km/h`;
+         if (planos.length === 0) {
+             const li = document.createElement('li');
+             li.textContent = 'Nenhum plano de manutenção cadastrado.';
+             li.className = 'nenhum';
+             listaElement.appendChild(li);
+             return;
+         }
+         planos.forEach(({ veiculo, plano }) => {
+             const atrasado = veiculo.planoAtrasado(plano);
+             const texto = `${atrasado ? 'ATRASADO ' : ''}[${veiculo.nome} - ${veiculo.modelo}] ${plano.formatar()} (${textoProximaDataPlano(veiculo, plano)})`;
+             const li = criarItemPlano(plano, texto, atrasado);
+             li.dataset.veiculoId = veiculo.id; // Lets tratarAcaoCard find the vehicle
+             listaElement.appendChild(li);
+         });
+     }
+
+    // --- Cost dashboard (analise.js) ---
+
+    /** Renders the totals, charts and tables of #resumoCustos/#graficosCustos with the dashboard filters. */
+    atualizarPainelCustos() {
+        const veiculoSelect = document.getElementById('custosVeiculo');
+        const agrupamentoSelect = document.getElementById('custosAgrupamento');
+        const resumo = document.getElementById('resumoCustos');
+        const graficos = document.getElementById('graficosCustos');
+        if (!veiculoSelect || !agrupamentoSelect || !resumo || !graficos) return console.error("Elementos da análise de custos não encontrados.");
+
+        const analise = calcularAnaliseCustos(Object.values(this.veiculos), {
+            idVeiculo: veiculoSelect.value || null,
+            agrupamento: agrupamentoSelect.value
+        });
+        const moeda = valor => valor.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+
+        graficos.innerHTML = '';
+        if (analise.quantidade === 0) {
+            resumo.textContent = 'Nenhuma manutenção concluída para analisar.';
+            return;
+        }
+        resumo.textContent = `Total: ${moeda(analise.total)} em ${analise.quantidade} serviço(s) - Média: ${moeda(analise.media)}`;
+        if (analise.custoPorKm !== null) resumo.textContent += ` - Custo por km: ${moeda(analise.custoPorKm)}`;
+
+        const grupos = [
+            { titulo: 'Por veículo', itens: analise.porVeiculo, comCustoKm: true },
+            { titulo: 'Por tipo de serviço', itens: analise.porTipo },
+            { titulo: agrupamentoSelect.value === 'ano' ? 'Por ano' : 'Por mês', itens: analise.porPeriodo }
+        ];
+        grupos.forEach(({ titulo, itens, comCustoKm }) => {
+            const tituloElement = document.createElement('h4');
+            tituloElement.textContent = titulo;
+            const grafico = criarGraficoBarras(itens.map(item => ({ rotulo: item.rotulo, valor: item.total })), moeda);
+            grafico.setAttribute('aria-label', `Custo total ${titulo.toLowerCase()}`);
+
+            const tabela = document.createElement('table');
+            tabela.className = 'tabela-custos';
+            const colunas = ['', 'Serviços', 'Total', 'Média'];
+            if (comCustoKm) colunas.push('Custo/km');
+            const cabecalho = tabela.createTHead().insertRow();
+            colunas.forEach(coluna => {
+                const th = document.createElement('th');
+                th.textContent = coluna;
+                cabecalho.appendChild(th);
+            });
+            const corpo = tabela.createTBody();
+            itens.forEach(item => {
+                const celulas = [item.rotulo, item.quantidade, moeda(item.total), moeda(item.media)];
+                if (comCustoKm) celulas.push(item.custoPorKm !== null ? moeda(item.custoPorKm) : '-');
+                const linha = corpo.insertRow();
+                celulas.forEach(valor => { linha.insertCell().textContent = valor; });
+            });
+
+            graficos.append(tituloElement, grafico, tabela);
+        });
     }
-}
 
+    // --- JSON Export/Import ---
 
-// --- Garage Class ---
-class Garagem {
-    constructor() {
-        this.veiculos = {};
-        this.localStorageKey = 'dadosGaragemCompleta_v2'; // v2 includes new Manutencao fields
-        this.carregarGaragem(); // Attempt to load data immediately
+    exportarGaragemJSON() {
+        const dataHoje = new Date().toISOString().slice(0, 10);
+        baixarArquivo(`garagem-${dataHoje}.json`, gerarExportacaoJSON(this.serializarGaragem()));
     }
 
-    // --- Persistence Methods ---
+    /** Reads the file chosen in #arquivoImportacao and imports it using the mode in #modoImportacao. */
+    importarGaragemJSON() {
+        const arquivoInput = document.getElementById('arquivoImportacao');
+        const modoSelect = document.getElementById('modoImportacao');
+        if (!arquivoInput || !modoSelect) return alert("Erro interno: Campos de importação não encontrados.");
 
-    salvarGaragem() {
-        const dadosParaSalvar = {};
-        for (const nomeVeiculo in this.veiculos) {
-            if (this.veiculos.hasOwnProperty(nomeVeiculo)) {
-                const veiculo = this.veiculos[nomeVeiculo];
-                dadosParaSalvar[nomeVeiculo] = {
-                    tipo: veiculo.constructor.name,
-                    modelo: veiculo.modelo,
-                    cor: veiculo.cor,
-                    combustivel: veiculo.combustivel,
-                    historicoManutencao: veiculo.historicoManutencao.map(m => ({
-                        data: m.data,
-                        tipo: m.tipo,
-                        custo: m.custo,
-                        descricao: m.descricao,
-                        hora: m.hora,    // SAVE hora
-                        status: m.status // SAVE status
-                    })),
-                    ligado: veiculo.ligado,
-                    velocidade: veiculo.velocidade,
-                    velocidadeMaxima: veiculo.velocidadeMaxima,
-                    // Add type-specific properties
-                    ...(veiculo instanceof CarroEsportivo && { turboAtivado: veiculo.turboAtivado }),
-                    ...(veiculo instanceof Caminhao && {
-                        capacidadeCarga: veiculo.capacidadeCarga,
-                        cargaAtual: veiculo.cargaAtual
-                    }),
-                };
-            }
-        }
+        const arquivo = arquivoInput.files[0];
+        if (!arquivo) return alert("Selecione um arquivo JSON para importar.");
+
+        const leitor = new FileReader();
+        leitor.onload = () => {
+            this.aplicarImportacao(leitor.result, modoSelect.value);
+            arquivoInput.value = '';
+        };
+        leitor.onerror = () => alert("Erro ao ler o arquivo selecionado.");
+        leitor.readAsText(arquivo);
+    }
+
+    /**
+     * Imports a JSON backup. Invalid records are skipped and listed in #relatorioImportacao.
+     * @param {string} texto - Content of the backup file.
+     * @param {'juntar' | 'substituir'} modo - Merge with the current garage or replace it.
+     */
+    aplicarImportacao(texto, modo) {
+        let resultado;
         try {
-            localStorage.setItem(this.localStorageKey, JSON.stringify(dadosParaSalvar));
-            console.log(`Garagem salva (key: ${this.localStorageKey}).`);
+            resultado = validarImportacao(texto, modo === 'juntar' ? Object.values(this.veiculos) : []);
         } catch (error) {
-            console.error("Erro ao salvar garagem:", error);
-            if (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED') {
-                alert("Erro: Limite de armazenamento local excedido.");
-            }
+            console.error("Erro ao importar garagem:", error);
+            this.exibirRelatorioImportacao(`Importação cancelada: ${error.message}`, []);
+            return alert(`Não foi possível importar: ${error.message}`);
         }
-    }
 
-    carregarGaragem() {
-        const dadosSalvos = localStorage.getItem(this.localStorageKey);
-        if (!dadosSalvos) {
-            console.log(`Nenhum dado salvo (key: ${this.localStorageKey}).`);
-            return false;
+        const idsImportados = Object.keys(resultado.veiculos);
+        let resumo;
+        if (modo === 'substituir') {
+            if (!confirm(`Substituir a garagem atual por ${idsImportados.length} veículo(s) importado(s)?`)) return;
+            this._carregarCatalogo(resultado.catalogo);
+            this._carregarOficina(resultado.oficina);
+            this._carregarVeiculos(resultado.veiculos);
+            resumo = `Garagem substituída: ${idsImportados.length} veículo(s) importado(s).`;
+        } else {
+            let veiculosAdicionados = 0;
+            let registrosAdicionados = 0;
+            let registrosRepetidos = 0;
+            // Services of the backup that are not in the catalog yet (same ID or name)
+            (resultado.catalogo || [])
+                .filter(s => !this.catalogo.buscar(s.id) && !this.catalogo.encontrar(s.nome))
+                .forEach(s => this.catalogo.adicionar(ServicoCatalogo.fromJSON(s)));
+            idsImportados.forEach(idVeiculo => {
+                const existente = this.veiculos[idVeiculo];
+                if (!existente) {
+                    this._registrarVeiculo(Veiculo.fromJSON(resultado.veiculos[idVeiculo], idVeiculo));
+                    veiculosAdicionados++;
+                    return;
+                }
+                // Same vehicle in both garages: keep its current state and add the missing records
+                const idsExistentes = new Set(existente.historicoManutencao.map(m => m.id));
+                resultado.veiculos[idVeiculo].historicoManutencao.forEach(m => {
+                    if (idsExistentes.has(m.id)) {
+                        registrosRepetidos++;
+                    } else if (existente.adicionarManutencao(Manutencao.fromJSON(m))) {
+                        registrosAdicionados++;
+                    }
+                });
+                const idsPlanos = new Set(existente.planosManutencao.map(p => p.id));
+                resultado.veiculos[idVeiculo].planosManutencao
+                    .filter(p => !idsPlanos.has(p.id))
+                    .forEach(p => existente.adicionarPlano(PlanoManutencao.fromJSON(p)));
+                // Past refuels do not change the current fuel level, so they go straight into the log
+                const idsAbastecimentos = new Set(existente.historicoAbastecimento.map(a => a.id));
+                resultado.veiculos[idVeiculo].historicoAbastecimento
+                    .filter(a => !idsAbastecimentos.has(a.id))
+                    .forEach(a => existente.historicoAbastecimento.push(Abastecimento.fromJSON(a)));
+            });
+            resumo = `Importação concluída: ${veiculosAdicionados} veículo(s) novo(s), ${registrosAdicionados} manutenção(ões) adicionada(s) a veículos existentes, ${registrosRepetidos} já existente(s).`;
         }
 
-        try {
-            const dadosParseados = JSON.parse(dadosSalvos);
-            this.veiculos = {}; // Clear current before loading
-
-            for (const nomeVeiculo in dadosParseados) {
-                if (dadosParseados.hasOwnProperty(nomeVeiculo)) {
-                    const dadosVeiculo = dadosParseados[nomeVeiculo];
-                    let novoVeiculo = null;
-
-                    switch (dadosVeiculo.tipo) {
-                        case 'Carro':
-                            novoVeiculo = new Carro(dadosVeiculo.modelo, dadosVeiculo.cor);
-                            break;
-                        case 'CarroEsportivo':
-                            novoVeiculo = new CarroEsportivo(dadosVeiculo.modelo, dadosVeiculo.cor);
-                             if (novoVeiculo && dadosVeiculo.hasOwnProperty('turboAtivado')) {
-                                novoVeiculo.turboAtivado = dadosVeiculo.turboAtivado;
-                            }
-                            break;
-                        case 'Caminhao':
-                            novoVeiculo = new Caminhao(dadosVeiculo.modelo, dadosVeiculo.cor, dadosVeiculo.capacidadeCarga);
-                             if (novoVeiculo && dadosVeiculo.hasOwnProperty('cargaAtual')) {
-                                novoVeiculo.cargaAtual = dadosVeiculo.cargaAtual;
-                            }
-                            break;
-                        case 'Moto':
-                            novoVeiculo = new Moto(dadosVeiculo.modelo, dadosVeiculo.cor);
-                            break;
-                        default:
-                            console.warn(`Tipo desconhecido "${dadosVeiculo.tipo}" para ${nomeVeiculo}.`);
-                            continue;
-                    }
+        this.salvarGaragem(); // <-- SAVE imported data
+        this.atualizarUICompleta();
+        this.exibirRelatorioImportacao(resumo, resultado.rejeitados);
+    }
 
-                    if (novoVeiculo) {
-                        // Restore common and inherited properties
-                        novoVeiculo.combustivel = typeof dadosVeiculo.combustivel === 'number' ? dadosVeiculo.combustivel : 100;
-                        novoVeiculo.ligado = dadosVeiculo.ligado || false;
-                        novoVeiculo.velocidade = dadosVeiculo.velocidade || 0;
-                        novoVeiculo.velocidadeMaxima = dadosVeiculo.velocidadeMaxima || (novoVeiculo instanceof Moto ? 180 : (novoVeiculo instanceof Caminhao ? 120 : (novoVeiculo instanceof CarroEsportivo ? 300 : 200))); // Default Vmax based on type
-
-                        // Rehydrate historicoManutencao
-                        if (Array.isArray(dadosVeiculo.historicoManutencao)) {
-                            novoVeiculo.historicoManutencao = dadosVeiculo.historicoManutencao.map(
-                                m => new Manutencao(
-                                    m.data, m.tipo, m.custo, m.descricao,
-                                    m.hora, // LOAD hora
-                                    m.status // LOAD status
-                                )
-                            );
-                        } else {
-                            novoVeiculo.historicoManutencao = [];
-                        }
-
-                         novoVeiculo.nomeNaGaragem = nomeVeiculo; // Assign the internal name
-                        this.veiculos[nomeVeiculo] = novoVeiculo;
-                    }
-                }
-            }
-            console.log(`Garagem (key: ${this.localStorageKey}) carregada.`);
-            return true;
+    /**
+     * Shows the import summary and the rejected entries.
+     * @param {string} resumo - Summary line.
+     * @param {{veiculo: string, registro: string, erros: string[]}[]} rejeitados
+     */
+    exibirRelatorioImportacao(resumo, rejeitados) {
+        const relatorio = document.getElementById('relatorioImportacao');
+        if (!relatorio) return console.error("Elemento 'relatorioImportacao' não encontrado.");
+
+        relatorio.innerHTML = '';
+        const paragrafo = document.createElement('p');
+        paragrafo.textContent = rejeitados.length > 0 ? `${resumo} ${rejeitados.length} registro(s) rejeitado(s):` : resumo;
+        relatorio.appendChild(paragrafo);
+
+        if (rejeitados.length > 0) {
+            const lista = document.createElement('ul');
+            rejeitados.forEach(item => {
+                const li = document.createElement('li');
+                li.textContent = `[${item.veiculo}] ${item.registro}: ${item.erros.join(' ')}`;
+                lista.appendChild(li);
+            });
+            relatorio.appendChild(lista);
+        }
+    }
 
-        } catch (error) {
-            console.error(`Erro ao carregar/parsear garagem (key: ${this.localStorageKey}):`, error);
-            localStorage.removeItem(this.localStorageKey); // Clear corrupt data
-            alert("Erro ao carregar dados da garagem. Dados corrompidos foram removidos.");
-            this.veiculos = {};
-            return false;
+    // --- CSV Export (accounting) ---
+
+    /** Downloads the completed services as CSV using the filters of the "Exportar Manutenções" section. */
+    exportarManutencoesCSV() {
+        const veiculoSelect = document.getElementById('csvVeiculo');
+        const dataInicioInput = document.getElementById('csvDataInicio');
+        const dataFimInput = document.getElementById('csvDataFim');
+        const formatoSelect = document.getElementById('csvFormato');
+        if (!veiculoSelect || !dataInicioInput || !dataFimInput || !formatoSelect) {
+            return alert("Erro interno: Campos da exportação CSV não encontrados.");
+        }
+        if (dataInicioInput.value && dataFimInput.value && dataInicioInput.value > dataFimInput.value) {
+            return alert("A data inicial deve ser anterior ou igual à data final.");
         }
+
+        const { csv, quantidade } = gerarCSVManutencoes(Object.values(this.veiculos), {
+            idVeiculo: veiculoSelect.value || null,
+            dataInicio: dataInicioInput.value || null,
+            dataFim: dataFimInput.value || null,
+            formato: formatoSelect.value
+        });
+        if (quantidade === 0) return alert("Nenhuma manutenção concluída encontrada com esses filtros.");
+
+        const dataHoje = new Date().toISOString().slice(0, 10);
+        baixarArquivo(`manutencoes-${dataHoje}.csv`, csv, 'text/csv');
     }
 
-    /** Updates the entire UI based on the current state of all vehicles. */
-    atualizarUICompleta() {
-         console.log("Atualizando UI completa...");
-         for (const nomeVeiculo in this.veiculos) {
-              if (this.veiculos.hasOwnProperty(nomeVeiculo)) {
-                   const veiculo = this.veiculos[nomeVeiculo];
-                   console.log(`Atualizando UI para: ${nomeVeiculo}`);
-                   if (veiculo.atualizarDetalhes) veiculo.atualizarDetalhes();
-                   if (veiculo.atualizarStatus) veiculo.atualizarStatus();
-                   if (veiculo.atualizarVelocidadeDisplay) veiculo.atualizarVelocidadeDisplay();
-                   if (veiculo.atualizarPonteiroVelocidade) veiculo.atualizarPonteiroVelocidade();
-                   if (veiculo.atualizarInfoDisplay) veiculo.atualizarInfoDisplay();
-                   this.preencherInputsVeiculo(nomeVeiculo, veiculo);
-              }
-         }
-          // Update the main info display (show first vehicle or default message)
-          const primeiroNome = Object.keys(this.veiculos)[0];
-          const infoArea = document.getElementById('informacoesVeiculo');
-          if(primeiroNome && infoArea) {
-              this.exibirInformacoes(primeiroNome);
-          } else if (infoArea) {
-               infoArea.textContent = "Nenhum veículo na garagem. Crie ou atualize um veículo acima.";
-          }
-          // Update scheduled list
-          this.atualizarListaAgendamentos();
+    // --- iCalendar Export (shop calendar) ---
+
+    /** Downloads the future scheduled services as an .ics file, for the vehicle chosen in "Agendamentos Futuros" or all of them. */
+    exportarAgendamentosICS() {
+        const veiculoSelect = document.getElementById('icsVeiculo');
+        if (!veiculoSelect) return alert("Erro interno: Seletor de veículo da exportação iCalendar não encontrado.");
+
+        const { ics, quantidade } = gerarICSAgendamentos(Object.values(this.veiculos), {
+            idVeiculo: veiculoSelect.value || null,
+            oficina: this.oficina,
+            catalogo: this.catalogo
+        });
+        if (quantidade === 0) return alert("Nenhum agendamento futuro para exportar.");
+
+        const sufixo = veiculoSelect.value ? `-${veiculoSelect.value}` : '';
+        baixarArquivo(`agendamentos${sufixo}.ics`, ics, 'text/calendar');
     }
 
-     /** Helper to pre-fill inputs based on loaded data */
-     preencherInputsVeiculo(nome, veiculo) {
-          let idSuffix = '';
-          if (nome === 'meuCarro') idSuffix = 'Carro';
-          else if (nome === 'carroEsportivo') idSuffix = 'Esportivo';
-          else if (nome === 'caminhao') idSuffix = 'Caminhao';
-          else if (nome === 'moto') idSuffix = 'Moto';
-          else return;
+    // --- Printable Reports ---
 
-         const modeloInput = document.getElementById(`modelo${idSuffix}`);
-         const corInput = document.getElementById(`cor${idSuffix}`);
+    /**
+     * Shows a document in #areaImpressao and opens the print dialog; the area is emptied after printing.
+     * @param {HTMLElement} documento - Built by criarRelatorioServico / criarRelatorioHistorico.
+     */
+    _imprimirDocumento(documento) {
+        const area = document.getElementById('areaImpressao');
+        if (!area) return alert("Erro interno: Área de impressão não encontrada.");
+        area.replaceChildren(documento);
+        window.addEventListener('afterprint', () => area.replaceChildren(), { once: true });
+        window.print();
+    }
 
-         if (modeloInput && veiculo.modelo) modeloInput.value = veiculo.modelo;
-         if (corInput && veiculo.cor) corInput.value = veiculo.cor;
+    /** Prints the service report of a completed maintenance record. */
+    imprimirManutencao(idVeiculo, idManutencao) {
+        const veiculo = this.veiculos[idVeiculo];
+        const manutencao = veiculo ? veiculo.buscarManutencao(idManutencao) : null;
+        if (!manutencao) return alert("Manutenção não encontrada.");
+        if (manutencao.status !== 'concluida') return alert("Só é possível imprimir o relatório de serviços concluídos.");
 
-         if (nome === 'caminhao' && veiculo instanceof Caminhao) {
-              const capacidadeInput = document.getElementById('capacidadeCarga');
-              if (capacidadeInput && veiculo.capacidadeCarga) capacidadeInput.value = veiculo.capacidadeCarga;
-         }
-     }
+        this._imprimirDocumento(criarRelatorioServico(veiculo, manutencao, {
+            rotuloTipo: TIPOS_VEICULO[veiculo.constructor.name].rotulo,
+            servico: this.catalogo.buscar(manutencao.idServico) || null
+        }));
+    }
 
+    /** Prints the full maintenance history of a vehicle. */
+    imprimirHistorico(idVeiculo) {
+        const veiculo = this.veiculos[idVeiculo];
+        if (!veiculo) return alert("Veículo não encontrado.");
+        this._imprimirDocumento(criarRelatorioHistorico(veiculo, { rotuloTipo: TIPOS_VEICULO[veiculo.constructor.name].rotulo }));
+    }
 
-    // --- Vehicle Creation/Update Methods ---
-    _criarOuAtualizarVeiculo(nome, Classe, modelo, cor, extraArgs = []) {
-        let isNew = false;
-        const veiculoExistente = this.veiculos[nome];
+    // --- Undo/Redo ---
 
-        if (!veiculoExistente) {
-            this.veiculos[nome] = new Classe(modelo, cor, ...extraArgs);
-            this.veiculos[nome].nomeNaGaragem = nome; // Assign internal name
-            console.log(`${Classe.name} criado!`);
-            isNew = true;
-        } else {
-            veiculoExistente.modelo = modelo;
-            veiculoExistente.cor = cor;
-            // Handle specific updates (like capacity change for truck)
-            if (Classe === Caminhao && extraArgs.length > 0) {
-                 const novaCapacidade = extraArgs[0];
-                 if (veiculoExistente.capacidadeCarga !== novaCapacidade) {
-                     console.log("Capacidade do caminhão alterada. Zerando carga atual.");
-                     veiculoExistente.capacidadeCarga = novaCapacidade > 0 ? novaCapacidade : 1000;
-                     veiculoExistente.cargaAtual = 0;
-                 }
+    /**
+     * Loads the saved undo/redo stacks and saves them on every change.
+     * @param {boolean} garagemCarregada - False when there was no readable garage: old commands are dropped.
+     */
+    _carregarHistoricoComandos(garagemCarregada) {
+        let dados = null;
+        if (garagemCarregada) {
+            try {
+                dados = JSON.parse(localStorage.getItem(this.chaveHistoricoComandos));
+            } catch (error) {
+                console.warn("Histórico de desfazer ilegível, ignorado:", error);
             }
-            console.log(`${Classe.name} atualizado!`);
         }
+        this.historicoComandos = HistoricoComandos.fromJSON(dados);
+        this.historicoComandos.on('alterado', () => {
+            this._salvarHistoricoComandos();
+            this.atualizarBotoesComandos();
+        });
+        if (!garagemCarregada) this._salvarHistoricoComandos();
+    }
+
+    /** Saves the undo/redo stacks, dropping the oldest commands while the storage is full. */
+    _salvarHistoricoComandos() {
+        let salvo = false;
+        while (!salvo) {
+            try {
+                localStorage.setItem(this.chaveHistoricoComandos, JSON.stringify(this.historicoComandos.toJSON()));
+                salvo = true;
+            } catch (error) {
+                const cheio = error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED';
+                if (!cheio || !this.historicoComandos.descartarMaisAntigo()) {
+                    console.error("Erro ao salvar o histórico de desfazer:", error);
+                    return;
+                }
+            }
+        }
+    }
 
-        const veiculo = this.veiculos[nome];
-        // Update UI elements for this vehicle
-        if (veiculo.atualizarDetalhes) veiculo.atualizarDetalhes();
-        if (veiculo.atualizarStatus) veiculo.atualizarStatus();
-        if (veiculo.atualizarVelocidadeDisplay) veiculo.atualizarVelocidadeDisplay();
-        if (veiculo.atualizarPonteiroVelocidade) veiculo.atualizarPonteiroVelocidade();
-        if (veiculo.atualizarInfoDisplay) veiculo.atualizarInfoDisplay();
-
-        if (isNew) this.exibirInformacoes(nome);
-        this.salvarGaragem(); // <-- SAVE changes
+    /** Routes the methods of OPERACOES_DESFAZIVEIS through executarComando. */
+    _registrarOperacoesDesfaziveis() {
+        for (const metodo in OPERACOES_DESFAZIVEIS) {
+            const original = this[metodo];
+            const rotulo = OPERACOES_DESFAZIVEIS[metodo];
+            this[metodo] = (...args) => {
+                const descricao = typeof rotulo === 'function' ? rotulo(...args) : rotulo;
+                return descricao ? this.executarComando(descricao, () => original.apply(this, args)) : original.apply(this, args);
+            };
+        }
     }
 
+    /**
+     * Runs a garage operation and records what it changed (vehicles, catalog, workshop) as one
+     * undoable command. Operations that change nothing (cancelled, invalid) are not recorded.
+     * @param {string} descricao - Label of the command (e.g. "Pintar veículo").
+     * @param {Function} operacao
+     * @returns {*} The result of the operation.
+     */
+    executarComando(descricao, operacao) {
+        if (this._comandoEmAndamento) return operacao(); // Part of the command already running
+        const antes = this.serializarGaragem();
+        this._comandoEmAndamento = true;
+        try {
+            return operacao();
+        } finally {
+            this._comandoEmAndamento = false;
+            const alteracoes = compararEstados(antes, this.serializarGaragem());
+            if (alteracoes) this.historicoComandos.registrar(descricao, reduzirAlteracoes(alteracoes));
+        }
+    }
 
-    criarCarro() {
-        const modelo = document.getElementById('modeloCarro').value.trim() || "Civic Padrão";
-        const cor = document.getElementById('corCarro').value.trim() || "Branco";
-        this._criarOuAtualizarVeiculo('meuCarro', Carro, modelo, cor);
+    /** Reverts the last command (Ctrl+Z). */
+    desfazer() {
+        const comando = this.historicoComandos.voltar();
+        if (!comando) return;
+        this._aplicarComando(`Desfazer: ${comando.descricao}`, comando.alteracoes, 'antes');
+        this.atualizarBotoesComandos(`Desfeito: ${comando.descricao}`);
     }
 
-    criarCarroEsportivo() {
-        const modelo = document.getElementById('modeloEsportivo').value.trim() || "Pagani Padrão";
-        const cor = document.getElementById('corEsportivo').value.trim() || "Rosa";
-        this._criarOuAtualizarVeiculo('carroEsportivo', CarroEsportivo, modelo, cor);
+    /** Applies again the last undone command (Ctrl+Y or Ctrl+Shift+Z). */
+    refazer() {
+        const comando = this.historicoComandos.avancar();
+        if (!comando) return;
+        this._aplicarComando(`Refazer: ${comando.descricao}`, comando.alteracoes, 'depois');
+        this.atualizarBotoesComandos(`Refeito: ${comando.descricao}`);
     }
 
-    criarCaminhao() {
-        const modelo = document.getElementById('modeloCaminhao').value.trim() || "Actros Padrão";
-        const cor = document.getElementById('corCaminhao').value.trim() || "Cinza";
-        const capacidade = parseInt(document.getElementById('capacidadeCarga').value, 10) || 5000;
-        this._criarOuAtualizarVeiculo('caminhao', Caminhao, modelo, cor, [capacidade]);
+    /**
+     * Restores one side of a command over the current garage and audits what that changed.
+     * @param {string} acao - E.g. "Desfazer: Pintar veículo".
+     * @param {object} alteracoes - See reduzirAlteracoes() (desfazer.js).
+     * @param {'antes' | 'depois'} lado - Side to restore.
+     */
+    _aplicarComando(acao, alteracoes, lado) {
+        const atual = this.serializarGaragem();
+        const mudancas = compararEstados(atual, aplicarAlteracoesComando(atual, alteracoes, lado));
+        if (!mudancas) return; // Already in that state
+        this._aplicarAlteracoes(mudancas, 'depois');
+        this._auditarComando(acao, mudancas, 'antes', 'depois');
     }
 
-    criarMoto() {
-        const modelo = document.getElementById('modeloMoto').value.trim() || "Ninja Padrão";
-        const cor = document.getElementById('corMoto').value.trim() || "Preta/Rosa";
-        this._criarOuAtualizarVeiculo('moto', Moto, modelo, cor);
+    /**
+     * Restores the vehicles, catalog and workshop of a command, keeping the order of the vehicles.
+     * @param {object} alteracoes - See compararEstados().
+     * @param {'antes' | 'depois'} lado - State to restore.
+     */
+    _aplicarAlteracoes(alteracoes, lado) {
+        this._restaurarEstado(alteracoes, lado);
+        this.salvarGaragem(); // <-- SAVE
+        this.atualizarUICompleta();
     }
 
-    // --- Interaction Methods ---
-    interagirComVeiculo(nomeVeiculo, acao) {
-        const veiculo = this.veiculos[nomeVeiculo];
-        if (!veiculo) {
-             let criarButtonSelector = '';
-             if (nomeVeiculo === 'meuCarro') criarButtonSelector = 'button[onclick="garagem.criarCarro()"]';
-             else if (nomeVeiculo === 'carroEsportivo') criarButtonSelector = 'button[onclick="garagem.criarCarroEsportivo()"]';
-             else if (nomeVeiculo === 'caminhao') criarButtonSelector = 'button[onclick="garagem.criarCaminhao()"]';
-             else if (nomeVeiculo === 'moto') criarButtonSelector = 'button[onclick="garagem.criarMoto()"]';
-             alert(`Veículo "${nomeVeiculo}" não foi criado ainda. Use o botão 'Criar/Atualizar...' primeiro.`);
-             if (criarButtonSelector) {
-                 const criarBtn = document.querySelector(criarButtonSelector);
-                 if (criarBtn) {
-                     criarBtn.style.border = '2px solid red';
-                     setTimeout(() => { criarBtn.style.border = ''; }, 2000);
-                 }
-             }
-             return;
-        }
+    /**
+     * Rebuilds the changed vehicles (removed ones come back at the end) and the catalog and workshop,
+     * without saving or refreshing the UI.
+     * @param {object} alteracoes - See compararEstados().
+     * @param {'antes' | 'depois'} lado - State to restore.
+     */
+    _restaurarEstado(alteracoes, lado) {
+        const restaurar = id => {
+            const dados = alteracoes.veiculos[id][lado];
+            const veiculo = dados ? Veiculo.fromJSON(dados, id) : null;
+            if (veiculo) this._registrarVeiculo(veiculo);
+        };
+        const atuais = this.veiculos;
+        this.veiculos = {};
+        Object.keys(atuais).forEach(id => {
+            if (!alteracoes.veiculos[id]) {
+                this.veiculos[id] = atuais[id];
+                return;
+            }
+            atuais[id].descartar();
+            restaurar(id);
+        });
+        Object.keys(alteracoes.veiculos).filter(id => !atuais[id]).forEach(restaurar); // Removed vehicles come back at the end
 
+        if (alteracoes.catalogo) this._carregarCatalogo(alteracoes.catalogo[lado]);
+        if (alteracoes.oficina) this._carregarOficina(alteracoes.oficina[lado]);
+    }
+
+    /**
+     * Enables the undo/redo buttons and shows the commands they would apply.
+     * @param {string} [mensagem] - Result of the last undo/redo, shown in #statusComandos.
+     */
+    atualizarBotoesComandos(mensagem) {
+        const botaoDesfazer = document.getElementById('botaoDesfazer');
+        const botaoRefazer = document.getElementById('botaoRefazer');
+        const status = document.getElementById('statusComandos');
+        if (!botaoDesfazer || !botaoRefazer || !status) return;
+
+        const desfazer = this.historicoComandos.proximoDesfazer();
+        const refazer = this.historicoComandos.proximoRefazer();
+        botaoDesfazer.disabled = !desfazer;
+        botaoDesfazer.title = desfazer ? `Desfazer: ${desfazer.descricao} (Ctrl+Z)` : 'Nada para desfazer';
+        botaoRefazer.disabled = !refazer;
+        botaoRefazer.title = refazer ? `Refazer: ${refazer.descricao} (Ctrl+Y)` : 'Nada para refazer';
+        if (mensagem !== undefined) status.textContent = mensagem;
+    }
+
+    // --- Audit Log (auditoria.js) ---
+
+    /** Loads the saved audit log and appends each new entry to the storage. */
+    async _carregarAuditoria() {
+        let dados = null;
+        this.auditoriaSomenteLeitura = false;
+        this.avisoAuditoriaExibido = false;
         try {
-            switch (acao) {
-                case 'ligar': veiculo.ligar(); break;
-                case 'desligar': veiculo.desligar(); break;
-                case 'acelerar': veiculo.acelerar(); break;
-                case 'frear': veiculo.frear(); break;
-                case 'ativarTurbo':
-                    if (veiculo instanceof CarroEsportivo) veiculo.ativarTurbo();
-                    else alert(`Ação indisponível para ${nomeVeiculo}.`);
-                    break;
-                case 'desativarTurbo':
-                    if (veiculo instanceof CarroEsportivo) veiculo.desativarTurbo();
-                    else alert(`Ação indisponível para ${nomeVeiculo}.`);
-                    break;
-                case 'carregar':
-                    const pesoCarregarInput = document.getElementById('pesoCarga');
-                    if (veiculo instanceof Caminhao && pesoCarregarInput) {
-                        veiculo.carregar(pesoCarregarInput.value);
-                        pesoCarregarInput.value = '';
-                    } else if (!(veiculo instanceof Caminhao)) alert(`Ação indisponível para ${nomeVeiculo}.`);
-                    else console.error("Input 'pesoCarga' não encontrado.");
-                    break;
-                case 'descarregar':
-                     const pesoDescargaInput = document.getElementById('pesoDescarga');
-                    if (veiculo instanceof Caminhao && pesoDescargaInput) {
-                        veiculo.descarregar(pesoDescargaInput.value);
-                        pesoDescargaInput.value = '';
-                    } else if (!(veiculo instanceof Caminhao)) alert(`Ação indisponível para ${nomeVeiculo}.`);
-                     else console.error("Input 'pesoDescarga' não encontrado.");
-                    break;
-                default:
-                    alert("Ação desconhecida.");
-                    break;
-            }
-             // Update info display after interaction
-             if(typeof veiculo.atualizarInfoDisplay === 'function') veiculo.atualizarInfoDisplay();
-             const infoArea = document.getElementById('informacoesVeiculo');
-              if (infoArea && infoArea.textContent.includes(`Modelo: ${veiculo.modelo}`)) {
-                  this.exibirInformacoes(nomeVeiculo);
-              }
-              // Note: Saving is handled within individual action methods now
+            dados = await this.armazenamento.carregarAuditoria();
         } catch (error) {
-            console.error(`Erro ao interagir com ${nomeVeiculo} (${acao}):`, error);
-            alert(`Ocorreu um erro durante a ação "${acao}".`);
+            // Kept as is: an unreadable log must not be overwritten by a new one
+            console.error("Registro de auditoria ilegível:", error);
+            this.auditoriaSomenteLeitura = true;
         }
+        this.auditoria = RegistroAuditoria.fromJSON(dados);
+        this.auditoria.on('registrado', ({ entrada }) => {
+            this._auditoriaNaoGravada.push(entrada);
+            this._salvarAuditoria();
+            clearTimeout(this._cronometroExibicaoAuditoria);
+            this._cronometroExibicaoAuditoria = setTimeout(() => this.atualizarAuditoria(), ATRASO_EXIBICAO_AUDITORIA_MS);
+        });
     }
 
-    pintarVeiculo(nomeVeiculo) {
-        const veiculo = this.veiculos[nomeVeiculo];
-        if (!veiculo) return alert(`Veículo "${nomeVeiculo}" não foi criado.`);
-
-        let corPinturaInputId;
-        if (nomeVeiculo === 'meuCarro') corPinturaInputId = 'corPintura';
-        else if (nomeVeiculo === 'carroEsportivo') corPinturaInputId = 'corPinturaEsportivo';
-        else if (nomeVeiculo === 'caminhao') corPinturaInputId = 'corPinturaCaminhao';
-        else if (nomeVeiculo === 'moto') corPinturaInputId = 'corPinturaMoto';
-        else return alert("Erro interno: Tipo de veículo desconhecido.");
+    /**
+     * Appends the entries not written yet to the storage; failed ones are retried with the next entry.
+     * Entries are never dropped to make room: a full storage is reported instead.
+     * @returns {Promise<boolean>} False if they could not be written.
+     */
+    _salvarAuditoria() {
+        if (this._auditoriaNaoGravada.length === 0) return Promise.resolve(true);
+        if (this.auditoriaSomenteLeitura) return Promise.resolve(false);
+        const entradas = [...this._auditoriaNaoGravada];
+        return this.armazenamento.acrescentarAuditoria(entradas)
+            .then(() => {
+                this._auditoriaNaoGravada = this._auditoriaNaoGravada.filter(e => !entradas.includes(e));
+                if (this.abas) this.abas.publicar({ tipo: 'auditoria', entradas }); // The other tabs add them to their log
+                return true;
+            })
+            .catch(error => {
+                console.error("Erro ao salvar o registro de auditoria:", error);
+                if (!this.avisoAuditoriaExibido) {
+                    this.avisoAuditoriaExibido = true; // Once per session, not on every action
+                    alert("Não foi possível salvar o registro de auditoria (armazenamento cheio?). Exporte o registro para não perder as novas entradas.");
+                }
+                return false;
+            });
+    }
 
-        const corPinturaInput = document.getElementById(corPinturaInputId);
-        if (corPinturaInput) {
-            veiculo.pintar(corPinturaInput.value); // pintar calls salvarGaragem
-             const infoArea = document.getElementById('informacoesVeiculo');
-             if (infoArea && infoArea.textContent.includes(`Modelo: ${veiculo.modelo}`)) {
-                 this.exibirInformacoes(nomeVeiculo);
-             }
-             corPinturaInput.value = '';
-        } else {
-             alert(`Erro interno: Campo de cor "${corPinturaInputId}" não encontrado.`);
+    /** Routes the methods of OPERACOES_AUDITADAS through the audit log, recording what they changed in the vehicle. */
+    _registrarOperacoesAuditadas() {
+        for (const metodo in OPERACOES_AUDITADAS) {
+            const original = this[metodo];
+            const rotulo = OPERACOES_AUDITADAS[metodo];
+            this[metodo] = (idVeiculo, ...resto) => {
+                const acao = typeof rotulo === 'function' ? rotulo(idVeiculo, ...resto) : rotulo;
+                const veiculo = this.veiculos[idVeiculo];
+                if (!acao || !veiculo) return original.call(this, idVeiculo, ...resto);
+                const antes = veiculo.toJSON();
+                try {
+                    return original.call(this, idVeiculo, ...resto);
+                } finally {
+                    const atual = this.veiculos[idVeiculo];
+                    if (atual) this._auditar(acao, atual, compararVeiculosAuditoria(antes, atual.toJSON()));
+                }
+            };
         }
     }
 
-    abastecerVeiculo(nomeVeiculo) {
-        const veiculo = this.veiculos[nomeVeiculo];
-        if (!veiculo) return alert(`Veículo "${nomeVeiculo}" não foi criado.`);
+    /**
+     * Records driving (ACOES_VIAGEM) as one "Viagem" entry per trip instead of one per click: the state
+     * before the first driving action is kept until the vehicle is turned off and stops (_encerrarViagem),
+     * and the entry has what changed in between (fuel, odometer).
+     */
+    _registrarViagensAuditadas() {
+        const original = this.interagirComVeiculo;
+        this.interagirComVeiculo = (idVeiculo, acao, ...resto) => {
+            const veiculo = this.veiculos[idVeiculo];
+            if (veiculo && ACOES_VIAGEM.includes(acao) && !this._viagens[idVeiculo]) this._viagens[idVeiculo] = veiculo.toJSON();
+            return original.call(this, idVeiculo, acao, ...resto);
+        };
+    }
 
-         let combustivelInputId;
-         if (nomeVeiculo === 'meuCarro') combustivelInputId = 'combustivel';
-         else if (nomeVeiculo === 'carroEsportivo') combustivelInputId = 'combustivelEsportivo';
-         else if (nomeVeiculo === 'caminhao') combustivelInputId = 'combustivelCaminhao';
-         else if (nomeVeiculo === 'moto') combustivelInputId = 'combustivelMoto';
-         else return alert("Erro interno: Tipo de veículo desconhecido.");
+    /** Records the trip of a vehicle, if one was started (see _registrarViagensAuditadas). */
+    _encerrarViagem(idVeiculo) {
+        const inicio = this._viagens[idVeiculo];
+        const veiculo = this.veiculos[idVeiculo];
+        delete this._viagens[idVeiculo];
+        if (inicio && veiculo) this._auditar('Viagem', veiculo, compararVeiculosAuditoria(inicio, veiculo.toJSON()));
+    }
 
-        const combustivelInput = document.getElementById(combustivelInputId);
+    /** Records the trips still being driven, before the page goes; what follows is a new trip. */
+    encerrarViagensEmAndamento() {
+        Object.keys(this._viagens).forEach(idVeiculo => this._encerrarViagem(idVeiculo));
+    }
 
-        if(combustivelInput) {
-             const quantidade = parseInt(combustivelInput.value, 10);
-             if (!isNaN(quantidade) && quantidade >= 0) {
-                 const combustivelAntes = veiculo.combustivel;
-                 veiculo.combustivel = Math.min(combustivelAntes + quantidade, 100);
-                 const adicionado = veiculo.combustivel - combustivelAntes;
-                 alert(`${nomeVeiculo} abastecido. Combustível: ${veiculo.combustivel}%`);
-                 combustivelInput.value = '';
+    /**
+     * Appends an entry for a vehicle, unless nothing changed (cancelled or invalid actions).
+     * @param {string} acao
+     * @param {Veiculo} veiculo
+     * @param {object[]} alteracoes - See compararVeiculosAuditoria().
+     */
+    _auditar(acao, veiculo, alteracoes) {
+        if (alteracoes.length === 0) return;
+        this.auditoria.registrar({ acao, usuario: this.lerOperador(), idVeiculo: veiculo.id, veiculo: veiculo.nome, alteracoes });
+    }
 
-                 if(typeof veiculo.atualizarInfoDisplay === 'function') veiculo.atualizarInfoDisplay();
-                 if(typeof veiculo.atualizarStatus === 'function') veiculo.atualizarStatus();
+    /**
+     * Records an undone or redone command for each vehicle it changed. Added or removed vehicles
+     * are recorded as a whole.
+     * @param {string} acao - E.g. "Desfazer: Pintar veículo".
+     * @param {object} alteracoes - See compararEstados() (desfazer.js).
+     * @param {'antes' | 'depois'} de - State before the undo/redo.
+     * @param {'antes' | 'depois'} para - State restored.
+     */
+    _auditarComando(acao, alteracoes, de, para) {
+        Object.keys(alteracoes.veiculos).forEach(idVeiculo => {
+            const anterior = alteracoes.veiculos[idVeiculo][de];
+            const posterior = alteracoes.veiculos[idVeiculo][para];
+            const nome = (posterior || anterior).nome;
+            const mudancas = anterior && posterior
+                ? compararVeiculosAuditoria(anterior, posterior)
+                : [{ campo: 'nome', antes: anterior ? anterior.nome : null, depois: posterior ? posterior.nome : null }];
+            if (mudancas.length > 0) this.auditoria.registrar({ acao, usuario: this.lerOperador(), idVeiculo, veiculo: nome, alteracoes: mudancas });
+        });
+    }
+
+    /** @returns {string | null} Operator recorded in the new audit entries. */
+    lerOperador() {
+        return localStorage.getItem(this.chaveOperador) || null;
+    }
+
+    /** Saves the operator typed in #operadorAuditoria. */
+    definirOperador() {
+        const input = document.getElementById('operadorAuditoria');
+        if (!input) return console.error("Campo 'operadorAuditoria' não encontrado.");
+        const nome = input.value.trim();
+        if (nome) localStorage.setItem(this.chaveOperador, nome);
+        else localStorage.removeItem(this.chaveOperador);
+    }
+
+    /** @returns {object} Filters of the audit log viewer, for RegistroAuditoria.consultar(). */
+    lerFiltrosAuditoria() {
+        const valor = id => { const el = document.getElementById(id); return el ? el.value : ''; };
+        return {
+            idVeiculo: valor('auditoriaVeiculo'),
+            acao: valor('auditoriaAcao'),
+            usuario: valor('auditoriaUsuario').trim(),
+            dataInicio: valor('auditoriaDataInicio'),
+            dataFim: valor('auditoriaDataFim')
+        };
+    }
+
+    /** Renders the audit log viewer (#corpoAuditoria) with its filters. */
+    atualizarAuditoria() {
+        const corpo = document.getElementById('corpoAuditoria');
+        const resumo = document.getElementById('resumoAuditoria');
+        if (!corpo || !resumo) return; // Viewer not on the page
+
+        const operador = document.getElementById('operadorAuditoria');
+        if (operador && document.activeElement !== operador) operador.value = this.lerOperador() || '';
+        const seletorAcao = document.getElementById('auditoriaAcao');
+        if (seletorAcao) {
+            const valorAnterior = seletorAcao.value;
+            seletorAcao.innerHTML = '';
+            ['', ...this.auditoria.acoes()].forEach(acao => {
+                const option = document.createElement('option');
+                option.value = acao;
+                option.textContent = acao || 'Todas as ações';
+                seletorAcao.appendChild(option);
+            });
+            seletorAcao.value = this.auditoria.acoes().includes(valorAnterior) ? valorAnterior : '';
+        }
 
-                 const infoArea = document.getElementById('informacoesVeiculo');
-                 if (infoArea && infoArea.textContent.includes(`Modelo: ${veiculo.modelo}`)) {
-                     this.exibirInformacoes(nomeVeiculo);
-                 }
-                 this.salvarGaragem(); // <-- SAVE fuel level
-             } else {
-                 alert("Insira uma quantidade de combustível válida (número >= 0).");
-             }
-        } else {
-            alert(`Erro interno: Campo de combustível "${combustivelInputId}" não encontrado.`);
+        const entradas = this.auditoria.consultar(this.lerFiltrosAuditoria());
+        corpo.innerHTML = '';
+        if (entradas.length === 0) {
+            const celula = corpo.insertRow().insertCell();
+            celula.colSpan = 5;
+            celula.className = 'nenhum';
+            celula.textContent = this.auditoria.entradas.length === 0 ? 'Nenhuma ação registrada.' : 'Nenhuma ação encontrada com esses filtros.';
         }
+        entradas.slice(0, LIMITE_EXIBICAO_AUDITORIA).forEach(entrada => {
+            const linha = corpo.insertRow();
+            [
+                new Date(entrada.em).toLocaleString('pt-BR'),
+                entrada.usuario || '-',
+                entrada.veiculo,
+                entrada.acao,
+                entrada.alteracoes.map(formatarAlteracaoAuditoria).join('\n')
+            ].forEach(texto => { linha.insertCell().textContent = texto; });
+        });
+
+        resumo.textContent = entradas.length > LIMITE_EXIBICAO_AUDITORIA
+            ? `Exibindo as ${LIMITE_EXIBICAO_AUDITORIA} ações mais recentes de ${entradas.length}. Exporte para ver todas.`
+            : `${entradas.length} ação(ões).`;
+    }
+
+    limparFiltrosAuditoria() {
+        ['auditoriaVeiculo', 'auditoriaAcao', 'auditoriaUsuario', 'auditoriaDataInicio', 'auditoriaDataFim']
+            .forEach(id => { const el = document.getElementById(id); if (el) el.value = ''; });
+        this.atualizarAuditoria();
+    }
+
+    /** Downloads the entries matching the viewer filters as CSV (one row per changed field). */
+    exportarAuditoriaCSV() {
+        const filtros = this.lerFiltrosAuditoria();
+        if (filtros.dataInicio && filtros.dataFim && filtros.dataInicio > filtros.dataFim) {
+            return alert("A data inicial deve ser anterior ou igual à data final.");
+        }
+        const { csv, quantidade } = gerarCSVAuditoria(this.auditoria.consultar(filtros));
+        if (quantidade === 0) return alert("Nenhuma ação registrada com esses filtros.");
+
+        const dataHoje = new Date().toISOString().slice(0, 10);
+        baixarArquivo(`auditoria-${dataHoje}.csv`, csv, 'text/csv');
     }
 
-     registrarManutencao(nomeVeiculo) {
-         const veiculo = this.veiculos[nomeVeiculo];
-         if (!veiculo) return alert(`Veículo "${nomeVeiculo}" não criado.`);
+    // --- REST Sync (sincronizacao.js) ---
 
-         let prefixoId = '';
-         if (nomeVeiculo === 'meuCarro') prefixoId = 'Carro';
-         else if (nomeVeiculo === 'carroEsportivo') prefixoId = 'Esportivo';
-         else if (nomeVeiculo === 'caminhao') prefixoId = 'Caminhao';
-         else if (nomeVeiculo === 'moto') prefixoId = 'Moto';
-         else return alert("Tipo de veículo desconhecido.");
+    /** Loads the sync state (backend, offline queue) and saves it on every change. */
+    _carregarSincronizacao() {
+        this.sincronizacao = new SincronizadorGaragem(registros => this._aplicarRegistrosSincronizados(registros), this._lerEstadoSincronizacao());
+        this.sincronizacao.on('alterado', () => this._salvarSincronizacao());
+        this.sincronizacao.on('status', () => this.atualizarStatusSincronizacao());
+        this.sincronizacao.on('aviso', ({ mensagem }) => alert(mensagem));
+    }
 
-         const dataInput = document.getElementById(`dataManutencao${prefixoId}`);
-         const tipoInput = document.getElementById(`tipoManutencao${prefixoId}`);
-         const custoInput = document.getElementById(`custoManutencao${prefixoId}`);
-         const descInput = document.getElementById(`descManutencao${prefixoId}`);
+    /** @returns {object} The saved sync state (empty if there is none or it is unreadable). */
+    _lerEstadoSincronizacao() {
+        try {
+            return JSON.parse(localStorage.getItem(this.chaveSincronizacao)) || {};
+        } catch (error) {
+            console.error("Estado da sincronização ilegível, sincronização desativada:", error);
+            return {};
+        }
+    }
 
-         if (!dataInput || !tipoInput || !custoInput || !descInput) {
-             return alert(`Erro interno: Campos de manutenção realizada para ${nomeVeiculo} não encontrados.`);
-         }
+    /**
+     * Saves the sync state, with what the other tabs queued or sent since this tab read it, and tells
+     * them to merge it.
+     * @param {boolean} [sincronizar=false] - Asks the tab that syncs to do it now.
+     */
+    _salvarSincronizacao(sincronizar = false) {
+        try {
+            this.sincronizacao.mesclar(this._lerEstadoSincronizacao());
+            localStorage.setItem(this.chaveSincronizacao, JSON.stringify(this.sincronizacao.toJSON()));
+        } catch (error) {
+            console.error("Erro ao salvar o estado da sincronização:", error);
+            return;
+        }
+        if (this.abas) this.abas.publicar({ tipo: 'sincronizacao', sincronizar });
+    }
 
-         const novaManutencao = new Manutencao(
-             dataInput.value,
-             tipoInput.value.trim(),
-             parseFloat(custoInput.value),
-             descInput.value.trim(),
-             null, // hora is null for completed form
-             'concluida' // status is completed
-         );
+    /**
+     * Merges the sync state another tab saved. A backend set or turned off there starts or stops the
+     * sync here; the tab that syncs sends what the others queued.
+     * @param {boolean} sincronizar - The other tab asked for a sync now (see sincronizarAgora).
+     */
+    _mesclarSincronizacaoDeOutraAba(sincronizar) {
+        const url = this.sincronizacao.url;
+        this.sincronizacao.mesclar(this._lerEstadoSincronizacao());
+        if (this.sincronizacao.url !== url) {
+            this._pararSincronizacao();
+            this.iniciarSincronizacao();
+        } else if (this._cronometroSincronizacao && (sincronizar || this.sincronizacao.pendentes() > 0)) {
+            this.sincronizacao.sincronizar();
+        }
+    }
 
-         // adicionarManutencao handles validation, adding, alerting, saving, UI update
-         const success = veiculo.adicionarManutencao(novaManutencao);
-         if (success) {
-              dataInput.value = ''; tipoInput.value = ''; custoInput.value = ''; descInput.value = '';
-         }
-     }
+    /**
+     * Queues what changed while the page was closed. Only one tab of the garage talks to the backend
+     * (the holder of a Web Lock, kept until it closes; every tab when the browser has no Web Locks):
+     * it syncs now, then every INTERVALO_SINCRONIZACAO_MS. The others leave their queue to it.
+     */
+    iniciarSincronizacao() {
+        if (!this.sincronizacao.ativo()) return;
+        this.sincronizacao.registrarAlteracoes(this.serializarGaragem().veiculos);
+        if (!this.liderSincronizacao) return this._disputarLiderancaSincronizacao();
+        if (this._cronometroSincronizacao) return;
+        this.sincronizacao.sincronizar();
+        this._cronometroSincronizacao = setInterval(() => this.sincronizacao.sincronizar(), INTERVALO_SINCRONIZACAO_MS);
+    }
+
+    /** Waits to become the tab that syncs (see iniciarSincronizacao), then starts syncing. */
+    _disputarLiderancaSincronizacao() {
+        if (this._liderancaSolicitada) return;
+        this._liderancaSolicitada = true;
+        const assumir = () => {
+            this.liderSincronizacao = true;
+            this.iniciarSincronizacao();
+        };
+        if (typeof navigator === 'undefined' || !navigator.locks) return assumir();
+        navigator.locks.request(`${this.chaveSincronizacao}_lider`, () => {
+            assumir();
+            return new Promise(() => {}); // Never settles: the lock is held until the tab closes
+        });
+    }
+
+    _pararSincronizacao() {
+        clearInterval(this._cronometroSincronizacao);
+        this._cronometroSincronizacao = null;
+    }
 
-     agendarManutencao(nomeVeiculo) {
-         const veiculo = this.veiculos[nomeVeiculo];
-         if (!veiculo) return alert(`Veículo "${nomeVeiculo}" não criado.`);
+    /**
+     * Applies the records pulled from the backend (other machines), recorded in the audit log as
+     * "Sincronização". They are not undoable.
+     * @param {object[]} registros - See SincronizadorGaragem.
+     * @returns {object} The vehicles of the garage afterwards (serializarGaragem().veiculos).
+     */
+    _aplicarRegistrosSincronizados(registros) {
+        const antes = this.serializarGaragem();
+        const alteracoes = compararEstados(antes, { ...antes, veiculos: aplicarRegistrosSincronizados(antes.veiculos, registros) });
+        if (alteracoes) {
+            this._aplicarAlteracoes(alteracoes, 'depois');
+            this._auditarComando('Sincronização', alteracoes, 'antes', 'depois');
+        }
+        return this.serializarGaragem().veiculos;
+    }
+
+    /** Sets the backend typed in #urlSincronizacao (empty turns sync off). */
+    configurarSincronizacao() {
+        const input = document.getElementById('urlSincronizacao');
+        if (!input) return console.error("Campo 'urlSincronizacao' não encontrado.");
+        if (!this.sincronizacao.configurar(input.value)) return;
+        input.value = this.sincronizacao.url;
+        if (!this.sincronizacao.ativo()) return this._pararSincronizacao();
+        this.iniciarSincronizacao();
+    }
+
+    sincronizarAgora() {
+        if (!this.sincronizacao.ativo()) return alert("Informe o endereço do servidor de sincronização.");
+        if (this._cronometroSincronizacao) this.sincronizacao.sincronizar();
+        else this._salvarSincronizacao(true); // Another tab syncs
+    }
+
+    /** Shows the sync status, the queued changes and the last sync in #statusSincronizacao. */
+    atualizarStatusSincronizacao() {
+        const status = document.getElementById('statusSincronizacao');
+        const input = document.getElementById('urlSincronizacao');
+        if (!status) return;
+        if (input && document.activeElement !== input) input.value = this.sincronizacao.url;
+
+        const { status: estado, mensagem, ultimaSincronizacao } = this.sincronizacao;
+        let texto = estado === 'erro' && mensagem ? `Erro ao sincronizar: ${mensagem}.` : TEXTOS_STATUS_SINCRONIZACAO[estado];
+        if (estado !== 'desativado') {
+            const pendentes = this.sincronizacao.pendentes();
+            if (pendentes > 0) texto += ` ${pendentes} alteração(ões) aguardando envio.`;
+            if (ultimaSincronizacao) texto += ` Última sincronização: ${new Date(ultimaSincronizacao).toLocaleString('pt-BR')}.`;
+        }
+        status.dataset.status = estado;
+        status.textContent = texto;
+    }
+
+    // --- Maintenance Calendar ---
+
+    /** Renders the month or week of this.calendario with the appointments of every vehicle, coloured per vehicle. */
+    atualizarCalendario() {
+        const container = document.getElementById('calendarioManutencoes');
+        const titulo = document.getElementById('tituloCalendario');
+        const legenda = document.getElementById('legendaCalendario');
+        if (!container || !titulo || !legenda) return;
+
+        const { modo, referencia } = this.calendario;
+        const veiculos = Object.values(this.veiculos);
+        const cores = coresPorVeiculo(veiculos);
+        titulo.textContent = tituloCalendario(referencia, modo);
+
+        if (modo === 'semana') {
+            const dias = diasDaSemana(referencia);
+            // Hours of the workshop, so every bookable slot has a row
+            const abertos = this.oficina ? this.oficina.horarios.filter(Boolean) : [];
+            const horas = abertos.length > 0
+                ? { inicio: Math.min(...abertos.map(h => Math.floor(minutosDoDia(h.abertura) / 60))), fim: Math.max(...abertos.map(h => Math.ceil(minutosDoDia(h.fechamento) / 60) - 1)) }
+                : { inicio: 8, fim: 17 };
+            container.replaceChildren(criarCalendarioSemana(referencia, agendamentosPorDia(veiculos, dias[0], dias[6]), cores, horas));
+        } else {
+            const semanas = semanasDoMes(referencia);
+            container.replaceChildren(criarCalendarioMes(referencia, agendamentosPorDia(veiculos, semanas[0][0], semanas[semanas.length - 1][6]), cores));
+        }
 
-         let prefixoId = '';
-         if (nomeVeiculo === 'meuCarro') prefixoId = 'Carro';
-         else if (nomeVeiculo === 'carroEsportivo') prefixoId = 'Esportivo';
-         else if (nomeVeiculo === 'caminhao') prefixoId = 'Caminhao';
-         else if (nomeVeiculo === 'moto') prefixoId = 'Moto';
-         else return alert("Tipo de veículo desconhecido.");
+        legenda.innerHTML = '';
+        veiculos.forEach(veiculo => {
+            const item = document.createElement('span');
+            item.className = 'item-legenda';
+            item.style.borderLeftColor = cores[veiculo.id];
+            item.textContent = veiculo.nome;
+            legenda.appendChild(item);
+        });
+    }
 
-         const dataInput = document.getElementById(`dataAgendamento${prefixoId}`);
-         const horaInput = document.getElementById(`horaAgendamento${prefixoId}`);
-         const tipoInput = document.getElementById(`tipoAgendamento${prefixoId}`);
-         const obsInput = document.getElementById(`obsAgendamento${prefixoId}`);
+    /** @param {'mes' | 'semana'} modo */
+    mudarModoCalendario(modo) {
+        this.calendario.modo = modo === 'semana' ? 'semana' : 'mes';
+        this.atualizarCalendario();
+    }
 
-          if (!dataInput || !horaInput || !tipoInput || !obsInput) {
-             return alert(`Erro interno: Campos de agendamento para ${nomeVeiculo} não encontrados.`);
-         }
+    /**
+     * Moves the calendar one month/week back or forward.
+     * @param {number} passo - -1, 1, or 0 to go back to today.
+     */
+    navegarCalendario(passo) {
+        const { modo, referencia } = this.calendario;
+        if (passo === 0) this.calendario.referencia = dataLocalISO();
+        else this.calendario.referencia = modo === 'semana' ? somarDias(referencia, 7 * passo) : somarMeses(`${referencia.slice(0, 7)}-01`, passo);
+        this.atualizarCalendario();
+    }
 
-         const novoAgendamento = new Manutencao(
-             dataInput.value,
-             tipoInput.value.trim(),
-             null, // cost is null for scheduled
-             obsInput.value.trim(),
-             horaInput.value || null, // hora
-             'agendada' // status is scheduled
-         );
+    /** Click on a calendar day/hour (not on an appointment): opens the scheduling form of the chosen vehicle with that date. */
+    tratarCliqueCalendario(evento) {
+        if (evento.target.closest('.item-calendario')) return;
+        const celula = evento.target.closest('.dia-calendario');
+        if (celula) this.abrirAgendamentoNoDia(celula.dataset.data, celula.dataset.hora || null);
+    }
 
-         // Basic future date validation
-         const dataAgendada = novoAgendamento.getDateTime();
-         const agora = new Date();
-         agora.setSeconds(0, 0);
-         if (!dataAgendada) return alert("Erro: Data ou hora inválida para agendamento.");
-         if (dataAgendada < agora) return alert("Erro: Data/hora do agendamento deve ser no futuro.");
+    /**
+     * Fills the "Agendar Manutenção" form of the vehicle chosen in #calendarioVeiculo and brings it into view.
+     * @param {string} data - YYYY-MM-DD.
+     * @param {string | null} [hora=null] - "HH:MM" (week view).
+     */
+    abrirAgendamentoNoDia(data, hora = null) {
+        const seletor = document.getElementById('calendarioVeiculo');
+        const idVeiculo = seletor ? seletor.value : '';
+        if (!this.veiculos[idVeiculo]) return alert("Selecione o veículo para agendar.");
+        const dataInput = this._campoVeiculo(idVeiculo, 'dataAgendamento');
+        const horaInput = this._campoVeiculo(idVeiculo, 'horaAgendamento');
+        const tipoInput = this._campoVeiculo(idVeiculo, 'tipoAgendamento');
+        if (!dataInput || !horaInput || !tipoInput) return alert("Erro interno: Campos de agendamento não encontrados.");
 
-         // adicionarManutencao handles full validation, adding, alerting, saving, UI update
-         const success = veiculo.adicionarManutencao(novoAgendamento);
-         if (success) {
-              dataInput.value = ''; horaInput.value = ''; tipoInput.value = ''; obsInput.value = '';
-         }
-     }
+        dataInput.value = data;
+        if (hora) horaInput.value = hora;
+        if (tipoInput.scrollIntoView) tipoInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        tipoInput.focus();
+    }
 
-     atualizarListaAgendamentos() {
-         const listaElement = document.getElementById('listaAgendamentos');
-         if (!listaElement) return console.error("Elemento 'listaAgendamentos' não encontrado.");
+    /**
+     * Moves an appointment dropped on another day/hour. Follows the rules of salvarManutencao:
+     * future date, workshop capacity and Manutencao.validar().
+     * @param {string} idVeiculo
+     * @param {string} idManutencao
+     * @param {string} data - YYYY-MM-DD.
+     * @param {string | null} hora - New time; null keeps the current one.
+     */
+    reagendarManutencao(idVeiculo, idManutencao, data, hora = null) {
+        const veiculo = this.veiculos[idVeiculo];
+        const manutencao = veiculo ? veiculo.buscarManutencao(idManutencao) : null;
+        if (!manutencao) return alert("Manutenção não encontrada.");
+        if (manutencao.status !== 'agendada') return alert("Apenas manutenções agendadas podem ser remarcadas.");
+
+        const campos = { data, hora: hora || manutencao.hora };
+        if (campos.data === manutencao.data && campos.hora === manutencao.hora) return;
+        const novaData = Manutencao.fromJSON({ ...manutencao.toJSON(), ...campos }).getDateTime();
+        const agora = new Date();
+        agora.setSeconds(0, 0);
+        if (novaData && novaData < agora) return alert("Erro: Data/hora do agendamento deve ser no futuro.");
+        if (!this._verificarCapacidade(veiculo, { ...manutencao.toJSON(), ...campos })) return;
+
+        // Validated by Manutencao.validar(); its 'manutencaoAlterada' event re-renders the lists and the calendar and saves
+        veiculo.atualizarManutencao(idManutencao, campos);
+    }
+
+    // --- Workshop Hours and Bays ---
+
+    /** Fills the weekday rows, bays and default duration of the "Oficina" section from the current settings. */
+    montarFormOficina() {
+        const corpo = document.getElementById('horariosOficina');
+        const boxesInput = document.getElementById('boxesOficina');
+        const duracaoInput = document.getElementById('duracaoPadraoOficina');
+        if (!corpo || !boxesInput || !duracaoInput || !this.oficina) return;
+
+        corpo.innerHTML = '';
+        DIAS_SEMANA.forEach((nomeDia, dia) => {
+            const horario = this.oficina.horarios[dia];
+            const linha = corpo.insertRow();
+            linha.dataset.dia = dia;
+            linha.insertCell().textContent = nomeDia;
+            const aberta = document.createElement('input');
+            aberta.type = 'checkbox';
+            aberta.dataset.campo = 'aberta';
+            aberta.checked = Boolean(horario);
+            linha.insertCell().appendChild(aberta);
+            [['abertura', '08:00'], ['fechamento', '18:00']].forEach(([campo, padrao]) => {
+                const input = document.createElement('input');
+                input.type = 'time';
+                input.dataset.campo = campo;
+                input.value = horario ? horario[campo] : padrao;
+                linha.insertCell().appendChild(input);
+            });
+        });
+        preencherCampo(boxesInput, this.oficina.boxes);
+        preencherCampo(duracaoInput, this.oficina.duracaoPadraoMinutos);
+    }
+
+    /** Saves the settings typed in the "Oficina" section (the workshop validates and warns through 'aviso'). */
+    salvarConfiguracaoOficina() {
+        const corpo = document.getElementById('horariosOficina');
+        const boxesInput = document.getElementById('boxesOficina');
+        const duracaoInput = document.getElementById('duracaoPadraoOficina');
+        if (!corpo || !boxesInput || !duracaoInput) return alert("Erro interno: Campos da configuração da oficina não encontrados.");
+
+        const horarios = [...corpo.rows].map(linha => {
+            const campo = nome => linha.querySelector(`[data-campo="${nome}"]`);
+            return campo('aberta').checked ? { abertura: campo('abertura').value, fechamento: campo('fechamento').value } : null;
+        });
+        // Its 'alterado' event saves and refreshes the form
+        if (this.oficina.atualizar({ horarios, boxes: Number(boxesInput.value), duracaoPadraoMinutos: Number(duracaoInput.value) })) {
+            alert("Configuração da oficina salva!");
+        }
+    }
 
-         listaElement.innerHTML = ''; // Clear list
-         const agora = new Date();
-         let todosAgendamentos = [];
+    // --- Service Catalog ---
+
+    /** Builds the category select and the vehicle class checkboxes of the catalog form. */
+    montarFormServico() {
+        const categoriaSelect = document.getElementById('categoriaServico');
+        const tiposElement = document.getElementById('tiposVeiculoServico');
+        if (!categoriaSelect || !tiposElement) return console.error("Formulário do catálogo não encontrado.");
+        for (const categoria in CATEGORIAS_SERVICO) categoriaSelect.add(new Option(CATEGORIAS_SERVICO[categoria], categoria));
+        TIPOS_VEICULO_CATALOGO.forEach(tipo => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = tipo;
+            checkbox.checked = true;
+            label.append(checkbox, ` ${TIPOS_VEICULO[tipo] ? TIPOS_VEICULO[tipo].rotulo : tipo}`);
+            tiposElement.appendChild(label);
+        });
+        this.limparFormServico();
+    }
+
+    /** Refreshes the autocomplete lists, the catalog list and the free-text types. */
+    atualizarCatalogo() {
+        const datalists = document.getElementById('datalistsCatalogo');
+        if (datalists) {
+            datalists.innerHTML = '';
+            TIPOS_VEICULO_CATALOGO.forEach(tipo => {
+                const datalist = document.createElement('datalist');
+                datalist.id = idListaCatalogo(tipo);
+                this.catalogo.servicosPara(tipo).forEach(servico => datalist.appendChild(new Option(servico.nome)));
+                datalists.appendChild(datalist);
+            });
+        }
 
-         for (const nomeVeiculo in this.veiculos) {
-             if (this.veiculos.hasOwnProperty(nomeVeiculo)) {
-                 const veiculo = this.veiculos[nomeVeiculo];
-                 if(Array.isArray(veiculo.historicoManutencao)) {
-                     veiculo.historicoManutencao.forEach(m => {
-                         const manutencao = (m instanceof Manutencao) ? m : new Manutencao(m.data, m.tipo, m.custo, m.descricao, m.hora, m.status);
-                         const dataManutencao = manutencao.getDateTime();
-                         if (manutencao.status === 'agendada' && dataManutencao && dataManutencao >= agora && manutencao.isValid()) {
-                             todosAgendamentos.push({
-                                 veiculoNome: nomeVeiculo,
-                                 veiculoModelo: veiculo.modelo,
-                                 manutencao: manutencao,
-                                 dataObj: dataManutencao
-                             });
-                         }
-                     });
-                 }
-             }
-         }
+        const lista = document.getElementById('listaCatalogo');
+        if (lista) {
+            lista.innerHTML = '';
+            const servicos = this.catalogo.servicos.slice().sort((a, b) =>
+                a.categoria.localeCompare(b.categoria) || a.nome.localeCompare(b.nome, 'pt-BR'));
+            servicos.forEach(servico => lista.appendChild(criarItemServico(servico)));
+            if (servicos.length === 0) {
+                const li = document.createElement('li');
+                li.textContent = 'Nenhum serviço no catálogo.';
+                li.className = 'nenhum';
+                lista.appendChild(li);
+            }
+        }
+        this.atualizarTiposLivres();
+    }
+
+    /** Lists the free-text types of the records that are not linked to the catalog. */
+    atualizarTiposLivres() {
+        const lista = document.getElementById('listaTiposLivres');
+        if (!lista || !this.catalogo) return;
+        lista.innerHTML = '';
+        const tiposLivres = listarTiposLivres(Object.values(this.veiculos), this.catalogo);
+        const servicos = this.catalogo.servicos.slice().sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR'));
+        tiposLivres.forEach(tipoLivre => lista.appendChild(criarItemTipoLivre(tipoLivre, servicos)));
+        if (tiposLivres.length === 0) {
+            const li = document.createElement('li');
+            li.textContent = 'Todos os registros usam serviços do catálogo.';
+            li.className = 'nenhum';
+            lista.appendChild(li);
+        }
+    }
 
-         todosAgendamentos.sort((a, b) => a.dataObj - b.dataObj); // Sort earliest first
+    /** Handles the buttons of #listaCatalogo and #listaTiposLivres (delegation). */
+    tratarAcaoCatalogo(evento) {
+        const botao = evento.target.closest('[data-acao]');
+        if (!botao) return;
+        const itemServico = botao.closest('[data-servico-id]');
+        const itemTipo = botao.closest('[data-tipo-livre]');
+        switch (botao.dataset.acao) {
+            case 'editarServico': if (itemServico) this.editarServicoCatalogo(itemServico.dataset.servicoId); break;
+            case 'removerServico': if (itemServico) this.removerServicoCatalogo(itemServico.dataset.servicoId); break;
+            case 'mapearTipo':
+                if (itemTipo) this.mapearTipoLivre(itemTipo.dataset.tipoLivre, itemTipo.querySelector('[data-campo="servicoMapeamento"]').value);
+                break;
+        }
+    }
 
-         if (todosAgendamentos.length === 0) {
-             const li = document.createElement('li');
-             li.textContent = 'Nenhum agendamento futuro encontrado.';
-             li.className = 'nenhum';
-             listaElement.appendChild(li);
-         } else {
-             todosAgendamentos.forEach(item => {
-                 const li = document.createElement('li');
-                 li.textContent = `[${item.veiculoModelo}] ${item.manutencao.formatar()}`;
-                 listaElement.appendChild(li);
-             });
-         }
-     }
+    /** Adds a service, or saves the one being edited (#idServicoEdicao). */
+    salvarServicoCatalogo() {
+        const idEdicao = document.getElementById('idServicoEdicao').value;
+        const preco = document.getElementById('precoServico').value;
+        const duracao = document.getElementById('duracaoServico').value;
+        const campos = {
+            nome: document.getElementById('nomeServico').value,
+            categoria: document.getElementById('categoriaServico').value,
+            precoPadrao: preco === '' ? null : parseFloat(preco),
+            duracaoMinutos: duracao === '' ? null : Number(duracao),
+            tiposVeiculo: [...document.querySelectorAll('#tiposVeiculoServico input:checked')].map(c => c.value),
+            sinonimos: document.getElementById('sinonimosServico').value.split(',').map(s => s.trim()).filter(Boolean)
+        };
+        // The catalog validates and warns through 'aviso'; its 'alterado' event saves and refreshes the lists
+        const sucesso = idEdicao
+            ? this.catalogo.atualizar(idEdicao, campos)
+            : this.catalogo.adicionar(ServicoCatalogo.fromJSON(campos));
+        if (sucesso) {
+            alert(idEdicao ? "Serviço atualizado no catálogo!" : "Serviço adicionado ao catálogo!");
+            this.limparFormServico();
+        }
+    }
+
+    /** Loads a service into the catalog form. */
+    editarServicoCatalogo(idServico) {
+        const servico = this.catalogo.buscar(idServico);
+        if (!servico) return alert("Serviço não encontrado no catálogo.");
+        document.getElementById('idServicoEdicao').value = servico.id;
+        document.getElementById('nomeServico').value = servico.nome;
+        document.getElementById('categoriaServico').value = servico.categoria;
+        document.getElementById('precoServico').value = servico.precoPadrao !== null ? servico.precoPadrao : '';
+        document.getElementById('duracaoServico').value = servico.duracaoMinutos !== null ? servico.duracaoMinutos : '';
+        document.getElementById('sinonimosServico').value = servico.sinonimos.join(', ');
+        document.querySelectorAll('#tiposVeiculoServico input').forEach(c => { c.checked = servico.aplicaA(c.value); });
+        document.getElementById('botaoSalvarServico').textContent = 'Salvar Serviço';
+        document.getElementById('botaoCancelarServico').hidden = false;
+    }
+
+    limparFormServico() {
+        ['idServicoEdicao', 'nomeServico', 'precoServico', 'duracaoServico', 'sinonimosServico'].forEach(id => { document.getElementById(id).value = ''; });
+        document.getElementById('categoriaServico').value = 'geral';
+        document.querySelectorAll('#tiposVeiculoServico input').forEach(c => { c.checked = true; });
+        document.getElementById('botaoSalvarServico').textContent = 'Adicionar Serviço';
+        document.getElementById('botaoCancelarServico').hidden = true;
+    }
+
+    removerServicoCatalogo(idServico) {
+        const servico = this.catalogo.buscar(idServico);
+        if (!servico) return alert("Serviço não encontrado no catálogo.");
+        if (!confirm(`Remover "${servico.nome}" do catálogo? Os registros existentes mantêm o nome do serviço.`)) return;
+        this.catalogo.remover(idServico);
+    }
+
+    /**
+     * Links every record and plan with a free-text type to a catalog service, and keeps the
+     * text as a synonym so it is recognized from now on.
+     * @param {string} tipoLivre
+     * @param {string} idServico
+     */
+    mapearTipoLivre(tipoLivre, idServico) {
+        const servico = this.catalogo.buscar(idServico);
+        if (!servico) return alert("Escolha um serviço do catálogo para mapear.");
+        const vinculados = this._vincularTipoLivre(tipoLivre, servico);
+        this.salvarGaragem(); // Also when the text was already known (no catalog change)
+        this.atualizarTiposLivres();
+        alert(`${vinculados} registro(s) "${tipoLivre}" mapeado(s) para "${servico.nome}".`);
+    }
+
+    /** Maps every free-text type that is the name or a synonym of a catalog service. */
+    mapearSugestoesTiposLivres() {
+        const sugestoes = listarTiposLivres(Object.values(this.veiculos), this.catalogo).filter(t => t.sugestao);
+        if (sugestoes.length === 0) return alert("Nenhum tipo livre corresponde a um serviço do catálogo.");
+        const vinculados = sugestoes.reduce((soma, t) => soma + this._vincularTipoLivre(t.tipo, t.sugestao), 0);
+        this.salvarGaragem();
+        this.atualizarTiposLivres();
+        alert(`${vinculados} registro(s) de ${sugestoes.length} tipo(s) mapeado(s) para o catálogo.`);
+    }
+
+    /** @returns {number} How many records of all vehicles were linked. */
+    _vincularTipoLivre(tipoLivre, servico) {
+        const vinculado = id => Boolean(id && this.catalogo.buscar(id));
+        let vinculados = 0;
+        Object.values(this.veiculos).forEach(veiculo => {
+            // Records of classes the service does not apply to are linked too: they already happened
+            vinculados += veiculo.vincularServico(tipoLivre, servico, vinculado);
+        });
+        this.catalogo.adicionarSinonimo(servico.id, tipoLivre); // Refreshes the lists and saves
+        return vinculados;
+    }
 
     // --- Display Methods ---
-    exibirInformacoes(nomeVeiculo) {
-        const veiculo = this.veiculos[nomeVeiculo];
+    /**
+     * Shows a vehicle in the info area and its records in the history table.
+     * @param {string} idVeiculo
+     * @param {boolean} [atualizarHistorico=true] - False when the maintenance records did not change.
+     */
+    exibirInformacoes(idVeiculo, atualizarHistorico = true) {
+        const veiculo = this.veiculos[idVeiculo];
         const infoArea = document.getElementById('informacoesVeiculo');
         if (!infoArea) return console.error("Elemento 'informacoesVeiculo' não encontrado.");
 
         if (veiculo) {
+            if (this.veiculoExibidoId !== idVeiculo) this.paginaHistorico = 1;
+            this.veiculoExibidoId = idVeiculo;
+            const seletor = document.getElementById('seletorVeiculoInfo');
+            if (seletor) seletor.value = idVeiculo;
             try {
                 infoArea.textContent = veiculo.exibirInformacoes();
              } catch (error) {
-                 console.error(`Erro ao exibir informações para ${nomeVeiculo}:`, error);
-                 infoArea.textContent = `Erro ao obter informações para ${veiculo.modelo || nomeVeiculo}.`;
+                 console.error(`Erro ao exibir informações para ${idVeiculo}:`, error);
+                 infoArea.textContent = `Erro ao obter informações para ${veiculo.nome || veiculo.modelo || idVeiculo}.`;
             }
         } else {
-            infoArea.textContent = `Veículo "${nomeVeiculo}" não existe. Crie-o usando o botão correspondente.`;
+            infoArea.textContent = `Veículo "${idVeiculo}" não existe. Adicione-o usando o formulário acima.`;
         }
+        if (atualizarHistorico) this.atualizarTabelaHistorico();
+    }
+
+    /**
+     * Rewrites the odometer and speed lines of the info area, leaving the rest of the text (costs)
+     * and the history table as they are.
+     * @param {Veiculo} veiculo - The displayed vehicle.
+     */
+    _atualizarLinhasConducao(veiculo) {
+        const infoArea = document.getElementById('informacoesVeiculo');
+        if (!infoArea) return;
+        infoArea.textContent = infoArea.textContent
+            .replace(/^Quilometragem: .*$/m, `Quilometragem: ${veiculo.formatarQuilometragem()}`)
+            .replace(/^Velocidade: .*$/m, `Velocidade: ${veiculo.velocidade} km/h`);
+    }
+
+    // --- Maintenance History Table ---
+
+    /**
+     * Reads the filters of the history table.
+     * @returns {object} Options for consultarHistorico (without sorting and page).
+     */
+    lerFiltrosHistorico() {
+        const valor = id => { const el = document.getElementById(id); return el ? el.value : ''; };
+        const numero = id => { const n = parseFloat(valor(id)); return isNaN(n) ? null : n; };
+        return {
+            busca: valor('buscaHistorico'),
+            status: valor('statusHistorico'),
+            dataInicio: valor('dataInicioHistorico'),
+            dataFim: valor('dataFimHistorico'),
+            custoMinimo: numero('custoMinimoHistorico'),
+            custoMaximo: numero('custoMaximoHistorico'),
+            porPagina: parseInt(valor('porPaginaHistorico'), 10) || ITENS_POR_PAGINA_HISTORICO
+        };
+    }
+
+    /** Renders the page of the history table of the shown vehicle (see historico.js). */
+    atualizarTabelaHistorico() {
+        const corpo = document.getElementById('corpoHistorico');
+        const resumo = document.getElementById('resumoHistorico');
+        if (!corpo || !resumo) return console.error("Elementos da tabela de histórico não encontrados.");
+
+        document.querySelectorAll('#tabelaHistorico [data-ordenar]').forEach(botao => {
+            if (botao.dataset.ordenar === this.ordemHistorico.ordenarPor) botao.dataset.direcao = this.ordemHistorico.direcao;
+            else delete botao.dataset.direcao;
+        });
+
+        corpo.innerHTML = '';
+        const veiculo = this.veiculos[this.veiculoExibidoId];
+        const anterior = document.getElementById('paginaAnteriorHistorico');
+        const proxima = document.getElementById('proximaPaginaHistorico');
+        if (!veiculo) {
+            resumo.textContent = '';
+            if (anterior) anterior.disabled = true;
+            if (proxima) proxima.disabled = true;
+            return;
+        }
+
+        const consulta = consultarHistorico(veiculo.historicoManutencao, {
+            ...this.lerFiltrosHistorico(),
+            ...this.ordemHistorico,
+            pagina: this.paginaHistorico
+        });
+        this.paginaHistorico = consulta.pagina;
+
+        if (consulta.itens.length === 0) {
+            const linha = corpo.insertRow();
+            const celula = linha.insertCell();
+            celula.colSpan = 6;
+            celula.className = 'nenhum';
+            celula.textContent = veiculo.historicoManutencao.length === 0
+                ? 'Nenhuma manutenção registrada.'
+                : 'Nenhuma manutenção encontrada com esses filtros.';
+        }
+        consulta.itens.forEach(m => {
+            const linha = corpo.insertRow();
+            if (m.status === 'cancelada') linha.classList.add('manutencao-cancelada');
+            if (m.status === 'agendada' && agendamentoAtrasado(m)) linha.classList.add('atrasado');
+            const [ano, mes, dia] = m.data.split('-');
+            [
+                `${dia}/${mes}/${ano}${m.hora ? ` ${m.hora}` : ''}`,
+                m.tipo,
+                STATUS_MANUTENCAO[m.status],
+                m.custo !== null ? m.custo.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' }) : '-',
+                m.quilometragem !== null ? `${m.quilometragem.toLocaleString('pt-BR')} km` : '-',
+                m.descricao
+            ].forEach(texto => { linha.insertCell().textContent = texto; });
+            if (m.itens.length > 0) {
+                const detalhamento = corpo.insertRow();
+                detalhamento.className = 'detalhamento-manutencao';
+                const celula = detalhamento.insertCell();
+                celula.colSpan = 6;
+                celula.textContent = m.formatarItens().join('\n');
+            }
+        });
+
+        let texto = `${consulta.total} registro(s) - Página ${consulta.pagina} de ${consulta.totalPaginas}`;
+        if (consulta.invalidos > 0) texto += ` (${consulta.invalidos} registro(s) com dados inválidos ocultado(s))`;
+        resumo.textContent = texto;
+        if (anterior) anterior.disabled = consulta.pagina <= 1;
+        if (proxima) proxima.disabled = consulta.pagina >= consulta.totalPaginas;
+    }
+
+    /** A filter changed: back to the first page. */
+    filtrarHistorico() {
+        this.paginaHistorico = 1;
+        this.atualizarTabelaHistorico();
+    }
+
+    limparFiltrosHistorico() {
+        ['buscaHistorico', 'statusHistorico', 'dataInicioHistorico', 'dataFimHistorico', 'custoMinimoHistorico', 'custoMaximoHistorico']
+            .forEach(id => { const el = document.getElementById(id); if (el) el.value = ''; });
+        this.filtrarHistorico();
+    }
+
+    /**
+     * Sorts the history by a column; the same column again inverts the direction.
+     * Dates, costs and readings start from the largest, text columns from A.
+     * @param {'data'|'tipo'|'status'|'custo'|'quilometragem'} coluna
+     */
+    ordenarHistorico(coluna) {
+        if (this.ordemHistorico.ordenarPor === coluna) {
+            this.ordemHistorico.direcao = this.ordemHistorico.direcao === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.ordemHistorico = { ordenarPor: coluna, direcao: ['tipo', 'status'].includes(coluna) ? 'asc' : 'desc' };
+        }
+        this.filtrarHistorico();
+    }
+
+    /** @param {number} deslocamento - -1 for the previous page, 1 for the next. */
+    mudarPaginaHistorico(deslocamento) {
+        this.paginaHistorico += deslocamento;
+        this.atualizarTabelaHistorico(); // The page is clamped by consultarHistorico
     }
 }
 
 // --- Initialization ---
-const garagem = new Garagem(); // Constructor calls carregarGaragem
-
-window.onload = () => {
-    // Garagem constructor already tried loading.
+const garagem = new Garagem(); // The saved garage is loaded by garagem.iniciar() in window.onload
+
+window.onload = async () => {
+    // Card buttons are handled by delegation, since cards are created from the template
+    const listaElement = document.getElementById('listaVeiculos');
+    if (listaElement) listaElement.addEventListener('click', (evento) => garagem.tratarAcaoCard(evento));
+    // Appointment, alert and plan items have the same actions as in the cards
+    ['listaAgendamentos', 'gruposAlertas', 'listaPlanos'].forEach(id => {
+        const elemento = document.getElementById(id);
+        if (elemento) elemento.addEventListener('click', (evento) => garagem.tratarAcaoCard(evento));
+    });
+    // Default price of the typed catalog service and total of the line items, in the card forms and in the inline edit forms
+    ['listaVeiculos', 'listaAgendamentos'].forEach(id => {
+        const elemento = document.getElementById(id);
+        if (!elemento) return;
+        elemento.addEventListener('change', (evento) => garagem.preencherPrecoServico(evento));
+        elemento.addEventListener('input', (evento) => {
+            const itens = evento.target.closest('.itens-manutencao');
+            if (itens) atualizarTotalItens(itens.closest('.manutencao-form, .manutencao-edicao'));
+        });
+    });
+    ['listaCatalogo', 'listaTiposLivres'].forEach(id => {
+        const elemento = document.getElementById(id);
+        if (elemento) elemento.addEventListener('click', (evento) => garagem.tratarAcaoCatalogo(evento));
+    });
+    // Undo/redo shortcuts; text fields keep their own undo
+    document.addEventListener('keydown', (evento) => {
+        if (!(evento.ctrlKey || evento.metaKey) || evento.altKey) return;
+        if (evento.target.closest && evento.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        const tecla = evento.key.toLowerCase();
+        if (tecla === 'z' && !evento.shiftKey) {
+            evento.preventDefault();
+            garagem.desfazer();
+        } else if (tecla === 'y' || (tecla === 'z' && evento.shiftKey)) {
+            evento.preventDefault();
+            garagem.refazer();
+        }
+    });
+    // Fields typed into are kept when another tab makes the UI rebuild (see capturarEdicoes)
+    document.addEventListener('input', marcarEdicao);
+    document.addEventListener('change', marcarEdicao);
+    // Batched changes are saved before the page is hidden or closed
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState !== 'hidden') return;
+        garagem.marcarVeiculosEmMovimento();
+        garagem.salvamento.descarregar();
+    });
+    // Trips being driven are recorded in the audit log before the page goes, and the page may go
+    // before IndexedDB finishes: a synchronous copy of the unsaved changes is kept too
+    const aoSairDaPagina = () => {
+        garagem.encerrarViagensEmAndamento();
+        garagem.marcarVeiculosEmMovimento();
+        garagem.guardarAlteracoesPendentes();
+        if (garagem.salvamento.pendente()) garagem.salvamento.descarregar();
+    };
+    window.addEventListener('pagehide', aoSairDaPagina);
+    window.addEventListener('beforeunload', aoSairDaPagina);
+    // Changes queued while offline are sent as soon as the connection is back
+    window.addEventListener('online', () => { if (garagem._cronometroSincronizacao) garagem.sincronizacao.sincronizar(); });
+    // Appointments are dragged between days/hours of the calendar to reschedule them
+    const calendario = document.getElementById('calendarioManutencoes');
+    if (calendario) {
+        calendario.addEventListener('click', (evento) => garagem.tratarCliqueCalendario(evento));
+        calendario.addEventListener('dragstart', (evento) => {
+            const item = evento.target.closest('.item-calendario');
+            if (!item) return;
+            evento.dataTransfer.setData('text/plain', JSON.stringify({ idVeiculo: item.dataset.veiculoId, idManutencao: item.dataset.manutencaoId }));
+            evento.dataTransfer.effectAllowed = 'move';
+        });
+        calendario.addEventListener('dragover', (evento) => {
+            const celula = evento.target.closest('.dia-calendario');
+            if (!celula) return;
+            evento.preventDefault(); // Allows the drop
+            celula.classList.add('alvo-arraste');
+        });
+        calendario.addEventListener('dragleave', (evento) => {
+            const celula = evento.target.closest('.dia-calendario');
+            if (celula && !celula.contains(evento.relatedTarget)) celula.classList.remove('alvo-arraste');
+        });
+        calendario.addEventListener('drop', (evento) => {
+            const celula = evento.target.closest('.dia-calendario');
+            if (!celula) return;
+            evento.preventDefault();
+            celula.classList.remove('alvo-arraste');
+            let arrastado;
+            try {
+                arrastado = JSON.parse(evento.dataTransfer.getData('text/plain'));
+            } catch (error) {
+                return; // Not an appointment of the calendar
+            }
+            if (!arrastado || !arrastado.idManutencao) return;
+            garagem.reagendarManutencao(arrastado.idVeiculo, arrastado.idManutencao, celula.dataset.data, celula.dataset.hora || null);
+        });
+    }
+    await garagem.iniciar(); // Storage is asynchronous (IndexedDB): nothing below runs before the garage is loaded
+    garagem.atualizarBotoesComandos();
+    garagem.atualizarStatusSalvamento(garagem.salvamento.status);
+    garagem.atualizarStatusSincronizacao();
+    garagem.montarFormServico();
+    garagem.atualizarFormNovoVeiculo();
+    garagem.atualizarPainelRecuperacao();
+    garagem.atualizarPainelLembretes();
+    garagem.lembretes.iniciar();
+    // Appointments become due/overdue as time passes, even without changes
+    setInterval(() => garagem.atualizarAlertas(), INTERVALO_VERIFICACAO_LEMBRETES_MS);
+
+    // garagem.iniciar() already tried loading.
     // Check if defaults are needed.
     if (Object.keys(garagem.veiculos).length === 0) {
         console.log("Nenhum veículo carregado, criando padrões.");
-        // Create methods now handle saving internally and updating UI partially.
-        garagem.criarCarro();
-        garagem.criarMoto();
-        garagem.criarCarroEsportivo();
-        garagem.criarCaminhao();
+        // _criarVeiculo handles saving and rendering each card.
+        garagem.criarVeiculosPadrao();
          // Full UI update is needed after defaults are created
          garagem.atualizarUICompleta();
     } else {
         console.log("Veículos carregados. Atualizando UI.");
-        // Ensure the entire UI reflects the loaded state.
+        // Ensure the entire UI reflects the loaded state (renders one card per vehicle).
         garagem.atualizarUICompleta();
     }
-     // Initial population of the scheduled list (might be empty if no data)
-     // Note: atualizarUICompleta now includes this call
-     // garagem.atualizarListaAgendamentos();
+    garagem.iniciarSincronizacao(); // After the defaults, which are marked so a new machine does not upload them
 };
\ No newline at end of file
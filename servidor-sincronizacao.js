@@ -0,0 +1,97 @@
+/**
+ * Mock of the sync backend (see sincronizacao.js) for local testing. Keeps the records in memory,
+ * so stopping it forgets them. Run with Node (no dependencies):
+ *
+ *   node servidor-sincronizacao.js [porta]     (default 3001)
+ *
+ * and set "http://localhost:3001" as the sync address of the garage. Every write gets the next
+ * number of a change log; GET /registros?desde=N returns the records written after N.
+ */
+
+const http = require('http');
+
+const PORTA_PADRAO = 3001;
+const TAMANHO_MAXIMO_CORPO = 1024 * 1024;
+
+/**
+ * @returns {http.Server} Server not listening yet.
+ */
+function criarServidor() {
+    const registros = new Map(); // chave -> {chave, dados, atualizadoEm, excluido, sequencia}
+    let sequencia = 0;
+
+    const responder = (resposta, status, corpo) => {
+        resposta.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            // The garage is usually opened from file:// or another port
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type'
+        });
+        resposta.end(corpo === undefined ? '' : JSON.stringify(corpo));
+    };
+
+    const lerCorpo = requisicao => new Promise((resolve, reject) => {
+        let texto = '';
+        requisicao.on('data', parte => {
+            texto += parte;
+            if (texto.length > TAMANHO_MAXIMO_CORPO) reject(new Error('Corpo grande demais.'));
+        });
+        requisicao.on('end', () => {
+            try {
+                resolve(texto ? JSON.parse(texto) : {});
+            } catch (error) {
+                reject(new Error('JSON inválido.'));
+            }
+        });
+        requisicao.on('error', reject);
+    });
+
+    /** Keeps the newest version of a record; ties keep the stored one. */
+    const gravar = (resposta, chave, dados, atualizadoEm, excluido) => {
+        if (typeof atualizadoEm !== 'string' || isNaN(Date.parse(atualizadoEm))) {
+            return responder(resposta, 400, { erro: 'atualizadoEm deve ser uma data ISO.' });
+        }
+        if (!excluido && (!dados || typeof dados !== 'object')) return responder(resposta, 400, { erro: 'dados ausentes.' });
+        const existente = registros.get(chave);
+        if (existente && existente.atualizadoEm >= atualizadoEm) return responder(resposta, 409, { registro: existente });
+        const registro = { chave, dados: excluido ? null : dados, atualizadoEm, excluido, sequencia: ++sequencia };
+        registros.set(chave, registro);
+        responder(resposta, 200, { registro });
+    };
+
+    return http.createServer(async (requisicao, resposta) => {
+        const url = new URL(requisicao.url, 'http://localhost');
+        const chave = url.pathname.replace(/^\/+|\/+$/g, '');
+        console.log(`${requisicao.method} ${url.pathname}${url.search}`);
+        try {
+            if (requisicao.method === 'OPTIONS') return responder(resposta, 204);
+            if (requisicao.method === 'GET' && chave === 'registros') {
+                const desde = Number(url.searchParams.get('desde')) || 0;
+                const lista = [...registros.values()].filter(r => r.sequencia > desde).sort((a, b) => a.sequencia - b.sequencia);
+                return responder(resposta, 200, { registros: lista, cursor: sequencia });
+            }
+            if (!/^veiculos\/[^/]+(\/manutencoes\/[^/]+)?$/.test(chave)) return responder(resposta, 404, { erro: 'Recurso inexistente.' });
+            if (requisicao.method === 'GET') {
+                const registro = registros.get(chave);
+                return registro ? responder(resposta, 200, { registro }) : responder(resposta, 404, { erro: 'Registro inexistente.' });
+            }
+            if (requisicao.method === 'PUT') {
+                const { dados, atualizadoEm } = await lerCorpo(requisicao);
+                return gravar(resposta, chave, dados, atualizadoEm, false);
+            }
+            if (requisicao.method === 'DELETE') return gravar(resposta, chave, null, url.searchParams.get('atualizadoEm'), true);
+            responder(resposta, 405, { erro: 'Método não suportado.' });
+        } catch (error) {
+            responder(resposta, 400, { erro: error.message });
+        }
+    });
+}
+
+
+if (require.main === module) {
+    const porta = Number(process.argv[2]) || PORTA_PADRAO;
+    criarServidor().listen(porta, () => console.log(`Servidor de sincronização em http://localhost:${porta}`));
+}
+
+module.exports = { criarServidor };
@@ -0,0 +1,418 @@
+/**
+ * Optional sync of the vehicles and maintenance records with a REST backend shared by several
+ * machines (servidor-sincronizacao.js is a mock for local testing). Each record is one resource:
+ *
+ *   PUT    {url}/veiculos/{id}                           {dados, atualizadoEm} -> 200 {registro} | 409 {registro}
+ *   PUT    {url}/veiculos/{idVeiculo}/manutencoes/{id}   (same)
+ *   DELETE {url}/veiculos/{id}?atualizadoEm=...           (same, keeps a tombstone)
+ *   GET    {url}/registros?desde={cursor}                -> 200 {registros, cursor}
+ *
+ * Records are {chave, dados, atualizadoEm, excluido}, the key being the path above. Local changes
+ * are found by comparing each record with the last one known (a hash) and queued, so they survive
+ * a reload while offline. Conflicts are resolved per record: the newest atualizadoEm wins, on the
+ * server (409 returns the newer record) and when pulling.
+ */
+
+const INTERVALO_SINCRONIZACAO_MS = 30000; // Pull interval while the page is open
+const TEMPO_LIMITE_SINCRONIZACAO_MS = 10000; // Requests taking longer count as offline
+const INICIO_SINCRONIZACAO = new Date(0).toISOString(); // Timestamp of the records present when sync is turned on
+// Driving state of each machine, not shared (the maintenance records are synced apart)
+const CAMPOS_NAO_SINCRONIZADOS = ['ligado', 'velocidade', 'historicoManutencao'];
+// Change continuously while driving: a moving vehicle's record is sent once it stops, and pulled
+// records do not replace them on a vehicle moving here
+const CAMPOS_CONDUCAO = ['combustivel', 'quilometragem'];
+
+/**
+ * @param {string} idVeiculo
+ * @param {string | null} [idManutencao=null]
+ * @returns {string} Key (and REST path) of the record, e.g. "veiculos/v1/manutencoes/m1".
+ */
+function chaveRegistro(idVeiculo, idManutencao = null) {
+    const veiculo = `veiculos/${encodeURIComponent(idVeiculo)}`;
+    return idManutencao === null ? veiculo : `${veiculo}/manutencoes/${encodeURIComponent(idManutencao)}`;
+}
+
+/**
+ * @param {string} chave - See chaveRegistro().
+ * @returns {{idVeiculo: string, idManutencao: string | null} | null} Null if it is not a record key.
+ */
+function lerChaveRegistro(chave) {
+    const partes = /^veiculos\/([^/]+)(?:\/manutencoes\/([^/]+))?$/.exec(chave);
+    if (!partes) return null;
+    return { idVeiculo: decodeURIComponent(partes[1]), idManutencao: partes[2] ? decodeURIComponent(partes[2]) : null };
+}
+
+/**
+ * Synced records of the vehicles: one per vehicle (without the driving state and the maintenance)
+ * and one per maintenance record.
+ * @param {object} veiculos - Vehicles keyed by ID (Garagem.serializarGaragem().veiculos).
+ * @returns {Map<string, object>} Record data keyed by chaveRegistro().
+ */
+function registrosSincronizaveis(veiculos) {
+    const registros = new Map();
+    Object.keys(veiculos).forEach(idVeiculo => {
+        const dados = { ...veiculos[idVeiculo] };
+        CAMPOS_NAO_SINCRONIZADOS.forEach(campo => delete dados[campo]);
+        registros.set(chaveRegistro(idVeiculo), dados);
+        (veiculos[idVeiculo].historicoManutencao || []).forEach(manutencao => registros.set(chaveRegistro(idVeiculo, manutencao.id), manutencao));
+    });
+    return registros;
+}
+
+/**
+ * Short hash of a record, enough to notice that it changed (the records themselves are not kept).
+ * @param {object} dados
+ * @returns {string}
+ */
+function resumoRegistro(dados) {
+    const texto = JSON.stringify(dados);
+    let hash = 5381;
+    for (let i = 0; i < texto.length; i++) hash = ((hash * 33) ^ texto.charCodeAt(i)) >>> 0;
+    return `${texto.length.toString(36)}-${hash.toString(36)}`;
+}
+
+/**
+ * Applies pulled records (see SincronizadorGaragem) to the vehicles of a garage snapshot.
+ * Vehicles keep their local driving state (and CAMPOS_CONDUCAO while moving); records of unknown vehicles are ignored.
+ * @param {object} veiculos - Vehicles keyed by ID; not changed.
+ * @param {Array<{chave: string, dados: object | null, excluido: boolean}>} registros
+ * @returns {object} The vehicles with the records applied.
+ */
+function aplicarRegistrosSincronizados(veiculos, registros) {
+    const resultado = {};
+    Object.keys(veiculos).forEach(id => {
+        resultado[id] = { ...veiculos[id], historicoManutencao: [...(veiculos[id].historicoManutencao || [])] };
+    });
+    // Vehicles first: a new vehicle and its records can come in the same pull
+    const ordenados = registros
+        .map(registro => ({ registro, chave: lerChaveRegistro(registro.chave) }))
+        .filter(({ chave }) => chave)
+        .sort((a, b) => (a.chave.idManutencao === null ? 0 : 1) - (b.chave.idManutencao === null ? 0 : 1));
+    ordenados.forEach(({ registro, chave: { idVeiculo, idManutencao } }) => {
+        const veiculo = resultado[idVeiculo];
+        if (idManutencao === null) {
+            if (registro.excluido) {
+                delete resultado[idVeiculo];
+                return;
+            }
+            resultado[idVeiculo] = { ...veiculo, ...registro.dados, historicoManutencao: veiculo ? veiculo.historicoManutencao : [] };
+            if (veiculo && veiculo.velocidade > 0) CAMPOS_CONDUCAO.forEach(campo => { resultado[idVeiculo][campo] = veiculo[campo]; });
+            return;
+        }
+        if (!veiculo) return;
+        const posicao = veiculo.historicoManutencao.findIndex(m => m.id === idManutencao);
+        if (registro.excluido) {
+            if (posicao >= 0) veiculo.historicoManutencao.splice(posicao, 1);
+        } else if (posicao >= 0) {
+            veiculo.historicoManutencao[posicao] = { ...registro.dados, id: idManutencao };
+        } else {
+            veiculo.historicoManutencao.push({ ...registro.dados, id: idManutencao });
+        }
+    });
+    return resultado;
+}
+
+/**
+ * Queue of local changes and sync with the backend. The state (URL, cursor, known records and
+ * queue) is saved by Garagem through toJSON() on every 'alterado', and shared by the tabs of the
+ * garage (see mesclar).
+ * Events: 'alterado' {} when the state changes, 'status' {status, mensagem} with status
+ * 'desativado', 'ocioso', 'sincronizando', 'offline' or 'erro'.
+ */
+class SincronizadorGaragem extends EmissorEventos {
+    /**
+     * @param {function(object[]): object} aplicar - Applies pulled records to the garage and returns its vehicles
+     *        afterwards (Garagem.serializarGaragem().veiculos).
+     * @param {object} [estado={}] - Saved with toJSON().
+     * @param {Function} [requisitar=fetch] - fetch() or a replacement with the same interface.
+     */
+    constructor(aplicar, estado = {}, requisitar = (...args) => fetch(...args)) {
+        super();
+        this.aplicar = aplicar;
+        this.requisitar = requisitar;
+        this.url = typeof estado.url === 'string' ? estado.url : '';
+        this.configuradoEm = estado.configuradoEm || null; // When the URL was set: the newest one wins between tabs
+        this.cursor = estado.cursor !== undefined ? estado.cursor : null; // Position in the server's change log
+        this.conhecidos = estado.conhecidos && typeof estado.conhecidos === 'object' ? estado.conhecidos : {}; // chave -> {hash, atualizadoEm}; hash null once deleted
+        this.fila = estado.fila && typeof estado.fila === 'object' ? estado.fila : {}; // chave -> {chave, dados, atualizadoEm, excluido}, one change per record
+        this.ultimaSincronizacao = estado.ultimaSincronizacao || null;
+        this.exemplos = estado.exemplos && typeof estado.exemplos === 'object' ? estado.exemplos : {}; // chave -> hash of demo vehicles, see marcarExemplos
+        this.emAndamento = null;
+        this.repetir = false; // Changes queued during a sync are sent right after it
+        this.status = this.url ? 'ocioso' : 'desativado';
+        this.mensagem = '';
+    }
+
+    /** @returns {boolean} True if a backend is configured. */
+    ativo() {
+        return this.url !== '';
+    }
+
+    /** @returns {number} Changes waiting to be sent. */
+    pendentes() {
+        return Object.keys(this.fila).length;
+    }
+
+    /**
+     * Sets the backend (empty to turn sync off). Another URL starts over: the queue and what is
+     * known about the records belong to the previous backend.
+     * @param {string} url - http(s) base URL, e.g. "http://localhost:3001".
+     * @returns {boolean} False if the URL is invalid (an 'aviso' is emitted).
+     */
+    configurar(url) {
+        const limpa = url.trim().replace(/\/+$/, '');
+        if (limpa && !/^https?:\/\/[^\s/]+/.test(limpa)) {
+            this.emitir('aviso', { mensagem: "Endereço de sincronização inválido. Use http://servidor:porta ou https://..." });
+            return false;
+        }
+        if (limpa !== this.url) {
+            this.url = limpa;
+            this.configuradoEm = new Date().toISOString();
+            this.cursor = null;
+            this.conhecidos = {};
+            this.fila = {};
+            this.ultimaSincronizacao = null;
+            this.emitir('alterado');
+        }
+        this._definirStatus(this.url ? 'ocioso' : 'desativado');
+        return true;
+    }
+
+    /**
+     * Merges the state saved by another tab of the garage, which queues its own changes and may have
+     * sent (or received) records since this tab read it. A newer backend URL replaces the whole state.
+     * Otherwise each known record and each queued change keeps its newest version; a change queued
+     * on one side only is dropped once the other side knows the record as of then or later (it was sent).
+     * @param {object} estado - Saved with toJSON().
+     */
+    mesclar(estado) {
+        if ((estado.configuradoEm || '') > (this.configuradoEm || '')) {
+            const outro = new SincronizadorGaragem(this.aplicar, estado, this.requisitar);
+            ['url', 'configuradoEm', 'cursor', 'conhecidos', 'fila', 'ultimaSincronizacao', 'exemplos'].forEach(campo => { this[campo] = outro[campo]; });
+            this._definirStatus(this.url ? 'ocioso' : 'desativado');
+            return;
+        }
+        if (estado.url !== this.url) return; // Older state of a previous backend
+        const conhecidos = estado.conhecidos && typeof estado.conhecidos === 'object' ? estado.conhecidos : {};
+        const fila = estado.fila && typeof estado.fila === 'object' ? estado.fila : {};
+        const sabidoAte = (lado, chave) => (lado[chave] ? lado[chave].atualizadoEm : '');
+
+        Object.keys(this.fila).forEach(chave => {
+            const outra = fila[chave];
+            if (outra ? outra.atualizadoEm > this.fila[chave].atualizadoEm : sabidoAte(conhecidos, chave) >= this.fila[chave].atualizadoEm) {
+                if (outra) this.fila[chave] = outra;
+                else delete this.fila[chave];
+            }
+        });
+        Object.keys(fila)
+            .filter(chave => !this.fila[chave] && fila[chave].atualizadoEm > sabidoAte(this.conhecidos, chave))
+            .forEach(chave => { this.fila[chave] = fila[chave]; });
+        Object.keys(conhecidos)
+            .filter(chave => conhecidos[chave].atualizadoEm > sabidoAte(this.conhecidos, chave))
+            .forEach(chave => { this.conhecidos[chave] = conhecidos[chave]; });
+
+        if ((estado.ultimaSincronizacao || '') > (this.ultimaSincronizacao || '')) {
+            this.ultimaSincronizacao = estado.ultimaSincronizacao;
+            this.cursor = estado.cursor !== undefined ? estado.cursor : this.cursor;
+        }
+        // Demo vehicles stop being demos once changed, which makes them known
+        const exemplos = { ...(estado.exemplos || {}), ...this.exemplos };
+        this.exemplos = {};
+        Object.keys(exemplos).filter(chave => !this.conhecidos[chave]).forEach(chave => { this.exemplos[chave] = exemplos[chave]; });
+        this._definirStatus(this.status, this.mensagem); // Refreshes the count of pending changes
+    }
+
+    /**
+     * Keeps demo vehicles (created by a new machine with an empty garage) out of the backend while
+     * they are unchanged and have no maintenance records, so every new browser does not upload its own copies.
+     * @param {object} veiculos - The demo vehicles keyed by ID (Garagem.serializarGaragem().veiculos format).
+     */
+    marcarExemplos(veiculos) {
+        registrosSincronizaveis(veiculos).forEach((dados, chave) => { this.exemplos[chave] = resumoRegistro(dados); });
+        this.emitir('alterado');
+    }
+
+    /**
+     * Queues the records that changed since they were last seen. On the first call after the backend
+     * is set, every record is queued with INICIO_SINCRONIZACAO, so what the backend already has wins.
+     * Vehicles moving here are queued once they stop (CAMPOS_CONDUCAO), with their maintenance records, so a
+     * new vehicle never reaches the backend after its records.
+     * @param {object} veiculos - Garagem.serializarGaragem().veiculos.
+     * @param {string} [agora] - ISO timestamp of the changes.
+     * @returns {number} Records queued.
+     */
+    registrarAlteracoes(veiculos, agora = new Date().toISOString()) {
+        if (!this.ativo()) return 0;
+        const atualizadoEm = Object.keys(this.conhecidos).length === 0 ? INICIO_SINCRONIZACAO : agora;
+        const atuais = registrosSincronizaveis(veiculos);
+        this._separarExemplos(atuais);
+        let enfileirados = 0;
+        const enfileirar = (chave, dados) => {
+            this.conhecidos[chave] = { hash: dados ? resumoRegistro(dados) : null, atualizadoEm };
+            this.fila[chave] = { chave, dados, atualizadoEm, excluido: !dados };
+            enfileirados++;
+        };
+        atuais.forEach((dados, chave) => {
+            const conhecido = this.conhecidos[chave];
+            if (conhecido && conhecido.hash === resumoRegistro(dados)) return;
+            if (veiculos[lerChaveRegistro(chave).idVeiculo].velocidade > 0) return;
+            enfileirar(chave, dados);
+        });
+        Object.keys(this.conhecidos).forEach(chave => {
+            if (!atuais.has(chave) && this.conhecidos[chave].hash !== null) enfileirar(chave, null);
+        });
+        if (enfileirados > 0) {
+            this.emitir('alterado');
+            this._definirStatus(this.status); // Refreshes the count of pending changes
+        }
+        return enfileirados;
+    }
+
+    /**
+     * Removes the unchanged demo vehicles from the records to sync. Demo vehicles that changed (or were
+     * removed) stop being demos for good.
+     * @param {Map<string, object>} registros - See registrosSincronizaveis(); changed in place.
+     */
+    _separarExemplos(registros) {
+        const chaves = Object.keys(this.exemplos);
+        if (chaves.length === 0) return;
+        chaves.forEach(chave => {
+            const comRegistros = [...registros.keys()].some(outra => outra.startsWith(`${chave}/`));
+            if (registros.has(chave) && !comRegistros && resumoRegistro(registros.get(chave)) === this.exemplos[chave]) {
+                registros.delete(chave);
+            } else {
+                delete this.exemplos[chave];
+            }
+        });
+        if (Object.keys(this.exemplos).length !== chaves.length) this.emitir('alterado');
+    }
+
+    /**
+     * Sends the queue and pulls the changes of the other machines. Only one sync runs at a time;
+     * a call during it makes it run again at the end. Without connection the queue is kept.
+     * @returns {Promise<boolean>} False if it could not sync (offline, server error or sync off).
+     */
+    async sincronizar() {
+        if (!this.ativo()) return false;
+        if (this.emAndamento) {
+            this.repetir = true;
+            return this.emAndamento;
+        }
+        this.emAndamento = this._sincronizar();
+        try {
+            return await this.emAndamento;
+        } finally {
+            this.emAndamento = null;
+            if (this.repetir && this.status === 'ocioso') {
+                this.repetir = false;
+                this.sincronizar();
+            }
+            this.repetir = false;
+        }
+    }
+
+    async _sincronizar() {
+        this._definirStatus('sincronizando');
+        const url = this.url;
+        try {
+            const vencedores = []; // Records the server kept instead of ours (409): newer, or as old as ours
+            for (const chave of Object.keys(this.fila)) {
+                const alteracao = this.fila[chave];
+                if (!alteracao) continue; // Sent by another tab meanwhile (see mesclar)
+                const resposta = alteracao.excluido
+                    ? await this._requisitar('DELETE', `${chave}?atualizadoEm=${encodeURIComponent(alteracao.atualizadoEm)}`)
+                    : await this._requisitar('PUT', chave, { dados: alteracao.dados, atualizadoEm: alteracao.atualizadoEm });
+                if (this.url !== url) return false; // Backend changed meanwhile
+                if (resposta.status === 409) vencedores.push(resposta.corpo.registro);
+                if (this.fila[chave] === alteracao) delete this.fila[chave]; // Not changed again while it was being sent
+                this.emitir('alterado');
+            }
+
+            const { corpo } = await this._requisitar('GET', `registros?desde=${encodeURIComponent(this.cursor === null ? '' : this.cursor)}`);
+            if (this.url !== url) return false;
+            const novos = (Array.isArray(corpo.registros) ? corpo.registros : []).filter(registro => {
+                const conhecido = this.conhecidos[registro.chave];
+                return !conhecido || registro.atualizadoEm > conhecido.atualizadoEm; // Older or our own
+            });
+            // Records changed here meanwhile are newer, and sent next time
+            this._aplicarRecebidos([...vencedores, ...novos].filter(registro => {
+                const pendente = this.fila[registro.chave];
+                return !pendente || pendente.atualizadoEm <= registro.atualizadoEm;
+            }));
+            this.cursor = corpo.cursor !== undefined ? corpo.cursor : this.cursor;
+            this.ultimaSincronizacao = new Date().toISOString();
+            this.emitir('alterado');
+            this._definirStatus('ocioso');
+            return true;
+        } catch (error) {
+            console.error("Erro ao sincronizar a garagem:", error);
+            const offline = error.name === 'TypeError' || error.name === 'AbortError';
+            this._definirStatus(offline ? 'offline' : 'erro', offline ? '' : error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Applies records pulled from the server and remembers them as known, so applying them is not
+     * queued back as a local change.
+     * @param {object[]} registros
+     */
+    _aplicarRecebidos(registros) {
+        if (registros.length === 0) return;
+        const unicos = new Map();
+        registros.forEach(registro => {
+            const anterior = unicos.get(registro.chave);
+            if (!anterior || registro.atualizadoEm >= anterior.atualizadoEm) unicos.set(registro.chave, registro);
+        });
+        const aplicados = registrosSincronizaveis(this.aplicar([...unicos.values()]));
+        unicos.forEach((registro, chave) => {
+            const dados = aplicados.get(chave);
+            this.conhecidos[chave] = { hash: dados ? resumoRegistro(dados) : null, atualizadoEm: registro.atualizadoEm };
+            if (this.fila[chave] && this.fila[chave].atualizadoEm <= registro.atualizadoEm) delete this.fila[chave];
+        });
+    }
+
+    /**
+     * @param {'GET' | 'PUT' | 'DELETE'} metodo
+     * @param {string} caminho - Relative to the backend URL.
+     * @param {object} [corpo]
+     * @returns {Promise<{status: number, corpo: object}>} Rejects on network errors (TypeError), timeouts
+     *          (AbortError) and answers other than 2xx and 409.
+     */
+    async _requisitar(metodo, caminho, corpo) {
+        const controle = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const limite = controle ? setTimeout(() => controle.abort(), TEMPO_LIMITE_SINCRONIZACAO_MS) : null;
+        try {
+            const resposta = await this.requisitar(`${this.url}/${caminho}`, {
+                method: metodo,
+                headers: corpo ? { 'Content-Type': 'application/json' } : {},
+                body: corpo ? JSON.stringify(corpo) : undefined,
+                signal: controle ? controle.signal : undefined
+            });
+            const texto = await resposta.text();
+            const dados = texto ? JSON.parse(texto) : {};
+            if (!resposta.ok && resposta.status !== 409) {
+                throw new Error(`${metodo} ${caminho}: HTTP ${resposta.status}${dados.erro ? ` (${dados.erro})` : ''}`);
+            }
+            return { status: resposta.status, corpo: dados };
+        } finally {
+            clearTimeout(limite);
+        }
+    }
+
+    _definirStatus(status, mensagem = '') {
+        this.status = status;
+        this.mensagem = mensagem;
+        this.emitir('status', { status, mensagem });
+    }
+
+    toJSON() {
+        return { url: this.url, configuradoEm: this.configuradoEm, cursor: this.cursor, conhecidos: this.conhecidos, fila: this.fila, ultimaSincronizacao: this.ultimaSincronizacao, exemplos: this.exemplos };
+    }
+}
+
+
+// Allows `require('./sincronizacao.js')` in Node (needs the modelo.js globals).
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { INTERVALO_SINCRONIZACAO_MS, chaveRegistro, lerChaveRegistro, registrosSincronizaveis, aplicarRegistrosSincronizados, SincronizadorGaragem };
+}
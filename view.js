@@ -0,0 +1,743 @@
+/**
+ * View layer: renders a vehicle card from #templateVeiculo and keeps it in sync
+ * with the vehicle by subscribing to the model events (see modelo.js).
+ */
+class VeiculoView {
+    /**
+     * @param {Veiculo} veiculo - The vehicle shown by this card.
+     * @param {{rotulo: string, imagem: string}} infoTipo - Label and image of the vehicle type.
+     */
+    constructor(veiculo, infoTipo) {
+        this.veiculo = veiculo;
+        this.infoTipo = infoTipo || { rotulo: veiculo.constructor.name, imagem: '' };
+        this.elemento = null;
+        this._cancelamentos = []; // Functions that remove the model subscriptions
+    }
+
+    /**
+     * Clones the template, appends the card to the container and subscribes to the vehicle events.
+     * Parts of the template marked with data-apenas="Tipo" are kept only for that vehicle type.
+     * @param {HTMLTemplateElement} template - The #templateVeiculo element.
+     * @param {HTMLElement} container - Where the card is appended (#listaVeiculos).
+     */
+    renderizar(template, container) {
+        const tipo = this.veiculo.constructor.name;
+        const card = template.content.firstElementChild.cloneNode(true);
+        card.dataset.veiculoId = this.veiculo.id;
+        card.querySelectorAll('[data-apenas]').forEach(el => {
+            if (!el.dataset.apenas.split(' ').includes(tipo)) el.remove();
+        });
+
+        this.elemento = card;
+        const imagem = this.campo('imagem');
+        if (imagem) {
+            imagem.src = this.infoTipo.imagem;
+            imagem.alt = `Imagem do ${this.infoTipo.rotulo}`;
+        }
+        const tipoElement = this.campo('tipo');
+        if (tipoElement) tipoElement.textContent = `(${this.infoTipo.rotulo})`;
+        // Service types autocomplete from the catalog items of this vehicle class (see catalogo.js)
+        ['tipoManutencao', 'tipoAgendamento', 'tipoPlano'].forEach(nome => {
+            const input = this.campo(nome);
+            if (input) input.setAttribute('list', idListaCatalogo(tipo));
+        });
+        const combustivelSelect = this.campo('inputTipoCombustivel');
+        if (combustivelSelect) {
+            TIPOS_COMBUSTIVEL.forEach(tipoCombustivel => combustivelSelect.add(new Option(tipoCombustivel, tipoCombustivel)));
+            if (tipo === 'Caminhao') combustivelSelect.value = 'Diesel';
+        }
+
+        container.appendChild(card);
+        this._observarVeiculo();
+        this.atualizarTudo();
+        this.preencherInputs();
+    }
+
+    _observarVeiculo() {
+        const v = this.veiculo;
+        this._cancelamentos.push(
+            v.on('ligado', () => { this.atualizarStatus(); this.atualizarPlanos(); }), // A trip may make a plan due by km
+            v.on('quilometragem', ({ manual }) => {
+                this.atualizarQuilometragem();
+                if (manual) this.atualizarPlanos();
+            }),
+            v.on('velocidade', ({ velocidade, anterior, interno }) => {
+                this.atualizarVelocidadeDisplay();
+                this.atualizarPonteiroVelocidade();
+                if (!interno && velocidade > anterior) this.ativarAnimacao('animacao-aceleracao');
+                if (!interno && velocidade < anterior) this.ativarAnimacao('animacao-freagem');
+            }),
+            v.on('combustivel', () => this.atualizarStatus()), // Turbo depends on the fuel level
+            v.on('detalhes', () => { this.atualizarDetalhes(); this.preencherInputs(); this.atualizarAbastecimentos(); }), // Tank capacity
+            v.on('turbo', () => { this.atualizarInfoDisplay(); this.atualizarStatus(); }),
+            v.on('carga', () => { this.atualizarDetalhes(); this.atualizarInfoDisplay(); }),
+            v.on('manutencaoAdicionada', () => { this.atualizarHistorico(); this.atualizarPlanos(); }),
+            v.on('manutencaoAlterada', () => { this.atualizarHistorico(); this.atualizarPlanos(); }),
+            v.on('manutencaoRemovida', () => { this.atualizarHistorico(); this.atualizarPlanos(); }),
+            v.on('planos', () => this.atualizarPlanos()),
+            v.on('abastecimentoAdicionado', () => this.atualizarAbastecimentos()),
+            v.on('aviso', ({ mensagem }) => alert(mensagem))
+        );
+    }
+
+    /** Removes the card and the model subscriptions. */
+    destruir() {
+        this._cancelamentos.forEach(cancelar => cancelar());
+        this._cancelamentos = [];
+        if (this.elemento) this.elemento.remove();
+        this.elemento = null;
+    }
+
+    /**
+     * Finds an element inside the card by its data-campo attribute.
+     * @param {string} campo - The data-campo value (e.g. "status").
+     * @returns {HTMLElement | null}
+     */
+    campo(campo) {
+        return this.elemento ? this.elemento.querySelector(`[data-campo="${campo}"]`) : null;
+    }
+
+    /**
+     * Finds a button inside the card by its data-acao attribute.
+     * @param {string} acao - The data-acao value (e.g. "frear").
+     * @returns {HTMLElement | null}
+     */
+    botao(acao) {
+        return this.elemento ? this.elemento.querySelector(`[data-acao="${acao}"]`) : null;
+    }
+
+    /** Refreshes every display of the card. */
+    atualizarTudo() {
+        this.atualizarDetalhes();
+        this.atualizarStatus();
+        this.atualizarVelocidadeDisplay();
+        this.atualizarPonteiroVelocidade();
+        this.atualizarInfoDisplay();
+        this.atualizarQuilometragem();
+        this.atualizarHistorico();
+        this.atualizarAbastecimentos();
+        this.atualizarPlanos();
+    }
+
+    atualizarStatus() {
+        const v = this.veiculo;
+        const statusElement = this.campo('status');
+        if (statusElement) {
+            statusElement.textContent = v.textoStatus();
+            statusElement.style.color = v.ligado ? 'green' : 'red';
+        }
+
+        const desabilitar = (acao, desabilitado) => {
+            const botao = this.botao(acao);
+            if (botao) botao.disabled = desabilitado;
+        };
+        desabilitar('ligar', v.ligado);
+        desabilitar('desligar', !v.ligado);
+        desabilitar('acelerar', !v.ligado);
+        desabilitar('frear', v.velocidade === 0);
+        desabilitar('pintar', false); // Can always paint
+        desabilitar('abastecer', false); // Can always refuel
+        // Turbo buttons only exist in sports car cards
+        desabilitar('ativarTurbo', !v.ligado || v.turboAtivado || v.combustivel < 20);
+        desabilitar('desativarTurbo', !v.ligado || !v.turboAtivado);
+    }
+
+    atualizarVelocidadeDisplay() {
+        const velocidadeElement = this.campo('velocidade');
+        if (velocidadeElement) {
+            velocidadeElement.textContent = this.veiculo.formatarVelocidade();
+        }
+        const frearBtn = this.botao('frear');
+        if (frearBtn) frearBtn.disabled = this.veiculo.velocidade === 0;
+    }
+
+    atualizarPonteiroVelocidade() {
+        const ponteiro = this.campo('ponteiro');
+        if (ponteiro) {
+            const porcentagem = Math.min((this.veiculo.velocidade / this.veiculo.velocidadeMaxima) * 100, 100);
+            ponteiro.style.width = `${porcentagem}%`;
+        }
+    }
+
+    atualizarDetalhes() {
+        const v = this.veiculo;
+        const nomeElement = this.campo('nome');
+        const modeloElement = this.campo('modelo');
+        const corElement = this.campo('cor');
+        const cargaElement = this.campo('carga'); // Only in truck cards
+        const identificacaoElement = this.campo('identificacao');
+        if (nomeElement) nomeElement.textContent = v.nome || v.modelo;
+        if (modeloElement) modeloElement.textContent = v.modelo;
+        if (corElement) corElement.textContent = v.cor;
+        if (cargaElement) cargaElement.textContent = `${v.cargaAtual}kg / ${v.capacidadeCarga}kg`;
+        if (identificacaoElement) {
+            const partes = [
+                v.placa ? `Placa: ${v.formatarPlaca()}` : '',
+                [v.marca, v.ano].filter(Boolean).join(' '),
+                v.proprietario.nome ? `Proprietário: ${v.proprietario.nome}` : ''
+            ].filter(Boolean);
+            identificacaoElement.textContent = partes.join(' | ');
+            identificacaoElement.hidden = partes.length === 0;
+        }
+    }
+
+    atualizarInfoDisplay() {
+        const infoElement = this.campo('info');
+        if (infoElement) {
+            infoElement.textContent = this.veiculo.textoInfo();
+        }
+    }
+
+    atualizarQuilometragem() {
+        const quilometragemElement = this.campo('quilometragem');
+        if (quilometragemElement) {
+            quilometragemElement.textContent = this.veiculo.formatarQuilometragem();
+        }
+    }
+
+    /** Lists every maintenance record of the vehicle (most recent first) with its actions. */
+    atualizarHistorico() {
+        const lista = this.campo('historico');
+        if (!lista) return;
+
+        lista.innerHTML = '';
+        const registros = this.veiculo.historicoManutencao.slice().sort((a, b) => {
+            const dateA = a.getDateTime();
+            const dateB = b.getDateTime();
+            if (!dateA && !dateB) return 0;
+            if (!dateA) return 1; // Invalid dates last
+            if (!dateB) return -1;
+            return dateB - dateA;
+        });
+        if (registros.length === 0) {
+            const li = document.createElement('li');
+            li.textContent = 'Nenhuma manutenção registrada.';
+            li.className = 'nenhum';
+            lista.appendChild(li);
+            return;
+        }
+        registros.forEach(m => lista.appendChild(criarItemManutencao(m, m.formatar())));
+    }
+
+    /** Shows the fuel summary (tank, km/l, monthly spend) and the refuels, most recent first. */
+    atualizarAbastecimentos() {
+        const resumo = this.campo('resumoConsumo');
+        const lista = this.campo('abastecimentos');
+        if (!resumo || !lista) return;
+
+        const v = this.veiculo;
+        const consumo = calcularConsumo(v);
+        const moeda = valor => valor.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+        let texto = `Tanque: ${v.litrosNoTanque().toLocaleString('pt-BR', { maximumFractionDigits: 1 })} de ${v.capacidadeTanque} L`;
+        texto += ` - Consumo médio: ${consumo.kmPorLitro !== null ? `${consumo.kmPorLitro.toLocaleString('pt-BR', { maximumFractionDigits: 1 })} km/l` : 'sem dados suficientes'}`;
+        if (consumo.gastoMensal.length > 0) {
+            texto += ` - Gasto mensal: ${consumo.gastoMensal.map(mes => `${mes.rotulo} ${moeda(mes.total)}`).join(', ')}`;
+        }
+        resumo.textContent = texto;
+
+        lista.innerHTML = '';
+        // reverse() first so refuels of the same day stay latest first (sort is stable)
+        const abastecimentos = v.historicoAbastecimento.slice().reverse().sort((a, b) => b.data.localeCompare(a.data));
+        if (abastecimentos.length === 0) {
+            const li = document.createElement('li');
+            li.textContent = 'Nenhum abastecimento registrado.';
+            li.className = 'nenhum';
+            lista.appendChild(li);
+            return;
+        }
+        abastecimentos.forEach(abastecimento => {
+            const li = document.createElement('li');
+            li.textContent = abastecimento.formatar();
+            lista.appendChild(li);
+        });
+    }
+
+    /** Lists the recurring plans of the vehicle with their next due date. */
+    atualizarPlanos() {
+        const lista = this.campo('planos');
+        if (!lista) return;
+
+        lista.innerHTML = '';
+        if (this.veiculo.planosManutencao.length === 0) {
+            const li = document.createElement('li');
+            li.textContent = 'Nenhum plano cadastrado.';
+            li.className = 'nenhum';
+            lista.appendChild(li);
+            return;
+        }
+        this.veiculo.planosManutencao.forEach(plano => {
+            const texto = `${plano.formatar()} (${textoProximaDataPlano(this.veiculo, plano)})`;
+            lista.appendChild(criarItemPlano(plano, texto, this.veiculo.planoAtrasado(plano)));
+        });
+    }
+
+    /** Pre-fills the card's update inputs with the current data. */
+    preencherInputs() {
+        const v = this.veiculo;
+        const modeloInput = this.campo('inputModelo');
+        const corInput = this.campo('inputCor');
+        const tanqueInput = this.campo('inputCapacidadeTanque');
+        const capacidadeInput = this.campo('inputCapacidade'); // Only in truck cards
+        const identificacao = {
+            inputMarca: v.marca,
+            inputAno: v.ano !== null ? v.ano : '',
+            inputPlaca: v.formatarPlaca(),
+            inputChassi: v.chassi,
+            inputProprietario: v.proprietario.nome,
+            inputTelefoneProprietario: v.proprietario.telefone,
+            inputEmailProprietario: v.proprietario.email
+        };
+
+        if (modeloInput && v.modelo) preencherCampo(modeloInput, v.modelo);
+        if (corInput && v.cor) preencherCampo(corInput, v.cor);
+        if (tanqueInput) preencherCampo(tanqueInput, v.capacidadeTanque);
+        if (capacidadeInput && v.capacidadeCarga) preencherCampo(capacidadeInput, v.capacidadeCarga);
+        for (const campo in identificacao) {
+            const input = this.campo(campo);
+            if (input) preencherCampo(input, identificacao[campo]);
+        }
+    }
+
+    /**
+     * Briefly shows an acceleration/braking glow.
+     * @param {string} campo - 'animacao-aceleracao' or 'animacao-freagem'.
+     */
+    ativarAnimacao(campo) {
+        const animacao = this.campo(campo);
+        if (animacao) {
+            animacao.classList.add('ativa');
+            setTimeout(() => {
+                animacao.classList.remove('ativa');
+            }, 300); // Match CSS transition
+        }
+    }
+}
+
+
+/**
+ * Builds the list item of a maintenance record with its action buttons. Clicks are handled
+ * by Garagem.tratarAcaoCard, which finds the record through data-manutencao-id.
+ * @param {Manutencao} manutencao - The record.
+ * @param {string} texto - Text shown for the record.
+ * @returns {HTMLLIElement}
+ */
+function criarItemManutencao(manutencao, texto) {
+    const item = document.createElement('li');
+    item.dataset.manutencaoId = manutencao.id;
+    item.className = `manutencao-${manutencao.status}`;
+
+    const textoElement = document.createElement('span');
+    textoElement.textContent = texto;
+    const acoes = document.createElement('span');
+    acoes.className = 'acoes-manutencao';
+
+    const botoes = [['editarManutencao', 'Editar']];
+    if (manutencao.status === 'agendada') {
+        botoes.push(['concluirManutencao', 'Concluir'], ['cancelarManutencao', 'Cancelar']);
+    } else if (manutencao.status === 'concluida') {
+        botoes.push(['imprimirManutencao', 'Imprimir']);
+    }
+    botoes.push(['excluirManutencao', 'Excluir']);
+    botoes.forEach(([acao, rotulo]) => {
+        const botao = document.createElement('button');
+        botao.dataset.acao = acao;
+        botao.textContent = rotulo;
+        acoes.appendChild(botao);
+    });
+
+    item.append(textoElement, acoes);
+    return item;
+}
+
+/**
+ * Builds the list item of a recurring plan with its remove button (handled by Garagem.tratarAcaoCard).
+ * Plans whose next date has passed get the 'atrasado' class.
+ * @param {PlanoManutencao} plano
+ * @param {string} texto - Text shown for the plan.
+ * @param {boolean} [atrasado=false]
+ * @returns {HTMLLIElement}
+ */
+function criarItemPlano(plano, texto, atrasado = false) {
+    const item = document.createElement('li');
+    item.dataset.planoId = plano.id;
+    if (atrasado) item.classList.add('atrasado');
+
+    const textoElement = document.createElement('span');
+    textoElement.textContent = texto;
+    const acoes = document.createElement('span');
+    acoes.className = 'acoes-manutencao';
+    const botao = document.createElement('button');
+    botao.dataset.acao = 'removerPlano';
+    botao.textContent = 'Remover';
+    acoes.appendChild(botao);
+
+    item.append(textoElement, acoes);
+    return item;
+}
+
+/**
+ * Describes when a plan is due next, e.g. "próxima: 01/11/2025 ou 20.000 km".
+ * @param {Veiculo} veiculo
+ * @param {PlanoManutencao} plano
+ * @returns {string}
+ */
+function textoProximaDataPlano(veiculo, plano) {
+    const partes = [];
+    const proximaData = veiculo.proximaDataPlano(plano);
+    const proximaKm = veiculo.proximaQuilometragemPlano(plano);
+    if (proximaData) {
+        const [ano, mes, dia] = proximaData.split('-');
+        partes.push(`${dia}/${mes}/${ano}`);
+    }
+    if (proximaKm !== null) partes.push(`${proximaKm.toLocaleString('pt-BR', { maximumFractionDigits: 0 })} km`);
+    if (partes.length === 0) return 'próxima: após o primeiro registro concluído';
+    return `próxima: ${partes.join(' ou ')}`;
+}
+
+/**
+ * Replaces the content of a maintenance list item with the edit form (#templateEdicaoManutencao),
+ * filled with the record data. The cost field is only kept for completed records.
+ * @param {HTMLLIElement} item - Item created by criarItemManutencao.
+ * @param {Manutencao} manutencao - The record being edited.
+ * @param {string} [idListaServicos] - <datalist> that autocompletes the service type.
+ */
+function abrirEdicaoManutencao(item, manutencao, idListaServicos) {
+    const template = document.getElementById('templateEdicaoManutencao');
+    if (!template) return console.error("Elemento 'templateEdicaoManutencao' não encontrado.");
+
+    const form = template.content.firstElementChild.cloneNode(true);
+    const campo = nome => form.querySelector(`[data-campo="${nome}"]`);
+    campo('edicaoData').value = manutencao.data;
+    campo('edicaoHora').value = manutencao.hora || '';
+    campo('edicaoTipo').value = manutencao.tipo;
+    if (idListaServicos) campo('edicaoTipo').setAttribute('list', idListaServicos);
+    campo('edicaoDescricao').value = manutencao.descricao;
+    campo('edicaoQuilometragem').value = manutencao.quilometragem !== null ? manutencao.quilometragem : '';
+    if (manutencao.status === 'concluida') {
+        campo('edicaoCusto').value = manutencao.custo;
+    } else {
+        campo('edicaoCusto').remove(); // Scheduled and cancelled records have no cost (the items are an estimate)
+    }
+    manutencao.itens.forEach(linha => adicionarLinhaItem(form, linha.tipo, linha));
+    if (manutencao.aliquotaPecas) campo('aliquotaPecas').value = manutencao.aliquotaPecas;
+    if (manutencao.aliquotaMaoDeObra) campo('aliquotaMaoDeObra').value = manutencao.aliquotaMaoDeObra;
+    item.replaceChildren(form);
+    atualizarTotalItens(form);
+}
+
+/**
+ * Adds a part or labour row (#templateItemManutencao) to a maintenance form.
+ * @param {HTMLElement} formulario - Element with a [data-campo="itensManutencao"] container.
+ * @param {'peca' | 'maoDeObra'} tipo
+ * @param {ItemManutencao} [linha] - Values to fill in.
+ */
+function adicionarLinhaItem(formulario, tipo, linha = null) {
+    const template = document.getElementById('templateItemManutencao');
+    const container = formulario.querySelector('[data-campo="itensManutencao"]');
+    if (!template || !container) return console.error("Elementos dos itens de manutenção não encontrados.");
+
+    const elemento = template.content.firstElementChild.cloneNode(true);
+    elemento.dataset.tipoItem = tipo;
+    const campo = nome => elemento.querySelector(`[data-campo="${nome}"]`);
+    campo('rotuloItem').textContent = TIPOS_ITEM_MANUTENCAO[tipo];
+    campo('quantidadeItem').placeholder = tipo === 'maoDeObra' ? 'Horas' : 'Qtd.';
+    campo('valorItem').placeholder = tipo === 'maoDeObra' ? 'Valor/hora (R$)' : 'Preço unitário (R$)';
+    if (linha) {
+        campo('descricaoItem').value = linha.descricao;
+        campo('quantidadeItem').value = linha.quantidade;
+        campo('valorItem').value = linha.valorUnitario;
+    }
+    container.appendChild(elemento);
+    atualizarTotalItens(formulario);
+}
+
+/**
+ * Reads the line items of a maintenance form. Rows left completely empty are ignored.
+ * @param {HTMLElement} formulario
+ * @returns {{itens: ItemManutencao[], aliquotaPecas: number, aliquotaMaoDeObra: number}}
+ */
+function lerItensFormulario(formulario) {
+    const numero = elemento => (elemento && elemento.value !== '' ? parseFloat(elemento.value) : NaN);
+    const itens = [...formulario.querySelectorAll('.item-manutencao')]
+        .map(elemento => {
+            const campo = nome => elemento.querySelector(`[data-campo="${nome}"]`);
+            if (!campo('descricaoItem').value.trim() && campo('quantidadeItem').value === '' && campo('valorItem').value === '') return null;
+            return new ItemManutencao(elemento.dataset.tipoItem, campo('descricaoItem').value, numero(campo('quantidadeItem')), numero(campo('valorItem')));
+        })
+        .filter(Boolean);
+    const aliquota = nome => {
+        const valor = numero(formulario.querySelector(`[data-campo="${nome}"]`));
+        return isNaN(valor) ? 0 : valor;
+    };
+    return { itens, aliquotaPecas: aliquota('aliquotaPecas'), aliquotaMaoDeObra: aliquota('aliquotaMaoDeObra') };
+}
+
+/**
+ * Shows the total of the line items of a form. While there are items the cost input is
+ * derived from them (read-only); without items it is typed as a single value again.
+ * @param {HTMLElement} formulario
+ */
+function atualizarTotalItens(formulario) {
+    const totalElement = formulario.querySelector('[data-campo="totalItens"]');
+    const custoInput = formulario.querySelector('[data-campo="custoManutencao"], [data-campo="edicaoCusto"]');
+    if (!totalElement) return;
+
+    const { itens, aliquotaPecas, aliquotaMaoDeObra } = lerItensFormulario(formulario);
+    if (custoInput) custoInput.readOnly = itens.length > 0;
+    if (itens.length === 0) {
+        totalElement.textContent = '';
+        return;
+    }
+    const calculo = new Manutencao('', '', null);
+    calculo.definirItens(itens.filter(item => item.isValid()), aliquotaPecas, aliquotaMaoDeObra);
+    const custos = calculo.calcularCustos();
+    const moeda = valor => valor.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+    totalElement.textContent = `Total: ${moeda(custos.total)} (Peças ${moeda(custos.pecas)} + Mão de obra ${moeda(custos.maoDeObra)} + Impostos ${moeda(custos.impostos)})`;
+    if (custoInput) custoInput.value = custos.total.toFixed(2);
+}
+
+/**
+ * Builds the list item of a catalog service with its edit/remove buttons (handled by Garagem.tratarAcaoCatalogo).
+ * @param {ServicoCatalogo} servico
+ * @returns {HTMLLIElement}
+ */
+function criarItemServico(servico) {
+    const item = document.createElement('li');
+    item.dataset.servicoId = servico.id;
+
+    const textoElement = document.createElement('span');
+    textoElement.textContent = servico.formatar();
+    const acoes = document.createElement('span');
+    acoes.className = 'acoes-manutencao';
+    [['editarServico', 'Editar'], ['removerServico', 'Remover']].forEach(([acao, rotulo]) => {
+        const botao = document.createElement('button');
+        botao.dataset.acao = acao;
+        botao.textContent = rotulo;
+        acoes.appendChild(botao);
+    });
+
+    item.append(textoElement, acoes);
+    return item;
+}
+
+/**
+ * Builds the list item of a free-text service type, with a select of the catalog services
+ * to map it to (the suggestion, if any, comes selected) and the map button.
+ * @param {{tipo: string, quantidade: number, sugestao: ServicoCatalogo | undefined}} tipoLivre - From listarTiposLivres.
+ * @param {ServicoCatalogo[]} servicos - Catalog services, in display order.
+ * @returns {HTMLLIElement}
+ */
+function criarItemTipoLivre(tipoLivre, servicos) {
+    const item = document.createElement('li');
+    item.dataset.tipoLivre = tipoLivre.tipo;
+
+    const textoElement = document.createElement('span');
+    textoElement.textContent = `"${tipoLivre.tipo}" (${tipoLivre.quantidade} registro(s))`;
+    const acoes = document.createElement('span');
+    acoes.className = 'acoes-manutencao';
+    const select = document.createElement('select');
+    select.dataset.campo = 'servicoMapeamento';
+    select.title = 'Serviço do catálogo';
+    select.add(new Option('Escolha o serviço...', ''));
+    servicos.forEach(servico => select.add(new Option(servico.nome, servico.id)));
+    if (tipoLivre.sugestao) select.value = tipoLivre.sugestao.id;
+    const botao = document.createElement('button');
+    botao.dataset.acao = 'mapearTipo';
+    botao.textContent = 'Mapear';
+    acoes.append(select, botao);
+
+    item.append(textoElement, acoes);
+    return item;
+}
+
+/**
+ * Draws a horizontal bar chart as SVG (no external libraries).
+ * @param {{rotulo: string, valor: number}[]} itens - Bars, in display order.
+ * @param {function(number): string} formatarValor - Text shown after each bar.
+ * @returns {SVGSVGElement}
+ */
+function criarGraficoBarras(itens, formatarValor) {
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const largura = 600;
+    const alturaBarra = 22;
+    const espaco = 6;
+    const larguraRotulo = 170;
+    const larguraValor = 110;
+    const maximo = Math.max(...itens.map(item => item.valor), 0);
+
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${largura} ${Math.max(itens.length, 1) * (alturaBarra + espaco)}`);
+    svg.setAttribute('class', 'grafico-barras');
+    svg.setAttribute('role', 'img');
+
+    itens.forEach((item, indice) => {
+        const y = indice * (alturaBarra + espaco);
+        const larguraBarra = maximo > 0 ? (item.valor / maximo) * (largura - larguraRotulo - larguraValor) : 0;
+        const texto = (x, conteudo, ancora) => {
+            const elemento = document.createElementNS(svgNS, 'text');
+            elemento.setAttribute('x', x);
+            elemento.setAttribute('y', y + alturaBarra * 0.7);
+            elemento.setAttribute('text-anchor', ancora);
+            elemento.textContent = conteudo;
+            return elemento;
+        };
+        const barra = document.createElementNS(svgNS, 'rect');
+        barra.setAttribute('x', larguraRotulo);
+        barra.setAttribute('y', y);
+        barra.setAttribute('width', larguraBarra);
+        barra.setAttribute('height', alturaBarra);
+        barra.setAttribute('rx', 3);
+        const titulo = document.createElementNS(svgNS, 'title'); // Tooltip with the full label
+        titulo.textContent = `${item.rotulo}: ${formatarValor(item.valor)}`;
+        barra.appendChild(titulo);
+
+        const rotulo = item.rotulo.length > 24 ? `${item.rotulo.slice(0, 23)}…` : item.rotulo;
+        svg.append(texto(larguraRotulo - 6, rotulo, 'end'), barra, texto(larguraRotulo + larguraBarra + 6, formatarValor(item.valor), 'start'));
+    });
+    return svg;
+}
+
+/**
+ * Offers text content as a file download (used by the backup and export features).
+ * @param {string} nomeArquivo - Suggested file name.
+ * @param {string} conteudo - File content.
+ * @param {string} [tipoMime='application/json'] - MIME type of the content.
+ */
+function baixarArquivo(nomeArquivo, conteudo, tipoMime = 'application/json') {
+    const blob = new Blob([conteudo], { type: `${tipoMime};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = nomeArquivo;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// --- In-progress edits ---
+// Fields typed into (data-editado, see marcarEdicao) survive a rebuild of the UI, e.g. when another
+// tab changes the garage. Fields filled from the model (preencherCampo) are not in progress.
+
+/** Marks the field of an 'input'/'change' event as edited by the user (listener on the document). */
+function marcarEdicao(evento) {
+    if (evento.target.matches && evento.target.matches('input, textarea, select')) evento.target.dataset.editado = 'true';
+}
+
+/**
+ * Sets a field from the model, which ends any edit in progress in it.
+ * @param {HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement} campo
+ * @param {*} valor
+ */
+function preencherCampo(campo, valor) {
+    campo.value = valor;
+    delete campo.dataset.editado;
+}
+
+/**
+ * Identifies a field or form across rebuilds: vehicle, record, nearest element with an ID and its
+ * own ID/data-campo. Elements with the same key are told apart by their position.
+ * @param {HTMLElement} elemento
+ * @returns {string}
+ */
+function chaveEdicao(elemento) {
+    const veiculo = elemento.closest('[data-veiculo-id]');
+    const item = elemento.closest('[data-manutencao-id], [data-plano-id]');
+    const secao = elemento.parentElement ? elemento.parentElement.closest('[id]') : null;
+    return [
+        veiculo ? veiculo.dataset.veiculoId : '',
+        item ? item.dataset.manutencaoId || item.dataset.planoId : '',
+        secao ? secao.id : '',
+        elemento.id || elemento.dataset.campo || elemento.name || elemento.tagName
+    ].join('|');
+}
+
+/**
+ * Elements matching a selector, keyed by chaveEdicao() plus their position among the same key.
+ * @param {string} seletor
+ * @returns {Map<string, HTMLElement>}
+ */
+function elementosPorChave(seletor) {
+    const elementos = new Map();
+    const contagem = {};
+    document.querySelectorAll(seletor).forEach(elemento => {
+        const chave = chaveEdicao(elemento);
+        contagem[chave] = (contagem[chave] || 0) + 1;
+        elementos.set(`${chave}#${contagem[chave]}`, elemento);
+    });
+    return elementos;
+}
+
+/**
+ * Takes the edits in progress out of the page before it is rebuilt: open maintenance edit forms and
+ * maintenance forms with edited fields (moved back whole, with their item rows), the other edited
+ * fields (values) and the focused field.
+ * @returns {{edicoes: Map, formularios: Map, campos: Map, foco: object | null}} For restaurarEdicoes().
+ */
+function capturarEdicoes() {
+    const edicoes = new Map(); // List item key -> its open .manutencao-edicao
+    elementosPorChave('li[data-manutencao-id]').forEach((item, chave) => {
+        const formulario = item.querySelector(':scope > .manutencao-edicao');
+        if (formulario) edicoes.set(chave, formulario);
+    });
+    const formularios = new Map();
+    elementosPorChave('.manutencao-form').forEach((formulario, chave) => {
+        if (formulario.querySelector('[data-editado]')) formularios.set(chave, formulario);
+    });
+    const movidos = [...edicoes.values(), ...formularios.values()];
+    const campos = new Map();
+    const todosCampos = elementosPorChave('input, textarea, select');
+    todosCampos.forEach((campo, chave) => {
+        if (!campo.dataset.editado || movidos.some(formulario => formulario.contains(campo))) return;
+        campos.set(chave, campo.type === 'checkbox' || campo.type === 'radio' ? { checked: campo.checked } : { value: campo.value });
+    });
+
+    let foco = null;
+    const ativo = document.activeElement;
+    const entradaAtiva = [...todosCampos].find(([, campo]) => campo === ativo);
+    if (entradaAtiva) {
+        let selecao = null;
+        try {
+            if (typeof ativo.selectionStart === 'number') selecao = [ativo.selectionStart, ativo.selectionEnd];
+        } catch (error) {
+            // Number, date and other inputs have no text selection
+        }
+        foco = { elemento: ativo, chave: entradaAtiva[0], selecao };
+    }
+    return { edicoes, formularios, campos, foco };
+}
+
+/**
+ * Puts the edits of capturarEdicoes() back into the rebuilt page. Edit forms of records that are
+ * no longer listed (removed, or no longer scheduled) are dropped.
+ * @param {{edicoes: Map, formularios: Map, campos: Map, foco: object | null}} capturadas
+ */
+function restaurarEdicoes({ edicoes, formularios, campos, foco }) {
+    const itens = elementosPorChave('li[data-manutencao-id]');
+    edicoes.forEach((formulario, chave) => {
+        if (itens.has(chave)) itens.get(chave).replaceChildren(formulario);
+    });
+    const novosFormularios = elementosPorChave('.manutencao-form');
+    formularios.forEach((formulario, chave) => {
+        if (novosFormularios.has(chave)) novosFormularios.get(chave).replaceWith(formulario);
+    });
+    const novosCampos = elementosPorChave('input, textarea, select');
+    campos.forEach((valor, chave) => {
+        const campo = novosCampos.get(chave);
+        if (!campo) return;
+        Object.assign(campo, valor);
+        campo.dataset.editado = 'true';
+    });
+
+    if (!foco) return;
+    const alvo = foco.elemento.isConnected ? foco.elemento : novosCampos.get(foco.chave);
+    if (!alvo || document.activeElement === alvo) return;
+    alvo.focus();
+    if (foco.selecao) {
+        try {
+            alvo.setSelectionRange(...foco.selecao);
+        } catch (error) {
+            // See capturarEdicoes
+        }
+    }
+}